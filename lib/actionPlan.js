@@ -0,0 +1,127 @@
+import crypto from "crypto";
+
+export const PRIORITIES = ["critical", "high", "medium", "low"];
+export const STAKEHOLDERS = ["consumers", "regulators", "retailers", "suppliers", "internal", "media", "insurers", "legal"];
+
+export const PRIORITY_LABELS = { critical: "最優先", high: "高", medium: "中", low: "低" };
+export const STAKEHOLDER_LABELS = {
+  consumers: "消費者",
+  regulators: "規制当局",
+  retailers: "販売店",
+  suppliers: "サプライヤー",
+  internal: "社内",
+  media: "報道機関",
+  insurers: "保険会社",
+  legal: "法務・弁護士"
+};
+
+const MAX_TASKS = 40;
+
+// OpenAPI-subset schema in the form Gemini's responseSchema expects.
+export const ACTION_PLAN_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    summary: { type: "STRING", description: "状況と対応方針の要約（2〜3文）" },
+    tasks: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          title: { type: "STRING", description: "実施するタスク" },
+          detail: { type: "STRING", description: "具体的な手順や留意点" },
+          ownerRole: { type: "STRING", description: "担当する役割（例: 品質保証部長、広報責任者）" },
+          deadlineHours: { type: "NUMBER", description: "事故の発生・覚知時点からの期限（時間）" },
+          priority: { type: "STRING", enum: PRIORITIES },
+          stakeholder: { type: "STRING", enum: STAKEHOLDERS }
+        },
+        required: ["title", "ownerRole", "deadlineHours", "priority", "stakeholder"],
+        propertyOrdering: ["title", "detail", "ownerRole", "deadlineHours", "priority", "stakeholder"]
+      }
+    }
+  },
+  required: ["summary", "tasks"],
+  propertyOrdering: ["summary", "tasks"]
+};
+
+export const ACTION_PLAN_INSTRUCTIONS = [
+  "【出力形式: アクションプラン】",
+  "回答は指定された JSON スキーマに従うアクションプランのみを出力してください。",
+  "deadlineHours は事故の発生または覚知時点を 0 とした期限の時間数です（例: 24 時間以内なら 24）。",
+  "法定の報告期限がある場合はそれを優先し、detail に根拠を記載してください。",
+  "タスクは期限の早い順に並べてください。",
+  `各タスクの項目: title, detail, ownerRole, deadlineHours, priority（${PRIORITIES.join(" / ")}）, stakeholder（${STAKEHOLDERS.join(" / ")}）`
+].join("\n");
+
+const cleanText = (value, maxLength) =>
+  typeof value === "string" ? value.trim().slice(0, maxLength) : "";
+
+// Returns { errors } or { value } with a normalised plan. Task ids are
+// assigned here so the checklist can address them later.
+export const validateActionPlan = (input) => {
+  const errors = [];
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { errors: ["アクションプランがオブジェクトではありません。"] };
+  }
+
+  const summary = cleanText(input.summary, 2000);
+  if (!summary) errors.push("summary がありません。");
+  if (!Array.isArray(input.tasks) || !input.tasks.length) {
+    errors.push("tasks が空です。");
+    return { errors };
+  }
+
+  const tasks = input.tasks.slice(0, MAX_TASKS).map((task, index) => {
+    const label = `tasks[${index}]`;
+    const title = cleanText(task?.title, 300);
+    const ownerRole = cleanText(task?.ownerRole, 120);
+    const deadlineHours = Number(task?.deadlineHours);
+    if (!title) errors.push(`${label}.title がありません。`);
+    if (!ownerRole) errors.push(`${label}.ownerRole がありません。`);
+    if (!Number.isFinite(deadlineHours) || deadlineHours < 0) errors.push(`${label}.deadlineHours が 0 以上の数値ではありません。`);
+    if (!PRIORITIES.includes(task?.priority)) errors.push(`${label}.priority が不正です。`);
+    if (!STAKEHOLDERS.includes(task?.stakeholder)) errors.push(`${label}.stakeholder が不正です。`);
+    return {
+      id: `t${index + 1}`,
+      title,
+      detail: cleanText(task?.detail, 2000),
+      ownerRole,
+      deadlineHours,
+      priority: task?.priority,
+      stakeholder: task?.stakeholder,
+      done: false
+    };
+  });
+
+  if (errors.length) return { errors };
+  return { value: { id: crypto.randomUUID(), summary, tasks } };
+};
+
+// Parses the model output; tolerates a ```json fence around the object.
+export const parseActionPlan = (text) => {
+  const unfenced = String(text || "").trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, "$1");
+  try {
+    return validateActionPlan(JSON.parse(unfenced));
+  } catch (error) {
+    return { errors: [`JSON として解析できません: ${error.message}`] };
+  }
+};
+
+export const formatDeadline = (hours) => {
+  if (hours === 0) return "直ちに";
+  if (hours < 24 || hours % 24) return `発生から ${hours} 時間以内`;
+  return `発生から ${hours / 24} 日以内`;
+};
+
+// The Markdown form is what goes into the conversation history, exports and
+// later prompts, so the plan stays readable everywhere the text is used.
+export const actionPlanToMarkdown = (plan) => {
+  const lines = ["## アクションプラン", "", plan.summary, ""];
+  plan.tasks.forEach((task) => {
+    lines.push(
+      `- [${task.done ? "x" : " "}] **${task.title}**（${PRIORITY_LABELS[task.priority]} / ${STAKEHOLDER_LABELS[task.stakeholder]}）`,
+      `  - 担当: ${task.ownerRole} ・ 期限: ${formatDeadline(task.deadlineHours)}`
+    );
+    if (task.detail) lines.push(`  - ${task.detail.replace(/\n+/g, " ")}`);
+  });
+  return lines.join("\n");
+};
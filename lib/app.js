@@ -0,0 +1,1415 @@
+import express from "express";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createConversationStore } from "./conversationStore.js";
+import { createCaseFileStore, normalizeCaseFile } from "./caseFileStore.js";
+import { loadProfiles } from "./profiles.js";
+import { createLlmClient, estimateRequestTokens, formatAttempts } from "./llmClient.js";
+import { createRetryPolicy } from "./retryPolicy.js";
+import { bootstrapUsers, createAuth } from "./auth.js";
+import { createSessionCodec, resolveSessionSecret } from "./sessionCookie.js";
+import { createUserStore } from "./userStore.js";
+import { createAuthRouter } from "./routes/auth.js";
+import { createAdminUsersRouter } from "./routes/adminUsers.js";
+import { createAdminAuditRouter } from "./routes/adminAudit.js";
+import { createAdminFeedbackRouter } from "./routes/adminFeedback.js";
+import { createFeedbackRouter } from "./routes/feedback.js";
+import { createFeedbackStore } from "./feedbackStore.js";
+import { createAuditLog } from "./auditLog.js";
+import { localize, resolveReplyLanguage } from "./i18n.js";
+import { checkHistorySize, createChatRateLimit, describeBudgetExceeded, resolveChatLimits, trimHistory } from "./chatLimits.js";
+import { countTokens, createUsageBudget } from "./usageBudget.js";
+import { createKnowledgeBase, toCitation } from "./knowledgeBase.js";
+import { createAdminKnowledgeRouter } from "./routes/adminKnowledge.js";
+import { createAttachmentStore, toAttachmentSummary } from "./attachmentStore.js";
+import { createAttachmentsRouter } from "./routes/attachments.js";
+import { TOOL_LABELS, createToolbox, loadReportingRules } from "./tools/index.js";
+import { actionPlanToMarkdown, parseActionPlan } from "./actionPlan.js";
+import { resolveProviderChain } from "./providers/index.js";
+import { configureLogger, logger, requestLogging } from "./logger.js";
+import { METRICS_CONTENT_TYPE, createAppMetrics } from "./metrics.js";
+import { createUpstreamHealth } from "./upstreamHealth.js";
+import { createRedactionTermStore, createRedactor } from "./redaction.js";
+import { buildSummaryRequest, splitForSummary, turnsAfterSummary } from "./contextWindow.js";
+import { createAdminRedactionRouter } from "./routes/adminRedaction.js";
+import { assessRisk, normalizeRiskAssessment } from "./riskMatrix.js";
+import { loadExerciseScenarios } from "./exercises.js";
+import { createExerciseStore } from "./exerciseStore.js";
+import { createExercisesRouter } from "./routes/exercises.js";
+import { loadDraftTemplates } from "./drafts.js";
+import { createDraftStore } from "./draftStore.js";
+import { createDraftsRouter } from "./routes/drafts.js";
+import {
+  buildContinuationPayload,
+  buildGeminiPayload,
+  describePart,
+  extractChunkText,
+  extractTextFromParts
+} from "./chatPayload.js";
+import {
+  EXPORT_FORMATS,
+  buildReport,
+  renderHtmlReport,
+  renderJsonReport,
+  renderMarkdownReport
+} from "./reportExport.js";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const attemptLabels = (t) => ({ ok: t("attempt.ok"), timedOut: t("attempt.timedOut"), networkError: t("attempt.networkError") });
+
+const describeFailure = (result, attempts, t) => {
+  let detailMessage = result.detail;
+  try {
+    const json = JSON.parse(result.detail);
+    detailMessage = json?.error?.message || result.detail;
+  } catch {
+    // keep original text
+  }
+
+  return {
+    error: t("llm.callFailed", { label: result.label, status: String(result.status) }),
+    details: detailMessage,
+    attempts: formatAttempts(attempts, attemptLabels(t))
+  };
+};
+
+const describeEmptyReply = (label, finishReason, t) => ({
+  error: t("llm.emptyReply", { label }),
+  details: finishReason ? t("llm.stoppedBecause", { reason: finishReason }) : t("llm.noText")
+});
+
+const buildNotice = (model, finishReason, t) =>
+  finishReason === "MAX_TOKENS" ? t("notice.truncated", { model }) : t("notice.answered", { model });
+
+const composeNotice = ({ fallbackFrom, attempts, model, finishReason, continued }, t) => {
+  const baseNotice = fallbackFrom
+    ? t("notice.fallback", { requested: fallbackFrom, model })
+    : buildNotice(model, finishReason, t);
+  const continuation = continued ? t("notice.continued", { count: continued }) : "";
+  const summary = attempts.length > 1 ? t("notice.attempts", { attempts: formatAttempts(attempts, attemptLabels(t)) }) : "";
+  return `${baseNotice}${continuation}${summary}`;
+};
+
+// Error events carry the request id like JSON error bodies do.
+const writeEvent = (res, event, data) => {
+  const body = event === "error" ? { ...data, requestId: res.req?.id } : data;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(body)}\n\n`);
+};
+
+const functionCallsOf = (parts) =>
+  (Array.isArray(parts) ? parts : []).filter((part) => typeof part?.functionCall?.name === "string");
+
+const addUsage = (total, usage) => {
+  if (!usage) return total;
+  if (!total) return { ...usage };
+  return {
+    promptTokenCount: (total.promptTokenCount || 0) + (usage.promptTokenCount || 0),
+    candidatesTokenCount: (total.candidatesTokenCount || 0) + (usage.candidatesTokenCount || 0),
+    totalTokenCount: (total.totalTokenCount || 0) + (usage.totalTokenCount || 0)
+  };
+};
+
+// Only rounds that needed a retry or fallback are worth summarising; a
+// clean tool round trip would otherwise read like a string of failures.
+const mergeAttempts = (rounds) => {
+  const eventful = rounds.filter((attempts) => attempts.length > 1).flat();
+  return eventful.length ? eventful : rounds[rounds.length - 1] || [];
+};
+
+const storedHistory = (conversation) =>
+  conversation.turns.map((turn) => ({ id: turn.id, role: turn.role, text: turn.text, attachments: turn.attachments }));
+
+const authorOf = (user) => ({ id: user.id, username: user.username, displayName: user.displayName });
+
+const CHAT_MODES = ["chat", "action-plan", "risk-assessment"];
+
+// Masks what is about to be sent to the model. Every text is scanned once
+// before any is rewritten, so a name introduced with an honorific only in
+// the newest message is masked in the earlier turns as well.
+const redactPrompt = (redactor, { history, message, attachments = [], caseFile, summary, riskAssessment, sources = [] }) => {
+  const caseFileFields = caseFile ? [caseFile.title, caseFile.productName, caseFile.summary] : [];
+  const riskFields = riskAssessment ? [riskAssessment.hazard, riskAssessment.harmScenario] : [];
+  const fileNames = [...history.flatMap((turn) => turn.attachments || []), ...attachments].map((attachment) => attachment.fileName);
+  [
+    summary,
+    ...history.map((turn) => turn.text),
+    message,
+    ...caseFileFields,
+    ...riskFields,
+    ...sources.map((source) => source.text),
+    ...fileNames
+  ].forEach(redactor.redact);
+  const maskFileNames = (list) => list?.map((attachment) => ({ ...attachment, fileName: redactor.redact(attachment.fileName) }));
+  return {
+    history: history.map((turn) => ({ ...turn, text: redactor.redact(turn.text), attachments: maskFileNames(turn.attachments) })),
+    message: redactor.redact(message),
+    attachments: maskFileNames(attachments),
+    summary: redactor.redact(summary),
+    caseFile: caseFile && {
+      ...caseFile,
+      title: redactor.redact(caseFile.title),
+      productName: redactor.redact(caseFile.productName),
+      summary: redactor.redact(caseFile.summary)
+    },
+    riskAssessment: riskAssessment && {
+      ...riskAssessment,
+      hazard: redactor.redact(riskAssessment.hazard),
+      harmScenario: redactor.redact(riskAssessment.harmScenario)
+    },
+    sources: sources.map((source) => ({ ...source, text: redactor.redact(source.text) }))
+  };
+};
+
+// Puts the original values back into a finished reply and lists what was
+// masked so the UI can show it.
+const restoreOutcome = (outcome, redactor) => {
+  const redactions = redactor.items();
+  return {
+    ...outcome,
+    reply: redactor.restore(outcome.reply),
+    actionPlan: outcome.actionPlan && redactor.restoreValue(outcome.actionPlan),
+    redactions: redactions.length ? redactions : undefined
+  };
+};
+
+// Replaces the raw JSON reply with the validated plan and its Markdown form.
+// When validation fails the reply is shown as ordinary Markdown instead.
+const structureActionPlan = (outcome, t, log = logger) => {
+  const { value, errors } = parseActionPlan(outcome.reply);
+  if (value) {
+    return { ...outcome, reply: actionPlanToMarkdown(value), actionPlan: value };
+  }
+
+  log.warn("Structured action plan failed validation", { model: outcome.model, errors });
+  const raw = outcome.reply.trim();
+  return {
+    ...outcome,
+    reply: raw.startsWith("{") ? `\`\`\`json\n${raw}\n\`\`\`` : raw,
+    notice: `${outcome.notice}${t("notice.actionPlanFallback")}`
+  };
+};
+
+const reportRenderers = {
+  markdown: renderMarkdownReport,
+  html: renderHtmlReport,
+  json: renderJsonReport
+};
+
+// Builds the whole application from env without listening, so server.js and
+// the tests share one setup. Startup problems (missing profiles, unusable
+// credentials) are thrown to the caller.
+export const createApp = async (env = process.env) => {
+  const app = express();
+  const publicDir = path.join(rootDir, "public");
+  const dataDir = env.DATA_DIR || path.join(rootDir, "data");
+  const profilesDir = env.PROFILES_DIR || path.join(rootDir, "config", "profiles");
+
+  configureLogger({ level: env.LOG_LEVEL });
+  const devMode = env.NODE_ENV === "development";
+  const sessionTtlHours = Number(env.SESSION_TTL_HOURS) || 12;
+  const reportTimeZone = env.REPORT_TIME_ZONE || "Asia/Tokyo";
+  const providerChain = resolveProviderChain(env);
+  const retryPolicy = createRetryPolicy(env);
+  const metrics = createAppMetrics();
+  const upstreamHealth = createUpstreamHealth();
+  const llm = createLlmClient(providerChain, retryPolicy, {
+    onAttempt: (attempt) => {
+      metrics.recordAttempt(attempt);
+      upstreamHealth.record(attempt);
+    },
+    onFallback: metrics.recordFallback
+  });
+
+  const conversations = createConversationStore(path.join(dataDir, "conversations"));
+  const caseFiles = createCaseFileStore(path.join(dataDir, "case-files"));
+  const profiles = loadProfiles(profilesDir);
+
+  if (!profiles.defaultProfile) {
+    throw new Error(`No advisor profiles found in ${profilesDir}`);
+  }
+
+  const users = createUserStore(path.join(dataDir, "users"));
+  const auditLog = createAuditLog(path.join(dataDir, "audit", "audit.jsonl"));
+  const chatLimits = resolveChatLimits(env);
+  const usageBudget = createUsageBudget(path.join(dataDir, "usage"), {
+    daily: chatLimits.dailyTokens,
+    monthly: chatLimits.monthlyTokens,
+    timeZone: reportTimeZone
+  });
+  const chatRateLimit = createChatRateLimit(chatLimits);
+  const knowledgeBase = createKnowledgeBase(path.join(dataDir, "knowledge"));
+  const feedback = createFeedbackStore(path.join(dataDir, "feedback"));
+  const attachments = createAttachmentStore(path.join(dataDir, "attachments"));
+  const reportingRules = loadReportingRules(env.REPORTING_RULES_FILE || path.join(rootDir, "config", "reporting-rules.json"));
+  const toolbox = createToolbox({ rules: reportingRules.rules, timeZone: reportTimeZone });
+  const redactionTerms = createRedactionTermStore(path.join(dataDir, "redaction"));
+  const exerciseScenarios = loadExerciseScenarios(env.EXERCISES_DIR || path.join(rootDir, "config", "exercises"));
+  const exercises = createExerciseStore(path.join(dataDir, "exercises"));
+  const draftTemplates = loadDraftTemplates(env.DRAFT_TEMPLATES_DIR || path.join(rootDir, "config", "drafts"));
+  const drafts = createDraftStore(path.join(dataDir, "drafts"));
+  const redactionEnabled = !["0", "false", "off"].includes(String(env.REDACTION_ENABLED ?? "true").toLowerCase());
+  const maxToolRounds = Number(env.TOOL_MAX_ROUNDS ?? 4) || 0;
+  const maxContinueRounds = Number(env.LLM_CONTINUE_ROUNDS ?? 0) || 0;
+  const knowledgeTopK = Number(env.KNOWLEDGE_TOP_K ?? 4) || 0;
+  const knowledgeMinScore = Number(env.KNOWLEDGE_MIN_SCORE ?? 1) || 0;
+
+  await bootstrapUsers(users, {
+    username: env.BASIC_AUTH_USER,
+    password: env.BASIC_AUTH_PASSWORD,
+    devMode
+  });
+
+  const sessions = createSessionCodec({
+    secret: await resolveSessionSecret(env, dataDir),
+    ttlMs: sessionTtlHours * 60 * 60 * 1000
+  });
+  const auth = createAuth({ users, sessions });
+  const canView = auth.requireRole("viewer");
+  const canAdvise = auth.requireRole("advisor");
+  const canAdminister = auth.requireRole("admin");
+
+  app.set("trust proxy", 1);
+  app.use(requestLogging({ onClose: metrics.recordRequest }));
+
+  // Readiness: 503 while no provider in the chain has credentials. Failing
+  // upstream calls only mark the instance "degraded", since restarting it
+  // would not bring the provider back.
+  const readiness = () => {
+    const ready = llm.isAvailable();
+    const upstream = upstreamHealth.snapshot();
+    return {
+      ready,
+      body: {
+        status: !ready ? "unavailable" : upstream.status === "degraded" ? "degraded" : "ok",
+        missingConfiguration: ready ? undefined : llm.missingConfiguration(),
+        model: providerChain[0]?.model,
+        fallbackModel: providerChain[1]?.model,
+        chain: llm.describe(),
+        upstream,
+        profiles: profiles.list().map(({ id, name }) => ({ id, name }))
+      }
+    };
+  };
+
+  app.get("/healthz", (_req, res) => {
+    const { ready, body } = readiness();
+    res.status(ready ? 200 : 503).json(body);
+  });
+
+  app.head("/healthz", (_req, res) => {
+    res.status(readiness().ready ? 200 : 503).end();
+  });
+
+  // Left open for scrapers unless METRICS_TOKEN is set, in which case it
+  // must be sent as a bearer token.
+  app.get("/metrics", (req, res) => {
+    if (env.METRICS_TOKEN && req.get("Authorization") !== `Bearer ${env.METRICS_TOKEN}`) {
+      return res.status(401).type("text/plain").send("Unauthorized\n");
+    }
+    return res.set("Content-Type", METRICS_CONTENT_TYPE).send(metrics.render());
+  });
+
+  app.use(localize);
+  app.use(auth.authenticate);
+  app.use("/api/admin/knowledge", canAdminister, createAdminKnowledgeRouter({
+    knowledgeBase,
+    uploadLimit: env.KNOWLEDGE_UPLOAD_LIMIT || "5mb"
+  }));
+  app.use(express.json({ limit: chatLimits.bodyLimit }));
+
+  app.use("/api/auth", createAuthRouter({ users, auth }));
+  app.use("/api/admin/users", canAdminister, createAdminUsersRouter({ users, auth }));
+  app.use("/api/admin/audit", canAdminister, createAdminAuditRouter({ auditLog }));
+  app.use("/api/admin/feedback", canAdminister, createAdminFeedbackRouter({ feedback }));
+  app.use("/api/admin/redaction", canAdminister, createAdminRedactionRouter({ redactionTerms, enabled: redactionEnabled }));
+  app.use("/api/feedback", canView, createFeedbackRouter({ feedback, conversations }));
+  app.use("/api/attachments", createAttachmentsRouter({ attachments, limits: chatLimits, canView, canAdvise }));
+
+  // Tools run on the original values; their results are masked again
+  // before they go back to the model.
+  const runToolCalls = (calls, context, { log, redactor }) => {
+    const records = calls.map(({ functionCall }) => {
+      const args = redactor.restoreValue(functionCall.args || {});
+      return { name: functionCall.name, args, result: toolbox.run(functionCall.name, args, context) };
+    });
+    records.forEach((record) =>
+      log.info("Ran tool", { name: record.name, failed: Boolean(record.result?.error) }));
+    return {
+      records,
+      parts: records.map((record, index) => ({
+        functionResponse: { id: calls[index].functionCall.id, name: record.name, response: redactor.redactValue(record.result) }
+      }))
+    };
+  };
+
+  // Calls the model, runs any tools it asks for and feeds the results back
+  // until it answers with text or maxToolRounds is reached.
+  const generateWithTools = async (payload, context, { log, redactor }) => {
+    const contents = [...payload.contents];
+    const toolCalls = [];
+    const rounds = [];
+    let usage;
+    let fallbackFrom;
+
+    for (let round = 0; ; round += 1) {
+      const generated = await llm.generate({ ...payload, contents }, { log });
+      rounds.push(generated.attempts);
+      fallbackFrom ||= generated.fallbackFrom;
+      const { result } = generated;
+      if (!result.ok) return { result, fallbackFrom, attempts: generated.attempts, toolCalls, contents };
+
+      usage = addUsage(usage, result.data?.usageMetadata);
+      const parts = result.data?.candidates?.[0]?.content?.parts;
+      const calls = functionCallsOf(parts);
+      if (!calls.length || round >= maxToolRounds) {
+        return {
+          result: { ...result, data: { ...result.data, usageMetadata: usage } },
+          fallbackFrom,
+          attempts: mergeAttempts(rounds),
+          toolCalls,
+          contents
+        };
+      }
+
+      const { records, parts: responses } = runToolCalls(calls, context, { log, redactor });
+      toolCalls.push(...records);
+      contents.push({ role: "model", parts }, { role: "user", parts: responses });
+    }
+  };
+
+  const requestContinuation = async (request, { signal, onChunk, log } = {}) => {
+    if (!onChunk) {
+      const { result, attempts } = await llm.generate(request, { signal, log });
+      if (!result.ok) return { failure: result, attempts };
+      const candidate = result.data?.candidates?.[0];
+      return {
+        text: extractTextFromParts(candidate?.content?.parts),
+        finishReason: candidate?.finishReason,
+        usage: result.data?.usageMetadata,
+        label: result.label,
+        attempts
+      };
+    }
+
+    const { result, attempts } = await llm.stream(request, { signal, log });
+    if (!result.ok) return { failure: result, attempts };
+    let text = "";
+    let finishReason;
+    let usage;
+    try {
+      for await (const event of result.events) {
+        const candidate = event?.candidates?.[0];
+        const chunk = extractChunkText(candidate?.content?.parts);
+        if (chunk) {
+          text += chunk;
+          onChunk(chunk);
+        }
+        finishReason = candidate?.finishReason || finishReason;
+        usage = event?.usageMetadata || usage;
+      }
+    } catch (error) {
+      return { failure: { ...result, status: 502, detail: error.message }, text, usage, attempts };
+    }
+    return { text, finishReason, usage, label: result.label, attempts };
+  };
+
+  // Asks for the rest of a reply cut off at MAX_TOKENS, up to `rounds` times,
+  // and joins the pieces. A failed or empty continuation ends the loop and
+  // keeps what has been generated so far, still marked as truncated; the
+  // last attempt is returned as `stalled` for callers that need to report it.
+  const continueReply = async (payload, outcome, rounds, options) => {
+    let { reply, finishReason, usage } = outcome;
+    let continued = 0;
+    let stalled;
+
+    while (finishReason === "MAX_TOKENS" && continued < rounds) {
+      const next = await requestContinuation(buildContinuationPayload(payload, reply), options);
+      usage = addUsage(usage, next.usage);
+      if (next.text) {
+        reply += next.text;
+        continued += 1;
+      }
+      if (next.failure || !next.text) {
+        stalled = next;
+        if (!options?.signal?.aborted) {
+          (options?.log || logger).warn("Continuation failed", {
+            model: outcome.model,
+            status: next.failure?.status,
+            detail: next.failure?.detail,
+            finishReason: next.finishReason
+          });
+        }
+        break;
+      }
+      finishReason = next.finishReason;
+    }
+
+    return { ...outcome, reply, finishReason, usage, continued, stalled };
+  };
+
+  const streamChat = async (res, payload, onReply, { sources = [], context = {}, t, log, redactor, summary, riskAssessment }) => {
+    const upstream = new AbortController();
+    res.on("close", () => upstream.abort());
+    // Chunks are restored on the way out; `reply` keeps the masked text the
+    // model produced so a continuation sees its own words.
+    const restorer = redactor.createStreamRestorer();
+    const sendChunk = (text) => {
+      const restored = restorer.push(text);
+      if (restored) writeEvent(res, "chunk", { text: restored });
+    };
+    const flushChunks = () => {
+      const rest = restorer.flush();
+      if (rest) writeEvent(res, "chunk", { text: rest });
+    };
+
+    const contents = [...payload.contents];
+    const toolCalls = [];
+    const rounds = [];
+    let reply = "";
+    let finishReason;
+    let promptFeedback;
+    let usageMetadata;
+    let fallbackFrom;
+    let result;
+
+    for (let round = 0; ; round += 1) {
+      const streamed = await llm.stream({ ...payload, contents }, { signal: upstream.signal, log });
+      rounds.push(streamed.attempts);
+      fallbackFrom ||= streamed.fallbackFrom;
+      result = streamed.result;
+
+      if (!result.ok) {
+        if (!res.headersSent) return res.status(result.status).json(describeFailure(result, streamed.attempts, t));
+        writeEvent(res, "error", describeFailure(result, streamed.attempts, t));
+        return res.end();
+      }
+
+      if (!res.headersSent) {
+        res.status(200).set({
+          "Content-Type": "text/event-stream; charset=utf-8",
+          "Cache-Control": "no-cache, no-transform",
+          Connection: "keep-alive",
+          "X-Accel-Buffering": "no"
+        });
+        res.flushHeaders();
+      }
+
+      // The model's own parts are sent back verbatim on the next round; Gemini
+      // needs them (thought signatures included) to continue after a tool call.
+      const modelParts = [];
+      let roundUsage;
+
+      try {
+        for await (const event of result.events) {
+          const candidate = event?.candidates?.[0];
+          const parts = candidate?.content?.parts || [];
+          modelParts.push(...parts);
+          const text = extractChunkText(parts.filter((part) => !part?.functionCall));
+          if (text) {
+            reply += text;
+            sendChunk(text);
+          }
+          finishReason = candidate?.finishReason || finishReason;
+          promptFeedback = event?.promptFeedback || promptFeedback;
+          roundUsage = event?.usageMetadata || roundUsage;
+        }
+      } catch (error) {
+        if (upstream.signal.aborted) return undefined;
+        writeEvent(res, "error", {
+          error: t("llm.streamFailed", { label: result.label }),
+          details: error.message
+        });
+        return res.end();
+      }
+
+      usageMetadata = addUsage(usageMetadata, roundUsage);
+      const calls = functionCallsOf(modelParts);
+      if (!calls.length) break;
+      if (round >= maxToolRounds) {
+        reply += calls.map((call) => `\n${describePart(call)}`).join("");
+        break;
+      }
+
+      flushChunks();
+      calls.forEach(({ functionCall }) =>
+        writeEvent(res, "tool", { name: functionCall.name, label: TOOL_LABELS[functionCall.name] || functionCall.name }));
+      const { records, parts: responses } = runToolCalls(calls, context, { log, redactor });
+      toolCalls.push(...records);
+      contents.push({ role: "model", parts: modelParts }, { role: "user", parts: responses });
+    }
+
+    if (!reply.trim()) {
+      const reason = finishReason || promptFeedback?.blockReason;
+      log.error("Empty streamed response", { model: result.model, finishReason: reason, promptFeedback });
+      metrics.recordReply({ model: result.model, finishReason: reason, usage: usageMetadata });
+      writeEvent(res, "error", describeEmptyReply(result.label, reason, t));
+      return res.end();
+    }
+
+    const completed = await continueReply(
+      { ...payload, contents },
+      { reply, finishReason, usage: usageMetadata, model: result.model },
+      maxContinueRounds,
+      { signal: upstream.signal, onChunk: sendChunk, log }
+    );
+    if (upstream.signal.aborted) return undefined;
+    flushChunks();
+
+    const outcome = restoreOutcome({
+      reply: completed.reply.trim(),
+      notice: composeNotice({
+        fallbackFrom,
+        attempts: mergeAttempts(rounds),
+        model: result.model,
+        finishReason: completed.finishReason,
+        continued: completed.continued
+      }, t),
+      model: result.model,
+      provider: result.provider,
+      finishReason: completed.finishReason,
+      usage: completed.usage,
+      continued: completed.continued || undefined,
+      sources,
+      toolCalls,
+      riskAssessment
+    }, redactor);
+    const turnId = await onReply(outcome);
+    writeEvent(res, "done", { ...outcome, turnId, summary });
+    return res.end();
+  };
+
+  // Attachments are looked up by id on the server; whatever the client sends
+  // beyond the id is ignored.
+  const findAttachments = async (ids) => {
+    const found = await Promise.all(ids.map((id) => attachments.get(id).catch(() => undefined)));
+    return found.every(Boolean) ? found.map(toAttachmentSummary) : undefined;
+  };
+
+  const resolveHistoryAttachments = async (history) =>
+    Promise.all((Array.isArray(history) ? history : []).map(async (entry) => {
+      const ids = Array.isArray(entry?.attachments)
+        ? entry.attachments.map((attachment) => attachment?.id).filter((id) => typeof id === "string")
+        : [];
+      if (!ids.length || entry.role === "model") return { ...entry, attachments: undefined };
+      const found = await Promise.all(ids.map((id) => attachments.get(id).catch(() => undefined)));
+      return { ...entry, attachments: found.filter(Boolean).map(toAttachmentSummary) };
+    }));
+
+  // Every answered exchange goes to the audit log, including ones made
+  // without a saved conversation, before the reply is handed back.
+  const recordExchange = async (conversation, { message, attachments: sent }, outcome, req) => {
+    const { user } = req;
+    metrics.recordReply(outcome);
+    if (outcome.finishReason === "MAX_TOKENS") {
+      req.log.warn("Reply reached the max token limit", { model: outcome.model, continued: outcome.continued });
+    }
+    const tokens = countTokens(outcome.usage, `${message}${outcome.reply}`);
+    await usageBudget.record(user.id, tokens).catch((error) =>
+      req.log.error("Failed to record token usage", { user: user.username, error: error.message }));
+
+    await auditLog.append({
+      user: authorOf(user),
+      conversationId: conversation?.id,
+      profileId: outcome.profileId,
+      mode: outcome.mode === "chat" ? undefined : outcome.mode,
+      prompt: message,
+      attachments: sent?.length ? sent : undefined,
+      reply: outcome.reply,
+      model: outcome.model,
+      provider: outcome.provider,
+      finishReason: outcome.finishReason ?? null,
+      sources: outcome.sources?.map(({ documentId, chunkIndex }) => ({ documentId, chunkIndex })),
+      toolCalls: outcome.toolCalls?.length ? outcome.toolCalls : undefined,
+      continued: outcome.continued,
+      redactions: outcome.redactions?.map(({ placeholder, type }) => ({ placeholder, type })),
+      riskAssessment: outcome.riskAssessment && { region: outcome.riskAssessment.region, action: outcome.riskAssessment.action },
+      tokens
+    });
+  };
+
+  // Resolves to the id of the stored reply turn, which feedback refers to.
+  const persistExchange = async (conversation, exchange, outcome, req) => {
+    await recordExchange(conversation, exchange, outcome, req);
+
+    if (!conversation) return undefined;
+    const { message, attachments: sent } = exchange;
+    const updated = await conversations.appendTurns(conversation.id, [
+      { role: "user", text: message, author: authorOf(req.user), attachments: sent?.length ? sent : undefined },
+      {
+        role: "model",
+        text: outcome.reply,
+        notice: outcome.notice,
+        model: outcome.model,
+        provider: outcome.provider,
+        finishReason: outcome.finishReason,
+        profileId: outcome.profileId,
+        mode: outcome.mode === "chat" ? undefined : outcome.mode,
+        sources: outcome.sources?.length ? outcome.sources : undefined,
+        actionPlan: outcome.actionPlan,
+        riskAssessment: outcome.riskAssessment,
+        toolCalls: outcome.toolCalls?.length ? outcome.toolCalls : undefined,
+        redactions: outcome.redactions
+      }
+    ]);
+    return updated?.turns.at(-1).id;
+  };
+
+  // Passages are numbered in the order they are given to the model so the
+  // citations in the reply line up with the list shown under it.
+  const retrieveSources = async (query, log) => {
+    if (!knowledgeTopK) return [];
+    try {
+      const matches = await knowledgeBase.search(query, { limit: knowledgeTopK, minScore: knowledgeMinScore });
+      return matches.map((match, index) => ({ ...match, number: index + 1 }));
+    } catch (error) {
+      log.error("Knowledge search failed", { error: error.message });
+      return [];
+    }
+  };
+
+  app.get("/api/knowledge/:id", canView, async (req, res) => {
+    try {
+      const document = await knowledgeBase.get(req.params.id);
+      if (!document) {
+        return res.status(404).json({ error: req.t("knowledge.notFound") });
+      }
+      return res.json(document);
+    } catch (error) {
+      return res.status(500).json({ error: req.t("knowledge.loadFailed"), details: error.message });
+    }
+  });
+
+  app.get("/api/profiles", canView, (_req, res) => {
+    res.json({ profiles: profiles.list(), defaultProfileId: profiles.defaultProfile.id });
+  });
+
+  const findCaseFile = (id) => (id ? caseFiles.get(id).catch(() => undefined) : Promise.resolve(undefined));
+
+  app.get("/api/case-files", canView, async (req, res) => {
+    try {
+      return res.json({ caseFiles: await caseFiles.list() });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("caseFiles.loadFailed"), details: error.message });
+    }
+  });
+
+  app.post("/api/case-files", canAdvise, async (req, res) => {
+    const { errors, value } = normalizeCaseFile(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: req.t("caseFiles.invalid"), details: errors.join("\n") });
+    }
+    try {
+      return res.status(201).json(await caseFiles.create({ ...value, createdBy: authorOf(req.user), updatedBy: authorOf(req.user) }));
+    } catch (error) {
+      return res.status(500).json({ error: req.t("caseFiles.saveFailed"), details: error.message });
+    }
+  });
+
+  app.get("/api/case-files/:id", canView, async (req, res) => {
+    const caseFile = await findCaseFile(req.params.id);
+    if (!caseFile) {
+      return res.status(404).json({ error: req.t("caseFiles.notFound") });
+    }
+    return res.json(caseFile);
+  });
+
+  app.put("/api/case-files/:id", canAdvise, async (req, res) => {
+    const { errors, value } = normalizeCaseFile(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: req.t("caseFiles.invalid"), details: errors.join("\n") });
+    }
+    try {
+      const caseFile = await caseFiles.update(req.params.id, { ...value, updatedBy: authorOf(req.user) });
+      if (!caseFile) {
+        return res.status(404).json({ error: req.t("caseFiles.notFound") });
+      }
+      return res.json(caseFile);
+    } catch (error) {
+      return res.status(500).json({ error: req.t("caseFiles.saveFailed"), details: error.message });
+    }
+  });
+
+  app.delete("/api/case-files/:id", canAdvise, async (req, res) => {
+    try {
+      const removed = await caseFiles.remove(req.params.id);
+      if (!removed) {
+        return res.status(404).json({ error: req.t("caseFiles.notFound") });
+      }
+      return res.status(204).end();
+    } catch (error) {
+      return res.status(500).json({ error: req.t("caseFiles.deleteFailed"), details: error.message });
+    }
+  });
+
+  app.post("/api/conversations", canAdvise, async (req, res) => {
+    const caseFileId = req.body?.caseFileId || null;
+    if (caseFileId && !(await findCaseFile(caseFileId))) {
+      return res.status(404).json({ error: req.t("caseFiles.notFound") });
+    }
+    try {
+      const conversation = await conversations.create({
+        title: req.body?.title,
+        caseFileId,
+        createdBy: authorOf(req.user)
+      });
+      return res.status(201).json(conversation);
+    } catch (error) {
+      return res.status(500).json({ error: req.t("conversations.createFailed"), details: error.message });
+    }
+  });
+
+  app.get("/api/conversations", canView, async (req, res) => {
+    try {
+      return res.json({ conversations: await conversations.list() });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("conversations.listFailed"), details: error.message });
+    }
+  });
+
+  app.get("/api/conversations/:id", canView, async (req, res) => {
+    const conversation = await conversations.get(req.params.id).catch(() => undefined);
+    if (!conversation) {
+      return res.status(404).json({ error: req.t("conversations.notFound") });
+    }
+    return res.json(conversation);
+  });
+
+  app.get("/api/conversations/:id/export", canView, async (req, res) => {
+    const format = req.query.format === "md" ? "markdown" : String(req.query.format || "markdown");
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: req.t("export.invalidFormat") });
+    }
+
+    const conversation = await conversations.get(req.params.id).catch(() => undefined);
+    if (!conversation) {
+      return res.status(404).json({ error: req.t("conversations.notFound") });
+    }
+
+    try {
+      const caseFile = await findCaseFile(conversation.caseFileId);
+      const profileNames = Object.fromEntries(profiles.list().map(({ id, name }) => [id, name]));
+      const report = buildReport(conversation, { caseFile, profileNames, timeZone: reportTimeZone });
+      const { extension, contentType } = EXPORT_FORMATS[format];
+      const date = report.exportedAt.slice(0, 10).replace(/-/g, "");
+      const fileName = `incident-report-${conversation.id.slice(0, 8)}-${date}.${extension}`;
+
+      res.set({
+        "Content-Type": contentType,
+        "Content-Disposition": `${req.query.inline === "1" ? "inline" : "attachment"}; filename="${fileName}"`
+      });
+      return res.send(reportRenderers[format](report));
+    } catch (error) {
+      return res.status(500).json({ error: req.t("export.failed"), details: error.message });
+    }
+  });
+
+  app.patch("/api/conversations/:id", canAdvise, async (req, res) => {
+    if (!req.body || !("caseFileId" in req.body)) {
+      return res.status(400).json({ error: req.t("conversations.caseFileIdRequired") });
+    }
+    const caseFileId = req.body.caseFileId || null;
+    if (caseFileId && !(await findCaseFile(caseFileId))) {
+      return res.status(404).json({ error: req.t("caseFiles.notFound") });
+    }
+    try {
+      const conversation = await conversations.setCaseFile(req.params.id, caseFileId);
+      if (!conversation) {
+        return res.status(404).json({ error: req.t("conversations.notFound") });
+      }
+      return res.json(conversations.summarize(conversation));
+    } catch (error) {
+      return res.status(500).json({ error: req.t("conversations.updateFailed"), details: error.message });
+    }
+  });
+
+  app.patch("/api/conversations/:id/action-plans/:planId/tasks/:taskId", canAdvise, async (req, res) => {
+    const { done, ownerRole } = req.body || {};
+    if (done !== undefined && typeof done !== "boolean") {
+      return res.status(400).json({ error: req.t("tasks.invalidDone") });
+    }
+    if (ownerRole !== undefined && (typeof ownerRole !== "string" || !ownerRole.trim())) {
+      return res.status(400).json({ error: req.t("tasks.ownerRequired") });
+    }
+
+    try {
+      const turn = await conversations.updateActionPlan(req.params.id, req.params.planId, (target) => {
+        const task = target.actionPlan.tasks.find((candidate) => candidate.id === req.params.taskId);
+        if (!task) return false;
+        if (done !== undefined) {
+          task.done = done;
+          task.completedAt = done ? new Date().toISOString() : undefined;
+          task.completedBy = done ? authorOf(req.user) : undefined;
+        }
+        if (ownerRole !== undefined) task.ownerRole = ownerRole.trim().slice(0, 120);
+        target.text = actionPlanToMarkdown(target.actionPlan);
+        return true;
+      });
+      if (!turn) {
+        return res.status(404).json({ error: req.t("tasks.notFound") });
+      }
+      return res.json({ actionPlan: turn.actionPlan });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("tasks.updateFailed"), details: error.message });
+    }
+  });
+
+  app.delete("/api/conversations/:id", canAdvise, async (req, res) => {
+    try {
+      const removed = await conversations.remove(req.params.id);
+      if (!removed) {
+        return res.status(404).json({ error: req.t("conversations.notFound") });
+      }
+      return res.status(204).end();
+    } catch (error) {
+      return res.status(500).json({ error: req.t("conversations.deleteFailed"), details: error.message });
+    }
+  });
+
+  // The token counting endpoint is only asked once the cheap estimate gets
+  // within half of the threshold.
+  const measurePrompt = async (payload, log) => {
+    const estimate = estimateRequestTokens(payload);
+    if (estimate < chatLimits.contextTokenThreshold / 2) return estimate;
+    return (await llm.countTokens(payload, { log })).totalTokens;
+  };
+
+  // Writes the next rolling summary from the previous one and the turns to
+  // fold in. The model sees masked text; the summary is stored restored,
+  // like replies, and masked again whenever it is sent.
+  const summarizeTurns = async (summary, turns, { redactor, req }) => {
+    const request = buildSummaryRequest(
+      redactor.redact(summary?.text),
+      turns.map((turn) => ({ ...turn, text: redactor.redact(turn.text) }))
+    );
+    const { result } = await llm.generate(request, { log: req.log });
+    const text = result.ok ? extractTextFromParts(result.data?.candidates?.[0]?.content?.parts) : "";
+    if (!text) {
+      req.log.warn("History summary failed", { status: result.status, detail: result.detail, model: result.model });
+      return undefined;
+    }
+    const tokens = countTokens(result.data?.usageMetadata, `${request.contents[0].parts[0].text}${text}`);
+    await usageBudget.record(req.user.id, tokens).catch((error) =>
+      req.log.error("Failed to record token usage", { user: req.user.username, error: error.message }));
+
+    return {
+      text: redactor.restore(text),
+      throughTurnId: turns.at(-1).id,
+      turnCount: (summary?.turnCount || 0) + turns.length,
+      model: result.model,
+      updatedAt: new Date().toISOString()
+    };
+  };
+
+  // A stored conversation is sent as its summary plus the turns after it.
+  // When that prompt would cross the token threshold, all but the latest
+  // turns are folded into the summary first. If summarising fails the
+  // history is only trimmed, as before summaries existed.
+  const fitHistory = async (conversation, compose, { redactor, req }) => {
+    let { summary } = conversation;
+    let turns = turnsAfterSummary(storedHistory(conversation), summary);
+
+    const tokens = await measurePrompt(compose(turns, summary), req.log);
+    if (tokens > chatLimits.contextTokenThreshold) {
+      const { fold, keep } = splitForSummary(turns, chatLimits.contextKeepTurns);
+      const next = fold.length ? await summarizeTurns(summary, fold, { redactor, req }) : undefined;
+      if (next) {
+        req.log.info("Condensed conversation history", { conversationId: conversation.id, turns: fold.length, tokens });
+        await conversations.setSummary(conversation.id, next);
+        summary = next;
+        turns = keep;
+      }
+    }
+    return { turns: trimHistory(turns, chatLimits), summary };
+  };
+
+  // A term list that cannot be read still leaves personal data masked.
+  const createRequestRedactor = async (log) => {
+    if (!redactionEnabled) return createRedactor({ enabled: false });
+    try {
+      const { terms } = await redactionTerms.get();
+      return createRedactor({ terms });
+    } catch (error) {
+      log.error("Failed to load confidential terms", { error: error.message });
+      return createRedactor();
+    }
+  };
+
+  // Resolves to the 429 body once the user's token budget is used up. A
+  // budget that cannot be read does not block the request.
+  const checkBudget = async (req) => {
+    try {
+      const budget = await usageBudget.check(req.user.id);
+      if (budget.allowed) return undefined;
+      req.log.warn("Token budget exhausted", { user: req.user.username, scope: budget.scope, used: budget.used });
+      return describeBudgetExceeded(budget, req.t);
+    } catch (error) {
+      req.log.error("Failed to read token usage", { user: req.user.username, error: error.message });
+      return undefined;
+    }
+  };
+
+  app.use("/api/exercises", createExercisesRouter({
+    scenarios: exerciseScenarios,
+    exercises,
+    llm,
+    profile: profiles.defaultProfile,
+    createRedactor: createRequestRedactor,
+    checkBudget,
+    usageBudget,
+    auditLog,
+    limits: chatLimits,
+    rateLimit: chatRateLimit,
+    canView,
+    canAdvise
+  }));
+
+  app.use("/api/drafts", createDraftsRouter({
+    templates: draftTemplates,
+    drafts,
+    conversations,
+    findCaseFile,
+    llm,
+    profiles,
+    createRedactor: createRequestRedactor,
+    checkBudget,
+    usageBudget,
+    auditLog,
+    limits: chatLimits,
+    rateLimit: chatRateLimit,
+    canView,
+    canAdvise
+  }));
+
+  app.post("/api/chat", canAdvise, chatRateLimit, async (req, res) => {
+    const { message, history, conversationId, caseFileId, profileId, attachmentIds = [], mode = "chat" } = req.body || {};
+
+    if (typeof message !== "string" || !message.trim()) {
+      return res.status(400).json({ error: req.t("chat.messageRequired") });
+    }
+
+    if (message.length > chatLimits.maxMessageChars) {
+      return res.status(413).json({
+        error: req.t("chat.messageTooLong", { max: chatLimits.maxMessageChars })
+      });
+    }
+
+    const historyProblem = checkHistorySize(history, chatLimits, req.t);
+    if (historyProblem) {
+      return res.status(413).json({ error: historyProblem });
+    }
+
+    if (!CHAT_MODES.includes(mode)) {
+      return res.status(400).json({ error: req.t("chat.invalidMode") });
+    }
+
+    let riskAssessment;
+    if (mode === "risk-assessment") {
+      const { errors, value } = normalizeRiskAssessment(req.body.riskAssessment);
+      if (errors.length) {
+        return res.status(400).json({ error: req.t("chat.invalidRiskAssessment"), details: errors.join("\n") });
+      }
+      riskAssessment = assessRisk(value);
+    }
+
+    if (!Array.isArray(attachmentIds) || attachmentIds.some((id) => typeof id !== "string")) {
+      return res.status(400).json({ error: req.t("chat.invalidAttachmentIds") });
+    }
+    if (attachmentIds.length > chatLimits.maxAttachments) {
+      return res.status(400).json({ error: req.t("attachments.tooMany", { max: chatLimits.maxAttachments }) });
+    }
+
+    const profile = profiles.get(profileId);
+    if (!profile) {
+      return res.status(400).json({ error: req.t("chat.unknownProfile", { id: profileId }) });
+    }
+
+    if (!llm.isAvailable()) {
+      return res.status(503).json({
+        error: req.t("chat.notConfigured", { settings: llm.missingConfiguration().join(" / ") })
+      });
+    }
+
+    const budgetExceeded = await checkBudget(req);
+    if (budgetExceeded) {
+      return res.status(429).json(budgetExceeded);
+    }
+
+    let conversation;
+    if (conversationId !== undefined) {
+      conversation = await conversations.get(conversationId).catch(() => undefined);
+      if (!conversation) {
+        return res.status(404).json({ error: req.t("conversations.notFound") });
+      }
+    }
+
+    const caseFile = await findCaseFile(conversation ? conversation.caseFileId : caseFileId);
+    if (!conversation && caseFileId && !caseFile) {
+      return res.status(404).json({ error: req.t("caseFiles.notFound") });
+    }
+
+    const messageAttachments = await findAttachments(attachmentIds);
+    if (!messageAttachments) {
+      return res.status(400).json({ error: req.t("attachments.missing") });
+    }
+
+    const trimmedMessage = message.trim();
+    const sources = await retrieveSources(trimmedMessage, req.log);
+    const citations = sources.map(toCitation);
+    const redactor = await createRequestRedactor(req.log);
+    const composePayload = (turns, summary, inline) => {
+      const masked = redactPrompt(redactor, {
+        history: turns,
+        message: trimmedMessage,
+        attachments: messageAttachments,
+        caseFile,
+        summary: summary?.text,
+        riskAssessment,
+        sources
+      });
+      return buildGeminiPayload(masked.history, masked.message, {
+        caseFile: masked.caseFile,
+        summary: masked.summary,
+        riskAssessment: masked.riskAssessment,
+        sources: masked.sources,
+        attachments: masked.attachments,
+        inline,
+        mode,
+        replyLanguage: resolveReplyLanguage(req, profile),
+        tools: maxToolRounds ? toolbox.declarations : undefined,
+        profile,
+        redacted: redactor.items().length > 0
+      });
+    };
+
+    let context;
+    let inline;
+    try {
+      context = conversation
+        ? await fitHistory(conversation, composePayload, { redactor, req })
+        : { turns: await resolveHistoryAttachments(history) };
+      // The newest attachments get the inline budget first.
+      inline = await attachments.loadInline(
+        [...messageAttachments, ...context.turns.slice().reverse().flatMap((turn) => turn.attachments || [])],
+        chatLimits.maxInlineBytes
+      );
+    } catch (error) {
+      return res.status(500).json({ error: req.t("chat.serverError"), details: error.message });
+    }
+    const { turns: priorTurns, summary } = context;
+    const payload = composePayload(priorTurns, summary, inline);
+    const exchange = { message: trimmedMessage, attachments: messageAttachments };
+    // A JSON plan is only useful once complete, so action plans never stream.
+    const wantsStream = mode !== "action-plan" && (req.body.stream === true
+      || (req.headers.accept || "").includes("text/event-stream"));
+
+    try {
+      if (wantsStream) {
+        return await streamChat(res, payload, (outcome) =>
+          persistExchange(conversation, exchange, { ...outcome, profileId: profile.id, mode }, req),
+          { sources: citations, context: { caseFile }, t: req.t, log: req.log, redactor, summary, riskAssessment });
+      }
+
+      const { result, fallbackFrom, attempts, toolCalls, contents } = await generateWithTools(
+        payload,
+        { caseFile },
+        { log: req.log, redactor }
+      );
+
+      if (!result.ok) {
+        return res.status(result.status).json(describeFailure(result, attempts, req.t));
+      }
+
+      const parts = result.data?.candidates?.[0]?.content?.parts;
+      const candidates = Array.isArray(result.data?.candidates) ? result.data.candidates : [];
+
+      let reply = "";
+      let usedCandidate;
+
+      for (const candidate of candidates) {
+        const candidateReply = extractTextFromParts(candidate?.content?.parts);
+        if (candidateReply) {
+          reply = candidateReply;
+          usedCandidate = candidate;
+          break;
+        }
+      }
+
+      if (!reply) {
+        reply = extractTextFromParts(parts);
+        usedCandidate ??= result.data?.candidates?.[0];
+      }
+
+      if (!reply) {
+        const promptFeedback = result.data?.promptFeedback;
+        const finishReason = usedCandidate?.finishReason || promptFeedback?.blockReason;
+
+        req.log.error("Empty response", {
+          model: result.model,
+          finishReason,
+          promptFeedback,
+          candidate: usedCandidate
+        });
+        metrics.recordReply({ model: result.model, finishReason, usage: result.data?.usageMetadata });
+
+        return res.status(502).json(describeEmptyReply(result.label, finishReason, req.t));
+      }
+
+      const completed = await continueReply(
+        { ...payload, contents },
+        { reply, finishReason: usedCandidate?.finishReason, usage: result.data?.usageMetadata, model: result.model },
+        maxContinueRounds,
+        { log: req.log }
+      );
+      const generated = {
+        reply: completed.reply,
+        notice: composeNotice({
+          fallbackFrom,
+          attempts,
+          model: result.model,
+          finishReason: completed.finishReason,
+          continued: completed.continued
+        }, req.t),
+        model: result.model,
+        provider: result.provider,
+        finishReason: completed.finishReason,
+        usage: completed.usage,
+        continued: completed.continued || undefined,
+        toolCalls,
+        riskAssessment
+      };
+      const outcome = restoreOutcome(
+        mode === "action-plan" ? structureActionPlan(generated, req.t, req.log) : generated,
+        redactor
+      );
+      const turnId = await persistExchange(
+        conversation,
+        exchange,
+        { ...outcome, profileId: profile.id, mode, sources: citations },
+        req
+      );
+
+      return res.json({
+        reply: outcome.reply,
+        notice: outcome.notice,
+        finishReason: outcome.finishReason,
+        sources: citations,
+        actionPlan: outcome.actionPlan,
+        riskAssessment,
+        toolCalls: outcome.toolCalls,
+        redactions: outcome.redactions,
+        summary,
+        conversationId: conversation?.id,
+        turnId
+      });
+    } catch (error) {
+      if (res.headersSent) {
+        writeEvent(res, "error", { error: req.t("chat.serverError"), details: error.message });
+        return res.end();
+      }
+      return res.status(500).json({
+        error: req.t("chat.serverError"),
+        details: error.message
+      });
+    }
+  });
+
+  // Generates the rest of a conversation's latest reply after it was cut off
+  // at MAX_TOKENS and stores the joined reply in place of the truncated one.
+  // Only the new text is streamed; `done` carries the whole reply.
+  app.post("/api/chat/continue", canAdvise, chatRateLimit, async (req, res) => {
+    const { conversationId } = req.body || {};
+    const conversation = typeof conversationId === "string"
+      ? await conversations.get(conversationId).catch(() => undefined)
+      : undefined;
+    if (!conversation) {
+      return res.status(404).json({ error: req.t("conversations.notFound") });
+    }
+
+    const truncated = conversation.turns.at(-1);
+    const question = conversation.turns.at(-2);
+    if (truncated?.role !== "model" || truncated.finishReason !== "MAX_TOKENS" || question?.role !== "user") {
+      return res.status(409).json({ error: req.t("chat.nothingToContinue") });
+    }
+
+    if (!llm.isAvailable()) {
+      return res.status(503).json({
+        error: req.t("chat.notConfigured", { settings: llm.missingConfiguration().join(" / ") })
+      });
+    }
+
+    const budgetExceeded = await checkBudget(req);
+    if (budgetExceeded) {
+      return res.status(429).json(budgetExceeded);
+    }
+
+    const profile = profiles.get(truncated.profileId) || profiles.defaultProfile;
+    const mode = CHAT_MODES.includes(truncated.mode) ? truncated.mode : "chat";
+    const { riskAssessment } = truncated;
+    const questionAttachments = question.attachments || [];
+    const { summary } = conversation;
+    const priorTurns = trimHistory(
+      turnsAfterSummary(storedHistory({ turns: conversation.turns.slice(0, -2) }), summary),
+      chatLimits
+    );
+    let inline;
+    try {
+      inline = await attachments.loadInline(
+        [...questionAttachments, ...priorTurns.slice().reverse().flatMap((turn) => turn.attachments || [])],
+        chatLimits.maxInlineBytes
+      );
+    } catch (error) {
+      return res.status(500).json({ error: req.t("chat.serverError"), details: error.message });
+    }
+    const redactor = await createRequestRedactor(req.log);
+    const masked = redactPrompt(redactor, {
+      history: priorTurns,
+      message: question.text,
+      attachments: questionAttachments,
+      caseFile: await findCaseFile(conversation.caseFileId),
+      summary: summary?.text,
+      riskAssessment,
+      sources: await retrieveSources(question.text, req.log)
+    });
+    // A plan that failed validation was stored fenced; continue the raw JSON.
+    const partial = redactor.redact(mode === "action-plan"
+      ? truncated.text.replace(/^```json\n([\s\S]*)\n```$/, "$1")
+      : truncated.text);
+    const payload = buildGeminiPayload(masked.history, masked.message, {
+      caseFile: masked.caseFile,
+      summary: masked.summary,
+      riskAssessment: masked.riskAssessment,
+      sources: masked.sources,
+      attachments: masked.attachments,
+      inline,
+      mode,
+      replyLanguage: resolveReplyLanguage(req, profile),
+      profile,
+      redacted: redactor.items().length > 0
+    });
+    const wantsStream = mode !== "action-plan" && (req.body.stream === true
+      || (req.headers.accept || "").includes("text/event-stream"));
+
+    const upstream = new AbortController();
+    res.on("close", () => upstream.abort());
+    if (wantsStream) {
+      res.status(200).set({
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no"
+      });
+      res.flushHeaders();
+    }
+
+    const restorer = redactor.createStreamRestorer();
+    const sendChunk = (text) => {
+      const restored = restorer.push(text);
+      if (restored) writeEvent(res, "chunk", { text: restored });
+    };
+
+    const fail = (status, body) => {
+      if (!wantsStream) return res.status(status).json(body);
+      writeEvent(res, "error", body);
+      return res.end();
+    };
+
+    try {
+      const completed = await continueReply(
+        payload,
+        { reply: partial, finishReason: "MAX_TOKENS", model: truncated.model },
+        Math.max(1, maxContinueRounds),
+        {
+          signal: upstream.signal,
+          onChunk: wantsStream ? sendChunk : undefined,
+          log: req.log
+        }
+      );
+      if (upstream.signal.aborted) return undefined;
+
+      if (!completed.continued) {
+        const { failure, attempts, label, finishReason } = completed.stalled;
+        return failure
+          ? fail(failure.status, describeFailure(failure, attempts, req.t))
+          : fail(502, describeEmptyReply(label, finishReason, req.t));
+      }
+
+      const generated = {
+        reply: completed.reply.trim(),
+        notice: composeNotice({
+          attempts: [],
+          model: truncated.model,
+          finishReason: completed.finishReason,
+          continued: completed.continued
+        }, req.t),
+        model: truncated.model,
+        provider: truncated.provider,
+        finishReason: completed.finishReason,
+        usage: completed.usage,
+        continued: completed.continued
+      };
+      const outcome = restoreOutcome(
+        mode === "action-plan" ? structureActionPlan(generated, req.t, req.log) : generated,
+        redactor
+      );
+      if (wantsStream) {
+        const rest = restorer.flush();
+        if (rest) writeEvent(res, "chunk", { text: rest });
+      }
+
+      const updated = await conversations.updateLastTurn(conversation.id, truncated.id, (turn) => {
+        turn.text = outcome.reply;
+        turn.notice = outcome.notice;
+        turn.finishReason = outcome.finishReason;
+        if (outcome.actionPlan) turn.actionPlan = outcome.actionPlan;
+        if (outcome.redactions) turn.redactions = outcome.redactions;
+      });
+      if (!updated) {
+        return fail(409, { error: req.t("chat.nothingToContinue") });
+      }
+      await recordExchange(
+        conversation,
+        { message: question.text },
+        { ...outcome, profileId: profile.id, mode, sources: truncated.sources, riskAssessment },
+        req
+      );
+
+      const reply = {
+        reply: outcome.reply,
+        notice: outcome.notice,
+        finishReason: outcome.finishReason,
+        sources: truncated.sources || [],
+        actionPlan: outcome.actionPlan,
+        riskAssessment,
+        toolCalls: truncated.toolCalls || [],
+        redactions: outcome.redactions,
+        conversationId: conversation.id,
+        turnId: updated.id
+      };
+      if (!wantsStream) return res.json(reply);
+      writeEvent(res, "done", reply);
+      return res.end();
+    } catch (error) {
+      return fail(500, { error: req.t("chat.serverError"), details: error.message });
+    }
+  });
+
+  app.get(["/admin", "/admin.html", "/admin.js"], canAdminister);
+  app.use("/api", (error, req, res, next) => {
+    if (error?.type === "entity.too.large") {
+      return res.status(413).json({ error: req.t("request.tooLarge", { limit: chatLimits.bodyLimit }) });
+    }
+    if (error?.type === "entity.parse.failed") {
+      return res.status(400).json({ error: req.t("request.invalidJson") });
+    }
+    return next(error);
+  });
+
+  app.use(express.static(publicDir, { extensions: ["html"] }));
+
+  app.get("*", (_req, res) => {
+    res.sendFile(path.join(publicDir, "index.html"));
+  });
+
+  return app;
+};
@@ -0,0 +1,83 @@
+import crypto from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { createJsonCollection, isValidId } from "./jsonCollection.js";
+
+// Only types Gemini accepts as inline data and that we can recognise from
+// their first bytes; the browser-supplied Content-Type is not trusted.
+export const ATTACHMENT_TYPES = {
+  "image/png": { label: "PNG", matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  "image/jpeg": { label: "JPEG", matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  "image/webp": { label: "WebP", matches: (buffer) => buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP" },
+  "image/heic": { label: "HEIC", matches: (buffer) => buffer.toString("ascii", 4, 8) === "ftyp" && /^hei[cx]|^mif1|^heis/.test(buffer.toString("ascii", 8, 12)) },
+  "application/pdf": { label: "PDF", matches: (buffer) => buffer.toString("ascii", 0, 5) === "%PDF-" }
+};
+
+export const detectMimeType = (buffer) =>
+  Object.entries(ATTACHMENT_TYPES).find(([, type]) => type.matches(buffer))?.[0];
+
+export const isImage = (mimeType) => mimeType.startsWith("image/");
+
+export const toAttachmentSummary = ({ id, fileName, mimeType, size, sha256 }) => ({ id, fileName, mimeType, size, sha256 });
+
+// Metadata lives in a JSON collection; the bytes sit next to it as plain
+// files so they can be streamed back without decoding.
+export const createAttachmentStore = (directory) => {
+  const metadata = createJsonCollection(path.join(directory, "meta"));
+  const filesDir = path.join(directory, "files");
+  let ready;
+
+  const ensureDirectory = () => {
+    ready ??= fs.mkdir(filesDir, { recursive: true });
+    return ready;
+  };
+
+  const filePath = (id) => path.join(filesDir, id);
+
+  const save = async ({ buffer, mimeType, fileName, uploadedBy }) => {
+    await ensureDirectory();
+    const id = crypto.randomUUID();
+    const attachment = {
+      id,
+      fileName,
+      mimeType,
+      size: buffer.length,
+      sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+      uploadedBy,
+      createdAt: new Date().toISOString()
+    };
+    await fs.writeFile(filePath(id), buffer);
+    await metadata.write(id, attachment);
+    return attachment;
+  };
+
+  const get = (id) => metadata.read(id);
+
+  const readData = async (id) => {
+    if (!isValidId(id)) return undefined;
+    try {
+      return await fs.readFile(filePath(id));
+    } catch (error) {
+      if (error.code === "ENOENT") return undefined;
+      throw error;
+    }
+  };
+
+  // Loads base64 data for as many attachments as fit in maxBytes, in the order
+  // given (callers pass the newest first). Anything left out is simply absent
+  // from the returned map.
+  const loadInline = async (list, maxBytes) => {
+    const inline = new Map();
+    let total = 0;
+    for (const attachment of list) {
+      if (inline.has(attachment.id) || total + attachment.size > maxBytes) continue;
+      const data = await readData(attachment.id);
+      if (!data) continue;
+      total += data.length;
+      inline.set(attachment.id, { mimeType: attachment.mimeType, data: data.toString("base64") });
+    }
+    return inline;
+  };
+
+  return { save, get, readData, loadInline, filePath };
+};
@@ -0,0 +1,134 @@
+import crypto from "crypto";
+import { createReadStream, promises as fs } from "fs";
+import path from "path";
+import readline from "readline";
+
+export const GENESIS_HASH = "0".repeat(64);
+
+// Keys are sorted so the hash does not depend on property insertion order.
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+export const hashEntry = (entry) => {
+  const { hash, ...rest } = entry;
+  return crypto.createHash("sha256").update(canonicalize(rest)).digest("hex");
+};
+
+async function* readEntries(filePath) {
+  let stream;
+  try {
+    await fs.access(filePath);
+    stream = createReadStream(filePath, { encoding: "utf8" });
+  } catch (error) {
+    if (error.code === "ENOENT") return;
+    throw error;
+  }
+
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber += 1;
+    if (!line.trim()) continue;
+    yield { line, lineNumber };
+  }
+}
+
+// Walks the whole file and checks that every entry's hash matches its
+// content and that it points at the previous entry's hash.
+export const verifyAuditFile = async (filePath) => {
+  let previousHash = GENESIS_HASH;
+  let count = 0;
+
+  for await (const { line, lineNumber } of readEntries(filePath)) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      return { ok: false, count, lineNumber, reason: "JSON として読み取れない行があります。" };
+    }
+    if (entry.prevHash !== previousHash) {
+      return { ok: false, count, lineNumber, seq: entry.seq, reason: "prevHash が直前のエントリと一致しません。" };
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      return { ok: false, count, lineNumber, seq: entry.seq, reason: "エントリの内容がハッシュと一致しません。" };
+    }
+    previousHash = entry.hash;
+    count += 1;
+  }
+
+  return { ok: true, count, lastHash: previousHash };
+};
+
+export const createAuditLog = (filePath) => {
+  let queue = Promise.resolve();
+  let head;
+
+  const loadHead = async () => {
+    if (head) return head;
+    head = { seq: 0, hash: GENESIS_HASH };
+    for await (const { line } of readEntries(filePath)) {
+      try {
+        const entry = JSON.parse(line);
+        head = { seq: entry.seq, hash: entry.hash };
+      } catch {
+        // a corrupt line is reported by verify; keep chaining from the last good entry
+      }
+    }
+    return head;
+  };
+
+  const append = (record) => {
+    const task = queue.then(async () => {
+      const { seq, hash } = await loadHead();
+      const entry = {
+        seq: seq + 1,
+        timestamp: new Date().toISOString(),
+        ...record,
+        prevHash: hash
+      };
+      entry.hash = hashEntry(entry);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`, "utf8");
+      head = { seq: entry.seq, hash: entry.hash };
+      return entry;
+    });
+    queue = task.catch(() => {});
+    return task;
+  };
+
+  const query = async ({ from, to, user } = {}) => {
+    const fromTime = from ? Date.parse(from) : undefined;
+    const toTime = to ? Date.parse(to) : undefined;
+    const userFilter = user ? String(user).toLowerCase() : undefined;
+    const entries = [];
+
+    for await (const { line } of readEntries(filePath)) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      const time = Date.parse(entry.timestamp);
+      if (fromTime !== undefined && time < fromTime) continue;
+      if (toTime !== undefined && time > toTime) continue;
+      if (userFilter && entry.user?.username?.toLowerCase() !== userFilter && entry.user?.id !== user) continue;
+      entries.push(entry);
+    }
+
+    return entries;
+  };
+
+  const verify = () => queue.then(() => verifyAuditFile(filePath));
+
+  return { append, query, verify, filePath };
+};
@@ -0,0 +1,119 @@
+import { logger } from "./logger.js";
+import { parseCookies } from "./sessionCookie.js";
+import { validatePassword, verifyPassword } from "./passwords.js";
+import { hasRole } from "./userStore.js";
+
+export const SESSION_COOKIE = "psra_session";
+
+export const DEFAULT_CREDENTIAL = { username: "admin", password: "123" };
+
+const PUBLIC_PATHS = new Set(["/login", "/login.html", "/login.js", "/i18n.js", "/messages.js", "/api/auth/login"]);
+
+// Probes are recognised by method, header or user agent, all of which any
+// client can send, so they only ever open pages, never the API.
+const isHealthCheck = (req) => {
+  if (req.path === "/healthz") return true;
+  if (req.path.startsWith("/api/")) return false;
+  const userAgent = req.headers["user-agent"] || "";
+  return req.method === "HEAD"
+    || req.headers["x-render-health-check"] === "true"
+    || userAgent.includes("Render/health-check");
+};
+
+const readBasicCredentials = (header) => {
+  if (!header || !header.startsWith("Basic ")) return undefined;
+  const decoded = Buffer.from(header.slice(6), "base64").toString("utf8");
+  const separatorIndex = decoded.indexOf(":");
+  if (separatorIndex === -1) return undefined;
+  return { username: decoded.slice(0, separatorIndex), password: decoded.slice(separatorIndex + 1) };
+};
+
+// The first start creates an admin from BASIC_AUTH_USER / BASIC_AUTH_PASSWORD.
+// Outside dev mode the server refuses to run while the historical admin/123
+// credential would let anyone in.
+export const bootstrapUsers = async (users, { username, password, devMode }) => {
+  const existing = await users.list();
+
+  if (!existing.length) {
+    const initial = {
+      username: username || DEFAULT_CREDENTIAL.username,
+      password: password || DEFAULT_CREDENTIAL.password
+    };
+    if (!devMode) {
+      if (initial.password === DEFAULT_CREDENTIAL.password) {
+        throw new Error("BASIC_AUTH_USER / BASIC_AUTH_PASSWORD を設定してください。既定の認証情報 (admin/123) では起動できません（開発時は NODE_ENV=development）。");
+      }
+      const weakness = validatePassword(initial.password);
+      if (weakness) throw new Error(`初期管理者の${weakness}`);
+    }
+    await users.create({ ...initial, displayName: "管理者", role: "admin" });
+    logger.info("Created the initial admin user", { username: initial.username });
+    return;
+  }
+
+  if (devMode) return;
+
+  const defaultAdmin = existing.find((user) => user.username === DEFAULT_CREDENTIAL.username && !user.disabled);
+  if (defaultAdmin && await verifyPassword(DEFAULT_CREDENTIAL.password, defaultAdmin.passwordHash)) {
+    throw new Error("既定の認証情報 (admin/123) が有効なままです。パスワードを変更するまで起動できません（開発時は NODE_ENV=development）。");
+  }
+};
+
+export const createAuth = ({ users, sessions }) => {
+  const userFromCookie = async (req) => {
+    const payload = sessions.verify(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+    if (!payload) return undefined;
+    const user = await users.get(payload.uid);
+    if (!user || user.disabled || (user.sessionVersion || 1) !== payload.ver) return undefined;
+    return user;
+  };
+
+  const userFromBasic = async (req) => {
+    const credentials = readBasicCredentials(req.headers.authorization);
+    return credentials ? users.authenticate(credentials.username, credentials.password) : undefined;
+  };
+
+  const rejectUnauthenticated = (req, res) => {
+    if (req.path.startsWith("/api/") || req.method !== "GET") {
+      return res.status(401).json({ error: req.t("auth.loginRequired") });
+    }
+    return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  };
+
+  const authenticate = async (req, res, next) => {
+    if (isHealthCheck(req) || PUBLIC_PATHS.has(req.path)) {
+      return next();
+    }
+
+    try {
+      const user = await userFromCookie(req) || await userFromBasic(req);
+      if (!user) return rejectUnauthenticated(req, res);
+      req.user = user;
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  };
+
+  const requireRole = (role) => (req, res, next) => {
+    if (hasRole(req.user, role)) return next();
+    return res.status(403).json({ error: req.t("auth.forbidden") });
+  };
+
+  const cookieOptions = (req) => ({
+    httpOnly: true,
+    sameSite: "lax",
+    secure: req.secure,
+    path: "/"
+  });
+
+  const startSession = (req, res, user) => {
+    res.cookie(SESSION_COOKIE, sessions.issue(user), { ...cookieOptions(req), maxAge: sessions.ttlMs });
+  };
+
+  const endSession = (req, res) => {
+    res.clearCookie(SESSION_COOKIE, cookieOptions(req));
+  };
+
+  return { authenticate, requireRole, startSession, endSession };
+};
@@ -0,0 +1,69 @@
+const CJK_RUN = /[぀-ヿ㐀-䶿一-鿿豈-﫿ｦ-ﾟ]+/g;
+const WORD = /[a-z0-9]+(?:[.-][a-z0-9]+)*/g;
+
+// Latin text is split into words; Japanese and Chinese runs have no spaces,
+// so they become overlapping character bigrams (single characters stay as is).
+export const tokenize = (text) => {
+  const normalized = String(text || "").normalize("NFKC").toLowerCase();
+  const tokens = [];
+
+  for (const word of normalized.match(WORD) || []) {
+    if (word.length > 1 || /\d/.test(word)) tokens.push(word);
+  }
+
+  for (const run of normalized.match(CJK_RUN) || []) {
+    if (run.length === 1) {
+      tokens.push(run);
+      continue;
+    }
+    for (let index = 0; index < run.length - 1; index += 1) {
+      tokens.push(run.slice(index, index + 2));
+    }
+  }
+
+  return tokens;
+};
+
+export const createBm25Index = (items, { k1 = 1.2, b = 0.75 } = {}) => {
+  const documents = items.map((item) => {
+    const frequencies = new Map();
+    const tokens = tokenize(item.text);
+    tokens.forEach((token) => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+    return { item, frequencies, length: tokens.length };
+  });
+
+  const documentFrequency = new Map();
+  documents.forEach(({ frequencies }) => {
+    frequencies.forEach((_count, token) => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+  });
+
+  const total = documents.length;
+  const averageLength = total ? documents.reduce((sum, doc) => sum + doc.length, 0) / total : 0;
+
+  const idf = (token) => {
+    const df = documentFrequency.get(token) || 0;
+    return Math.log(1 + (total - df + 0.5) / (df + 0.5));
+  };
+
+  const search = (query, { limit = 5, minScore = 0 } = {}) => {
+    const terms = [...new Set(tokenize(query))].filter((token) => documentFrequency.has(token));
+    if (!terms.length) return [];
+
+    return documents
+      .map(({ item, frequencies, length }) => {
+        let score = 0;
+        terms.forEach((term) => {
+          const frequency = frequencies.get(term);
+          if (!frequency) return;
+          const norm = k1 * (1 - b + (b * length) / (averageLength || 1));
+          score += idf(term) * ((frequency * (k1 + 1)) / (frequency + norm));
+        });
+        return { item, score };
+      })
+      .filter(({ score }) => score > minScore)
+      .sort((a, c) => c.score - a.score)
+      .slice(0, limit);
+  };
+
+  return { search, size: total };
+};
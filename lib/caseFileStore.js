@@ -0,0 +1,99 @@
+import crypto from "crypto";
+import { createJsonCollection } from "./jsonCollection.js";
+
+const MAX_TEXT_LENGTH = 2000;
+const MAX_LIST_ITEMS = 50;
+
+const cleanText = (value, maxLength = MAX_TEXT_LENGTH) =>
+  typeof value === "string" ? value.trim().slice(0, maxLength) : "";
+
+const cleanList = (value) => {
+  const items = Array.isArray(value) ? value : String(value || "").split(/[,、\n]/);
+  return items
+    .map((item) => cleanText(String(item ?? ""), 200))
+    .filter(Boolean)
+    .slice(0, MAX_LIST_ITEMS);
+};
+
+export const normalizeCaseFile = (input = {}) => {
+  const errors = [];
+  const title = cleanText(input.title, 120);
+  const productName = cleanText(input.productName, 200);
+
+  if (!title) errors.push("title（案件名）を入力してください。");
+  if (!productName) errors.push("productName（製品名）を入力してください。");
+
+  let injuryCount = null;
+  if (input.injuryCount !== undefined && input.injuryCount !== null && input.injuryCount !== "") {
+    injuryCount = Number(input.injuryCount);
+    if (!Number.isInteger(injuryCount) || injuryCount < 0) {
+      errors.push("injuryCount（負傷者数）は 0 以上の整数で入力してください。");
+    }
+  }
+
+  const firstReportedAt = cleanText(input.firstReportedAt, 40);
+  if (firstReportedAt && Number.isNaN(Date.parse(firstReportedAt))) {
+    errors.push("firstReportedAt（初報日時）の形式が正しくありません。");
+  }
+
+  return {
+    errors,
+    value: {
+      title,
+      productName,
+      lotNumbers: cleanList(input.lotNumbers),
+      injuryCount,
+      jurisdictions: cleanList(input.jurisdictions),
+      firstReportedAt,
+      summary: cleanText(input.summary)
+    }
+  };
+};
+
+export const formatCaseFileForPrompt = (caseFile) => {
+  if (!caseFile) return "";
+
+  const lines = [
+    "以下は本件の確定した事実（ケースファイル）です。助言は必ずこの事実関係を前提とし、矛盾する仮定を置かないでください。",
+    `- 案件名: ${caseFile.title}`,
+    `- 製品名: ${caseFile.productName}`
+  ];
+  if (caseFile.lotNumbers?.length) lines.push(`- 対象ロット: ${caseFile.lotNumbers.join(", ")}`);
+  if (caseFile.injuryCount !== null && caseFile.injuryCount !== undefined) {
+    lines.push(`- 負傷者数: ${caseFile.injuryCount} 名`);
+  }
+  if (caseFile.jurisdictions?.length) lines.push(`- 関係法域: ${caseFile.jurisdictions.join(", ")}`);
+  if (caseFile.firstReportedAt) lines.push(`- 初報日時: ${caseFile.firstReportedAt}`);
+  if (caseFile.summary) lines.push(`- 概要・補足: ${caseFile.summary}`);
+  return lines.join("\n");
+};
+
+export const createCaseFileStore = (directory) => {
+  const collection = createJsonCollection(directory);
+
+  const create = async (value) => {
+    const now = new Date().toISOString();
+    const caseFile = { id: crypto.randomUUID(), ...value, createdAt: now, updatedAt: now };
+    return collection.write(caseFile.id, caseFile);
+  };
+
+  const list = async () => {
+    const caseFiles = await collection.list();
+    return caseFiles.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  };
+
+  const get = (id) => collection.read(id);
+
+  const update = (id, value) =>
+    collection.update(id, (caseFile) => ({
+      ...caseFile,
+      ...value,
+      id: caseFile.id,
+      createdAt: caseFile.createdAt,
+      updatedAt: new Date().toISOString()
+    }));
+
+  const remove = (id) => collection.remove(id);
+
+  return { create, list, get, update, remove };
+};
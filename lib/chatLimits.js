@@ -0,0 +1,92 @@
+import { createRateLimiter } from "./rateLimiter.js";
+
+const readNumber = (value, fallback, { min = 0 } = {}) => {
+  const number = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(number) && number >= min ? number : fallback;
+};
+
+export const resolveChatLimits = (env = process.env) => ({
+  bodyLimit: env.JSON_BODY_LIMIT || "200kb",
+  rateWindowMs: readNumber(env.CHAT_RATE_WINDOW_MS, 60000, { min: 1000 }),
+  perUser: readNumber(env.CHAT_RATE_LIMIT_PER_USER, 12),
+  perIp: readNumber(env.CHAT_RATE_LIMIT_PER_IP, 30),
+  maxMessageChars: readNumber(env.CHAT_MAX_MESSAGE_CHARS, 8000, { min: 1 }),
+  maxHistoryTurns: readNumber(env.CHAT_MAX_HISTORY_TURNS, 40, { min: 1 }),
+  maxHistoryChars: readNumber(env.CHAT_MAX_HISTORY_CHARS, 60000, { min: 1 }),
+  maxAttachments: readNumber(env.ATTACHMENT_MAX_FILES, 5, { min: 1 }),
+  maxAttachmentBytes: readNumber(env.ATTACHMENT_MAX_BYTES, 10 * 1024 * 1024, { min: 1 }),
+  // Gemini rejects requests whose inline data exceeds about 20 MB in total.
+  maxInlineBytes: readNumber(env.ATTACHMENT_MAX_INLINE_BYTES, 15 * 1024 * 1024, { min: 1 }),
+  // Stored conversations whose prompt grows past this many tokens have their
+  // older turns folded into a summary, keeping the latest turns verbatim.
+  contextTokenThreshold: readNumber(env.CONTEXT_TOKEN_THRESHOLD, 24000, { min: 1 }),
+  contextKeepTurns: readNumber(env.CONTEXT_KEEP_TURNS, 6, { min: 2 }),
+  dailyTokens: readNumber(env.TOKEN_BUDGET_DAILY, 200000),
+  monthlyTokens: readNumber(env.TOKEN_BUDGET_MONTHLY, 3000000)
+});
+
+const formatWait = (ms, t) => {
+  const seconds = Math.max(1, Math.ceil(ms / 1000));
+  return seconds < 60
+    ? t("limits.waitSeconds", { count: seconds })
+    : t("limits.waitMinutes", { count: Math.ceil(seconds / 60) });
+};
+
+// Counts against both the signed-in user and the client IP, so one account
+// cannot be shared across machines to dodge the per-IP limit or vice versa.
+// A request is only counted once both allow it, so a user over their own
+// limit does not use up the IP's share for everyone behind the same NAT.
+export const createChatRateLimit = (limits) => {
+  const byUser = createRateLimiter({ windowMs: limits.rateWindowMs, max: limits.perUser });
+  const byIp = createRateLimiter({ windowMs: limits.rateWindowMs, max: limits.perIp });
+
+  return (req, res, next) => {
+    const userKey = `user:${req.user.id}`;
+    const ipKey = `ip:${req.ip}`;
+    const blocked = [byUser.check(userKey), byIp.check(ipKey)].find((check) => !check.allowed);
+    if (!blocked) {
+      byUser.consume(userKey);
+      byIp.consume(ipKey);
+      return next();
+    }
+
+    const retryAfterMs = blocked.retryAfterMs;
+    req.log.warn("Chat request rate limited", { user: req.user.username, ip: req.ip, retryAfterMs });
+    res.set("Retry-After", String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+    return res.status(429).json({ error: req.t("limits.rateLimited", { wait: formatWait(retryAfterMs, req.t) }) });
+  };
+};
+
+// Returns an error message when client-supplied history is too large.
+export const checkHistorySize = (history, limits, t) => {
+  if (history === undefined || history === null) return undefined;
+  if (!Array.isArray(history)) return t("limits.historyNotArray");
+  if (history.length > limits.maxHistoryTurns) {
+    return t("limits.historyTooLong", { max: limits.maxHistoryTurns });
+  }
+  const totalChars = history.reduce((sum, entry) => sum + (typeof entry?.text === "string" ? entry.text.length : 0), 0);
+  if (totalChars > limits.maxHistoryChars) {
+    return t("limits.historyTooManyChars", { max: limits.maxHistoryChars });
+  }
+  return undefined;
+};
+
+// Stored conversations keep growing, so rather than rejecting them we send
+// only the most recent turns that fit within the same caps.
+export const trimHistory = (history, limits) => {
+  const kept = [];
+  let totalChars = 0;
+  for (let index = history.length - 1; index >= 0 && kept.length < limits.maxHistoryTurns; index -= 1) {
+    totalChars += history[index].text.length;
+    if (totalChars > limits.maxHistoryChars) break;
+    kept.unshift(history[index]);
+  }
+  // Gemini expects the history to start with a user turn.
+  while (kept.length && kept[0].role !== "user") kept.shift();
+  return kept;
+};
+
+export const describeBudgetExceeded = ({ scope, used, limit }, t) => ({
+  error: t(scope === "daily" ? "budget.dailyExceeded" : "budget.monthlyExceeded", { limit }),
+  details: t("budget.used", { used })
+});
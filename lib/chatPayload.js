@@ -0,0 +1,145 @@
+import { formatCaseFileForPrompt } from "./caseFileStore.js";
+import { formatSourcesForPrompt } from "./knowledgeBase.js";
+import { ACTION_PLAN_INSTRUCTIONS, ACTION_PLAN_SCHEMA } from "./actionPlan.js";
+import { replyLanguageInstruction } from "./i18n.js";
+import { REDACTION_INSTRUCTIONS } from "./redaction.js";
+import { formatSummaryForPrompt } from "./contextWindow.js";
+import { formatRiskAssessmentForPrompt } from "./riskMatrix.js";
+
+// Each attachment is introduced by its file name so the model can refer to
+// it. Attachments whose data was not loaded (over the inline budget) are
+// mentioned but not sent.
+const attachmentParts = (list, inline) =>
+  (Array.isArray(list) ? list : []).flatMap((attachment) => {
+    const data = inline?.get(attachment.id);
+    return data
+      ? [{ text: `添付ファイル: ${attachment.fileName}` }, { inlineData: data }]
+      : [{ text: `（添付ファイル「${attachment.fileName}」は容量の上限のため今回は送信していません）` }];
+  });
+
+export const buildGeminiPayload = (history, message, {
+  caseFile,
+  sources,
+  attachments: messageAttachments,
+  inline,
+  mode = "chat",
+  replyLanguage = "ja",
+  tools,
+  profile,
+  summary,
+  riskAssessment,
+  redacted = false
+}) => {
+  const sanitizedHistory = Array.isArray(history) ? history : [];
+  const contents = sanitizedHistory
+    .filter((entry) => entry && typeof entry.text === "string")
+    .map((entry) => ({
+      role: entry.role === "model" ? "model" : "user",
+      parts: [{ text: entry.text }, ...(entry.role === "model" ? [] : attachmentParts(entry.attachments, inline))]
+    }));
+
+  contents.push({
+    role: "user",
+    parts: [{ text: message }, ...attachmentParts(messageAttachments, inline)]
+  });
+
+  const actionPlanMode = mode === "action-plan";
+  // An answer in both languages is roughly twice as long.
+  const generationConfig = replyLanguage === "both"
+    ? { ...profile.generationConfig, maxOutputTokens: profile.generationConfig.maxOutputTokens * 2 }
+    : { ...profile.generationConfig };
+  const systemPrompt = [
+    profile.instructions,
+    formatCaseFileForPrompt(caseFile),
+    formatSummaryForPrompt(summary),
+    formatSourcesForPrompt(sources),
+    formatRiskAssessmentForPrompt(riskAssessment),
+    actionPlanMode && ACTION_PLAN_INSTRUCTIONS,
+    redacted && REDACTION_INSTRUCTIONS,
+    replyLanguageInstruction(replyLanguage, { structured: actionPlanMode })
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  return {
+    contents,
+    systemInstruction: {
+      role: "system",
+      parts: [{ text: systemPrompt }]
+    },
+    // Gemini does not combine function calling with a response schema.
+    ...(actionPlanMode || !tools?.length ? {} : { tools: [{ functionDeclarations: tools }] }),
+    generationConfig: actionPlanMode
+      ? { ...generationConfig, responseMimeType: "application/json", responseSchema: ACTION_PLAN_SCHEMA }
+      : generationConfig
+  };
+};
+
+export const describePart = (part) => {
+  if (typeof part?.text === "string") {
+    return part.text;
+  }
+  if (typeof part?.functionCall?.name === "string") {
+    const args = part.functionCall.args ? JSON.stringify(part.functionCall.args) : "";
+    return `関数呼び出し: ${part.functionCall.name}${args ? ` ${args}` : ""}`;
+  }
+  if (typeof part?.codeExecutionResult?.outputText === "string") {
+    return part.codeExecutionResult.outputText;
+  }
+  if (part?.inlineData?.data) {
+    const size = Buffer.from(part.inlineData.data, "base64").length;
+    const mimeType = part.inlineData.mimeType || "application/octet-stream";
+    return `インラインデータ (${mimeType}, ${size} bytes)`;
+  }
+  if (part?.fileData?.fileUri) {
+    return `ファイル参照: ${part.fileData.fileUri}`;
+  }
+  if (part?.outputAudio?.data) {
+    return "音声レスポンスが生成されました。";
+  }
+  return "";
+};
+
+export const extractTextFromParts = (parts) => {
+  if (!Array.isArray(parts)) return "";
+
+  return parts
+    .map(describePart)
+    .filter(Boolean)
+    .join("\n")
+    .trim();
+};
+
+// Stream chunks split text mid-sentence, so text parts are concatenated
+// verbatim and only non-text parts get their own line.
+export const extractChunkText = (parts) => {
+  if (!Array.isArray(parts)) return "";
+
+  return parts
+    .map((part) => {
+      if (typeof part?.text === "string") return part.text;
+      const description = describePart(part);
+      return description ? `${description}\n` : "";
+    })
+    .join("");
+};
+
+export const CONTINUE_PROMPT = "直前の回答は出力の上限で途切れました。すでに出力した部分は繰り返さず、途切れた箇所の直後から続きだけを出力してください。JSON の途中だった場合も、途切れた文字の直後からそのまま続けてください。";
+
+// Asks for the rest of a reply that stopped at the output limit by handing
+// the partial answer back as the model's own turn. A response schema would
+// force a fresh JSON document, so an action plan is continued as plain text
+// and parsed once the pieces are joined.
+export const buildContinuationPayload = (payload, partial) => {
+  const { tools, ...request } = payload;
+  const { responseMimeType, responseSchema, ...generationConfig } = payload.generationConfig || {};
+  return {
+    ...request,
+    contents: [
+      ...payload.contents,
+      { role: "model", parts: [{ text: partial }] },
+      { role: "user", parts: [{ text: CONTINUE_PROMPT }] }
+    ],
+    generationConfig
+  };
+};
@@ -0,0 +1,52 @@
+// Long incident threads are sent as a rolling summary of their older turns
+// plus the most recent turns verbatim. The summary is written by the model
+// and kept on the conversation; each time the prompt grows past the
+// threshold again, the next batch of older turns is folded into it.
+export const SUMMARY_INSTRUCTIONS = [
+  "あなたは製品事故・リコール対応の相談記録を要約する担当者です。",
+  "与えられた「これまでの要約」と「要約に追加するやり取り」を統合し、今後の相談の前提として使える一つの要約を日本語の Markdown 箇条書きで作成してください。",
+  "次の見出しを使い、該当がなければ見出しごと省略してください: 確定した事実 / 決定事項 / 未解決の論点 / 期限・日時 / 関係者・関係機関。",
+  "日時、数値、ロット番号、法令名、期限、誰が何を決めたかは省略せず正確に残してください。推測や新しい助言は加えないでください。",
+  "[NAME_1] のような角括弧の記号は伏せ字です。そのままの表記で残してください。"
+].join("\n");
+
+const SUMMARY_GENERATION_CONFIG = { temperature: 0.2, maxOutputTokens: 2048 };
+
+const speakerOf = (turn) => (turn.role === "model" ? "アドバイザー" : "相談者");
+
+export const formatSummaryForPrompt = (summary) =>
+  summary
+    ? `以下はこの相談の古いやり取りの要約です。会話履歴はこの続きから始まります。ここに書かれた事実と決定事項を前提にしてください。\n\n${summary}`
+    : "";
+
+// The turns that come after the part of the conversation already summarised.
+// Turns saved before they had ids cannot be found by id; since turns are
+// only ever appended, the number folded so far marks the same place.
+export const turnsAfterSummary = (turns, summary) => {
+  if (!summary) return turns;
+  const index = summary.throughTurnId ? turns.findIndex((turn) => turn.id === summary.throughTurnId) : -1;
+  if (index !== -1) return turns.slice(index + 1);
+  return Number.isInteger(summary.turnCount) ? turns.slice(summary.turnCount) : turns;
+};
+
+// Keeps the last `keepTurns` turns, moving the cut earlier if needed so the
+// kept history still starts with a user turn as Gemini expects.
+export const splitForSummary = (turns, keepTurns) => {
+  let cut = Math.max(0, turns.length - keepTurns);
+  while (cut < turns.length && turns[cut].role !== "user") cut += 1;
+  return { fold: turns.slice(0, cut), keep: turns.slice(cut) };
+};
+
+export const buildSummaryRequest = (previousSummary, turns) => {
+  const transcript = turns.map((turn) => `【${speakerOf(turn)}】\n${turn.text}`).join("\n\n");
+  const sections = [
+    previousSummary && `## これまでの要約\n\n${previousSummary}`,
+    `## 要約に追加するやり取り\n\n${transcript}`
+  ].filter(Boolean);
+
+  return {
+    contents: [{ role: "user", parts: [{ text: sections.join("\n\n") }] }],
+    systemInstruction: { role: "system", parts: [{ text: SUMMARY_INSTRUCTIONS }] },
+    generationConfig: SUMMARY_GENERATION_CONFIG
+  };
+};
@@ -0,0 +1,114 @@
+import crypto from "crypto";
+import { createJsonCollection } from "./jsonCollection.js";
+
+const TITLE_LENGTH = 40;
+const DEFAULT_TITLE = "新しい相談";
+
+const deriveTitle = (text) => {
+  const singleLine = String(text || "").replace(/\s+/g, " ").trim();
+  if (!singleLine) return DEFAULT_TITLE;
+  return singleLine.length > TITLE_LENGTH ? `${singleLine.slice(0, TITLE_LENGTH)}…` : singleLine;
+};
+
+const summarize = (conversation) => ({
+  id: conversation.id,
+  title: conversation.title,
+  createdAt: conversation.createdAt,
+  updatedAt: conversation.updatedAt,
+  caseFileId: conversation.caseFileId ?? null,
+  createdBy: conversation.createdBy ?? null,
+  turnCount: conversation.turns.length
+});
+
+export const createConversationStore = (directory) => {
+  const collection = createJsonCollection(directory);
+
+  const create = async ({ title, caseFileId = null, createdBy = null } = {}) => {
+    const now = new Date().toISOString();
+    const conversation = {
+      id: crypto.randomUUID(),
+      title: deriveTitle(title),
+      createdAt: now,
+      updatedAt: now,
+      caseFileId,
+      createdBy,
+      turns: []
+    };
+    return collection.write(conversation.id, conversation);
+  };
+
+  const list = async () => {
+    const conversations = await collection.list();
+    return conversations
+      .map(summarize)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  };
+
+  const get = (id) => collection.read(id);
+
+  const appendTurns = (id, turns) =>
+    collection.update(id, (conversation) => {
+      const now = new Date().toISOString();
+      if (!conversation.turns.length && conversation.title === DEFAULT_TITLE) {
+        const firstUserTurn = turns.find((turn) => turn.role === "user");
+        if (firstUserTurn) conversation.title = deriveTitle(firstUserTurn.text);
+      }
+      conversation.turns.push(...turns.map((turn) => ({
+        ...turn,
+        id: turn.id || crypto.randomUUID(),
+        createdAt: turn.createdAt || now
+      })));
+      conversation.updatedAt = now;
+      return conversation;
+    });
+
+  const setCaseFile = (id, caseFileId) =>
+    collection.update(id, (conversation) => {
+      conversation.caseFileId = caseFileId;
+      conversation.updatedAt = new Date().toISOString();
+      return conversation;
+    });
+
+  // Applies mutate to the model turn holding the given action plan. Resolves
+  // to undefined when the conversation or plan does not exist, or when
+  // mutate returns false to say there was nothing to change.
+  const updateActionPlan = async (id, planId, mutate) => {
+    let updatedTurn;
+    await collection.update(id, (conversation) => {
+      const turn = conversation.turns.find((candidate) => candidate.actionPlan?.id === planId);
+      if (!turn) return conversation;
+      if (mutate(turn) === false) return conversation;
+      updatedTurn = turn;
+      conversation.updatedAt = new Date().toISOString();
+      return conversation;
+    });
+    return updatedTurn;
+  };
+
+  // Applies mutate to the last turn, but only while it is still the turn
+  // with the given id, so a reply is never rewritten after the conversation
+  // has moved on. Resolves to the updated turn or undefined.
+  const updateLastTurn = async (id, turnId, mutate) => {
+    let updatedTurn;
+    await collection.update(id, (conversation) => {
+      const turn = conversation.turns.at(-1);
+      if (!turn || !turnId || turn.id !== turnId) return conversation;
+      mutate(turn);
+      updatedTurn = turn;
+      conversation.updatedAt = new Date().toISOString();
+      return conversation;
+    });
+    return updatedTurn;
+  };
+
+  // Replaces the rolling summary of the older turns.
+  const setSummary = (id, summary) =>
+    collection.update(id, (conversation) => {
+      conversation.summary = summary;
+      return conversation;
+    });
+
+  const remove = (id) => collection.remove(id);
+
+  return { create, list, get, appendTurns, setCaseFile, setSummary, updateActionPlan, updateLastTurn, remove, summarize };
+};
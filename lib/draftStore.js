@@ -0,0 +1,63 @@
+import crypto from "crypto";
+import { createJsonCollection } from "./jsonCollection.js";
+
+// Drafts belong to a conversation and keep every version; nothing is
+// overwritten, so any earlier wording can be compared or downloaded again.
+const summarize = (draft) => ({
+  id: draft.id,
+  conversationId: draft.conversationId,
+  templateId: draft.templateId,
+  title: draft.title,
+  createdBy: draft.createdBy,
+  createdAt: draft.createdAt,
+  updatedAt: draft.updatedAt,
+  versionCount: draft.versions.length
+});
+
+export const createDraftStore = (directory) => {
+  const collection = createJsonCollection(directory);
+
+  const stamp = (version, number, now) => ({ number, ...version, createdAt: now });
+
+  const create = async ({ conversationId, template, createdBy, version }) => {
+    const now = new Date().toISOString();
+    const draft = {
+      id: crypto.randomUUID(),
+      conversationId,
+      templateId: template.id,
+      title: template.title,
+      createdBy,
+      createdAt: now,
+      updatedAt: now,
+      versions: [stamp(version, 1, now)]
+    };
+    return collection.write(draft.id, draft);
+  };
+
+  const get = (id) => collection.read(id);
+
+  const list = async (conversationId) => {
+    const drafts = await collection.list();
+    return drafts
+      .filter((draft) => draft.conversationId === conversationId)
+      .map(summarize)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  };
+
+  // Resolves to undefined when another version was added since
+  // `baseVersion` was read, so a revision never silently replaces one.
+  const addVersion = async (id, baseVersion, version) => {
+    let added = false;
+    const draft = await collection.update(id, (current) => {
+      if (current.versions.length !== baseVersion) return current;
+      const now = new Date().toISOString();
+      current.versions.push(stamp(version, baseVersion + 1, now));
+      current.updatedAt = now;
+      added = true;
+      return current;
+    });
+    return added ? draft : undefined;
+  };
+
+  return { create, get, list, addVersion };
+};
@@ -0,0 +1,121 @@
+import fs from "fs";
+import path from "path";
+import { buildGeminiPayload } from "./chatPayload.js";
+import { escapeHtml, markdownToHtml } from "../public/markdown.js";
+import { logger } from "./logger.js";
+import { EXPORT_FORMATS } from "./reportExport.js";
+
+// Document templates for the drafting workspace (config/drafts/*.json): the
+// recall notice, the press release and the regulator report. The model
+// fills the outline from the consultation; every later revision, by the
+// model or by hand, is kept as a new version of the draft.
+const cleanText = (value) => (Array.isArray(value) ? value.join("\n") : typeof value === "string" ? value : "").trim();
+
+const normalizeTemplate = (raw, fileName) => {
+  const id = typeof raw?.id === "string" && raw.id.trim() ? raw.id.trim() : path.basename(fileName, ".json");
+  const title = cleanText(raw?.title);
+  const outline = cleanText(raw?.outline);
+  if (!title || !outline) throw new Error(`Template ${fileName} needs a title and an outline`);
+  return {
+    id,
+    title,
+    description: cleanText(raw?.description),
+    fileName: String(raw?.fileName || id).replace(/[^A-Za-z0-9_-]/g, "") || "draft",
+    instructions: cleanText(raw?.instructions),
+    outline
+  };
+};
+
+// Read once at startup like the exercise scenarios; a malformed template is
+// skipped with a warning.
+export const loadDraftTemplates = (directory) => {
+  let fileNames = [];
+  try {
+    fileNames = fs.readdirSync(directory).filter((name) => name.endsWith(".json")).sort();
+  } catch (error) {
+    logger.warn("Could not read the draft templates directory", { directory, error: error.message });
+  }
+
+  const templates = new Map();
+  fileNames.forEach((fileName) => {
+    try {
+      const template = normalizeTemplate(JSON.parse(fs.readFileSync(path.join(directory, fileName), "utf8")), fileName);
+      if (templates.has(template.id)) {
+        logger.warn("Duplicate template id ignored", { id: template.id, fileName });
+        return;
+      }
+      templates.set(template.id, template);
+    } catch (error) {
+      logger.warn("Skipping an invalid draft template", { fileName, error: error.message });
+    }
+  });
+
+  const list = () => [...templates.values()].map(({ id, title, description }) => ({ id, title, description }));
+
+  return { get: (id) => templates.get(id), list };
+};
+
+const draftInstructions = (profile, template) =>
+  [
+    profile.instructions,
+    "【文書作成モード】",
+    `これまでの相談内容をもとに「${template.title}」の文案を作成します。出力は文書の本文だけを Markdown で書き、前置き・解説・コードブロックは付けないでください。`,
+    "会話やケースファイルで確認できない事実（日付、件数、連絡先など）は創作せず、【要確認】と書いてください。",
+    template.instructions,
+    `## 文書の構成\n\n${template.outline}`
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+export const FILL_REQUEST = "これまでの相談内容をもとに、上記の構成で文案を作成してください。";
+
+export const revisionRequest = (text, instruction) =>
+  `以下の文案を、修正指示に従って書き直してください。指示に関係のない箇所は変えず、書き直した文書の全文を出力してください。\n\n## 現在の文案\n\n${text}\n\n## 修正指示\n\n${instruction}`;
+
+// Same shape and settings as /api/chat, with the consultation as history and
+// the drafting instructions added to the advisor's.
+export const buildDraftPayload = (history, request, { template, profile, caseFile, summary, replyLanguage, redacted }) =>
+  buildGeminiPayload(history, request, {
+    profile: { ...profile, instructions: draftInstructions(profile, template) },
+    caseFile,
+    summary,
+    replyLanguage,
+    redacted
+  });
+
+// Models sometimes wrap the whole document in a fence despite being told not to.
+export const cleanDraftText = (text) =>
+  String(text || "").trim().replace(/^```(?:markdown|md)?\s*\n([\s\S]*?)\n?```$/i, "$1").trim();
+
+export const DRAFT_FORMATS = { markdown: EXPORT_FORMATS.markdown, html: EXPORT_FORMATS.html };
+
+const DRAFT_STYLES = `
+  body { font-family: 'Noto Sans JP', 'Hiragino Sans', 'Yu Gothic', 'Meiryo', sans-serif; color: #11293f; line-height: 1.8; margin: 0; }
+  .page { max-width: 760px; margin: 0 auto; padding: 2.5rem 2rem; }
+  h1 { font-size: 1.5rem; margin: 0 0 1.5rem; }
+  h2 { font-size: 1.15rem; margin: 1.8rem 0 0.6rem; border-bottom: 1px solid rgba(17, 41, 63, 0.2); padding-bottom: 0.2rem; }
+  table { border-collapse: collapse; margin: 0.6rem 0; }
+  th, td { border: 1px solid rgba(17, 41, 63, 0.3); padding: 0.3rem 0.6rem; vertical-align: top; }
+  .draft-meta { font-size: 0.8rem; color: #2b5a80; border-top: 1px dashed rgba(17, 41, 63, 0.25); margin-top: 2.5rem; padding-top: 0.5rem; }
+  @media print { .page { padding: 0; max-width: none; } .draft-meta { display: none; } }
+  @page { size: A4; margin: 20mm 18mm; }
+`;
+
+export const renderDraftMarkdown = (_draft, version) => `${version.text.trimEnd()}\n`;
+
+export const renderDraftHtml = (draft, version) => `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(draft.title)}</title>
+<style>${DRAFT_STYLES}</style>
+</head>
+<body>
+<div class="page">
+${markdownToHtml(version.text, { idPrefix: "draft-" })}
+<p class="draft-meta">${escapeHtml(`${draft.title} 第 ${version.number} 版（${version.createdAt}）`)}</p>
+</div>
+</body>
+</html>
+`;
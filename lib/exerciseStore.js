@@ -0,0 +1,78 @@
+import crypto from "crypto";
+import { createJsonCollection } from "./jsonCollection.js";
+
+// Exercise sessions are kept apart from conversations so training never
+// shows up in the consultation history or its exports.
+const summarize = (session) => ({
+  id: session.id,
+  scenarioId: session.scenarioId,
+  title: session.title,
+  status: session.status,
+  createdBy: session.createdBy,
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt,
+  responseCount: session.turns.filter((turn) => turn.role === "user").length
+});
+
+const stamp = (turn, now) => ({ ...turn, id: crypto.randomUUID(), createdAt: now });
+
+export const createExerciseStore = (directory) => {
+  const collection = createJsonCollection(directory);
+
+  const create = async ({ scenario, createdBy, opening }) => {
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      scenarioId: scenario.id,
+      title: scenario.title,
+      status: "active",
+      createdBy,
+      createdAt: now,
+      updatedAt: now,
+      turns: [stamp(opening, now)]
+    };
+    return collection.write(session.id, session);
+  };
+
+  const get = (id) => collection.read(id);
+
+  const list = async (userId) => {
+    const sessions = await collection.list();
+    return sessions
+      .filter((session) => session.createdBy?.id === userId)
+      .map(summarize)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  };
+
+  // Both resolve to undefined when the session was finished or answered by
+  // another request since `expectedLength` turns were read, so a response
+  // is never scored against a stale exercise.
+  const appendTurns = async (id, expectedLength, turns) => {
+    let appended = false;
+    const session = await collection.update(id, (current) => {
+      if (current.status !== "active" || current.turns.length !== expectedLength) return current;
+      const now = new Date().toISOString();
+      current.turns.push(...turns.map((turn) => stamp(turn, now)));
+      current.updatedAt = now;
+      appended = true;
+      return current;
+    });
+    return appended ? session : undefined;
+  };
+
+  const complete = async (id, expectedLength, debrief) => {
+    let completed = false;
+    const session = await collection.update(id, (current) => {
+      if (current.status !== "active" || current.turns.length !== expectedLength) return current;
+      const now = new Date().toISOString();
+      current.status = "completed";
+      current.debrief = { ...debrief, createdAt: now };
+      current.updatedAt = now;
+      completed = true;
+      return current;
+    });
+    return completed ? session : undefined;
+  };
+
+  return { create, get, list, appendTurns, complete };
+};
@@ -0,0 +1,253 @@
+import fs from "fs";
+import path from "path";
+import { buildGeminiPayload } from "./chatPayload.js";
+import { logger } from "./logger.js";
+
+// Tabletop exercises for training new quality staff. A scenario script
+// (config/exercises/*.json) sets the briefing, the events injected turn by
+// turn and the rubric; the model narrates the next event and scores each
+// response, but the order of events and the criteria come from the script.
+const MAX_INJECTS = 20;
+const MAX_CRITERIA = 12;
+const DEFAULT_MAX_SCORE = 5;
+
+const EXERCISE_NOTICE = "これは新任の品質保証担当者向けの机上演習（訓練）です。実際の事故ではなく、ここでの出力は実務上の助言として扱われません。";
+
+const cleanText = (value) => (Array.isArray(value) ? value.join("\n") : typeof value === "string" ? value : "").trim();
+
+const normalizeScenario = (raw, fileName) => {
+  const id = typeof raw?.id === "string" && raw.id.trim() ? raw.id.trim() : path.basename(fileName, ".json");
+  const title = cleanText(raw?.title);
+  const briefing = cleanText(raw?.briefing);
+  if (!title || !briefing) throw new Error(`Scenario ${fileName} needs a title and a briefing`);
+
+  const injects = (Array.isArray(raw?.injects) ? raw.injects : []).slice(0, MAX_INJECTS).map((inject, index) => {
+    const text = cleanText(inject?.text);
+    if (!text) throw new Error(`Inject ${index + 1} in ${fileName} has no text`);
+    return { title: cleanText(inject.title) || `状況付与 ${index + 1}`, text };
+  });
+  if (!injects.length) throw new Error(`Scenario ${fileName} has no injects`);
+
+  const rubric = (Array.isArray(raw?.rubric) ? raw.rubric : []).slice(0, MAX_CRITERIA).map((criterion, index) => {
+    const description = cleanText(criterion?.criterion);
+    if (!criterion?.id || !description) throw new Error(`Rubric item ${index + 1} in ${fileName} needs an id and a criterion`);
+    const maxScore = Number(criterion.maxScore ?? DEFAULT_MAX_SCORE);
+    return {
+      id: String(criterion.id),
+      criterion: description,
+      maxScore: Number.isInteger(maxScore) && maxScore > 0 ? maxScore : DEFAULT_MAX_SCORE
+    };
+  });
+  if (!rubric.length) throw new Error(`Scenario ${fileName} has no rubric`);
+
+  return { id, title, description: cleanText(raw?.description), briefing, injects, rubric };
+};
+
+// Read once at startup like the advisor profiles; a malformed script is
+// skipped with a warning.
+export const loadExerciseScenarios = (directory) => {
+  let fileNames = [];
+  try {
+    fileNames = fs.readdirSync(directory).filter((name) => name.endsWith(".json")).sort();
+  } catch (error) {
+    logger.warn("Could not read the exercises directory", { directory, error: error.message });
+  }
+
+  const scenarios = new Map();
+  fileNames.forEach((fileName) => {
+    try {
+      const scenario = normalizeScenario(JSON.parse(fs.readFileSync(path.join(directory, fileName), "utf8")), fileName);
+      if (scenarios.has(scenario.id)) {
+        logger.warn("Duplicate scenario id ignored", { id: scenario.id, fileName });
+        return;
+      }
+      scenarios.set(scenario.id, scenario);
+    } catch (error) {
+      logger.warn("Skipping an invalid exercise scenario", { fileName, error: error.message });
+    }
+  });
+
+  const list = () =>
+    [...scenarios.values()].map(({ id, title, description, injects, rubric }) => ({
+      id,
+      title,
+      description,
+      injectCount: injects.length,
+      rubric: rubric.map(({ id: criterionId, criterion, maxScore }) => ({ id: criterionId, criterion, maxScore }))
+    }));
+
+  return { get: (id) => scenarios.get(id), list };
+};
+
+// The trainee's responses so far; the next event follows the last answered one.
+export const answeredCount = (session) => session.turns.filter((turn) => turn.role === "user").length;
+
+export const formatInject = (inject, index, total) => `【状況付与 ${index + 1}/${total}: ${inject.title}】\n${inject.text}`;
+
+// The first event is taken from the script as written, so starting an
+// exercise needs no model call.
+export const openingTurn = (scenario) => ({
+  role: "model",
+  kind: "inject",
+  injectIndex: 0,
+  title: scenario.injects[0].title,
+  text: `${scenario.briefing}\n\n${formatInject(scenario.injects[0], 0, scenario.injects.length)}`
+});
+
+const rubricLines = (rubric) =>
+  rubric.map(({ id, criterion, maxScore }) => `- ${id}（0〜${maxScore} 点）: ${criterion}`).join("\n");
+
+export const exerciseTurnSchema = (scenario) => ({
+  type: "OBJECT",
+  properties: {
+    scores: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          criterionId: { type: "STRING", enum: scenario.rubric.map(({ id }) => id) },
+          score: { type: "INTEGER", description: "0 から各基準の満点までの整数" },
+          comment: { type: "STRING", description: "採点の理由（1〜2文）" }
+        },
+        required: ["criterionId", "score", "comment"],
+        propertyOrdering: ["criterionId", "score", "comment"]
+      }
+    },
+    feedback: { type: "STRING", description: "受講者への講評（2〜3文）" },
+    nextInject: { type: "STRING", description: "次の状況付与の本文。最後の対応の後は空文字" }
+  },
+  required: ["scores", "feedback", "nextInject"],
+  propertyOrdering: ["scores", "feedback", "nextInject"]
+});
+
+const turnInstructions = (scenario, answered) => {
+  const next = scenario.injects[answered + 1];
+  return [
+    "【訓練モード: 机上演習】",
+    EXERCISE_NOTICE,
+    "あなたはこの演習のシナリオ進行役です。受講者の直前の対応について次の 3 点を JSON で出力してください。",
+    "1. scores: 評価基準ごとの採点。基準に照らして直前の対応だけを採点し、理由は具体的に短く書いてください。",
+    "2. feedback: 受講者への講評。模範解答をそのまま示さず、見落としへの気づきを促してください。",
+    next
+      ? `3. nextInject: 台本の次の状況付与「${next.title}」を、受講者に届く連絡や報告の形で臨場感をもって描写してください。これまでの対応を踏まえて描写してよいですが、台本にない重大な事象は加えないでください。\n\n台本の内容:\n${next.text}`
+      : "3. nextInject: これが最後の状況付与への対応です。空文字にしてください。",
+    `## シナリオ: ${scenario.title}\n\n${scenario.briefing}`,
+    `## 評価基準\n\n${rubricLines(scenario.rubric)}`
+  ].join("\n\n");
+};
+
+export const EXERCISE_START = "演習を開始してください。";
+
+// Injects and the feedback on each response are the model's turns and the
+// responses the trainee's, so the exercise reads to the model like an
+// ordinary conversation. Gemini expects it to open with a user turn, hence
+// the start request; feedback and the next inject share one model turn.
+const exerciseHistory = (session) =>
+  session.turns.reduce((history, turn) => {
+    const entries = [{ role: turn.role, text: turn.text }];
+    if (turn.evaluation?.feedback) entries.push({ role: "model", text: `講評: ${turn.evaluation.feedback}` });
+    entries.forEach((entry) => {
+      const last = history.at(-1);
+      if (last.role === entry.role) last.text = `${last.text}\n\n${entry.text}`;
+      else history.push(entry);
+    });
+    return history;
+  }, [{ role: "user", text: EXERCISE_START }]);
+
+// Builds on the /api/chat payload: same history shape and generation
+// settings, with the exercise instructions in place of the advisor's and a
+// response schema for the scores.
+export const buildExerciseTurnPayload = (session, scenario, message, { profile, replyLanguage, redacted }) => {
+  const payload = buildGeminiPayload(exerciseHistory(session), message, {
+    profile: { ...profile, instructions: turnInstructions(scenario, answeredCount(session)) },
+    replyLanguage,
+    redacted
+  });
+  return {
+    ...payload,
+    generationConfig: { ...payload.generationConfig, responseMimeType: "application/json", responseSchema: exerciseTurnSchema(scenario) }
+  };
+};
+
+export const DEBRIEF_REQUEST = "演習を終了します。講評レポートを作成してください。";
+
+const formatScoresForPrompt = (scenario, totals) =>
+  totals.criteria
+    .map(({ id, score, maxScore }) => {
+      const criterion = scenario.rubric.find((item) => item.id === id);
+      return `- ${criterion?.criterion || id}: ${score} / ${maxScore} 点`;
+    })
+    .concat(`- 合計: ${totals.score} / ${totals.maxScore} 点`)
+    .join("\n");
+
+export const buildDebriefPayload = (session, scenario, totals, { profile, replyLanguage, redacted }) =>
+  buildGeminiPayload(exerciseHistory(session), DEBRIEF_REQUEST, {
+    profile: {
+      ...profile,
+      instructions: [
+        "【訓練モード: 机上演習の講評】",
+        EXERCISE_NOTICE,
+        "あなたはこの演習の講評者です。これまでのやり取りをもとに、受講者向けの講評レポートを Markdown で作成してください。",
+        "見出しは ## 総評 / ## 良かった点 / ## 改善が必要な点 / ## 次回までに確認すべき社内規程・手順 としてください。",
+        "点数は下記のサーバー集計値をそのまま使い、採点し直さないでください。",
+        `## シナリオ: ${scenario.title}`,
+        `## 評価基準\n\n${rubricLines(scenario.rubric)}`,
+        `## 採点結果（集計済み）\n\n${formatScoresForPrompt(scenario, totals)}`
+      ].join("\n\n")
+    },
+    replyLanguage,
+    redacted
+  });
+
+const clampScore = (value, maxScore) => Math.min(maxScore, Math.max(0, Math.round(Number(value) || 0)));
+
+// Returns { errors } or { value }. Scores are clamped to the rubric and
+// invented criteria are dropped; a skipped criterion fails validation, since
+// leaving it out would shrink the maximum the response is scored against.
+export const parseExerciseEvaluation = (text, scenario) => {
+  let raw;
+  try {
+    raw = JSON.parse(String(text || "").trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, "$1"));
+  } catch (error) {
+    return { errors: [`JSON として解析できません: ${error.message}`] };
+  }
+  if (!raw || !Array.isArray(raw.scores)) return { errors: ["scores がありません。"] };
+
+  const entries = scenario.rubric.map(({ id }) => raw.scores.find((item) => item?.criterionId === id));
+  const missing = scenario.rubric.filter((_criterion, index) => !entries[index]).map(({ id }) => id);
+  if (missing.length) return { errors: [`評価基準 ${missing.join(", ")} の採点がありません。`] };
+
+  const scores = scenario.rubric.map(({ id, maxScore }, index) => ({
+    criterionId: id,
+    score: clampScore(entries[index].score, maxScore),
+    maxScore,
+    comment: cleanText(entries[index].comment)
+  }));
+
+  return {
+    value: {
+      scores,
+      feedback: cleanText(raw.feedback),
+      nextInject: cleanText(raw.nextInject)
+    }
+  };
+};
+
+// Totals per criterion across every scored response, worked out here so the
+// debrief cannot drift from the scores the trainee was shown.
+export const totalScores = (session, scenario) => {
+  const evaluations = session.turns.filter((turn) => turn.evaluation).map((turn) => turn.evaluation);
+  const criteria = scenario.rubric.map(({ id }) => {
+    const scored = evaluations.flatMap((evaluation) => evaluation.scores.filter((entry) => entry.criterionId === id));
+    return {
+      id,
+      score: scored.reduce((sum, entry) => sum + entry.score, 0),
+      maxScore: scored.reduce((sum, entry) => sum + entry.maxScore, 0)
+    };
+  });
+  return {
+    criteria,
+    score: criteria.reduce((sum, entry) => sum + entry.score, 0),
+    maxScore: criteria.reduce((sum, entry) => sum + entry.maxScore, 0)
+  };
+};
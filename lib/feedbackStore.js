@@ -0,0 +1,112 @@
+import crypto from "crypto";
+import { createJsonCollection } from "./jsonCollection.js";
+
+export const FEEDBACK_RATINGS = ["up", "down"];
+export const FEEDBACK_CATEGORIES = ["legal-inaccuracy", "not-actionable", "too-long"];
+
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_HISTORY_TURNS = 10;
+
+// One document per user and reply, so rating the same reply again replaces
+// the earlier feedback instead of adding to it.
+const feedbackId = (turnId, userId) =>
+  crypto.createHash("sha256").update(`${turnId}:${userId}`).digest("base64url").slice(0, 40);
+
+// Returns { errors, value } like normalizeCaseFile; errors are i18n keys.
+export const normalizeFeedback = (input = {}) => {
+  const errors = [];
+  if (!FEEDBACK_RATINGS.includes(input.rating)) errors.push("feedback.invalidRating");
+
+  const categories = input.categories ?? [];
+  if (!Array.isArray(categories) || categories.some((category) => !FEEDBACK_CATEGORIES.includes(category))) {
+    errors.push("feedback.invalidCategory");
+  }
+  if (input.comment !== undefined && input.comment !== null && typeof input.comment !== "string") {
+    errors.push("feedback.invalidComment");
+  }
+
+  return {
+    errors,
+    value: {
+      rating: input.rating,
+      categories: Array.isArray(categories) ? [...new Set(categories)] : [],
+      comment: typeof input.comment === "string" ? input.comment.trim().slice(0, MAX_COMMENT_LENGTH) : ""
+    }
+  };
+};
+
+// Copies what a reviewer needs out of the conversation: the question, the
+// rated reply and the turns before them, so the exchange can be replayed
+// as a regression case even after the conversation is deleted.
+export const snapshotExchange = (conversation, turnId) => {
+  const index = conversation.turns.findIndex((turn) => turn.id === turnId && turn.role === "model");
+  if (index < 1 || conversation.turns[index - 1].role !== "user") return undefined;
+
+  const reply = conversation.turns[index];
+  const question = conversation.turns[index - 1];
+  return {
+    conversationId: conversation.id,
+    turnId,
+    caseFileId: conversation.caseFileId ?? null,
+    profileId: reply.profileId ?? null,
+    mode: reply.mode || "chat",
+    model: reply.model ?? null,
+    provider: reply.provider ?? null,
+    finishReason: reply.finishReason ?? null,
+    prompt: question.text,
+    reply: reply.text,
+    history: conversation.turns
+      .slice(Math.max(0, index - 1 - MAX_HISTORY_TURNS), index - 1)
+      .map(({ role, text }) => ({ role, text })),
+    repliedAt: reply.createdAt
+  };
+};
+
+export const createFeedbackStore = (directory) => {
+  const collection = createJsonCollection(directory);
+
+  const save = async (exchange, value, user) => {
+    const id = feedbackId(exchange.turnId, user.id);
+    const existing = await collection.read(id);
+    const now = new Date().toISOString();
+    return collection.write(id, {
+      id,
+      ...exchange,
+      ...value,
+      user,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    });
+  };
+
+  // Newest first. Every filter is optional.
+  const query = async ({ rating, profileId, model, category, userId, conversationId } = {}) => {
+    const entries = await collection.list();
+    return entries
+      .filter((entry) => !rating || entry.rating === rating)
+      .filter((entry) => !profileId || entry.profileId === profileId)
+      .filter((entry) => !model || entry.model === model)
+      .filter((entry) => !category || entry.categories.includes(category))
+      .filter((entry) => !userId || entry.user?.id === userId)
+      .filter((entry) => !conversationId || entry.conversationId === conversationId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  };
+
+  return { save, query };
+};
+
+// One JSON line per rated reply, shaped for replaying the prompt against a
+// changed system prompt or model and comparing with the rejected answer.
+export const toRegressionCase = (entry) => ({
+  id: entry.id,
+  profileId: entry.profileId,
+  mode: entry.mode,
+  history: entry.history,
+  prompt: entry.prompt,
+  rejectedReply: entry.rating === "down" ? entry.reply : undefined,
+  acceptedReply: entry.rating === "up" ? entry.reply : undefined,
+  model: entry.model,
+  categories: entry.categories,
+  comment: entry.comment || undefined,
+  source: { conversationId: entry.conversationId, turnId: entry.turnId, ratedAt: entry.updatedAt }
+});
@@ -0,0 +1,306 @@
+import { DEFAULT_LOCALE, REPLY_LANGUAGES, negotiateLocale, normalizeLocale, translate } from "../public/i18n.js";
+
+export const SERVER_MESSAGES = {
+  ja: {
+    "auth.loginRequired": "ログインが必要です。再度ログインしてください。",
+    "auth.forbidden": "この操作を行う権限がありません。",
+    "auth.credentialsRequired": "ユーザー名とパスワードを入力してください。",
+    "auth.invalidCredentials": "ユーザー名またはパスワードが正しくありません。",
+    "auth.loginFailed": "ログイン処理に失敗しました。",
+    "users.loadFailed": "ユーザー一覧を取得できませんでした。",
+    "users.invalidRole": "role には {roles} のいずれかを指定してください。",
+    "users.usernameTaken": "ユーザー名 {username} は既に使われています。",
+    "users.createFailed": "ユーザーを作成できませんでした。",
+    "users.noChanges": "変更する項目 (role / disabled / displayName) を指定してください。",
+    "users.notFound": "指定されたユーザーが見つかりません。",
+    "users.cannotDemoteSelf": "自分自身の管理者権限を外したり、無効化したりすることはできません。",
+    "users.lastAdmin": "有効な管理者が 1 名以上必要です。",
+    "users.updateFailed": "ユーザーを更新できませんでした。",
+    "users.passwordResetFailed": "パスワードを再設定できませんでした。",
+    "audit.invalidDate": "{field} には ISO 8601 形式の日時を指定してください。",
+    "audit.invalidFormat": "format には json または jsonl を指定してください。",
+    "audit.loadFailed": "監査ログを取得できませんでした。",
+    "audit.verifyFailed": "監査ログを検証できませんでした。",
+    "preferences.invalidLocale": "locale には ja または en を指定してください。",
+    "preferences.invalidReplyLanguage": "replyLanguage には ja / en / both のいずれかを指定してください。",
+    "preferences.saveFailed": "表示設定を保存できませんでした。",
+    "request.tooLarge": "リクエストが大きすぎます（上限 {limit}）。会話履歴や入力を短くしてください。",
+    "request.invalidJson": "リクエストの JSON を解析できませんでした。",
+    "limits.rateLimited": "短時間にリクエストが集中しています。{wait}ほど待ってから再度お試しください。",
+    "limits.waitSeconds": "{count} 秒",
+    "limits.waitMinutes": "{count} 分",
+    "limits.historyNotArray": "history は配列で指定してください。",
+    "limits.historyTooLong": "会話履歴が長すぎます（最大 {max} 件）。新しい相談として始めてください。",
+    "limits.historyTooManyChars": "会話履歴の文字数が上限（{max} 文字）を超えています。新しい相談として始めてください。",
+    "budget.dailyExceeded": "本日のトークン利用上限（{limit} トークン）に達しました。明日以降に再度ご利用いただくか、管理者にご相談ください。",
+    "budget.monthlyExceeded": "今月のトークン利用上限（{limit} トークン）に達しました。来月以降に再度ご利用いただくか、管理者にご相談ください。",
+    "budget.used": "利用済み: {used} トークン",
+    "attachments.tooLarge": "1 ファイルあたりの上限（{limit}）を超えています。",
+    "attachments.tooMany": "一度に添付できるのは {max} ファイルまでです。",
+    "attachments.receiveFailed": "添付ファイルを受信できませんでした。",
+    "attachments.filesRequired": "files フィールドにファイルを指定してください。",
+    "attachments.unsupported": "{name} は添付できない形式です。対応形式: {accepted}",
+    "attachments.saveFailed": "添付ファイルを保存できませんでした。",
+    "attachments.notFound": "指定された添付ファイルが見つかりません。",
+    "attachments.loadFailed": "添付ファイルを取得できませんでした。",
+    "attachments.missing": "添付ファイルが見つかりません。もう一度添付し直してください。",
+    "knowledge.notFound": "指定された文書が見つかりません。",
+    "knowledge.loadFailed": "文書を取得できませんでした。",
+    "knowledge.listFailed": "ナレッジ文書の一覧を取得できませんでした。",
+    "knowledge.unsupportedFormat": "対応しているファイル形式は {extensions} です。",
+    "knowledge.emptyContent": "ファイルの内容が空です。",
+    "knowledge.noText": "本文を抽出できませんでした。ファイルの内容を確認してください。",
+    "knowledge.addFailed": "ナレッジ文書を登録できませんでした。",
+    "knowledge.deleteFailed": "ナレッジ文書を削除できませんでした。",
+    "caseFiles.loadFailed": "ケースファイルを取得できませんでした。",
+    "caseFiles.invalid": "ケースファイルの入力内容を確認してください。",
+    "caseFiles.saveFailed": "ケースファイルを保存できませんでした。",
+    "caseFiles.notFound": "指定されたケースファイルが見つかりません。",
+    "caseFiles.deleteFailed": "ケースファイルを削除できませんでした。",
+    "conversations.createFailed": "会話を作成できませんでした。",
+    "conversations.listFailed": "会話履歴を取得できませんでした。",
+    "conversations.notFound": "指定された会話が見つかりません。",
+    "conversations.caseFileIdRequired": "caseFileId フィールドを指定してください。",
+    "conversations.updateFailed": "会話を更新できませんでした。",
+    "conversations.deleteFailed": "会話を削除できませんでした。",
+    "export.invalidFormat": "format には markdown / html / json のいずれかを指定してください。",
+    "export.failed": "レポートを出力できませんでした。",
+    "tasks.invalidDone": "done は true または false で指定してください。",
+    "tasks.ownerRequired": "担当（ownerRole）を入力してください。",
+    "tasks.notFound": "指定されたアクションプランまたはタスクが見つかりません。",
+    "tasks.updateFailed": "タスクを更新できませんでした。",
+    "feedback.invalidRating": "rating には up または down を指定してください。",
+    "feedback.invalidCategory": "categories には legal-inaccuracy / not-actionable / too-long のみ指定できます。",
+    "feedback.invalidComment": "comment は文字列で指定してください。",
+    "feedback.replyNotFound": "評価対象の回答が見つかりません。",
+    "feedback.conversationRequired": "conversationId を指定してください。",
+    "feedback.saveFailed": "フィードバックを保存できませんでした。",
+    "feedback.loadFailed": "フィードバックを取得できませんでした。",
+    "feedback.invalidRatingFilter": "rating には up / down / all のいずれかを指定してください。",
+    "feedback.invalidCategoryFilter": "category には {categories} のいずれかを指定してください。",
+    "feedback.invalidFormat": "format には json または jsonl を指定してください。",
+    "chat.messageRequired": "message フィールドを入力してください。",
+    "chat.messageTooLong": "メッセージが長すぎます（最大 {max} 文字）。要点を分けて送信してください。",
+    "chat.invalidMode": "mode には chat、action-plan、risk-assessment のいずれかを指定してください。",
+    "chat.invalidRiskAssessment": "リスクアセスメントの入力内容を確認してください。",
+    "chat.invalidAttachmentIds": "attachmentIds は文字列の配列で指定してください。",
+    "chat.unknownProfile": "指定されたプロファイル ({id}) は存在しません。",
+    "chat.notConfigured": "{settings} が設定されていません。Render の環境変数に API キーなどの接続情報を登録してください。",
+    "chat.serverError": "サーバー側でエラーが発生しました。",
+    "chat.nothingToContinue": "続きを生成できるのは、生成上限で途切れた最新の回答だけです。",
+    "exercises.scenarioNotFound": "指定された演習シナリオが見つかりません。",
+    "exercises.notFound": "指定された演習が見つかりません。",
+    "exercises.loadFailed": "演習を取得できませんでした。",
+    "exercises.saveFailed": "演習を保存できませんでした。",
+    "exercises.finished": "この演習はすでに終了しています。",
+    "exercises.awaitingDebrief": "すべての状況付与に対応済みです。講評を受けて演習を終了してください。",
+    "exercises.nothingToDebrief": "講評の前に、少なくとも 1 回は状況付与に対応してください。",
+    "exercises.conflict": "演習の状態が別の操作で更新されました。画面を読み込み直してください。",
+    "exercises.evaluationFailed": "演習の採点結果を読み取れませんでした。もう一度送信してください。",
+    "exercises.debriefFailed": "講評レポートを作成できませんでした。",
+    "drafts.templateNotFound": "指定された文書テンプレートが見つかりません。",
+    "drafts.notFound": "指定された文書ドラフトが見つかりません。",
+    "drafts.versionNotFound": "指定された版が見つかりません。",
+    "drafts.conversationRequired": "conversationId を指定してください。",
+    "drafts.loadFailed": "文書ドラフトを取得できませんでした。",
+    "drafts.saveFailed": "文書ドラフトを保存できませんでした。",
+    "drafts.textRequired": "文書の本文を入力してください。",
+    "drafts.textTooLong": "文書が長すぎます（最大 {max} 文字）。",
+    "drafts.unchanged": "最新の版から変更されていません。",
+    "drafts.instructionRequired": "修正指示を入力してください。",
+    "drafts.conflict": "別の操作で新しい版が追加されました。最新の版を確認してから、もう一度操作してください。",
+    "drafts.emptyReply": "文書の文案を取得できませんでした。もう一度お試しください。",
+    "drafts.invalidFormat": "format には markdown / html のいずれかを指定してください。",
+    "redaction.loadFailed": "機密用語を取得できませんでした。",
+    "redaction.invalidTerms": "機密用語を保存できません。",
+    "redaction.saveFailed": "機密用語を保存できませんでした。",
+    "llm.callFailed": "{label} の呼び出しに失敗しました ({status})",
+    "llm.emptyReply": "{label} から有効な回答を取得できませんでした。",
+    "llm.stoppedBecause": "生成が停止された理由: {reason}",
+    "llm.noText": "レスポンスにテキストが含まれていませんでした。",
+    "llm.streamFailed": "{label} からのストリーミング中にエラーが発生しました。",
+    "notice.answered": "{model} で応答しました。",
+    "notice.truncated": "{model} で応答しました（生成上限に達したため途中まで）。",
+    "notice.fallback": "指定モデル {requested} が利用できなかったため、{model} で回答しました。",
+    "notice.continued": " 生成上限で途切れたため、続きを {count} 回生成してつなげました。",
+    "notice.attempts": " 試行経過: {attempts}",
+    "notice.actionPlanFallback": " アクションプラン形式の検証に失敗したため、通常の形式で表示しています。",
+    "attempt.ok": "成功",
+    "attempt.timedOut": "タイムアウト",
+    "attempt.networkError": "接続エラー"
+  },
+  en: {
+    "auth.loginRequired": "You need to sign in. Please sign in again.",
+    "auth.forbidden": "You do not have permission to perform this action.",
+    "auth.credentialsRequired": "Enter your username and password.",
+    "auth.invalidCredentials": "The username or password is incorrect.",
+    "auth.loginFailed": "Sign-in failed.",
+    "users.loadFailed": "The user list could not be loaded.",
+    "users.invalidRole": "role must be one of {roles}.",
+    "users.usernameTaken": "The username {username} is already taken.",
+    "users.createFailed": "The user could not be created.",
+    "users.noChanges": "Provide a field to change (role / disabled / displayName).",
+    "users.notFound": "The requested user was not found.",
+    "users.cannotDemoteSelf": "You cannot remove your own admin role or disable your own account.",
+    "users.lastAdmin": "At least one active admin is required.",
+    "users.updateFailed": "The user could not be updated.",
+    "users.passwordResetFailed": "The password could not be reset.",
+    "audit.invalidDate": "{field} must be an ISO 8601 date and time.",
+    "audit.invalidFormat": "format must be json or jsonl.",
+    "audit.loadFailed": "The audit log could not be loaded.",
+    "audit.verifyFailed": "The audit log could not be verified.",
+    "preferences.invalidLocale": "locale must be ja or en.",
+    "preferences.invalidReplyLanguage": "replyLanguage must be ja, en or both.",
+    "preferences.saveFailed": "Your language settings could not be saved.",
+    "request.tooLarge": "The request is too large (limit {limit}). Shorten the conversation history or your input.",
+    "request.invalidJson": "The request JSON could not be parsed.",
+    "limits.rateLimited": "Too many requests in a short time. Please wait about {wait} and try again.",
+    "limits.waitSeconds": "{count} s",
+    "limits.waitMinutes": "{count} min",
+    "limits.historyNotArray": "history must be an array.",
+    "limits.historyTooLong": "The conversation history is too long (max {max} turns). Please start a new consultation.",
+    "limits.historyTooManyChars": "The conversation history exceeds {max} characters. Please start a new consultation.",
+    "budget.dailyExceeded": "You have reached today's token limit ({limit} tokens). Try again tomorrow or contact an administrator.",
+    "budget.monthlyExceeded": "You have reached this month's token limit ({limit} tokens). Try again next month or contact an administrator.",
+    "budget.used": "Used: {used} tokens",
+    "attachments.tooLarge": "A file exceeds the per-file limit ({limit}).",
+    "attachments.tooMany": "You can attach up to {max} files at a time.",
+    "attachments.receiveFailed": "The attachments could not be received.",
+    "attachments.filesRequired": "Provide files in the files field.",
+    "attachments.unsupported": "{name} is not a supported file type. Supported: {accepted}",
+    "attachments.saveFailed": "The attachments could not be saved.",
+    "attachments.notFound": "The requested attachment was not found.",
+    "attachments.loadFailed": "The attachment could not be loaded.",
+    "attachments.missing": "An attachment could not be found. Please attach the file again.",
+    "knowledge.notFound": "The requested document was not found.",
+    "knowledge.loadFailed": "The document could not be loaded.",
+    "knowledge.listFailed": "The knowledge documents could not be listed.",
+    "knowledge.unsupportedFormat": "Supported file types are {extensions}.",
+    "knowledge.emptyContent": "The file is empty.",
+    "knowledge.noText": "No text could be extracted. Check the contents of the file.",
+    "knowledge.addFailed": "The knowledge document could not be added.",
+    "knowledge.deleteFailed": "The knowledge document could not be deleted.",
+    "caseFiles.loadFailed": "Case files could not be loaded.",
+    "caseFiles.invalid": "Please check the case file fields.",
+    "caseFiles.saveFailed": "The case file could not be saved.",
+    "caseFiles.notFound": "The requested case file was not found.",
+    "caseFiles.deleteFailed": "The case file could not be deleted.",
+    "conversations.createFailed": "The conversation could not be created.",
+    "conversations.listFailed": "The conversation history could not be loaded.",
+    "conversations.notFound": "The requested conversation was not found.",
+    "conversations.caseFileIdRequired": "Provide the caseFileId field.",
+    "conversations.updateFailed": "The conversation could not be updated.",
+    "conversations.deleteFailed": "The conversation could not be deleted.",
+    "export.invalidFormat": "format must be markdown, html or json.",
+    "export.failed": "The report could not be exported.",
+    "tasks.invalidDone": "done must be true or false.",
+    "tasks.ownerRequired": "Enter an owner (ownerRole).",
+    "tasks.notFound": "The requested action plan or task was not found.",
+    "tasks.updateFailed": "The task could not be updated.",
+    "feedback.invalidRating": "rating must be up or down.",
+    "feedback.invalidCategory": "categories may only contain legal-inaccuracy, not-actionable or too-long.",
+    "feedback.invalidComment": "comment must be a string.",
+    "feedback.replyNotFound": "The reply to rate was not found.",
+    "feedback.conversationRequired": "Provide conversationId.",
+    "feedback.saveFailed": "The feedback could not be saved.",
+    "feedback.loadFailed": "The feedback could not be loaded.",
+    "feedback.invalidRatingFilter": "rating must be up, down or all.",
+    "feedback.invalidCategoryFilter": "category must be one of {categories}.",
+    "feedback.invalidFormat": "format must be json or jsonl.",
+    "chat.messageRequired": "Enter a message.",
+    "chat.messageTooLong": "The message is too long (max {max} characters). Please split it into smaller parts.",
+    "chat.invalidMode": "mode must be chat, action-plan or risk-assessment.",
+    "chat.invalidRiskAssessment": "Please check the risk assessment fields.",
+    "chat.invalidAttachmentIds": "attachmentIds must be an array of strings.",
+    "chat.unknownProfile": "The profile {id} does not exist.",
+    "chat.notConfigured": "{settings} is not configured. Register the API key and connection settings as environment variables on Render.",
+    "chat.serverError": "A server error occurred.",
+    "chat.nothingToContinue": "Only the latest reply that was cut off at the output limit can be continued.",
+    "exercises.scenarioNotFound": "The exercise scenario was not found.",
+    "exercises.notFound": "The exercise was not found.",
+    "exercises.loadFailed": "The exercise could not be loaded.",
+    "exercises.saveFailed": "The exercise could not be saved.",
+    "exercises.finished": "This exercise has already ended.",
+    "exercises.awaitingDebrief": "Every inject has been answered. Request the debrief to finish the exercise.",
+    "exercises.nothingToDebrief": "Respond to at least one inject before requesting the debrief.",
+    "exercises.conflict": "The exercise was updated elsewhere. Please reload the page.",
+    "exercises.evaluationFailed": "The exercise scores could not be read. Please send your response again.",
+    "exercises.debriefFailed": "The debrief report could not be written.",
+    "drafts.templateNotFound": "The document template was not found.",
+    "drafts.notFound": "The draft was not found.",
+    "drafts.versionNotFound": "The requested version was not found.",
+    "drafts.conversationRequired": "Specify a conversationId.",
+    "drafts.loadFailed": "The drafts could not be loaded.",
+    "drafts.saveFailed": "The draft could not be saved.",
+    "drafts.textRequired": "Enter the text of the document.",
+    "drafts.textTooLong": "The document is too long (up to {max} characters).",
+    "drafts.unchanged": "Nothing has changed since the latest version.",
+    "drafts.instructionRequired": "Enter a revision instruction.",
+    "drafts.conflict": "A newer version was added elsewhere. Check the latest version and try again.",
+    "drafts.emptyReply": "No draft text was received. Please try again.",
+    "drafts.invalidFormat": "format must be markdown or html.",
+    "redaction.loadFailed": "The confidential terms could not be loaded.",
+    "redaction.invalidTerms": "The confidential terms cannot be saved.",
+    "redaction.saveFailed": "The confidential terms could not be saved.",
+    "llm.callFailed": "The call to {label} failed ({status})",
+    "llm.emptyReply": "No usable answer was received from {label}.",
+    "llm.stoppedBecause": "Generation stopped because: {reason}",
+    "llm.noText": "The response contained no text.",
+    "llm.streamFailed": "An error occurred while streaming from {label}.",
+    "notice.answered": "Answered by {model}.",
+    "notice.truncated": "Answered by {model} (cut off at the output limit).",
+    "notice.fallback": "{requested} was unavailable, so {model} answered instead.",
+    "notice.continued": " The reply hit the output limit, so it was continued {count} time(s).",
+    "notice.attempts": " Attempts: {attempts}",
+    "notice.actionPlanFallback": " The action plan did not pass validation, so it is shown in the regular format.",
+    "attempt.ok": "succeeded",
+    "attempt.timedOut": "timed out",
+    "attempt.networkError": "connection error"
+  }
+};
+
+// A saved preference wins over the browser's Accept-Language header.
+export const resolveLocale = (req) =>
+  normalizeLocale(req.user?.locale) || negotiateLocale(req.headers["accept-language"]);
+
+// Runs before authentication, so the locale is resolved on each call and
+// picks up the user's preference once req.user is set.
+export const localize = (req, _res, next) => {
+  req.t = (key, params) => translate(SERVER_MESSAGES, resolveLocale(req), key, params);
+  next();
+};
+
+// Appended last to the system prompt so it overrides any language mentioned
+// in the profile instructions. Action plans are JSON, so "both" puts the
+// English translation after the Japanese inside each text field instead.
+const REPLY_LANGUAGE_INSTRUCTIONS = {
+  ja: "【回答言語】\n回答は日本語で記述してください。",
+  en: [
+    "[Reply language]",
+    "Write the entire answer in English, even though the instructions above are written in Japanese.",
+    "When naming Japanese statutes or agencies, give the English name followed by the Japanese original in parentheses on first mention."
+  ].join("\n"),
+  both: [
+    "【回答言語】",
+    "回答は日本語と英語の両方で記述してください。まず日本語で回答全体を書き、続けて「## English」という見出しの下に同じ内容の英訳を記載してください。",
+    "英訳は海外の規制当局へそのまま転送できる正式な文体とし、数値・期限・固有名詞は日本語版と一致させてください。"
+  ].join("\n"),
+  bothStructured: [
+    "【回答言語】",
+    "JSON の各テキスト項目は、日本語の文の後に「 / 」で区切って同じ内容の英訳を続けてください。",
+    "英訳は海外の規制当局へそのまま転送できる正式な文体としてください。"
+  ].join("\n")
+};
+
+// Without a saved reply language the answer follows the display language.
+// A profile may pin its reply language (e.g. English-only correspondence);
+// the user's "both" still applies so replies can be checked in Japanese.
+export const resolveReplyLanguage = (req, profile) => {
+  const preferred = REPLY_LANGUAGES.includes(req.user?.replyLanguage) ? req.user.replyLanguage : resolveLocale(req);
+  return preferred === "both" ? "both" : profile?.replyLanguage || preferred;
+};
+
+export const replyLanguageInstruction = (language, { structured = false } = {}) =>
+  language === "both" && structured
+    ? REPLY_LANGUAGE_INSTRUCTIONS.bothStructured
+    : REPLY_LANGUAGE_INSTRUCTIONS[language] || REPLY_LANGUAGE_INSTRUCTIONS[DEFAULT_LOCALE];
@@ -0,0 +1,93 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+const idPattern = /^[A-Za-z0-9_-]{1,64}$/;
+
+export const isValidId = (id) => typeof id === "string" && idPattern.test(id);
+
+// One JSON document per file. Writes go through a temp file and rename so a
+// crash never leaves half a document behind, and updates to the same id are
+// queued so concurrent requests cannot overwrite each other's changes.
+export const createJsonCollection = (directory) => {
+  const queues = new Map();
+  let ready;
+
+  const ensureDirectory = () => {
+    ready ??= fs.mkdir(directory, { recursive: true });
+    return ready;
+  };
+
+  const filePath = (id) => path.join(directory, `${id}.json`);
+
+  const read = async (id) => {
+    if (!isValidId(id)) return undefined;
+    try {
+      return JSON.parse(await fs.readFile(filePath(id), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return undefined;
+      throw error;
+    }
+  };
+
+  const writeFile = async (id, document) => {
+    await ensureDirectory();
+    const target = filePath(id);
+    const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(document, null, 2), "utf8");
+    await fs.rename(temp, target);
+    return document;
+  };
+
+  const enqueue = (id, task) => {
+    const previous = queues.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    queues.set(id, next);
+    next.finally(() => {
+      if (queues.get(id) === next) queues.delete(id);
+    }).catch(() => {});
+    return next;
+  };
+
+  const write = (id, document) => {
+    if (!isValidId(id)) return Promise.reject(new Error(`Invalid document id: ${id}`));
+    return enqueue(id, () => writeFile(id, document));
+  };
+
+  // With `create`, a missing document is started from create() in the same
+  // queued step, so two first updates cannot both write a fresh document.
+  const update = (id, mutate, { create } = {}) => {
+    if (!isValidId(id)) return Promise.resolve(undefined);
+    return enqueue(id, async () => {
+      const current = (await read(id)) ?? create?.();
+      if (!current) return undefined;
+      const next = (await mutate(current)) ?? current;
+      return writeFile(id, next);
+    });
+  };
+
+  const list = async () => {
+    await ensureDirectory();
+    const entries = await fs.readdir(directory);
+    const ids = entries
+      .filter((name) => name.endsWith(".json"))
+      .map((name) => name.slice(0, -5))
+      .filter(isValidId);
+    const documents = await Promise.all(ids.map((id) => read(id).catch(() => undefined)));
+    return documents.filter(Boolean);
+  };
+
+  const remove = (id) => {
+    if (!isValidId(id)) return Promise.resolve(false);
+    return enqueue(id, async () => {
+      try {
+        await fs.unlink(filePath(id));
+        return true;
+      } catch (error) {
+        if (error.code === "ENOENT") return false;
+        throw error;
+      }
+    });
+  };
+
+  return { read, write, update, list, remove };
+};
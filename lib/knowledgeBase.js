@@ -0,0 +1,223 @@
+import crypto from "crypto";
+import { createBm25Index } from "./bm25.js";
+import { createJsonCollection } from "./jsonCollection.js";
+
+export const KNOWLEDGE_FORMATS = {
+  md: "markdown",
+  markdown: "markdown",
+  txt: "text",
+  text: "text",
+  htm: "html",
+  html: "html"
+};
+
+const CHUNK_TARGET = 700;
+const CHUNK_MAX = 1200;
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+// Headings are turned into Markdown-style "#" lines so chunking can track
+// the section a passage came from regardless of the source format.
+const htmlToText = (html) =>
+  decodeEntities(
+    html
+      .replace(/<(script|style|noscript|template)[\s\S]*?<\/\1>/gi, "")
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (_match, level, inner) =>
+        `\n\n${"#".repeat(Number(level))} ${inner.replace(/<[^>]+>/g, "").trim()}\n\n`)
+      .replace(/<li[^>]*>/gi, "\n- ")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|section|article|li|ul|ol|table|tr|blockquote|pre)>/gi, "\n\n")
+      .replace(/<\/t[dh]>/gi, " | ")
+      .replace(/<[^>]+>/g, "")
+  );
+
+export const extractText = (content, format) => {
+  const text = format === "html" ? htmlToText(content) : content;
+  return text.replace(/\r\n?/g, "\n").replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+};
+
+const splitLongBlock = (block) => {
+  if (block.length <= CHUNK_MAX) return [block];
+  const sentences = block.match(/[^。．！？!?\n]+[。．！？!?]?\n?/g) || [block];
+  const pieces = [];
+  let current = "";
+  sentences.forEach((sentence) => {
+    if (current && current.length + sentence.length > CHUNK_TARGET) {
+      pieces.push(current.trim());
+      current = "";
+    }
+    current += sentence;
+    while (current.length > CHUNK_MAX) {
+      pieces.push(current.slice(0, CHUNK_MAX));
+      current = current.slice(CHUNK_MAX);
+    }
+  });
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+};
+
+// Paragraphs are packed into chunks of roughly CHUNK_TARGET characters.
+// A heading always starts a new chunk and is remembered as its section.
+export const chunkText = (text) => {
+  const chunks = [];
+  let heading = "";
+  let buffer = [];
+  let length = 0;
+
+  const flush = () => {
+    const body = buffer.join("\n\n").trim();
+    if (body) chunks.push({ index: chunks.length, heading, text: body });
+    buffer = [];
+    length = 0;
+  };
+
+  text.split(/\n{2,}/).forEach((rawBlock) => {
+    const block = rawBlock.trim();
+    if (!block) return;
+
+    const headingMatch = block.match(/^(#{1,6})\s+(.+)$/m);
+    if (headingMatch && block.startsWith(headingMatch[0])) {
+      flush();
+      heading = headingMatch[2].trim();
+      const rest = block.slice(headingMatch[0].length).trim();
+      if (!rest) return;
+      splitLongBlock(rest).forEach((piece) => {
+        buffer.push(piece);
+        length += piece.length;
+        if (length >= CHUNK_TARGET) flush();
+      });
+      return;
+    }
+
+    splitLongBlock(block).forEach((piece) => {
+      if (length && length + piece.length > CHUNK_MAX) flush();
+      buffer.push(piece);
+      length += piece.length;
+      if (length >= CHUNK_TARGET) flush();
+    });
+  });
+
+  flush();
+  return chunks;
+};
+
+export const formatFromFileName = (fileName) => {
+  const extension = String(fileName || "").split(".").pop().toLowerCase();
+  return KNOWLEDGE_FORMATS[extension];
+};
+
+export const summarizeDocument = (document) => ({
+  id: document.id,
+  title: document.title,
+  fileName: document.fileName,
+  format: document.format,
+  chunkCount: document.chunks.length,
+  characters: document.characters,
+  uploadedBy: document.uploadedBy,
+  createdAt: document.createdAt
+});
+
+export const createKnowledgeBase = (directory) => {
+  const collection = createJsonCollection(directory);
+  let index;
+
+  // The index is rebuilt from disk lazily after any upload or removal.
+  const loadIndex = async () => {
+    index ??= collection.list().then((documents) =>
+      createBm25Index(
+        documents.flatMap((document) =>
+          document.chunks.map((chunk) => ({
+            documentId: document.id,
+            title: document.title,
+            chunkIndex: chunk.index,
+            heading: chunk.heading,
+            text: chunk.heading ? `${chunk.heading}\n${chunk.text}` : chunk.text,
+            passage: chunk.text
+          })))
+      ));
+    try {
+      return await index;
+    } catch (error) {
+      index = undefined;
+      throw error;
+    }
+  };
+
+  const add = async ({ title, fileName, format, content, uploadedBy }) => {
+    const text = extractText(content, format);
+    const chunks = chunkText(text);
+    const document = {
+      id: crypto.randomUUID(),
+      title,
+      fileName,
+      format,
+      characters: text.length,
+      chunks,
+      uploadedBy,
+      createdAt: new Date().toISOString()
+    };
+    await collection.write(document.id, document);
+    index = undefined;
+    return document;
+  };
+
+  const list = async () =>
+    (await collection.list())
+      .map(summarizeDocument)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const get = (id) => collection.read(id);
+
+  const remove = async (id) => {
+    const removed = await collection.remove(id);
+    if (removed) index = undefined;
+    return removed;
+  };
+
+  const search = async (query, options) =>
+    (await loadIndex()).search(query, options).map(({ item, score }) => ({
+      documentId: item.documentId,
+      title: item.title,
+      chunkIndex: item.chunkIndex,
+      heading: item.heading,
+      text: item.passage,
+      score: Math.round(score * 100) / 100
+    }));
+
+  return { add, list, get, remove, search };
+};
+
+export const formatSourcesForPrompt = (sources) => {
+  if (!sources?.length) return "";
+  const passages = sources.map((source) => {
+    const label = source.heading ? `${source.title} — ${source.heading}` : source.title;
+    return `[${source.number}] ${label}\n${source.text}`;
+  });
+  return [
+    "【参考資料（社内ナレッジベースからの抜粋）】",
+    "以下の資料に基づく記述には、該当する番号を [1] のように文末に付けて出典を示してください。",
+    "資料に記載のない事項を資料に基づくかのように書かず、資料と一般知識を区別してください。",
+    "",
+    passages.join("\n\n")
+  ].join("\n");
+};
+
+// What the client and stored turns keep about a source: enough to link back
+// to the passage without copying the passage itself into every turn.
+export const toCitation = ({ number, documentId, title, heading, chunkIndex }) => ({
+  number,
+  documentId,
+  title,
+  heading: heading || undefined,
+  chunkIndex
+});
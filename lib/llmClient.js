@@ -0,0 +1,196 @@
+import { logger } from "./logger.js";
+import { computeRetryDelay, isRetryable, parseRetryAfter, sleep } from "./retryPolicy.js";
+
+const ATTEMPT_LABELS = { ok: "成功", timedOut: "タイムアウト", networkError: "接続エラー" };
+
+const describeAttemptOutcome = (attempt, labels = ATTEMPT_LABELS) => {
+  if (attempt.ok) return labels.ok;
+  if (attempt.timedOut) return labels.timedOut;
+  if (attempt.networkError) return labels.networkError;
+  return String(attempt.status);
+};
+
+// A short, bounded label for metrics and logs: "ok", "timeout",
+// "network_error" or the HTTP status.
+const attemptOutcome = (attempt) => {
+  if (attempt.ok) return "ok";
+  if (attempt.timedOut) return "timeout";
+  if (attempt.networkError) return "network_error";
+  return String(attempt.status);
+};
+
+// About two characters per token for Japanese-heavy text, the same rough
+// ratio the usage budget falls back to.
+export const estimateRequestTokens = (request) => {
+  const parts = [...(request?.contents || []), request?.systemInstruction]
+    .flatMap((content) => content?.parts || []);
+  const characters = parts.reduce((sum, part) =>
+    sum + (typeof part?.text === "string" ? part.text.length : part ? JSON.stringify(part).length : 0), 0);
+  return Math.ceil(characters / 2);
+};
+
+export const formatAttempts = (attempts = [], labels = ATTEMPT_LABELS) =>
+  attempts.map((attempt) => `${attempt.model} (${describeAttemptOutcome(attempt, labels)})`).join(" → ");
+
+// Walks the configured provider/model chain in order. Each entry is retried
+// with backoff on timeouts, connection errors, 429 and 5xx; once retries are
+// exhausted (or on a 404) the next entry in the chain is tried. Other errors
+// such as 400 or 403 are returned to the caller straight away. onAttempt and
+// onFallback let the caller observe every call for metrics and health.
+export const createLlmClient = (chain, policy, { onAttempt, onFallback } = {}) => {
+  const available = () => chain.filter((entry) => entry.adapter.isConfigured);
+
+  const attemptOnce = async (entry, method, request, signal) => {
+    const controller = new AbortController();
+    const cancel = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", cancel, { once: true });
+    const timeoutDetail = `${policy.timeoutMs}ms 以内に応答がありませんでした。`;
+    let timer;
+    const arm = () => {
+      timer = setTimeout(() => controller.abort(), policy.timeoutMs);
+    };
+    const release = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", cancel);
+    };
+
+    // A stream keeps the attempt open until its body is read; the timeout
+    // restarts while waiting for each chunk, so a body that stalls after the
+    // headers is cut off too.
+    async function* watch(events) {
+      try {
+        for await (const event of events) {
+          clearTimeout(timer);
+          yield event;
+          arm();
+        }
+      } catch (error) {
+        if (controller.signal.aborted && !signal?.aborted) throw new Error(timeoutDetail);
+        throw error;
+      } finally {
+        release();
+      }
+    }
+
+    arm();
+    let outcome;
+    try {
+      outcome = await entry.adapter[method]({ model: entry.model, request, signal: controller.signal });
+    } catch (error) {
+      release();
+      if (signal?.aborted) throw error;
+      if (controller.signal.aborted) {
+        return { ok: false, status: 504, timedOut: true, detail: timeoutDetail };
+      }
+      return { ok: false, status: 502, networkError: true, detail: error.message };
+    }
+    if (!outcome.ok || !outcome.events) {
+      release();
+      return outcome;
+    }
+    return { ...outcome, events: watch(outcome.events) };
+  };
+
+  const run = async (method, request, { signal, log = logger } = {}) => {
+    const entries = available();
+    const attempts = [];
+    let failure;
+
+    for (const [index, entry] of entries.entries()) {
+      let result;
+
+      for (let retry = 0; ; retry += 1) {
+        const started = Date.now();
+        const outcome = await attemptOnce(entry, method, request, signal);
+        result = { ...outcome, model: entry.model, provider: entry.provider, label: entry.label };
+        onAttempt?.({
+          provider: entry.provider,
+          model: entry.model,
+          method,
+          ok: Boolean(result.ok),
+          outcome: attemptOutcome(result),
+          durationMs: Date.now() - started,
+          retried: retry > 0
+        });
+        attempts.push({
+          provider: entry.provider,
+          model: entry.model,
+          ok: result.ok,
+          status: result.status,
+          timedOut: result.timedOut,
+          networkError: result.networkError
+        });
+
+        if (result.ok || !isRetryable(result) || retry >= policy.maxRetries) break;
+
+        const delay = computeRetryDelay(retry, policy, {
+          retryAfterMs: parseRetryAfter(result.headers?.get?.("retry-after"))
+        });
+        if (delay === undefined) break;
+        log.warn("Model call failed, retrying", {
+          provider: entry.provider,
+          model: entry.model,
+          outcome: attemptOutcome(result),
+          delayMs: delay
+        });
+        await sleep(delay, signal);
+      }
+
+      if (result.ok) {
+        return { result, fallbackFrom: index > 0 ? entries[0].model : undefined, attempts };
+      }
+
+      if (failure) {
+        failure.detail += `\nFallback (${entry.model}) failed: ${result.detail}`;
+        failure.status = result.status;
+      } else {
+        failure = result;
+      }
+
+      const next = entries[index + 1];
+      if (!next || (result.status !== 404 && !isRetryable(result))) break;
+      log.warn("Model call failed, falling back", {
+        provider: entry.provider,
+        model: entry.model,
+        outcome: attemptOutcome(result),
+        fallback: `${next.provider}:${next.model}`
+      });
+      onFallback?.(entry.model, next.model);
+    }
+
+    return { result: failure, attempts };
+  };
+
+  // Asks the first configured provider that can count tokens, without
+  // retries or fallback; when none can, or the count fails, the prompt is
+  // estimated instead.
+  const countTokens = async (request, { signal, log = logger } = {}) => {
+    const entry = available().find((candidate) => candidate.adapter.countTokens);
+    if (entry) {
+      const result = await attemptOnce(entry, "countTokens", request, signal);
+      if (result.ok) return { totalTokens: result.totalTokens, provider: entry.provider, model: entry.model };
+      log.warn("Token count failed, estimating instead", {
+        provider: entry.provider,
+        model: entry.model,
+        outcome: attemptOutcome(result)
+      });
+    }
+    return { totalTokens: estimateRequestTokens(request), estimated: true };
+  };
+
+  const missingConfiguration = () => [
+    ...new Set(chain.filter((entry) => !entry.adapter.isConfigured).map((entry) => entry.adapter.missingConfiguration))
+  ];
+
+  const describe = () =>
+    chain.map(({ provider, model, adapter }) => ({ provider, model, configured: adapter.isConfigured }));
+
+  return {
+    generate: (request, options) => run("generate", request, options),
+    stream: (request, options) => run("stream", request, options),
+    countTokens,
+    isAvailable: () => available().length > 0,
+    missingConfiguration,
+    describe
+  };
+};
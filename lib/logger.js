@@ -0,0 +1,76 @@
+import { randomUUID } from "crypto";
+
+// One JSON object per line: {time, level, msg, ...fields}. warn and error go
+// to stderr, everything else to stdout.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const defaultWrite = (line, level) => {
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+const settings = { level: LEVELS.info, write: defaultWrite };
+
+export const configureLogger = ({ level, write } = {}) => {
+  if (level !== undefined) settings.level = LEVELS[String(level).toLowerCase()] ?? LEVELS.info;
+  if (write) settings.write = write;
+};
+
+const serialize = (_key, value) =>
+  value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value;
+
+const createLogger = (bindings) => {
+  const emit = (level) => (msg, fields) => {
+    if (LEVELS[level] < settings.level) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...bindings, ...fields };
+    settings.write(JSON.stringify(entry, serialize), level);
+  };
+
+  return {
+    debug: emit("debug"),
+    info: emit("info"),
+    warn: emit("warn"),
+    error: emit("error"),
+    child: (fields) => createLogger({ ...bindings, ...fields })
+  };
+};
+
+export const logger = createLogger({});
+
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+// An id set by a proxy in front of us is kept so logs can be joined up;
+// anything that does not look like an id is replaced.
+const isUsableRequestId = (value) => typeof value === "string" && /^[\w.:-]{1,128}$/.test(value);
+
+// Gives every request an id (echoed in X-Request-Id and in JSON error bodies)
+// and a child logger on req.log, and logs one line when the response closes.
+export const requestLogging = ({ onClose } = {}) => (req, res, next) => {
+  const started = process.hrtime.bigint();
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = isUsableRequestId(incoming) ? incoming : randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) =>
+    json(res.statusCode >= 400 && body && typeof body === "object" && !Array.isArray(body)
+      ? { ...body, requestId: req.id }
+      : body);
+
+  res.on("close", () => {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+    onClose?.(req, res, durationMs);
+    const { statusCode: status } = res;
+    const level = status >= 500 ? "error" : status >= 400 ? "warn" : req.originalUrl.startsWith("/api/") ? "info" : "debug";
+    req.log[level]("Request completed", {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status,
+      durationMs: Math.round(durationMs),
+      aborted: res.writableFinished ? undefined : true,
+      user: req.user?.username
+    });
+  });
+
+  next();
+};
@@ -0,0 +1,117 @@
+// A minimal Prometheus registry: counters and histograms with labels,
+// rendered in the text exposition format. Values live in memory and reset
+// when the process restarts.
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatLabels = (names, values, extra = "") => {
+  const pairs = names.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+const formatNumber = (value) => (Number.isFinite(value) ? String(value) : value > 0 ? "+Inf" : "-Inf");
+
+export const createMetricsRegistry = () => {
+  const families = [];
+
+  const register = (name, help, type, labelNames, render) => {
+    families.push({ name, help, type, render });
+    const series = new Map();
+    const keyOf = (labels = {}) => labelNames.map((label) => String(labels[label] ?? ""));
+    return { series, keyOf, labelNames };
+  };
+
+  const counter = (name, help, labelNames = []) => {
+    const family = register(name, help, "counter", labelNames, () =>
+      [...family.series.values()].map(({ values, count }) => `${name}${formatLabels(labelNames, values)} ${count}`));
+    return {
+      inc: (labels, amount = 1) => {
+        const values = family.keyOf(labels);
+        const key = JSON.stringify(values);
+        const entry = family.series.get(key) || { values, count: 0 };
+        entry.count += amount;
+        family.series.set(key, entry);
+      }
+    };
+  };
+
+  const histogram = (name, help, labelNames = [], buckets = [0.1, 0.5, 1, 2.5, 5, 10]) => {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const family = register(name, help, "histogram", labelNames, () =>
+      [...family.series.values()].flatMap(({ values, counts, sum, count }) => [
+        ...bounds.map((bound, index) =>
+          `${name}_bucket${formatLabels(labelNames, values, `le="${formatNumber(bound)}"`)} ${counts[index]}`),
+        `${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${count}`,
+        `${name}_sum${formatLabels(labelNames, values)} ${sum}`,
+        `${name}_count${formatLabels(labelNames, values)} ${count}`
+      ]));
+    return {
+      observe: (labels, value) => {
+        const values = family.keyOf(labels);
+        const key = JSON.stringify(values);
+        const entry = family.series.get(key) || { values, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        bounds.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+        family.series.set(key, entry);
+      }
+    };
+  };
+
+  const render = () =>
+    `${families
+      .flatMap(({ name, help, type, render: lines }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()])
+      .join("\n")}\n`;
+
+  return { counter, histogram, render };
+};
+
+// The application's own series. Label values are bounded: routes are the
+// Express route patterns, models come from configuration and finish reasons
+// from the provider's enum.
+export const createAppMetrics = () => {
+  const registry = createMetricsRegistry();
+  const httpRequests = registry.counter("http_requests_total", "HTTP requests by method, route and status.", ["method", "route", "status"]);
+  const httpDuration = registry.histogram(
+    "http_request_duration_seconds",
+    "Time until the response was closed, by method and route.",
+    ["method", "route"],
+    [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+  );
+  const llmDuration = registry.histogram(
+    "llm_request_duration_seconds",
+    "Latency of each upstream model call until its response (or first byte when streaming), by model and outcome.",
+    ["provider", "model", "method", "outcome"],
+    [0.25, 0.5, 1, 2, 5, 10, 20, 40, 90]
+  );
+  const llmRetries = registry.counter("llm_retries_total", "Upstream calls retried on the same model.", ["provider", "model"]);
+  const llmFallbacks = registry.counter("llm_fallbacks_total", "Times the next model in the chain was tried.", ["from", "to"]);
+  const finishReasons = registry.counter("llm_finish_reasons_total", "Replies by model and finishReason.", ["model", "reason"]);
+  const tokens = registry.counter("llm_tokens_total", "Tokens reported by the provider, by model and type.", ["model", "type"]);
+
+  // Requests no route matched (static files, 404s) share one label value.
+  const routeOf = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : "unmatched");
+
+  return {
+    render: registry.render,
+    recordRequest: (req, res, durationMs) => {
+      const route = routeOf(req);
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, durationMs / 1000);
+    },
+    recordAttempt: ({ provider, model, method, outcome, durationMs, retried }) => {
+      llmDuration.observe({ provider, model, method, outcome }, durationMs / 1000);
+      if (retried) llmRetries.inc({ provider, model });
+    },
+    recordFallback: (from, to) => llmFallbacks.inc({ from, to }),
+    recordReply: ({ model, finishReason, usage }) => {
+      finishReasons.inc({ model, reason: finishReason || "UNKNOWN" });
+      if (usage?.promptTokenCount) tokens.inc({ model, type: "prompt" }, usage.promptTokenCount);
+      if (usage?.candidatesTokenCount) tokens.inc({ model, type: "candidates" }, usage.candidatesTokenCount);
+    }
+  };
+};
@@ -0,0 +1,40 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELIZATION = 1;
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Stored as scrypt$N$r$p$salt$hash so the parameters can be raised later
+// without invalidating existing hashes.
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N: COST, r: BLOCK_SIZE, p: PARALLELIZATION });
+  return ["scrypt", COST, BLOCK_SIZE, PARALLELIZATION, salt.toString("base64"), hash.toString("base64")].join("$");
+};
+
+export const verifyPassword = async (password, stored) => {
+  if (typeof password !== "string" || typeof stored !== "string") return false;
+  const [scheme, cost, blockSize, parallelization, salt, hash] = stored.split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length, {
+    N: Number(cost),
+    r: Number(blockSize),
+    p: Number(parallelization)
+  });
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+export const validatePassword = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `パスワードは ${MIN_PASSWORD_LENGTH} 文字以上で入力してください。`;
+  }
+  return undefined;
+};
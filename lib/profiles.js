@@ -0,0 +1,85 @@
+import fs from "fs";
+import path from "path";
+import { LOCALES } from "../public/i18n.js";
+import { logger } from "./logger.js";
+
+const DEFAULT_GENERATION_CONFIG = {
+  temperature: 0.7,
+  topK: 40,
+  topP: 0.9,
+  maxOutputTokens: 1536
+};
+
+const GENERATION_CONFIG_KEYS = ["temperature", "topK", "topP", "maxOutputTokens"];
+
+const normalizeProfile = (raw, fileName) => {
+  const id = typeof raw?.id === "string" && raw.id.trim() ? raw.id.trim() : path.basename(fileName, ".json");
+  const instructions = Array.isArray(raw?.instructions) ? raw.instructions.join("\n") : raw?.instructions;
+
+  if (typeof instructions !== "string" || !instructions.trim()) {
+    throw new Error(`Profile ${fileName} has no instructions`);
+  }
+
+  const generationConfig = { ...DEFAULT_GENERATION_CONFIG };
+  GENERATION_CONFIG_KEYS.forEach((key) => {
+    const value = Number(raw?.generationConfig?.[key]);
+    if (raw?.generationConfig?.[key] !== undefined && Number.isFinite(value)) {
+      generationConfig[key] = value;
+    }
+  });
+
+  return {
+    id,
+    name: typeof raw?.name === "string" && raw.name.trim() ? raw.name.trim() : id,
+    description: typeof raw?.description === "string" ? raw.description.trim() : "",
+    isDefault: raw?.default === true,
+    instructions: instructions.trim(),
+    // Pins the reply language for profiles whose output only makes sense in
+    // one language; otherwise the user's setting applies.
+    replyLanguage: LOCALES.includes(raw?.replyLanguage) ? raw.replyLanguage : undefined,
+    generationConfig
+  };
+};
+
+// Profiles are read once at startup; a malformed file is skipped with a
+// warning rather than taking the whole advisor offline.
+export const loadProfiles = (directory) => {
+  let fileNames = [];
+  try {
+    fileNames = fs.readdirSync(directory).filter((name) => name.endsWith(".json")).sort();
+  } catch (error) {
+    logger.warn("Could not read the profiles directory", { directory, error: error.message });
+  }
+
+  const profiles = new Map();
+  fileNames.forEach((fileName) => {
+    try {
+      const raw = JSON.parse(fs.readFileSync(path.join(directory, fileName), "utf8"));
+      const profile = normalizeProfile(raw, fileName);
+      if (profiles.has(profile.id)) {
+        logger.warn("Duplicate profile id ignored", { id: profile.id, fileName });
+        return;
+      }
+      profiles.set(profile.id, profile);
+    } catch (error) {
+      logger.warn("Skipping an invalid profile", { fileName, error: error.message });
+    }
+  });
+
+  const defaultProfile = [...profiles.values()].find((profile) => profile.isDefault)
+    || profiles.values().next().value;
+
+  const get = (id) => (id === undefined || id === null || id === "" ? defaultProfile : profiles.get(id));
+
+  const list = () =>
+    [...profiles.values()].map(({ id, name, description, replyLanguage, generationConfig }) => ({
+      id,
+      name,
+      description,
+      isDefault: id === defaultProfile?.id,
+      replyLanguage: replyLanguage || null,
+      generationConfig
+    })).sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+
+  return { get, list, defaultProfile };
+};
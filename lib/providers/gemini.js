@@ -0,0 +1,78 @@
+import { readServerSentEvents } from "./sse.js";
+
+const DEFAULT_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
+
+export const createGeminiProvider = ({ apiKey, baseUrl = DEFAULT_BASE_URL } = {}) => {
+  const endpoint = (model, method, query = "") =>
+    `${baseUrl.replace(/\/+$/, "")}/models/${encodeURIComponent(model)}:${method}?${query}key=${apiKey}`;
+
+  const post = (url, request, signal) =>
+    fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(request),
+      signal
+    });
+
+  const generate = async ({ model, request, signal }) => {
+    const response = await post(endpoint(model, "generateContent"), request, signal);
+    const text = await response.text();
+
+    if (!response.ok) {
+      return { ok: false, status: response.status, detail: text, headers: response.headers };
+    }
+
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch {
+      data = {};
+    }
+    return { ok: true, data };
+  };
+
+  const stream = async ({ model, request, signal }) => {
+    const response = await post(endpoint(model, "streamGenerateContent", "alt=sse&"), request, signal);
+
+    if (!response.ok) {
+      const text = await response.text();
+      return { ok: false, status: response.status, detail: text, headers: response.headers };
+    }
+
+    return { ok: true, events: readServerSentEvents(response.body) };
+  };
+
+  // Counts the prompt as generateContent would see it, system instruction
+  // and tool declarations included.
+  const countTokens = async ({ model, request, signal }) => {
+    const response = await post(endpoint(model, "countTokens"), {
+      generateContentRequest: { model: `models/${model}`, ...request }
+    }, signal);
+    const text = await response.text();
+
+    if (!response.ok) {
+      return { ok: false, status: response.status, detail: text, headers: response.headers };
+    }
+
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch {
+      data = {};
+    }
+    const totalTokens = Number(data.totalTokens);
+    return Number.isFinite(totalTokens)
+      ? { ok: true, totalTokens }
+      : { ok: false, status: 502, detail: "countTokens の応答に totalTokens がありません。" };
+  };
+
+  return {
+    name: "gemini",
+    label: "Gemini API",
+    isConfigured: Boolean(apiKey),
+    missingConfiguration: "GOOGLE_API_KEY",
+    generate,
+    stream,
+    countTokens
+  };
+};
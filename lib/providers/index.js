@@ -0,0 +1,52 @@
+import { createGeminiProvider } from "./gemini.js";
+import { createMockProvider } from "./mock.js";
+import { createOpenAiProvider } from "./openai.js";
+
+// Parses `provider:model` pairs such as
+// "gemini:gemini-2.5-pro,openai:llama3.1,mock:mock-advisor".
+export const parseProviderChain = (spec) =>
+  String(spec || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      if (separator === -1) {
+        throw new Error(`LLM_CHAIN entry "${entry}" must be written as provider:model`);
+      }
+      return { provider: entry.slice(0, separator).trim(), model: entry.slice(separator + 1).trim() };
+    });
+
+export const createProviders = (env = process.env) => ({
+  gemini: createGeminiProvider({
+    apiKey: env.GOOGLE_API_KEY,
+    baseUrl: env.GOOGLE_GEMINI_BASE_URL || undefined
+  }),
+  openai: createOpenAiProvider({
+    baseUrl: env.OPENAI_BASE_URL,
+    apiKey: env.OPENAI_API_KEY
+  }),
+  mock: createMockProvider()
+});
+
+export const resolveProviderChain = (env = process.env, providers = createProviders(env)) => {
+  const primaryModel = env.GOOGLE_GEMINI_MODEL || "gemini-2.5-pro";
+  const fallbackModel = env.GOOGLE_GEMINI_FALLBACK_MODEL || "gemini-1.5-flash-latest";
+  const entries = env.LLM_CHAIN
+    ? parseProviderChain(env.LLM_CHAIN)
+    : [
+      { provider: "gemini", model: primaryModel },
+      ...(fallbackModel !== primaryModel ? [{ provider: "gemini", model: fallbackModel }] : [])
+    ];
+
+  return entries.map((entry) => {
+    const provider = providers[entry.provider];
+    if (!provider) {
+      throw new Error(`Unknown LLM provider "${entry.provider}" in LLM_CHAIN`);
+    }
+    if (!entry.model) {
+      throw new Error(`LLM_CHAIN entry for ${entry.provider} has no model`);
+    }
+    return { ...entry, label: provider.label, adapter: provider };
+  });
+};
@@ -0,0 +1,181 @@
+const DIRECTIVE_PATTERN = /\[mock:([a-z]+)(?:=([^\]]+))?\]/gi;
+const CHUNK_SIZE = 24;
+
+const lastUserText = (request) => {
+  const contents = Array.isArray(request?.contents) ? request.contents : [];
+  const last = [...contents].reverse()
+    .find((content) => content.role === "user" && (content.parts || []).some((part) => typeof part?.text === "string"));
+  return (last?.parts || [])
+    .map((part) => (typeof part?.text === "string" ? part.text : ""))
+    .join("\n");
+};
+
+const countInlineParts = (request) =>
+  (request?.contents || []).flatMap((content) => content.parts || []).filter((part) => part?.inlineData).length;
+
+const readDirectives = (text) => {
+  const directives = {};
+  for (const match of text.matchAll(DIRECTIVE_PATTERN)) {
+    directives[match[1].toLowerCase()] = match[2] ?? true;
+  }
+  return directives;
+};
+
+const estimateTokens = (text) => Math.ceil(String(text || "").length / 2);
+
+const buildReply = (model, request, message) => {
+  const systemText = (request?.systemInstruction?.parts || []).map((part) => part.text || "").join("\n");
+  const config = request?.generationConfig || {};
+  const question = message.replace(DIRECTIVE_PATTERN, "").trim();
+  return [
+    `## モック応答（${model}）`,
+    "",
+    `受信した質問: ${question.length > 200 ? `${question.slice(0, 200)}…` : question}`,
+    "",
+    `- 会話履歴: ${Math.max((request?.contents?.length || 1) - 1, 0)} 件`,
+    `- システムプロンプト: ${systemText.length} 文字`,
+    `- 添付データ: ${countInlineParts(request)} 件`,
+    `- 生成設定: temperature ${config.temperature ?? "-"}, maxOutputTokens ${config.maxOutputTokens ?? "-"}`,
+    "",
+    "これはオフライン開発・テスト用の固定応答です。"
+  ].join("\n");
+};
+
+// JSON mode gets a small fixed action plan; `[mock:invalid]` breaks it so the
+// markdown fallback can be exercised.
+const buildJsonReply = (directives) => {
+  if (directives.invalid) return "{\"summary\": \"途中で途切れた";
+  return JSON.stringify({
+    summary: "モック応答によるアクションプランです。",
+    tasks: [
+      { title: "事故情報の社内共有", detail: "経営層と品質保証部へ第一報を入れる。", ownerRole: "品質保証部長", deadlineHours: 0, priority: "critical", stakeholder: "internal" },
+      { title: "消費者庁への重大製品事故報告", detail: "消費生活用製品安全法に基づき 10 日以内に報告する。", ownerRole: "法務責任者", deadlineHours: 240, priority: "high", stakeholder: "regulators" },
+      { title: "販売店への出荷停止連絡", detail: "", ownerRole: "営業部長", deadlineHours: 24, priority: "medium", stakeholder: "retailers" }
+    ]
+  });
+};
+
+const MOCK_TOOL_ARGS = {
+  calculate_reporting_deadline: { awarenessTime: "2026-10-01T09:00:00+09:00", jurisdiction: "JP" },
+  build_case_timeline: {
+    events: [
+      { time: "2026-10-01T08:30:00+09:00", description: "顧客から発煙の連絡", category: "incident" },
+      { time: "2026-10-01T15:00:00+09:00", description: "現品回収", category: "action" }
+    ],
+    awarenessTime: "2026-10-01T09:00:00+09:00",
+    jurisdiction: "JP"
+  }
+};
+
+const toolResponsesOf = (request) => {
+  const last = request?.contents?.[request.contents.length - 1];
+  return (last?.parts || []).filter((part) => part?.functionResponse).map((part) => part.functionResponse);
+};
+
+const declaresTool = (request, name) =>
+  (request?.tools || []).some((tool) => (tool.functionDeclarations || []).some((declaration) => declaration.name === name));
+
+// Deterministic stand-in for a real model. The reply depends only on the
+// request, and `[mock:...]` directives in the last user message simulate
+// upstream behaviour: `[mock:status=503]`, `[mock:finish=MAX_TOKENS]`,
+// `[mock:empty]`, `[mock:invalid]`, and `[mock:tool=<name>]` to request a
+// declared tool once before answering with its result.
+export const createMockProvider = () => {
+  const respond = (model, request) => {
+    const message = lastUserText(request);
+    const directives = readDirectives(message);
+    const status = Number(directives.status);
+
+    if (status >= 400) {
+      return {
+        ok: false,
+        status,
+        detail: JSON.stringify({ error: { message: `Mock provider returned ${status}` } }),
+        headers: new Headers()
+      };
+    }
+
+    const promptTokenCount = estimateTokens(JSON.stringify(request?.contents || []));
+    const toolResponses = toolResponsesOf(request);
+    const toolName = typeof directives.tool === "string" ? directives.tool : undefined;
+
+    if (toolName && !toolResponses.length && declaresTool(request, toolName)) {
+      return {
+        ok: true,
+        parts: [{ functionCall: { name: toolName, args: MOCK_TOOL_ARGS[toolName] || {} } }],
+        finishReason: "STOP",
+        usageMetadata: { promptTokenCount, candidatesTokenCount: 10, totalTokenCount: promptTokenCount + 10 }
+      };
+    }
+
+    const wantsJson = request?.generationConfig?.responseMimeType === "application/json";
+    const reply = wantsJson ? buildJsonReply(directives) : buildReply(model, request, message);
+    const toolSummary = toolResponses
+      .map((response) => `\n\n### ツール結果: ${response.name}\n\n\`\`\`json\n${JSON.stringify(response.response, null, 2)}\n\`\`\``)
+      .join("");
+    const text = directives.empty ? "" : `${reply}${toolSummary}`;
+    const finishReason = typeof directives.finish === "string" ? directives.finish.toUpperCase() : "STOP";
+    const candidatesTokenCount = estimateTokens(text);
+
+    return {
+      ok: true,
+      parts: text ? [{ text }] : [],
+      finishReason,
+      usageMetadata: {
+        promptTokenCount,
+        candidatesTokenCount,
+        totalTokenCount: promptTokenCount + candidatesTokenCount
+      }
+    };
+  };
+
+  const generate = async ({ model, request }) => {
+    const result = respond(model, request);
+    if (!result.ok) return result;
+    return {
+      ok: true,
+      data: {
+        candidates: [{
+          content: { role: "model", parts: result.parts },
+          finishReason: result.finishReason
+        }],
+        usageMetadata: result.usageMetadata
+      }
+    };
+  };
+
+  async function* chunks({ parts, finishReason, usageMetadata }) {
+    for (const part of parts) {
+      if (typeof part.text !== "string") {
+        yield { candidates: [{ content: { role: "model", parts: [part] } }] };
+        continue;
+      }
+      for (let index = 0; index < part.text.length; index += CHUNK_SIZE) {
+        yield { candidates: [{ content: { role: "model", parts: [{ text: part.text.slice(index, index + CHUNK_SIZE) }] } }] };
+      }
+    }
+    yield { candidates: [{ content: { role: "model", parts: [] }, finishReason }], usageMetadata };
+  }
+
+  const stream = async ({ model, request }) => {
+    const result = respond(model, request);
+    if (!result.ok) return result;
+    return { ok: true, events: chunks(result) };
+  };
+
+  // The same estimate the replies report as promptTokenCount.
+  const countTokens = async ({ request }) => ({
+    ok: true,
+    totalTokens: estimateTokens(JSON.stringify(request?.contents || []))
+  });
+
+  return {
+    name: "mock",
+    label: "モックプロバイダー",
+    isConfigured: true,
+    missingConfiguration: null,
+    generate,
+    stream,
+    countTokens
+  };
+};
@@ -0,0 +1,220 @@
+import { readServerSentEvents } from "./sse.js";
+
+const FINISH_REASONS = {
+  stop: "STOP",
+  length: "MAX_TOKENS",
+  content_filter: "SAFETY",
+  tool_calls: "STOP",
+  function_call: "STOP"
+};
+
+const partsToText = (parts) =>
+  (Array.isArray(parts) ? parts : [])
+    .map((part) => (typeof part?.text === "string" ? part.text : ""))
+    .filter(Boolean)
+    .join("\n");
+
+// Chat Completions takes images as data URLs; other inline data (PDFs) has no
+// portable equivalent, so it is replaced by a note the model can see.
+const toMessageContent = (parts) => {
+  const list = Array.isArray(parts) ? parts : [];
+  if (!list.some((part) => part?.inlineData)) return partsToText(list);
+  return list.map((part) => {
+    const inline = part?.inlineData;
+    if (inline?.mimeType?.startsWith("image/")) {
+      return { type: "image_url", image_url: { url: `data:${inline.mimeType};base64,${inline.data}` } };
+    }
+    if (inline) return { type: "text", text: `（${inline.mimeType} の添付はこのモデルでは読み取れません）` };
+    return { type: "text", text: typeof part?.text === "string" ? part.text : "" };
+  });
+};
+
+// Gemini schemas spell types in upper case; JSON Schema wants lower case.
+const toJsonSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== "object") return schema;
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+    key,
+    key === "type" && typeof value === "string" ? value.toLowerCase() : toJsonSchema(value)
+  ]));
+};
+
+const callId = (functionCall) => functionCall.id || `call_${functionCall.name}`;
+
+// Tool calls and their results become assistant tool_calls and "tool"
+// messages; everything else maps to a plain user or assistant message.
+const toMessages = (content) => {
+  const parts = Array.isArray(content.parts) ? content.parts : [];
+  const calls = parts.filter((part) => part?.functionCall);
+  const responses = parts.filter((part) => part?.functionResponse);
+
+  if (responses.length) {
+    return responses.map(({ functionResponse }) => ({
+      role: "tool",
+      tool_call_id: callId(functionResponse),
+      content: JSON.stringify(functionResponse.response ?? {})
+    }));
+  }
+
+  if (content.role === "model" && calls.length) {
+    return [{
+      role: "assistant",
+      content: partsToText(parts) || null,
+      tool_calls: calls.map(({ functionCall }) => ({
+        id: callId(functionCall),
+        type: "function",
+        function: { name: functionCall.name, arguments: JSON.stringify(functionCall.args ?? {}) }
+      }))
+    }];
+  }
+
+  return [{
+    role: content.role === "model" ? "assistant" : "user",
+    content: toMessageContent(parts)
+  }];
+};
+
+const parseArguments = (text) => {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return {};
+  }
+};
+
+const toFunctionCallParts = (toolCalls) =>
+  (toolCalls || []).map((call) => ({
+    functionCall: { id: call.id, name: call.function?.name, args: parseArguments(call.function?.arguments) }
+  }));
+
+// The rest of the server speaks the Gemini request/response shape, so this
+// provider translates to Chat Completions on the way out and back on the way in.
+export const toChatCompletionsRequest = (model, request) => {
+  const messages = [];
+  const systemText = partsToText(request.systemInstruction?.parts);
+  if (systemText) messages.push({ role: "system", content: systemText });
+
+  (request.contents || []).forEach((content) => messages.push(...toMessages(content)));
+
+  const config = request.generationConfig || {};
+  const body = { model, messages };
+  if (config.temperature !== undefined) body.temperature = config.temperature;
+  if (config.topP !== undefined) body.top_p = config.topP;
+  if (config.maxOutputTokens !== undefined) body.max_tokens = config.maxOutputTokens;
+  // Chat Completions has no equivalent of responseSchema; JSON mode plus the
+  // field list in the system prompt is the closest portable match.
+  if (config.responseMimeType === "application/json") body.response_format = { type: "json_object" };
+
+  const declarations = (request.tools || []).flatMap((tool) => tool.functionDeclarations || []);
+  if (declarations.length) {
+    body.tools = declarations.map((declaration) => ({
+      type: "function",
+      function: {
+        name: declaration.name,
+        description: declaration.description,
+        parameters: toJsonSchema(declaration.parameters)
+      }
+    }));
+  }
+  return body;
+};
+
+const toUsageMetadata = (usage) =>
+  usage
+    ? {
+      promptTokenCount: usage.prompt_tokens ?? 0,
+      candidatesTokenCount: usage.completion_tokens ?? 0,
+      totalTokenCount: usage.total_tokens ?? 0
+    }
+    : undefined;
+
+export const fromChatCompletionsResponse = (data) => ({
+  candidates: (data?.choices || []).map((choice) => ({
+    content: {
+      role: "model",
+      parts: [
+        ...(choice?.message?.content ? [{ text: choice.message.content }] : []),
+        ...toFunctionCallParts(choice?.message?.tool_calls)
+      ]
+    },
+    finishReason: FINISH_REASONS[choice?.finish_reason] || choice?.finish_reason || undefined
+  })),
+  usageMetadata: toUsageMetadata(data?.usage)
+});
+
+// Streamed tool calls arrive as fragments keyed by index; they are
+// assembled and emitted as whole functionCall parts with the finish reason.
+async function* toGeminiChunks(events) {
+  const pendingCalls = [];
+  for await (const event of events) {
+    const choice = event?.choices?.[0];
+    const text = choice?.delta?.content;
+    (choice?.delta?.tool_calls || []).forEach((fragment) => {
+      const call = (pendingCalls[fragment.index ?? 0] ??= { id: undefined, function: { name: "", arguments: "" } });
+      if (fragment.id) call.id = fragment.id;
+      if (fragment.function?.name) call.function.name += fragment.function.name;
+      if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+    });
+    const finishReason = choice?.finish_reason ? FINISH_REASONS[choice.finish_reason] || choice.finish_reason : undefined;
+    const calls = finishReason && pendingCalls.length ? toFunctionCallParts(pendingCalls.splice(0)) : [];
+    if (!text && !finishReason && !event?.usage) continue;
+    yield {
+      candidates: [{
+        content: { role: "model", parts: [...(text ? [{ text }] : []), ...calls] },
+        finishReason
+      }],
+      usageMetadata: toUsageMetadata(event?.usage)
+    };
+  }
+}
+
+export const createOpenAiProvider = ({ baseUrl, apiKey } = {}) => {
+  const post = (body, signal) =>
+    fetch(`${String(baseUrl).replace(/\/+$/, "")}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+  const generate = async ({ model, request, signal }) => {
+    const response = await post(toChatCompletionsRequest(model, request), signal);
+    const text = await response.text();
+
+    if (!response.ok) {
+      return { ok: false, status: response.status, detail: text, headers: response.headers };
+    }
+
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch {
+      data = {};
+    }
+    return { ok: true, data: fromChatCompletionsResponse(data) };
+  };
+
+  const stream = async ({ model, request, signal }) => {
+    const body = { ...toChatCompletionsRequest(model, request), stream: true, stream_options: { include_usage: true } };
+    const response = await post(body, signal);
+
+    if (!response.ok) {
+      const text = await response.text();
+      return { ok: false, status: response.status, detail: text, headers: response.headers };
+    }
+
+    return { ok: true, events: toGeminiChunks(readServerSentEvents(response.body)) };
+  };
+
+  return {
+    name: "openai",
+    label: "OpenAI 互換 API",
+    isConfigured: Boolean(baseUrl),
+    missingConfiguration: "OPENAI_BASE_URL",
+    generate,
+    stream
+  };
+};
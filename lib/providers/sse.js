@@ -0,0 +1,36 @@
+const parseEvent = (block) => {
+  const data = block
+    .split(/\r?\n/)
+    .filter((line) => line.startsWith("data:"))
+    .map((line) => line.slice(5).replace(/^ /, ""))
+    .join("\n");
+  if (!data) return undefined;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return undefined;
+  }
+};
+
+// Yields the JSON payload of every `data:` event in a fetch response body.
+// Non-JSON sentinels such as OpenAI's `[DONE]` are skipped.
+export async function* readServerSentEvents(stream) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of stream) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let boundary = buffer.search(/\r?\n\r?\n/);
+    while (boundary !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, "");
+      const event = parseEvent(block);
+      if (event) yield event;
+      boundary = buffer.search(/\r?\n\r?\n/);
+    }
+  }
+
+  buffer += decoder.decode();
+  const event = parseEvent(buffer);
+  if (event) yield event;
+}
@@ -0,0 +1,44 @@
+// Sliding-window counter kept in memory. Good enough for a single instance;
+// counts reset when the process restarts.
+export const createRateLimiter = ({ windowMs, max }) => {
+  const hits = new Map();
+
+  const prune = (now) => {
+    for (const [key, times] of hits) {
+      while (times.length && times[0] <= now - windowMs) times.shift();
+      if (!times.length) hits.delete(key);
+    }
+  };
+
+  let lastPrune = Date.now();
+
+  const recent = (key, now) => {
+    if (now - lastPrune > windowMs) {
+      prune(now);
+      lastPrune = now;
+    }
+    const times = hits.get(key) || [];
+    while (times.length && times[0] <= now - windowMs) times.shift();
+    return times;
+  };
+
+  // Says whether one more request would be allowed without counting it.
+  const check = (key, now = Date.now()) => {
+    if (!max) return { allowed: true };
+    const times = recent(key, now);
+    return times.length >= max
+      ? { allowed: false, retryAfterMs: times[0] + windowMs - now }
+      : { allowed: true, remaining: max - times.length };
+  };
+
+  const consume = (key, now = Date.now()) => {
+    const result = check(key, now);
+    if (!max || !result.allowed) return result;
+    const times = recent(key, now);
+    times.push(now);
+    hits.set(key, times);
+    return { allowed: true, remaining: max - times.length };
+  };
+
+  return { check, consume, windowMs, max };
+};
@@ -0,0 +1,228 @@
+import { createJsonCollection } from "./jsonCollection.js";
+
+// Personal data and confidential terms are swapped for placeholders such as
+// [NAME_1] before a prompt is sent to the model, and swapped back in the
+// reply. Each value keeps its placeholder for the whole request, so the
+// model can still tell that two mentions refer to the same person.
+export const REDACTION_TYPES = ["confidential", "email", "myNumber", "phone", "address", "name"];
+
+const PLACEHOLDER_LABELS = {
+  confidential: "CONFIDENTIAL",
+  email: "EMAIL",
+  myNumber: "MYNUMBER",
+  phone: "PHONE",
+  address: "ADDRESS",
+  name: "NAME"
+};
+
+export const REDACTION_INSTRUCTIONS = "入力中の [NAME_1] や [PHONE_1] のような角括弧の記号は、送信前に伏せた個人情報や機密情報です。中身を推測せず、回答で触れるときは同じ記号をそのまま使ってください。";
+
+const MAX_TERMS = 200;
+const MAX_TERM_LENGTH = 100;
+
+const DIGIT = "[0-9０-９]";
+const countDigits = (value) => (value.match(/[0-9０-９]/g) || []).length;
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const PREFECTURES = "北海道|青森県|岩手県|宮城県|秋田県|山形県|福島県|茨城県|栃木県|群馬県|埼玉県|千葉県|東京都|神奈川県|新潟県|富山県|石川県|福井県|山梨県|長野県|岐阜県|静岡県|愛知県|三重県|滋賀県|京都府|大阪府|兵庫県|奈良県|和歌山県|鳥取県|島根県|岡山県|広島県|山口県|徳島県|香川県|愛媛県|高知県|福岡県|佐賀県|長崎県|熊本県|大分県|宮崎県|鹿児島県|沖縄県";
+
+// 様 after 仕, 模, 同 ... is part of an ordinary word (仕様, 模様, 同様).
+const JAPANESE_HONORIFIC = "(?=さん|(?<![仕模同多異一各両諸有])様(?![子式相態々])|さま|氏(?!名)|くん|ちゃん|殿(?!堂)|先生)";
+
+// Words that take an honorific but are not names (お客様, 皆さん, 仕様 ...).
+const NOT_NAMES = new Set([
+  "客", "皆", "各位", "同", "貴", "神", "王", "奥", "各", "両", "諸", "上", "外",
+  "先方", "相手", "御社", "貴社", "弊社", "当社", "各社", "取引先", "旦那", "医師", "弁護士",
+  "ユーザー", "ユーザ", "メーカー", "オーナー", "クライアント", "ドライバー", "スタッフ", "ゲスト", "メンバー",
+  "パートナー", "ベンダー", "サプライヤー", "ディーラー", "カスタマー", "ファン", "ドクター", "ナース", "オペレーター"
+]);
+// Role words written straight before a name (被害者山田さん) are left visible.
+const ROLE_PREFIX = /^(?:被害者|患者|担当者|購入者|利用者|顧客|社員|従業員|医師|弁護士|部長|課長|係長|社長|主任|担当|故)+/;
+const ROLE_SUFFIX = /[者社員]$/;
+
+const refineJapaneseName = (value) => {
+  const name = value.replace(ROLE_PREFIX, "");
+  if (!name || NOT_NAMES.has(name) || ROLE_SUFFIX.test(name)) return undefined;
+  return { offset: value.length - name.length, value: name };
+};
+
+// Checked in this order; a match overlapping an earlier one is dropped.
+const DETECTORS = [
+  { type: "email", pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  {
+    type: "myNumber",
+    pattern: new RegExp(`(?<!${DIGIT})${DIGIT}{4}[-\\s]?${DIGIT}{4}[-\\s]?${DIGIT}{4}(?!${DIGIT})`, "g")
+  },
+  {
+    type: "phone",
+    pattern: new RegExp(`(?<![0-9０-９+])(?:\\+81[-\\s]?|[0０])${DIGIT}{1,4}[-－−‐\\s]?${DIGIT}{1,4}[-－−‐\\s]?${DIGIT}{3,4}(?!${DIGIT})`, "g"),
+    accept: (value) => {
+      const digits = countDigits(value);
+      return value.startsWith("+81") ? digits >= 11 && digits <= 12 : digits >= 10 && digits <= 11;
+    }
+  },
+  { type: "phone", pattern: /(?<![\d+])(?:\+1[-.\s]?)?(?:\(\d{3}\)\s?|\d{3}[-.\s])\d{3}[-.]\d{4}(?!\d)/g },
+  {
+    type: "address",
+    pattern: new RegExp(
+      `(?:〒\\s?${DIGIT}{3}[-－]?${DIGIT}{4}\\s*)?(?:${PREFECTURES})[一-龯々ヶケ]{1,8}?[市区町村郡][一-龯々ぁ-んァ-ヶー]*?${DIGIT}+(?:[-－−‐の]${DIGIT}+|丁目|番地?|号)*`,
+      "g"
+    )
+  },
+  { type: "address", pattern: new RegExp(`〒\\s?${DIGIT}{3}[-－]?${DIGIT}{4}`, "g") },
+  {
+    type: "address",
+    pattern: /\b\d{1,5}\s(?:[A-Z][a-z]+\s){1,3}(?:Street|St\.?|Avenue|Ave\.?|Road|Rd\.?|Boulevard|Blvd\.?|Lane|Ln\.?|Drive|Way|Court|Ct\.?)(?![A-Za-z])/g
+  },
+  {
+    type: "name",
+    pattern: new RegExp(`[一-龯々]{1,10}${JAPANESE_HONORIFIC}`, "g"),
+    refine: refineJapaneseName
+  },
+  {
+    type: "name",
+    pattern: new RegExp(`[ァ-ヶ][ァ-ヶー]+(?:[・＝][ァ-ヶ][ァ-ヶー]+)?${JAPANESE_HONORIFIC}`, "g"),
+    refine: refineJapaneseName
+  },
+  { type: "name", pattern: /(?<=\b(?:Mr|Mrs|Ms|Miss|Dr|Prof)\.?\s)[A-Z][a-zA-Z'-]+(?:\s[A-Z][a-zA-Z'-]+)?/g }
+];
+
+const PLACEHOLDER_PATTERN = /[[［]([A-Z]+_\d+)[\]］]/g;
+// Long enough for any placeholder; a stream holds back at most this much.
+const MAX_PLACEHOLDER_LENGTH = 24;
+
+const mapStrings = (value, transform) => {
+  if (typeof value === "string") return transform(value);
+  if (Array.isArray(value)) return value.map((item) => mapStrings(item, transform));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, transform)]));
+  }
+  return value;
+};
+
+// One redactor per request. `terms` are the admin's confidential terms,
+// matched case-insensitively; with `enabled: false` nothing is masked.
+export const createRedactor = ({ terms = [], enabled = true } = {}) => {
+  const entries = new Map();
+  const byPlaceholder = new Map();
+  const counters = {};
+  const termPattern = enabled && terms.length
+    ? new RegExp([...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|"), "gi")
+    : undefined;
+  const canonicalTerms = new Map(terms.map((term) => [term.toLowerCase(), term]));
+
+  const register = (type, value) => {
+    const key = type === "confidential" ? `confidential:${value.toLowerCase()}` : value;
+    let entry = entries.get(key);
+    if (!entry) {
+      counters[type] = (counters[type] || 0) + 1;
+      const placeholder = `[${PLACEHOLDER_LABELS[type]}_${counters[type]}]`;
+      entry = { placeholder, type, value: type === "confidential" ? canonicalTerms.get(value.toLowerCase()) || value : value };
+      entries.set(key, entry);
+      byPlaceholder.set(placeholder.slice(1, -1), entry);
+    }
+    return entry;
+  };
+
+  // Values already masked elsewhere in the request are masked wherever they
+  // appear, even without the honorific or context that found them first.
+  const knownValuePattern = () => {
+    const values = [...entries.keys()].filter((key) => !key.startsWith("confidential:"));
+    return values.length
+      ? new RegExp(values.sort((a, b) => b.length - a.length).map(escapeRegExp).join("|"), "g")
+      : undefined;
+  };
+
+  const findSpans = (text) => {
+    const spans = [];
+    const add = (start, value, type) => {
+      const end = start + value.length;
+      if (!value || spans.some((span) => start < span.end && end > span.start)) return;
+      spans.push({ start, end, value, type });
+    };
+
+    for (const match of termPattern ? text.matchAll(termPattern) : []) add(match.index, match[0], "confidential");
+    const known = knownValuePattern();
+    for (const match of known ? text.matchAll(known) : []) add(match.index, match[0], entries.get(match[0]).type);
+    for (const { type, pattern, accept, refine } of DETECTORS) {
+      for (const match of text.matchAll(pattern)) {
+        if (accept && !accept(match[0])) continue;
+        const refined = refine ? refine(match[0]) : { offset: 0, value: match[0] };
+        if (refined) add(match.index + refined.offset, refined.value, type);
+      }
+    }
+    return spans.sort((a, b) => a.start - b.start);
+  };
+
+  const redact = (text) => {
+    if (!enabled || typeof text !== "string" || !text) return text;
+    let output = "";
+    let position = 0;
+    for (const span of findSpans(text)) {
+      output += text.slice(position, span.start) + register(span.type, span.value).placeholder;
+      position = span.end;
+    }
+    return output + text.slice(position);
+  };
+
+  const restore = (text) =>
+    typeof text === "string" && entries.size
+      ? text.replace(PLACEHOLDER_PATTERN, (placeholder, key) => byPlaceholder.get(key)?.value ?? placeholder)
+      : text;
+
+  // Restores streamed text chunk by chunk. A chunk ending in what may be the
+  // start of a placeholder keeps that tail back until the next chunk.
+  const createStreamRestorer = () => {
+    let pending = "";
+    return {
+      push: (chunk) => {
+        pending += chunk;
+        const open = Math.max(pending.lastIndexOf("["), pending.lastIndexOf("［"));
+        const tail = open >= 0 ? pending.slice(open) : "";
+        const held = tail.length < MAX_PLACEHOLDER_LENGTH && /^[[［][A-Z_0-9]*$/.test(tail) ? tail : "";
+        const ready = pending.slice(0, pending.length - held.length);
+        pending = held;
+        return restore(ready);
+      },
+      flush: () => {
+        const rest = pending;
+        pending = "";
+        return restore(rest);
+      }
+    };
+  };
+
+  return {
+    redact,
+    restore,
+    redactValue: (value) => mapStrings(value, redact),
+    restoreValue: (value) => mapStrings(value, restore),
+    createStreamRestorer,
+    // What was masked so far, in the order it was found.
+    items: () => [...entries.values()].map((entry) => ({ ...entry }))
+  };
+};
+
+// Returns { errors, value } like the other normalizers.
+export const normalizeRedactionTerms = (input) => {
+  if (!Array.isArray(input) || input.some((term) => typeof term !== "string")) {
+    return { errors: ["terms には文字列の配列を指定してください。"], value: [] };
+  }
+  const terms = [...new Set(input.map((term) => term.trim()).filter(Boolean))];
+  const errors = [];
+  if (terms.length > MAX_TERMS) errors.push(`機密用語は ${MAX_TERMS} 件までです。`);
+  if (terms.some((term) => term.length > MAX_TERM_LENGTH)) errors.push(`機密用語は 1 件 ${MAX_TERM_LENGTH} 文字までです。`);
+  return { errors, value: terms };
+};
+
+// The admin-defined confidential terms, kept as a single document.
+export const createRedactionTermStore = (directory) => {
+  const collection = createJsonCollection(directory);
+
+  const get = async () => (await collection.read("terms")) || { terms: [], updatedAt: null, updatedBy: null };
+
+  const save = (terms, updatedBy) =>
+    collection.write("terms", { terms, updatedAt: new Date().toISOString(), updatedBy });
+
+  return { get, save };
+};
@@ -0,0 +1,235 @@
+import { escapeHtml, formatReply, TRUNCATION_NOTE } from "../public/markdown.js";
+
+const REPORT_TITLE = "製品リスク相談 対応記録";
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: "md", contentType: "text/markdown; charset=utf-8" },
+  html: { extension: "html", contentType: "text/html; charset=utf-8" },
+  json: { extension: "json", contentType: "application/json; charset=utf-8" }
+};
+
+const formatTimestamp = (value, timeZone) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleString("ja-JP", { timeZone, dateStyle: "medium", timeStyle: "short" });
+};
+
+// Pairs each user turn with the model turn that answered it. A user turn
+// without an answer (e.g. the request failed) is kept with an empty answer so
+// the record shows what was asked.
+const pairExchanges = (turns) => {
+  const exchanges = [];
+  turns.forEach((turn) => {
+    if (turn.role === "user") {
+      exchanges.push({ question: turn, answer: null });
+      return;
+    }
+    const last = exchanges[exchanges.length - 1];
+    if (last && !last.answer) {
+      last.answer = turn;
+    } else {
+      exchanges.push({ question: null, answer: turn });
+    }
+  });
+  return exchanges;
+};
+
+export const buildReport = (conversation, { caseFile, profileNames = {}, timeZone = "Asia/Tokyo", now = new Date() } = {}) => {
+  const exchanges = pairExchanges(conversation.turns).map(({ question, answer }, index) => ({
+    number: index + 1,
+    question: question && {
+      text: question.text,
+      askedBy: question.author?.displayName || question.author?.username || null,
+      createdAt: question.createdAt,
+      displayTime: formatTimestamp(question.createdAt, timeZone),
+      attachments: (question.attachments || []).map(({ fileName, mimeType, size, sha256 }) => ({ fileName, mimeType, size, sha256 }))
+    },
+    answer: answer && {
+      text: answer.text,
+      createdAt: answer.createdAt,
+      displayTime: formatTimestamp(answer.createdAt, timeZone),
+      model: answer.model || null,
+      notice: answer.notice || null,
+      finishReason: answer.finishReason || null,
+      truncated: answer.finishReason === "MAX_TOKENS",
+      profile: answer.profileId ? profileNames[answer.profileId] || answer.profileId : null,
+      sources: answer.sources || []
+    }
+  }));
+
+  const models = [...new Set(exchanges.map((exchange) => exchange.answer?.model).filter(Boolean))];
+
+  return {
+    title: REPORT_TITLE,
+    conversation: {
+      id: conversation.id,
+      title: conversation.title,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      displayCreatedAt: formatTimestamp(conversation.createdAt, timeZone),
+      displayUpdatedAt: formatTimestamp(conversation.updatedAt, timeZone)
+    },
+    caseFile: caseFile || null,
+    exportedAt: now.toISOString(),
+    displayExportedAt: formatTimestamp(now, timeZone),
+    timeZone,
+    models,
+    exchanges
+  };
+};
+
+const caseFileRows = (caseFile) => {
+  if (!caseFile) return [];
+  return [
+    ["案件名", caseFile.title],
+    ["製品名", caseFile.productName],
+    ["対象ロット", caseFile.lotNumbers?.join(", ")],
+    ["負傷者数", caseFile.injuryCount !== null && caseFile.injuryCount !== undefined ? `${caseFile.injuryCount} 名` : ""],
+    ["関係法域", caseFile.jurisdictions?.join(", ")],
+    ["初報日時", caseFile.firstReportedAt],
+    ["概要・補足", caseFile.summary]
+  ].filter(([, value]) => value);
+};
+
+const summaryRows = (report) => [
+  ["相談名", report.conversation.title],
+  ["相談開始", report.conversation.displayCreatedAt],
+  ["最終更新", report.conversation.displayUpdatedAt],
+  ["出力日時", `${report.displayExportedAt}（${report.timeZone}）`],
+  ["やり取り件数", `${report.exchanges.length} 件`],
+  ["使用モデル", report.models.join(", ") || "記録なし"]
+];
+
+const questionMeta = (question) =>
+  [question?.displayTime, question?.askedBy].filter(Boolean).join(" ・ ");
+
+const answerMetaLine = (answer) =>
+  [answer.profile && `アドバイザー: ${answer.profile}`, answer.model && `モデル: ${answer.model}`, answer.notice]
+    .filter(Boolean)
+    .join(" / ");
+
+const attachmentLabel = ({ fileName, size, sha256 }) =>
+  `${fileName}（${Math.max(1, Math.round(size / 1024))} KB, SHA-256 ${sha256}）`;
+
+const sourceLabel = (source) =>
+  `[${source.number}] ${source.title}${source.heading ? ` — ${source.heading}` : ""}`;
+
+export const renderMarkdownReport = (report) => {
+  const lines = [`# ${report.title}`, ""];
+  summaryRows(report).forEach(([label, value]) => lines.push(`- **${label}**: ${value}`));
+
+  const caseRows = caseFileRows(report.caseFile);
+  if (caseRows.length) {
+    lines.push("", "## ケースファイル", "");
+    caseRows.forEach(([label, value]) => lines.push(`- **${label}**: ${value}`));
+  }
+
+  lines.push("", "## 相談内容", "");
+  report.exchanges.forEach(({ number, question, answer }) => {
+    lines.push(`### Q${number}${questionMeta(question) ? `（${questionMeta(question)}）` : ""}`, "");
+    lines.push(question ? question.text.split("\n").map((line) => `> ${line}`).join("\n") : "> （質問の記録なし）", "");
+    if (question?.attachments.length) {
+      lines.push(...question.attachments.map((attachment) => `- 添付: ${attachmentLabel(attachment)}`), "");
+    }
+    lines.push(`#### A${number}${answer?.displayTime ? `（${answer.displayTime}）` : ""}`, "");
+    if (!answer) {
+      lines.push("（回答の記録なし）", "");
+      return;
+    }
+    lines.push(answer.text, "");
+    if (answer.truncated) lines.push(`_${TRUNCATION_NOTE}_`, "");
+    if (answer.sources.length) {
+      lines.push("参照資料:", "", ...answer.sources.map((source) => `- ${sourceLabel(source)}`), "");
+    }
+    const meta = answerMetaLine(answer);
+    if (meta) lines.push(`<sub>${meta}</sub>`, "");
+  });
+
+  return `${lines.join("\n").trimEnd()}\n`;
+};
+
+const definitionList = (rows) =>
+  `<dl>${rows.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join("")}</dl>`;
+
+const REPORT_STYLES = `
+  body { font-family: 'Noto Sans JP', 'Hiragino Sans', 'Yu Gothic', 'Meiryo', sans-serif; color: #11293f; line-height: 1.75; margin: 0; }
+  .page { max-width: 820px; margin: 0 auto; padding: 2.5rem 2rem; }
+  .title-page { min-height: 90vh; display: flex; flex-direction: column; justify-content: center; gap: 1.5rem; border-bottom: 2px solid #1767c1; }
+  h1 { margin: 0; font-size: 2rem; color: #1767c1; letter-spacing: 0.06em; }
+  h2 { font-size: 1.3rem; color: #1767c1; border-left: 4px solid #1aa8b8; padding-left: 0.6rem; margin: 2rem 0 1rem; }
+  dl { display: grid; grid-template-columns: 9em 1fr; gap: 0.35rem 1rem; margin: 0; }
+  dt { font-weight: 700; color: #2b5a80; }
+  dd { margin: 0; white-space: pre-wrap; }
+  .exchange { border: 1px solid rgba(24, 73, 126, 0.18); border-radius: 12px; padding: 1rem 1.25rem; margin-bottom: 1.25rem; break-inside: avoid-page; }
+  .exchange h3 { margin: 0 0 0.5rem; font-size: 1rem; color: #1767c1; }
+  .question { background: rgba(23, 103, 193, 0.06); border-radius: 8px; padding: 0.6rem 0.9rem; white-space: pre-wrap; }
+  .answer-meta { font-size: 0.82rem; color: #2b5a80; border-top: 1px dashed rgba(23, 103, 193, 0.25); padding-top: 0.4rem; margin-top: 0.6rem; }
+  .reply-markdown p { margin: 0.4rem 0; }
+  .reply-markdown pre, .reply-markdown code { font-family: 'SFMono-Regular', Consolas, monospace; background: rgba(17, 41, 63, 0.06); border-radius: 4px; }
+  .reply-markdown pre { padding: 0.75rem; white-space: pre-wrap; }
+  .reply-markdown blockquote { margin: 0; padding-left: 1rem; border-left: 4px solid rgba(23, 103, 193, 0.25); }
+  .reply-markdown h1, .reply-markdown h2 { font-size: 1.05rem; border: none; padding: 0; margin: 0.8rem 0 0.4rem; }
+  .reply-markdown table { border-collapse: collapse; font-size: 0.88rem; margin: 0.4rem 0; }
+  .reply-markdown th, .reply-markdown td { border: 1px solid rgba(23, 103, 193, 0.25); padding: 0.3rem 0.55rem; vertical-align: top; }
+  .reply-markdown th { background: rgba(23, 103, 193, 0.06); }
+  .reply-markdown .task-list { list-style: none; padding-left: 0.2rem; }
+  .question-attachments { margin: 0.4rem 0 0; padding-left: 1.2rem; font-size: 0.82rem; color: #2b5a80; word-break: break-all; }
+  .answer-sources { list-style: none; padding-left: 0; font-size: 0.82rem; color: #2b5a80; }
+  .reply-truncated { font-size: 0.85rem; color: rgba(17, 41, 63, 0.7); }
+  @media print {
+    .page { padding: 0; max-width: none; }
+    .title-page { min-height: auto; padding-bottom: 2rem; break-after: page; }
+    a { color: inherit; }
+  }
+  @page { size: A4; margin: 18mm 16mm; }
+`;
+
+export const renderHtmlReport = (report) => {
+  const caseRows = caseFileRows(report.caseFile);
+  const exchanges = report.exchanges
+    .map(({ number, question, answer }) => {
+      const questionHtml = question
+        ? `<div class="question">${escapeHtml(question.text)}</div>${question.attachments.length
+          ? `<ul class="question-attachments">${question.attachments.map((attachment) => `<li>添付: ${escapeHtml(attachmentLabel(attachment))}</li>`).join("")}</ul>`
+          : ""}`
+        : '<div class="question">（質問の記録なし）</div>';
+      const answerHtml = answer
+        ? `${formatReply(answer.text, { truncated: answer.truncated, idPrefix: `a${number}-` })}${answer.sources.length
+          ? `<ol class="answer-sources">${answer.sources.map((source) => `<li>${escapeHtml(sourceLabel(source))}</li>`).join("")}</ol>`
+          : ""}${answerMetaLine(answer) ? `<p class="answer-meta">${escapeHtml(answerMetaLine(answer))}</p>` : ""}`
+        : "<p>（回答の記録なし）</p>";
+      return [
+        '<section class="exchange">',
+        `<h3>Q${number}${questionMeta(question) ? `（${escapeHtml(questionMeta(question))}）` : ""}</h3>`,
+        questionHtml,
+        `<h3>A${number}${answer?.displayTime ? `（${escapeHtml(answer.displayTime)}）` : ""}</h3>`,
+        answerHtml,
+        "</section>"
+      ].join("");
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(`${report.title} - ${report.conversation.title}`)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<div class="page">
+<section class="title-page">
+<h1>${escapeHtml(report.title)}</h1>
+${definitionList(summaryRows(report))}
+${caseRows.length ? `<div><h2>ケースファイル</h2>${definitionList(caseRows)}</div>` : ""}
+</section>
+<h2>相談内容</h2>
+${exchanges || "<p>記録されたやり取りはありません。</p>"}
+</div>
+</body>
+</html>
+`;
+};
+
+export const renderJsonReport = (report) => `${JSON.stringify(report, null, 2)}\n`;
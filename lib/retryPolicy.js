@@ -0,0 +1,53 @@
+export const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+const readNumber = (value, fallback, { min = 0 } = {}) => {
+  const number = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(number) && number >= min ? number : fallback;
+};
+
+export const createRetryPolicy = (env = process.env) => ({
+  timeoutMs: readNumber(env.LLM_TIMEOUT_MS, 90000, { min: 1 }),
+  maxRetries: readNumber(env.LLM_MAX_RETRIES, 2),
+  baseDelayMs: readNumber(env.LLM_RETRY_BASE_MS, 500),
+  maxDelayMs: readNumber(env.LLM_RETRY_MAX_MS, 8000)
+});
+
+export const isRetryable = (result) =>
+  Boolean(result?.timedOut || result?.networkError || RETRYABLE_STATUSES.has(result?.status));
+
+// Retry-After is either delta-seconds or an HTTP date.
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === null || value === undefined || value === "") return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+};
+
+// Exponential backoff with full jitter, never shorter than what the upstream
+// asked for via Retry-After. Returns undefined when the upstream wants us to
+// wait longer than the policy allows, so the caller can fall back instead.
+export const computeRetryDelay = (attempt, policy, { retryAfterMs, random = Math.random } = {}) => {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  const backoff = Math.round(random() * ceiling);
+  if (retryAfterMs === undefined) return backoff;
+  if (retryAfterMs > policy.maxDelayMs) return undefined;
+  return Math.max(backoff, retryAfterMs);
+};
+
+export const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
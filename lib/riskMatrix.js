@@ -0,0 +1,121 @@
+import { regionOf } from "../public/riskMatrix.js";
+
+// R-Map risk assessment: harm severity (0–IV) against incident frequency
+// (0–5) per unit and year. The region and the action it calls for are
+// computed here rather than by the model, so the same inputs always give
+// the same result and the narrative is written around it.
+export const SEVERITY_LEVELS = [
+  { level: 0, numeral: "0", label: "無傷" },
+  { level: 1, numeral: "I", label: "軽微" },
+  { level: 2, numeral: "II", label: "中程度" },
+  { level: 3, numeral: "III", label: "重大" },
+  { level: 4, numeral: "IV", label: "致命的" }
+];
+
+// Highest first; `above` is the lower bound of incidents per unit per year.
+export const FREQUENCY_LEVELS = [
+  { level: 5, above: 1e-4, label: "頻発する" },
+  { level: 4, above: 1e-5, label: "しばしば起こる" },
+  { level: 3, above: 1e-6, label: "時々起こる" },
+  { level: 2, above: 1e-7, label: "起こりそう" },
+  { level: 1, above: 1e-8, label: "まず起こり得ない" },
+  { level: 0, above: 0, label: "考えられない" }
+];
+
+export const RISK_ACTIONS = { A: "recall", B: "notification", C: "monitoring" };
+
+const ZONE_LABELS = {
+  A: "A 領域: 許容できないリスク",
+  B: "B 領域: 危険性を可能な限り低減すべきリスク",
+  C: "C 領域: 許容可能なリスク"
+};
+
+const ACTION_LABELS = {
+  recall: "製品回収（リコール）・使用中止の呼びかけ",
+  notification: "注意喚起・情報提供と設計や表示の改善",
+  monitoring: "経過観察（事故情報の継続監視）"
+};
+
+const MAX_HAZARD_LENGTH = 500;
+const MAX_SCENARIO_LENGTH = 2000;
+const MAX_PERIOD_YEARS = 100;
+
+export const frequencyLevelOf = (rate) =>
+  FREQUENCY_LEVELS.find(({ above }) => rate > above)?.level ?? 0;
+
+const cleanText = (value, maxLength) =>
+  typeof value === "string" ? value.trim().slice(0, maxLength) : "";
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+// Returns { errors, value } like the other normalizers.
+export const normalizeRiskAssessment = (input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { errors: ["riskAssessment にはリスクアセスメントの入力を指定してください。"], value: undefined };
+  }
+
+  const errors = [];
+  const hazard = cleanText(input.hazard, MAX_HAZARD_LENGTH);
+  const harmScenario = cleanText(input.harmScenario, MAX_SCENARIO_LENGTH);
+  const severity = Number(input.severity);
+  const affectedUnits = Number(input.affectedUnits);
+  const incidentCount = Number(input.incidentCount);
+  const periodYears = isBlank(input.periodYears) ? 1 : Number(input.periodYears);
+
+  if (!hazard) errors.push("hazard（ハザード）を入力してください。");
+  if (!harmScenario) errors.push("harmScenario（危害シナリオ）を入力してください。");
+  if (isBlank(input.severity) || !Number.isInteger(severity) || severity < 0 || severity > 4) {
+    errors.push("severity（危害の程度）は 0〜4 の整数で指定してください。");
+  }
+  if (isBlank(input.affectedUnits) || !Number.isInteger(affectedUnits) || affectedUnits < 1) {
+    errors.push("affectedUnits（対象台数）は 1 以上の整数で入力してください。");
+  }
+  if (isBlank(input.incidentCount) || !Number.isInteger(incidentCount) || incidentCount < 0) {
+    errors.push("incidentCount（事故件数）は 0 以上の整数で入力してください。");
+  }
+  if (!Number.isFinite(periodYears) || periodYears <= 0 || periodYears > MAX_PERIOD_YEARS) {
+    errors.push(`periodYears（集計期間）は 0 より大きく ${MAX_PERIOD_YEARS} 以下の年数で入力してください。`);
+  }
+
+  return { errors, value: { hazard, harmScenario, severity, affectedUnits, incidentCount, periodYears } };
+};
+
+// With no incidents yet the rate is worked out as if one had happened, so a
+// product that has simply not failed so far is not rated as impossible.
+export const assessRisk = (value) => {
+  const assumedIncident = value.incidentCount === 0;
+  const rate = (assumedIncident ? 1 : value.incidentCount) / (value.affectedUnits * value.periodYears);
+  const frequency = frequencyLevelOf(rate);
+  const region = regionOf(frequency, value.severity);
+  const zone = region[0];
+  return {
+    ...value,
+    rate,
+    assumedIncident,
+    frequency,
+    region,
+    zone,
+    action: RISK_ACTIONS[zone]
+  };
+};
+
+const formatRate = (rate) => rate.toExponential(1).replace("e", "×10^").replace("^+", "^");
+
+export const formatRiskAssessmentForPrompt = (assessment) => {
+  if (!assessment) return "";
+
+  const severity = SEVERITY_LEVELS[assessment.severity];
+  const frequency = FREQUENCY_LEVELS.find(({ level }) => level === assessment.frequency);
+  return [
+    "【リスクアセスメント（R-Map）】",
+    "以下はサーバーで計算した R-Map による評価結果です。評価領域と推奨措置はこの結果から変えずに、その根拠と具体的な対応の進め方を説明してください。入力に不足や疑問があれば、結果は変えずにその点を指摘してください。",
+    `- ハザード: ${assessment.hazard}`,
+    `- 危害シナリオ: ${assessment.harmScenario}`,
+    `- 危害の程度: ${severity.numeral}（${severity.label}）`,
+    `- 対象台数: ${assessment.affectedUnits} 台 / 集計期間: ${assessment.periodYears} 年`,
+    `- 事故件数: ${assessment.incidentCount} 件${assessment.assumedIncident ? "（未発生のため 1 件と仮定して頻度を算出）" : ""}`,
+    `- 発生頻度: ${formatRate(assessment.rate)} 件/台・年 → レベル ${assessment.frequency}（${frequency.label}）`,
+    `- 評価領域: ${assessment.region}（${ZONE_LABELS[assessment.zone]}）`,
+    `- 推奨措置: ${ACTION_LABELS[assessment.action]}`
+  ].join("\n");
+};
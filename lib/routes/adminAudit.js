@@ -0,0 +1,66 @@
+import express from "express";
+
+const parseBound = (value, field, t) => {
+  if (value === undefined || value === "") return { value: undefined };
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    return { error: t("audit.invalidDate", { field }) };
+  }
+  return { value: new Date(time).toISOString() };
+};
+
+const exportFileName = (extension) =>
+  `audit-${new Date().toISOString().slice(0, 19).replace(/[-:]/g, "").replace("T", "-")}.${extension}`;
+
+export const createAdminAuditRouter = ({ auditLog }) => {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    const from = parseBound(req.query.from, "from", req.t);
+    const to = parseBound(req.query.to, "to", req.t);
+    const problem = from.error || to.error;
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const format = req.query.format || "json";
+    if (!["json", "jsonl"].includes(format)) {
+      return res.status(400).json({ error: req.t("audit.invalidFormat") });
+    }
+
+    const user = typeof req.query.user === "string" ? req.query.user.trim() : "";
+
+    try {
+      const entries = await auditLog.query({ from: from.value, to: to.value, user: user || undefined });
+
+      if (format === "jsonl") {
+        res.set({
+          "Content-Type": "application/x-ndjson; charset=utf-8",
+          "Content-Disposition": `attachment; filename="${exportFileName("jsonl")}"`
+        });
+        return res.send(entries.map((entry) => JSON.stringify(entry)).join("\n") + (entries.length ? "\n" : ""));
+      }
+
+      if (req.query.download === "1") {
+        res.set("Content-Disposition", `attachment; filename="${exportFileName("json")}"`);
+      }
+      return res.json({
+        filters: { from: from.value ?? null, to: to.value ?? null, user: user || null },
+        count: entries.length,
+        entries
+      });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("audit.loadFailed"), details: error.message });
+    }
+  });
+
+  router.get("/verify", async (req, res) => {
+    try {
+      return res.json(await auditLog.verify());
+    } catch (error) {
+      return res.status(500).json({ error: req.t("audit.verifyFailed"), details: error.message });
+    }
+  });
+
+  return router;
+};
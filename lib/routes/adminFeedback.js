@@ -0,0 +1,67 @@
+import express from "express";
+import { FEEDBACK_CATEGORIES, FEEDBACK_RATINGS, toRegressionCase } from "../feedbackStore.js";
+
+const exportFileName = () =>
+  `regression-set-${new Date().toISOString().slice(0, 19).replace(/[-:]/g, "").replace("T", "-")}.jsonl`;
+
+const queryString = (value) => (typeof value === "string" ? value.trim() : "");
+
+// Lists rated replies for review, low ratings by default, and exports them
+// as a JSONL regression set with format=jsonl.
+export const createAdminFeedbackRouter = ({ feedback }) => {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    const rating = req.query.rating === undefined ? "down" : queryString(req.query.rating);
+    if (rating !== "all" && !FEEDBACK_RATINGS.includes(rating)) {
+      return res.status(400).json({ error: req.t("feedback.invalidRatingFilter") });
+    }
+    const category = queryString(req.query.category);
+    if (category && !FEEDBACK_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        error: req.t("feedback.invalidCategoryFilter", { categories: FEEDBACK_CATEGORIES.join(" / ") })
+      });
+    }
+
+    const format = req.query.format || "json";
+    if (!["json", "jsonl"].includes(format)) {
+      return res.status(400).json({ error: req.t("feedback.invalidFormat") });
+    }
+
+    const filters = {
+      rating: rating === "all" ? undefined : rating,
+      profileId: queryString(req.query.profileId) || undefined,
+      model: queryString(req.query.model) || undefined,
+      category: category || undefined
+    };
+
+    try {
+      const entries = await feedback.query(filters);
+
+      if (format === "jsonl") {
+        res.set({
+          "Content-Type": "application/x-ndjson; charset=utf-8",
+          "Content-Disposition": `attachment; filename="${exportFileName()}"`
+        });
+        return res.send(entries.map((entry) => JSON.stringify(toRegressionCase(entry))).join("\n") + (entries.length ? "\n" : ""));
+      }
+
+      // The filter choices come from all feedback, not just the matches.
+      const everything = await feedback.query();
+      return res.json({
+        filters: { rating, profileId: filters.profileId ?? null, model: filters.model ?? null, category: category || null },
+        facets: {
+          profiles: [...new Set(everything.map((entry) => entry.profileId).filter(Boolean))].sort(),
+          models: [...new Set(everything.map((entry) => entry.model).filter(Boolean))].sort(),
+          categories: FEEDBACK_CATEGORIES
+        },
+        count: entries.length,
+        entries
+      });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("feedback.loadFailed"), details: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,67 @@
+import express from "express";
+import { KNOWLEDGE_FORMATS, formatFromFileName, summarizeDocument } from "../knowledgeBase.js";
+
+const MAX_TITLE_LENGTH = 120;
+
+// Files are read in the browser and posted as text, so this router carries
+// its own body limit instead of the small one used for chat requests.
+export const createAdminKnowledgeRouter = ({ knowledgeBase, uploadLimit = "5mb" }) => {
+  const router = express.Router();
+  router.use(express.json({ limit: uploadLimit }));
+
+  router.get("/", async (req, res) => {
+    try {
+      return res.json({ documents: await knowledgeBase.list() });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("knowledge.listFailed"), details: error.message });
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    const { fileName, title, content } = req.body || {};
+    const format = formatFromFileName(fileName);
+
+    if (!format) {
+      const extensions = Object.keys(KNOWLEDGE_FORMATS).map((extension) => `.${extension}`).join(" / ");
+      return res.status(400).json({ error: req.t("knowledge.unsupportedFormat", { extensions }) });
+    }
+    if (typeof content !== "string" || !content.trim()) {
+      return res.status(400).json({ error: req.t("knowledge.emptyContent") });
+    }
+
+    const resolvedTitle = (typeof title === "string" && title.trim()
+      ? title.trim()
+      : String(fileName).replace(/\.[^.]+$/, "")).slice(0, MAX_TITLE_LENGTH);
+
+    try {
+      const document = await knowledgeBase.add({
+        title: resolvedTitle,
+        fileName: String(fileName).slice(0, 200),
+        format,
+        content,
+        uploadedBy: { id: req.user.id, username: req.user.username }
+      });
+      if (!document.chunks.length) {
+        await knowledgeBase.remove(document.id);
+        return res.status(400).json({ error: req.t("knowledge.noText") });
+      }
+      req.log.info("Indexed knowledge document", { title: document.title, chunks: document.chunks.length });
+      return res.status(201).json({ document: summarizeDocument(document) });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("knowledge.addFailed"), details: error.message });
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      if (!(await knowledgeBase.remove(req.params.id))) {
+        return res.status(404).json({ error: req.t("knowledge.notFound") });
+      }
+      return res.status(204).end();
+    } catch (error) {
+      return res.status(500).json({ error: req.t("knowledge.deleteFailed"), details: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,32 @@
+import express from "express";
+import { normalizeRedactionTerms } from "../redaction.js";
+
+const authorOf = (user) => ({ id: user.id, username: user.username, displayName: user.displayName });
+
+// The confidential terms (unreleased product codenames and the like) that are
+// masked in every prompt alongside the personal data found automatically.
+export const createAdminRedactionRouter = ({ redactionTerms, enabled }) => {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      return res.json({ enabled, ...(await redactionTerms.get()) });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("redaction.loadFailed"), details: error.message });
+    }
+  });
+
+  router.put("/", async (req, res) => {
+    const { errors, value } = normalizeRedactionTerms(req.body?.terms);
+    if (errors.length) {
+      return res.status(400).json({ error: req.t("redaction.invalidTerms"), details: errors.join("\n") });
+    }
+    try {
+      return res.json({ enabled, ...(await redactionTerms.save(value, authorOf(req.user))) });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("redaction.saveFailed"), details: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,104 @@
+import express from "express";
+import { validatePassword } from "../passwords.js";
+import { ROLES, toPublicUser, validateUsername } from "../userStore.js";
+
+const validateRole = (role, t) =>
+  ROLES.includes(role) ? undefined : t("users.invalidRole", { roles: ROLES.join(" / ") });
+
+export const createAdminUsersRouter = ({ users, auth }) => {
+  const router = express.Router();
+
+  const countActiveAdmins = async (excludeId) =>
+    (await users.list()).filter((user) => user.role === "admin" && !user.disabled && user.id !== excludeId).length;
+
+  router.get("/", async (req, res) => {
+    try {
+      const list = await users.list();
+      return res.json({ users: list.map(toPublicUser), roles: ROLES });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("users.loadFailed"), details: error.message });
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    const { username, displayName, role, password } = req.body || {};
+    const problem = validateUsername(username) || validateRole(role, req.t) || validatePassword(password);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    try {
+      if (await users.findByUsername(username)) {
+        return res.status(409).json({ error: req.t("users.usernameTaken", { username }) });
+      }
+      const user = await users.create({
+        username,
+        displayName: typeof displayName === "string" ? displayName.trim().slice(0, 80) : "",
+        role,
+        password
+      });
+      return res.status(201).json({ user: toPublicUser(user) });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("users.createFailed"), details: error.message });
+    }
+  });
+
+  router.patch("/:id", async (req, res) => {
+    const { role, disabled, displayName } = req.body || {};
+    const changes = {};
+
+    if (role !== undefined) {
+      const problem = validateRole(role, req.t);
+      if (problem) return res.status(400).json({ error: problem });
+      changes.role = role;
+    }
+    if (disabled !== undefined) changes.disabled = Boolean(disabled);
+    if (typeof displayName === "string") changes.displayName = displayName.trim().slice(0, 80);
+
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({ error: req.t("users.noChanges") });
+    }
+
+    try {
+      const target = await users.get(req.params.id);
+      if (!target) {
+        return res.status(404).json({ error: req.t("users.notFound") });
+      }
+
+      const losesAdmin = target.role === "admin" && !target.disabled
+        && ((changes.role && changes.role !== "admin") || changes.disabled === true);
+      if (losesAdmin && target.id === req.user.id) {
+        return res.status(400).json({ error: req.t("users.cannotDemoteSelf") });
+      }
+      if (losesAdmin && await countActiveAdmins(target.id) === 0) {
+        return res.status(400).json({ error: req.t("users.lastAdmin") });
+      }
+
+      const user = await users.update(target.id, changes);
+      return res.json({ user: toPublicUser(user) });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("users.updateFailed"), details: error.message });
+    }
+  });
+
+  router.post("/:id/password", async (req, res) => {
+    const problem = validatePassword(req.body?.password);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    try {
+      const user = await users.setPassword(req.params.id, req.body.password);
+      if (!user) {
+        return res.status(404).json({ error: req.t("users.notFound") });
+      }
+      // A reset revokes existing sessions; keep the admin doing it signed in.
+      if (user.id === req.user.id) auth.startSession(req, res, user);
+      return res.json({ user: toPublicUser(user) });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("users.passwordResetFailed"), details: error.message });
+    }
+  });
+
+  return router;
+};
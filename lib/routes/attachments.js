@@ -0,0 +1,80 @@
+import express from "express";
+import multer from "multer";
+import { ATTACHMENT_TYPES, detectMimeType, toAttachmentSummary } from "../attachmentStore.js";
+
+const formatMegabytes = (bytes) => `${Math.round((bytes / 1024 / 1024) * 10) / 10} MB`;
+
+// Browsers send multipart file names as UTF-8 but busboy reads them as latin1.
+const decodeFileName = (name) => {
+  const decoded = Buffer.from(name, "latin1").toString("utf8");
+  return (decoded.includes("�") ? name : decoded).replace(/[\\/\r\n"]/g, "_").slice(0, 200);
+};
+
+export const createAttachmentsRouter = ({ attachments, limits, canView, canAdvise }) => {
+  const router = express.Router();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: limits.maxAttachmentBytes, files: limits.maxAttachments }
+  }).array("files", limits.maxAttachments);
+
+  const receiveFiles = (req, res, next) =>
+    upload(req, res, (error) => {
+      if (!error) return next();
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({ error: req.t("attachments.tooLarge", { limit: formatMegabytes(limits.maxAttachmentBytes) }) });
+      }
+      if (error.code === "LIMIT_FILE_COUNT" || error.code === "LIMIT_UNEXPECTED_FILE") {
+        return res.status(400).json({ error: req.t("attachments.tooMany", { max: limits.maxAttachments }) });
+      }
+      return res.status(400).json({ error: req.t("attachments.receiveFailed"), details: error.message });
+    });
+
+  router.post("/", canAdvise, receiveFiles, async (req, res) => {
+    const files = req.files || [];
+    if (!files.length) {
+      return res.status(400).json({ error: req.t("attachments.filesRequired") });
+    }
+
+    const detected = files.map((file) => ({ file, mimeType: detectMimeType(file.buffer) }));
+    const rejected = detected.find(({ mimeType }) => !mimeType);
+    if (rejected) {
+      const accepted = Object.values(ATTACHMENT_TYPES).map((type) => type.label).join(" / ");
+      return res.status(415).json({
+        error: req.t("attachments.unsupported", { name: decodeFileName(rejected.file.originalname), accepted })
+      });
+    }
+
+    try {
+      const saved = await Promise.all(detected.map(({ file, mimeType }) =>
+        attachments.save({
+          buffer: file.buffer,
+          mimeType,
+          fileName: decodeFileName(file.originalname),
+          uploadedBy: { id: req.user.id, username: req.user.username }
+        })));
+      return res.status(201).json({ attachments: saved.map(toAttachmentSummary) });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("attachments.saveFailed"), details: error.message });
+    }
+  });
+
+  router.get("/:id", canView, async (req, res) => {
+    try {
+      const attachment = await attachments.get(req.params.id);
+      if (!attachment) {
+        return res.status(404).json({ error: req.t("attachments.notFound") });
+      }
+      res.set({
+        "Content-Type": attachment.mimeType,
+        "Content-Disposition": `inline; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+        "X-Content-Type-Options": "nosniff",
+        "Cache-Control": "private, max-age=86400"
+      });
+      return res.sendFile(attachments.filePath(attachment.id));
+    } catch (error) {
+      return res.status(500).json({ error: req.t("attachments.loadFailed"), details: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,60 @@
+import express from "express";
+import { toPublicUser } from "../userStore.js";
+import { LOCALES, REPLY_LANGUAGES } from "../../public/i18n.js";
+
+export const createAuthRouter = ({ users, auth }) => {
+  const router = express.Router();
+
+  router.post("/login", async (req, res) => {
+    const { username, password } = req.body || {};
+    if (typeof username !== "string" || typeof password !== "string" || !username || !password) {
+      return res.status(400).json({ error: req.t("auth.credentialsRequired") });
+    }
+
+    try {
+      const user = await users.authenticate(username.trim(), password);
+      if (!user) {
+        return res.status(401).json({ error: req.t("auth.invalidCredentials") });
+      }
+      const loggedIn = await users.recordLogin(user.id) || user;
+      auth.startSession(req, res, loggedIn);
+      return res.json({ user: toPublicUser(loggedIn) });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("auth.loginFailed"), details: error.message });
+    }
+  });
+
+  router.post("/logout", (req, res) => {
+    auth.endSession(req, res);
+    res.status(204).end();
+  });
+
+  router.get("/me", (req, res) => {
+    res.json({ user: toPublicUser(req.user) });
+  });
+
+  // Display language and reply language are the user's own settings, so any
+  // signed-in role may change them.
+  router.patch("/me", async (req, res) => {
+    const { locale, replyLanguage } = req.body || {};
+    if (locale !== undefined && !LOCALES.includes(locale)) {
+      return res.status(400).json({ error: req.t("preferences.invalidLocale") });
+    }
+    if (replyLanguage !== undefined && !REPLY_LANGUAGES.includes(replyLanguage)) {
+      return res.status(400).json({ error: req.t("preferences.invalidReplyLanguage") });
+    }
+
+    try {
+      const user = await users.update(req.user.id, {
+        ...(locale !== undefined ? { locale } : {}),
+        ...(replyLanguage !== undefined ? { replyLanguage } : {})
+      });
+      req.user = user;
+      return res.json({ user: toPublicUser(user) });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("preferences.saveFailed"), details: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,312 @@
+import express from "express";
+import { resolveReplyLanguage } from "../i18n.js";
+import { extractTextFromParts } from "../chatPayload.js";
+import { countTokens } from "../usageBudget.js";
+import { trimHistory } from "../chatLimits.js";
+import { turnsAfterSummary } from "../contextWindow.js";
+import {
+  buildDraftPayload,
+  cleanDraftText,
+  DRAFT_FORMATS,
+  FILL_REQUEST,
+  renderDraftHtml,
+  renderDraftMarkdown,
+  revisionRequest
+} from "../drafts.js";
+
+const MAX_DRAFT_CHARS = 50_000;
+
+const authorOf = (user) => ({ id: user.id, username: user.username, displayName: user.displayName });
+
+const draftRenderers = { markdown: renderDraftMarkdown, html: renderDraftHtml };
+
+// Masks the consultation and the draft before they reach the model. Every
+// text is scanned before any is rewritten, as in /api/chat.
+const maskContext = (redactor, { history, summary, caseFile, request }) => {
+  const caseFileFields = caseFile ? [caseFile.title, caseFile.productName, caseFile.summary] : [];
+  [summary, ...history.map((turn) => turn.text), ...caseFileFields, request].forEach(redactor.redact);
+  return {
+    history: history.map((turn) => ({ ...turn, text: redactor.redact(turn.text) })),
+    summary: redactor.redact(summary),
+    caseFile: caseFile && {
+      ...caseFile,
+      title: redactor.redact(caseFile.title),
+      productName: redactor.redact(caseFile.productName),
+      summary: redactor.redact(caseFile.summary)
+    },
+    request: redactor.redact(request)
+  };
+};
+
+// Recall notices, press releases and regulator reports drafted from a
+// consultation. Drafts are shared like the conversation they belong to:
+// viewers can read and download them, advisors create and revise them.
+export const createDraftsRouter = ({
+  templates,
+  drafts,
+  conversations,
+  findCaseFile,
+  llm,
+  profiles,
+  createRedactor,
+  checkBudget,
+  usageBudget,
+  auditLog,
+  limits,
+  rateLimit,
+  canView,
+  canAdvise
+}) => {
+  const router = express.Router();
+
+  const findDraft = (id) => drafts.get(id).catch(() => undefined);
+  const findConversation = (id) => (id ? conversations.get(id).catch(() => undefined) : Promise.resolve(undefined));
+
+  const latestOf = (draft) => draft.versions.at(-1);
+
+  // Shared checks before a model call; resolves to the response already
+  // sent when the request cannot go ahead.
+  const refuse = async (req, res, profile) => {
+    if (!profile) return res.status(400).json({ error: req.t("chat.unknownProfile", { id: req.body.profileId }) });
+    if (!llm.isAvailable()) {
+      return res.status(503).json({
+        error: req.t("chat.notConfigured", { settings: llm.missingConfiguration().join(" / ") })
+      });
+    }
+    const budgetExceeded = await checkBudget(req);
+    if (budgetExceeded) return res.status(429).json(budgetExceeded);
+    return undefined;
+  };
+
+  // Writes a version from the conversation so far. The same history limits
+  // as /api/chat apply, with the conversation's rolling summary in front.
+  // Resolves to { text, model } or to { failure } holding the status and
+  // body to answer with.
+  const generate = async (req, { conversation, template, profile, request, draftId }) => {
+    const history = conversation
+      ? trimHistory(
+        turnsAfterSummary(conversation.turns, conversation.summary).map((turn) => ({ role: turn.role, text: turn.text })),
+        limits
+      )
+      : [];
+    const caseFile = await findCaseFile(conversation?.caseFileId);
+    const redactor = await createRedactor(req.log);
+    const masked = maskContext(redactor, { history, summary: conversation?.summary?.text, caseFile, request });
+    const payload = buildDraftPayload(masked.history, masked.request, {
+      template,
+      profile,
+      caseFile: masked.caseFile,
+      summary: masked.summary,
+      replyLanguage: resolveReplyLanguage(req, profile),
+      redacted: redactor.items().length > 0
+    });
+
+    const { result } = await llm.generate(payload, { log: req.log });
+    if (!result.ok) {
+      return {
+        failure: {
+          status: result.status,
+          body: { error: req.t("llm.callFailed", { label: result.label, status: String(result.status) }), details: result.detail }
+        }
+      };
+    }
+    const raw = extractTextFromParts(result.data?.candidates?.[0]?.content?.parts);
+    const text = cleanDraftText(redactor.restore(raw));
+    if (!text) {
+      return { failure: { status: 502, body: { error: req.t("drafts.emptyReply") } } };
+    }
+
+    const tokens = countTokens(result.data?.usageMetadata, `${request}${raw}`);
+    await usageBudget.record(req.user.id, tokens).catch((error) =>
+      req.log.error("Failed to record token usage", { user: req.user.username, error: error.message }));
+    await auditLog.append({
+      user: authorOf(req.user),
+      conversationId: conversation?.id,
+      mode: "draft",
+      draftId,
+      templateId: template.id,
+      profileId: profile.id,
+      prompt: request,
+      reply: text,
+      model: result.model,
+      provider: result.provider,
+      finishReason: result.data?.candidates?.[0]?.finishReason ?? null,
+      tokens
+    });
+    return { text, model: result.model };
+  };
+
+  router.get("/templates", canView, (_req, res) => {
+    res.json({ templates: templates.list() });
+  });
+
+  router.get("/", canView, async (req, res) => {
+    if (!req.query.conversationId) {
+      return res.status(400).json({ error: req.t("drafts.conversationRequired") });
+    }
+    try {
+      return res.json({ drafts: await drafts.list(String(req.query.conversationId)) });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("drafts.loadFailed"), details: error.message });
+    }
+  });
+
+  // Fills the chosen template from the conversation as the first version.
+  router.post("/", canAdvise, rateLimit, async (req, res) => {
+    const { conversationId, templateId, profileId } = req.body || {};
+    const template = templates.get(templateId);
+    if (!template) {
+      return res.status(404).json({ error: req.t("drafts.templateNotFound") });
+    }
+    const conversation = await findConversation(conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: req.t("conversations.notFound") });
+    }
+    const profile = profiles.get(profileId);
+    const refused = await refuse(req, res, profile);
+    if (refused) return refused;
+
+    try {
+      const { failure, text, model } = await generate(req, { conversation, template, profile, request: FILL_REQUEST });
+      if (failure) return res.status(failure.status).json(failure.body);
+      const draft = await drafts.create({
+        conversationId: conversation.id,
+        template,
+        createdBy: authorOf(req.user),
+        version: { kind: "generated", text, author: authorOf(req.user), model }
+      });
+      req.log.info("Draft created", { draftId: draft.id, templateId: template.id, conversationId: conversation.id });
+      return res.status(201).json(draft);
+    } catch (error) {
+      return res.status(500).json({ error: req.t("chat.serverError"), details: error.message });
+    }
+  });
+
+  router.get("/:id", canView, async (req, res) => {
+    const draft = await findDraft(req.params.id);
+    if (!draft) {
+      return res.status(404).json({ error: req.t("drafts.notFound") });
+    }
+    return res.json(draft);
+  });
+
+  // Saves text edited in the pane as a new version.
+  router.post("/:id/versions", canAdvise, async (req, res) => {
+    const { text, baseVersion } = req.body || {};
+    if (typeof text !== "string" || !text.trim()) {
+      return res.status(400).json({ error: req.t("drafts.textRequired") });
+    }
+    if (text.length > MAX_DRAFT_CHARS) {
+      return res.status(413).json({ error: req.t("drafts.textTooLong", { max: MAX_DRAFT_CHARS }) });
+    }
+    const draft = await findDraft(req.params.id);
+    if (!draft) {
+      return res.status(404).json({ error: req.t("drafts.notFound") });
+    }
+    // baseVersion is the version the client last saw; leaving it out is
+    // treated as stale rather than as leave to overwrite.
+    const base = Number(baseVersion);
+    if (base !== draft.versions.length) {
+      return res.status(409).json({ error: req.t("drafts.conflict") });
+    }
+    if (text.trim() === latestOf(draft).text) {
+      return res.status(400).json({ error: req.t("drafts.unchanged") });
+    }
+
+    try {
+      const updated = await drafts.addVersion(draft.id, base, {
+        kind: "edited",
+        text: text.trim(),
+        author: authorOf(req.user)
+      });
+      if (!updated) {
+        return res.status(409).json({ error: req.t("drafts.conflict") });
+      }
+      return res.status(201).json(updated);
+    } catch (error) {
+      return res.status(500).json({ error: req.t("drafts.saveFailed"), details: error.message });
+    }
+  });
+
+  // Rewrites the latest version following the instruction, as a new version.
+  router.post("/:id/revisions", canAdvise, rateLimit, async (req, res) => {
+    const { instruction, baseVersion, profileId } = req.body || {};
+    if (typeof instruction !== "string" || !instruction.trim()) {
+      return res.status(400).json({ error: req.t("drafts.instructionRequired") });
+    }
+    if (instruction.length > limits.maxMessageChars) {
+      return res.status(413).json({ error: req.t("chat.messageTooLong", { max: limits.maxMessageChars }) });
+    }
+    const draft = await findDraft(req.params.id);
+    if (!draft) {
+      return res.status(404).json({ error: req.t("drafts.notFound") });
+    }
+    const template = templates.get(draft.templateId);
+    if (!template) {
+      return res.status(404).json({ error: req.t("drafts.templateNotFound") });
+    }
+    const base = Number(baseVersion);
+    if (base !== draft.versions.length) {
+      return res.status(409).json({ error: req.t("drafts.conflict") });
+    }
+    const profile = profiles.get(profileId);
+    const refused = await refuse(req, res, profile);
+    if (refused) return refused;
+
+    try {
+      // The conversation may have been deleted since; the draft itself is
+      // then the only context.
+      const conversation = await findConversation(draft.conversationId);
+      const trimmed = instruction.trim();
+      const { failure, text, model } = await generate(req, {
+        conversation,
+        template,
+        profile,
+        request: revisionRequest(latestOf(draft).text, trimmed),
+        draftId: draft.id
+      });
+      if (failure) return res.status(failure.status).json(failure.body);
+      const updated = await drafts.addVersion(draft.id, base, {
+        kind: "revised",
+        text,
+        instruction: trimmed,
+        author: authorOf(req.user),
+        model
+      });
+      if (!updated) {
+        return res.status(409).json({ error: req.t("drafts.conflict") });
+      }
+      return res.status(201).json(updated);
+    } catch (error) {
+      return res.status(500).json({ error: req.t("chat.serverError"), details: error.message });
+    }
+  });
+
+  // Downloads one version, the latest unless ?version= is given.
+  router.get("/:id/export", canView, async (req, res) => {
+    const format = req.query.format === "md" ? "markdown" : String(req.query.format || "markdown");
+    if (!DRAFT_FORMATS[format]) {
+      return res.status(400).json({ error: req.t("drafts.invalidFormat") });
+    }
+    const draft = await findDraft(req.params.id);
+    if (!draft) {
+      return res.status(404).json({ error: req.t("drafts.notFound") });
+    }
+    const version = req.query.version
+      ? draft.versions.find((candidate) => candidate.number === Number(req.query.version))
+      : latestOf(draft);
+    if (!version) {
+      return res.status(404).json({ error: req.t("drafts.versionNotFound") });
+    }
+
+    const { extension, contentType } = DRAFT_FORMATS[format];
+    const fileName = `${templates.get(draft.templateId)?.fileName || "draft"}-${draft.id.slice(0, 8)}-v${version.number}.${extension}`;
+    res.set({
+      "Content-Type": contentType,
+      "Content-Disposition": `${req.query.inline === "1" ? "inline" : "attachment"}; filename="${fileName}"`
+    });
+    return res.send(draftRenderers[format](draft, version));
+  });
+
+  return router;
+};
@@ -0,0 +1,261 @@
+import express from "express";
+import { resolveReplyLanguage } from "../i18n.js";
+import { extractTextFromParts } from "../chatPayload.js";
+import { countTokens } from "../usageBudget.js";
+import {
+  answeredCount,
+  buildDebriefPayload,
+  buildExerciseTurnPayload,
+  formatInject,
+  openingTurn,
+  parseExerciseEvaluation,
+  totalScores
+} from "../exercises.js";
+
+const authorOf = (user) => ({ id: user.id, username: user.username, displayName: user.displayName });
+
+// Personal data typed into an exercise is masked like in real consultations.
+// Every text is scanned before any is rewritten, as in /api/chat.
+const maskSession = (redactor, session, message) => {
+  session.turns.forEach((turn) => {
+    redactor.redact(turn.text);
+    redactor.redact(turn.evaluation?.feedback);
+  });
+  redactor.redact(message);
+  return {
+    session: {
+      ...session,
+      turns: session.turns.map((turn) => ({
+        ...turn,
+        text: redactor.redact(turn.text),
+        evaluation: turn.evaluation && { ...turn.evaluation, feedback: redactor.redact(turn.evaluation.feedback) }
+      }))
+    },
+    message: redactor.redact(message)
+  };
+};
+
+// Training runs through the same model client, token budget and audit log
+// as real advice, but on its own route and store. Audit entries are marked
+// with mode "exercise" so they are never mistaken for advice given.
+export const createExercisesRouter = ({
+  scenarios,
+  exercises,
+  llm,
+  profile,
+  createRedactor,
+  checkBudget,
+  usageBudget,
+  auditLog,
+  limits,
+  rateLimit,
+  canView,
+  canAdvise
+}) => {
+  const router = express.Router();
+
+  const findOwn = async (req) => {
+    const session = await exercises.get(req.params.id).catch(() => undefined);
+    return session && (session.createdBy?.id === req.user.id || req.user.role === "admin") ? session : undefined;
+  };
+
+  // Resolves to { text, result } or to { failure } holding the status and
+  // body to answer with.
+  const generate = async (req, payload, { session, prompt }) => {
+    const { result } = await llm.generate(payload, { log: req.log });
+    if (!result.ok) {
+      return {
+        failure: {
+          status: result.status,
+          body: { error: req.t("llm.callFailed", { label: result.label, status: String(result.status) }), details: result.detail }
+        }
+      };
+    }
+    const text = extractTextFromParts(result.data?.candidates?.[0]?.content?.parts);
+    const tokens = countTokens(result.data?.usageMetadata, `${prompt}${text}`);
+    await usageBudget.record(req.user.id, tokens).catch((error) =>
+      req.log.error("Failed to record token usage", { user: req.user.username, error: error.message }));
+    await auditLog.append({
+      user: authorOf(req.user),
+      mode: "exercise",
+      exerciseId: session.id,
+      scenarioId: session.scenarioId,
+      prompt,
+      reply: text,
+      model: result.model,
+      provider: result.provider,
+      finishReason: result.data?.candidates?.[0]?.finishReason ?? null,
+      tokens
+    });
+    return { text, result };
+  };
+
+  // Shared checks before a model call; resolves to the response already
+  // sent when the request cannot go ahead.
+  const refuse = async (req, res, session) => {
+    if (!session) return res.status(404).json({ error: req.t("exercises.notFound") });
+    if (session.status !== "active") return res.status(409).json({ error: req.t("exercises.finished") });
+    if (!scenarios.get(session.scenarioId)) return res.status(404).json({ error: req.t("exercises.scenarioNotFound") });
+    if (!llm.isAvailable()) {
+      return res.status(503).json({
+        error: req.t("chat.notConfigured", { settings: llm.missingConfiguration().join(" / ") })
+      });
+    }
+    const budgetExceeded = await checkBudget(req);
+    if (budgetExceeded) return res.status(429).json(budgetExceeded);
+    return undefined;
+  };
+
+  router.get("/scenarios", canView, (_req, res) => {
+    res.json({ scenarios: scenarios.list() });
+  });
+
+  router.get("/", canView, async (req, res) => {
+    try {
+      return res.json({ exercises: await exercises.list(req.user.id) });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("exercises.loadFailed"), details: error.message });
+    }
+  });
+
+  router.post("/", canAdvise, async (req, res) => {
+    const scenario = scenarios.get(req.body?.scenarioId);
+    if (!scenario) {
+      return res.status(404).json({ error: req.t("exercises.scenarioNotFound") });
+    }
+    try {
+      const session = await exercises.create({ scenario, createdBy: authorOf(req.user), opening: openingTurn(scenario) });
+      req.log.info("Exercise started", { exerciseId: session.id, scenarioId: scenario.id });
+      return res.status(201).json(session);
+    } catch (error) {
+      return res.status(500).json({ error: req.t("exercises.saveFailed"), details: error.message });
+    }
+  });
+
+  router.get("/:id", canView, async (req, res) => {
+    const session = await findOwn(req);
+    if (!session) {
+      return res.status(404).json({ error: req.t("exercises.notFound") });
+    }
+    return res.json(session);
+  });
+
+  // Scores the trainee's response to the current inject and stores it with
+  // the next inject, narrated by the model from the script. After the last
+  // inject only the scores come back and the exercise waits for a debrief.
+  router.post("/:id/responses", canAdvise, rateLimit, async (req, res) => {
+    const { message } = req.body || {};
+    if (typeof message !== "string" || !message.trim()) {
+      return res.status(400).json({ error: req.t("chat.messageRequired") });
+    }
+    if (message.length > limits.maxMessageChars) {
+      return res.status(413).json({ error: req.t("chat.messageTooLong", { max: limits.maxMessageChars }) });
+    }
+
+    const session = await findOwn(req);
+    const refused = await refuse(req, res, session);
+    if (refused) return refused;
+    const scenario = scenarios.get(session.scenarioId);
+    const answered = answeredCount(session);
+    if (answered >= scenario.injects.length) {
+      return res.status(409).json({ error: req.t("exercises.awaitingDebrief") });
+    }
+
+    try {
+      const trimmed = message.trim();
+      const redactor = await createRedactor(req.log);
+      const masked = maskSession(redactor, session, trimmed);
+      const payload = buildExerciseTurnPayload(masked.session, scenario, masked.message, {
+        profile,
+        replyLanguage: resolveReplyLanguage(req, profile),
+        redacted: redactor.items().length > 0
+      });
+      const { failure, text, result } = await generate(req, payload, { session, prompt: trimmed });
+      if (failure) return res.status(failure.status).json(failure.body);
+
+      const { value, errors } = parseExerciseEvaluation(text, scenario);
+      if (!value) {
+        req.log.warn("Exercise evaluation failed validation", { model: result.model, errors });
+        return res.status(502).json({ error: req.t("exercises.evaluationFailed"), details: errors.join("\n") });
+      }
+
+      const { scores, feedback, nextInject } = redactor.restoreValue(value);
+      const response = {
+        role: "user",
+        text: trimmed,
+        author: authorOf(req.user),
+        evaluation: {
+          scores,
+          feedback,
+          score: scores.reduce((sum, entry) => sum + entry.score, 0),
+          maxScore: scores.reduce((sum, entry) => sum + entry.maxScore, 0)
+        }
+      };
+      const nextIndex = answered + 1;
+      const next = scenario.injects[nextIndex];
+      const inject = next && {
+        role: "model",
+        kind: "inject",
+        injectIndex: nextIndex,
+        title: next.title,
+        text: formatInject({ title: next.title, text: nextInject || next.text }, nextIndex, scenario.injects.length),
+        model: result.model
+      };
+
+      const updated = await exercises.appendTurns(session.id, session.turns.length, inject ? [response, inject] : [response]);
+      if (!updated) {
+        return res.status(409).json({ error: req.t("exercises.conflict") });
+      }
+      return res.json({
+        response: updated.turns.at(inject ? -2 : -1),
+        inject: inject ? updated.turns.at(-1) : undefined,
+        finished: !inject
+      });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("chat.serverError"), details: error.message });
+    }
+  });
+
+  // Ends the exercise with a debrief report. The totals are added up here
+  // and handed to the model, which only writes the commentary around them.
+  router.post("/:id/debrief", canAdvise, rateLimit, async (req, res) => {
+    const session = await findOwn(req);
+    const refused = await refuse(req, res, session);
+    if (refused) return refused;
+    if (!answeredCount(session)) {
+      return res.status(409).json({ error: req.t("exercises.nothingToDebrief") });
+    }
+
+    try {
+      const scenario = scenarios.get(session.scenarioId);
+      const totals = totalScores(session, scenario);
+      const redactor = await createRedactor(req.log);
+      const masked = maskSession(redactor, session, "");
+      const payload = buildDebriefPayload(masked.session, scenario, totals, {
+        profile,
+        replyLanguage: resolveReplyLanguage(req, profile),
+        redacted: redactor.items().length > 0
+      });
+      const { failure, text, result } = await generate(req, payload, { session, prompt: payload.contents.at(-1).parts[0].text });
+      if (failure) return res.status(failure.status).json(failure.body);
+      if (!text) {
+        return res.status(502).json({ error: req.t("exercises.debriefFailed") });
+      }
+
+      const updated = await exercises.complete(session.id, session.turns.length, {
+        text: redactor.restore(text),
+        scores: totals,
+        model: result.model
+      });
+      if (!updated) {
+        return res.status(409).json({ error: req.t("exercises.conflict") });
+      }
+      req.log.info("Exercise completed", { exerciseId: session.id, score: totals.score, maxScore: totals.maxScore });
+      return res.json({ debrief: updated.debrief, status: updated.status });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("chat.serverError"), details: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,53 @@
+import express from "express";
+import { normalizeFeedback, snapshotExchange } from "../feedbackStore.js";
+
+const authorOf = (user) => ({ id: user.id, username: user.username, displayName: user.displayName });
+
+const toOwnFeedback = ({ turnId, rating, categories, comment, updatedAt }) => ({ turnId, rating, categories, comment, updatedAt });
+
+export const createFeedbackRouter = ({ feedback, conversations }) => {
+  const router = express.Router();
+
+  // Rates one stored reply. Sending feedback for the same reply again
+  // replaces the caller's earlier rating.
+  router.post("/", async (req, res) => {
+    const { conversationId, turnId } = req.body || {};
+    const { errors, value } = normalizeFeedback(req.body || {});
+    if (errors.length) {
+      return res.status(400).json({ error: req.t(errors[0]) });
+    }
+
+    const conversation = typeof conversationId === "string"
+      ? await conversations.get(conversationId).catch(() => undefined)
+      : undefined;
+    const exchange = conversation && typeof turnId === "string" ? snapshotExchange(conversation, turnId) : undefined;
+    if (!exchange) {
+      return res.status(404).json({ error: req.t("feedback.replyNotFound") });
+    }
+
+    try {
+      const saved = await feedback.save(exchange, value, authorOf(req.user));
+      req.log.info("Feedback recorded", { turnId, rating: value.rating, categories: value.categories });
+      return res.status(201).json({ feedback: toOwnFeedback(saved) });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("feedback.saveFailed"), details: error.message });
+    }
+  });
+
+  // The caller's own feedback on a conversation, so the UI can show which
+  // replies were already rated.
+  router.get("/", async (req, res) => {
+    const { conversationId } = req.query;
+    if (typeof conversationId !== "string" || !conversationId) {
+      return res.status(400).json({ error: req.t("feedback.conversationRequired") });
+    }
+    try {
+      const entries = await feedback.query({ conversationId, userId: req.user.id });
+      return res.json({ feedback: entries.map(toOwnFeedback) });
+    } catch (error) {
+      return res.status(500).json({ error: req.t("feedback.loadFailed"), details: error.message });
+    }
+  });
+
+  return router;
+};
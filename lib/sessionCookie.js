@@ -0,0 +1,71 @@
+import crypto from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { logger } from "./logger.js";
+
+export const parseCookies = (header = "") =>
+  Object.fromEntries(
+    String(header)
+      .split(";")
+      .map((pair) => pair.trim())
+      .filter(Boolean)
+      .map((pair) => {
+        const separator = pair.indexOf("=");
+        if (separator === -1) return [pair, ""];
+        const value = pair.slice(separator + 1).trim();
+        try {
+          return [pair.slice(0, separator).trim(), decodeURIComponent(value)];
+        } catch {
+          return [pair.slice(0, separator).trim(), value];
+        }
+      })
+  );
+
+// SESSION_SECRET wins when set. Otherwise a random secret is generated once
+// and kept in the data directory so sessions survive restarts.
+export const resolveSessionSecret = async (env, dataDir) => {
+  if (env.SESSION_SECRET) return env.SESSION_SECRET;
+
+  const secretPath = path.join(dataDir, "session-secret");
+  try {
+    const stored = (await fs.readFile(secretPath, "utf8")).trim();
+    if (stored) return stored;
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  const secret = crypto.randomBytes(48).toString("base64url");
+  await fs.mkdir(dataDir, { recursive: true });
+  await fs.writeFile(secretPath, secret, { encoding: "utf8", mode: 0o600 });
+  logger.warn("SESSION_SECRET is not set; generated one", { path: secretPath });
+  return secret;
+};
+
+export const createSessionCodec = ({ secret, ttlMs }) => {
+  const sign = (value) => crypto.createHmac("sha256", secret).update(value).digest("base64url");
+
+  const issue = (user, now = Date.now()) => {
+    const payload = { uid: user.id, ver: user.sessionVersion || 1, exp: now + ttlMs };
+    const body = Buffer.from(JSON.stringify(payload), "utf8").toString("base64url");
+    return `${body}.${sign(body)}`;
+  };
+
+  const verify = (token, now = Date.now()) => {
+    if (typeof token !== "string") return undefined;
+    const [body, signature] = token.split(".");
+    if (!body || !signature) return undefined;
+
+    const expected = Buffer.from(sign(body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return undefined;
+
+    try {
+      const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+      return typeof payload?.exp === "number" && payload.exp > now ? payload : undefined;
+    } catch {
+      return undefined;
+    }
+  };
+
+  return { issue, verify, ttlMs };
+};
@@ -0,0 +1,75 @@
+import { calculateDeadlines } from "./reportingDeadlines.js";
+import { formatInZone, parseTime } from "./time.js";
+
+const MAX_EVENTS = 100;
+
+const formatElapsed = (ms) => {
+  const sign = ms < 0 ? "-" : "+";
+  const hours = Math.abs(ms) / 3600 / 1000;
+  if (hours < 48) return `${sign}${Math.round(hours * 10) / 10} 時間`;
+  return `${sign}${Math.round((hours / 24) * 10) / 10} 日`;
+};
+
+// Merges the events the model extracted from the conversation with the case
+// file's first report and, when an awareness time is known, the reporting
+// deadlines that follow from it. Events without a usable time are returned
+// separately instead of being guessed into place.
+export const buildCaseTimeline = (rules, { events, awarenessTime, ruleIds, jurisdiction, caseFile, timeZone = "Asia/Tokyo", now = new Date() }) => {
+  const entries = [];
+  const undated = [];
+
+  (Array.isArray(events) ? events.slice(0, MAX_EVENTS) : []).forEach((event) => {
+    const description = typeof event?.description === "string" ? event.description.trim() : "";
+    if (!description) return;
+    const time = parseTime(event.time, timeZone);
+    if (!time) {
+      undated.push({ time: event?.time ?? null, description });
+      return;
+    }
+    entries.push({ time, description, category: event.category || "event" });
+  });
+
+  const firstReported = parseTime(caseFile?.firstReportedAt, timeZone);
+  if (firstReported) {
+    entries.push({ time: firstReported, description: `初報（ケースファイル: ${caseFile.title}）`, category: "case-file" });
+  }
+
+  const awareness = awarenessTime || caseFile?.firstReportedAt;
+  let deadlineError;
+  if (awareness) {
+    const result = calculateDeadlines(rules, { awarenessTime: awareness, ruleIds, jurisdiction, timeZone, now });
+    if (result.error) {
+      deadlineError = result.error;
+    } else {
+      result.deadlines.forEach((deadline) => {
+        entries.push({
+          time: new Date(deadline.dueAt),
+          description: `報告期限: ${deadline.regulator} ${deadline.name}（${deadline.rule}、${deadline.basis}）`,
+          category: "deadline"
+        });
+      });
+    }
+  }
+
+  if (!entries.length) {
+    return { error: "日時を解釈できるイベントがありません。time は ISO 8601 形式で指定してください。", undated };
+  }
+
+  entries.sort((a, b) => a.time - b.time);
+  const origin = entries[0].time;
+
+  return {
+    timeZone,
+    origin: origin.toISOString(),
+    timeline: entries.map((entry) => ({
+      time: entry.time.toISOString(),
+      local: formatInZone(entry.time, timeZone),
+      elapsed: formatElapsed(entry.time - origin),
+      category: entry.category,
+      description: entry.description,
+      ...(entry.category === "deadline" ? { overdue: entry.time < now } : {})
+    })),
+    undated,
+    deadlineError
+  };
+};
@@ -0,0 +1,78 @@
+import { logger } from "../logger.js";
+import { buildCaseTimeline } from "./caseTimeline.js";
+import { calculateDeadlines } from "./reportingDeadlines.js";
+
+export { loadReportingRules } from "./reportingDeadlines.js";
+
+export const TOOL_LABELS = {
+  calculate_reporting_deadline: "報告期限の計算",
+  build_case_timeline: "事故タイムラインの作成"
+};
+
+const ruleList = (rules) =>
+  rules.map((rule) => `${rule.id}（${rule.jurisdiction} ${rule.regulator}: ${rule.name}）`).join("、");
+
+// Declarations use Gemini's OpenAPI-subset schema; other providers convert them.
+const declareTools = (rules) => [
+  {
+    name: "calculate_reporting_deadline",
+    description: `社内の報告ルール表に基づき、当局への報告期限を機械的に計算します。法定期限に言及するときは推測せずこのツールを使ってください。利用可能なルール: ${ruleList(rules)}`,
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        awarenessTime: { type: "STRING", description: "事故を知った（覚知した）日時。ISO 8601。タイムゾーン省略時は日本時間。" },
+        ruleIds: { type: "ARRAY", items: { type: "STRING" }, description: "計算するルール ID。省略時は jurisdiction で絞り込み、それも無ければ全ルール。" },
+        jurisdiction: { type: "STRING", description: "国・地域コード（JP, US, CA, AU, EU など）" }
+      },
+      required: ["awarenessTime"]
+    }
+  },
+  {
+    name: "build_case_timeline",
+    description: "会話やケースファイルから読み取れる出来事を時系列に並べ、経過時間と報告期限を加えた事故タイムラインを作成します。",
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        events: {
+          type: "ARRAY",
+          description: "出来事の一覧",
+          items: {
+            type: "OBJECT",
+            properties: {
+              time: { type: "STRING", description: "日時（ISO 8601。タイムゾーン省略時は日本時間）" },
+              description: { type: "STRING", description: "出来事の内容" },
+              category: { type: "STRING", description: "incident / report / action / communication など" }
+            },
+            required: ["time", "description"]
+          }
+        },
+        awarenessTime: { type: "STRING", description: "報告期限の起算点となる覚知日時。省略時はケースファイルの初報日時。" },
+        ruleIds: { type: "ARRAY", items: { type: "STRING" }, description: "タイムラインに載せる報告ルール ID" },
+        jurisdiction: { type: "STRING", description: "報告期限を載せる国・地域コード" }
+      },
+      required: ["events"]
+    }
+  }
+];
+
+export const createToolbox = ({ rules, timeZone = "Asia/Tokyo" }) => {
+  const handlers = {
+    calculate_reporting_deadline: (args) => calculateDeadlines(rules, { ...args, timeZone }),
+    build_case_timeline: (args, { caseFile }) => buildCaseTimeline(rules, { ...args, caseFile, timeZone })
+  };
+
+  // Tool failures are reported back to the model as a response rather than
+  // thrown, so it can correct its arguments on the next round.
+  const run = (name, args = {}, context = {}) => {
+    const handler = handlers[name];
+    if (!handler) return { error: `未知のツールです: ${name}` };
+    try {
+      return handler(args && typeof args === "object" ? args : {}, context);
+    } catch (error) {
+      logger.error("Tool failed", { name, error: error.message });
+      return { error: `ツールの実行に失敗しました: ${error.message}` };
+    }
+  };
+
+  return { declarations: declareTools(rules), run };
+};
@@ -0,0 +1,79 @@
+import { readFileSync } from "fs";
+import { logger } from "../logger.js";
+import { endOfDayAfter, formatInZone, parseTime } from "./time.js";
+
+const UNITS = ["hours", "days-inclusive", "days-after", "immediate"];
+
+export const loadReportingRules = (filePath) => {
+  const table = JSON.parse(readFileSync(filePath, "utf8"));
+  const rules = Array.isArray(table.rules) ? table.rules : [];
+  rules.forEach((rule) => {
+    if (!rule.id || !UNITS.includes(rule.deadline?.unit)) {
+      throw new Error(`Invalid reporting rule ${rule.id || "(no id)"} in ${filePath}`);
+    }
+  });
+  logger.info("Loaded reporting rules", { count: rules.length, reviewedAt: table.reviewedAt || null });
+  return { rules, reviewedAt: table.reviewedAt || null };
+};
+
+// "days-inclusive" counts the day of awareness as day 1 (知った日から起算),
+// "days-after" starts counting the next day; both end at midnight local time.
+const computeDue = (rule, awareness) => {
+  const { amount, unit } = rule.deadline;
+  if (unit === "hours") return new Date(awareness.getTime() + amount * 3600 * 1000);
+  if (unit === "days-inclusive") return endOfDayAfter(awareness, amount - 1, rule.timeZone);
+  if (unit === "days-after") return endOfDayAfter(awareness, amount, rule.timeZone);
+  return awareness;
+};
+
+const describeDeadline = ({ amount, unit }) => {
+  if (unit === "hours") return `${amount} 時間以内`;
+  if (unit === "days-inclusive") return `起算日を含めて ${amount} 日以内`;
+  if (unit === "days-after") return `翌日から起算して ${amount} 日以内`;
+  return "遅滞なく（直ちに）";
+};
+
+export const selectRules = (rules, { ruleIds, jurisdiction } = {}) => {
+  if (Array.isArray(ruleIds) && ruleIds.length) return rules.filter((rule) => ruleIds.includes(rule.id));
+  if (typeof jurisdiction === "string" && jurisdiction.trim()) {
+    const code = jurisdiction.trim().toUpperCase();
+    return rules.filter((rule) => rule.jurisdiction === code);
+  }
+  return rules;
+};
+
+export const calculateDeadlines = (rules, { awarenessTime, ruleIds, jurisdiction, timeZone = "Asia/Tokyo", now = new Date() }) => {
+  const awareness = parseTime(awarenessTime, timeZone);
+  if (!awareness) {
+    return { error: `awarenessTime (${awarenessTime ?? "未指定"}) を日時として解釈できません。ISO 8601 形式で指定してください。` };
+  }
+
+  const selected = selectRules(rules, { ruleIds, jurisdiction });
+  if (!selected.length) {
+    return { error: "該当する報告ルールがありません。", availableRuleIds: rules.map((rule) => rule.id) };
+  }
+
+  return {
+    awarenessTime: awareness.toISOString(),
+    deadlines: selected
+      .map((rule) => {
+        const due = computeDue(rule, awareness);
+        const remainingHours = Math.round(((due.getTime() - now.getTime()) / 3600 / 1000) * 10) / 10;
+        return {
+          ruleId: rule.id,
+          jurisdiction: rule.jurisdiction,
+          regulator: rule.regulator,
+          name: rule.name,
+          basis: rule.basis,
+          rule: describeDeadline(rule.deadline),
+          dueAt: due.toISOString(),
+          dueAtLocal: formatInZone(due, rule.timeZone),
+          dueAtJapan: formatInZone(due, timeZone),
+          remainingHours,
+          overdue: remainingHours < 0,
+          notes: rule.notes
+        };
+      })
+      .sort((a, b) => a.dueAt.localeCompare(b.dueAt))
+  };
+};
@@ -0,0 +1,71 @@
+const EXPLICIT_ZONE = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_PATTERN = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+const zonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit"
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  return parts;
+};
+
+const zoneOffset = (date, timeZone) => {
+  const parts = zonedParts(date, timeZone);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - date.getTime();
+};
+
+// Wall-clock time in a zone to an instant. Two passes settle DST edges.
+export const fromZonedTime = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const first = guess - zoneOffset(new Date(guess), timeZone);
+  return new Date(guess - zoneOffset(new Date(first), timeZone));
+};
+
+// ISO strings with an offset are taken as is; bare dates and times are read
+// as wall-clock time in the given zone. Returns undefined when unparseable.
+export const parseTime = (value, timeZone) => {
+  if (typeof value !== "string" || !value.trim()) return undefined;
+  const text = value.trim();
+  if (EXPLICIT_ZONE.test(text)) {
+    const time = Date.parse(text);
+    return Number.isNaN(time) ? undefined : new Date(time);
+  }
+  const match = text.match(LOCAL_PATTERN);
+  if (!match) return undefined;
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map((part) => (part === undefined ? undefined : Number(part)));
+  return fromZonedTime({ year, month, day, hour, minute, second }, timeZone);
+};
+
+export const endOfDayAfter = (date, days, timeZone) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return fromZonedTime({
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    hour: 23,
+    minute: 59,
+    second: 59
+  }, timeZone);
+};
+
+export const formatInZone = (date, timeZone) =>
+  `${new Intl.DateTimeFormat("ja-JP", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23"
+  }).format(date)} (${timeZone})`;
@@ -0,0 +1,31 @@
+// Remembers how the most recent upstream model calls went so /healthz can
+// report it. Only the last `window` attempts count towards the status.
+export const createUpstreamHealth = ({ window = 20, degradedRatio = 0.5 } = {}) => {
+  const recent = [];
+  const models = new Map();
+
+  const record = ({ provider, model, ok, outcome }, now = Date.now()) => {
+    recent.push(ok);
+    if (recent.length > window) recent.shift();
+
+    const key = `${provider}:${model}`;
+    const entry = models.get(key) || { provider, model };
+    if (ok) {
+      entry.lastSuccessAt = new Date(now).toISOString();
+    } else {
+      entry.lastFailureAt = new Date(now).toISOString();
+      entry.lastFailure = outcome;
+    }
+    models.set(key, entry);
+  };
+
+  // "unknown" until the first call; "degraded" once at least half of the
+  // recent calls failed, which retries and fallbacks may still be hiding.
+  const snapshot = () => {
+    const failed = recent.filter((ok) => !ok).length;
+    const status = !recent.length ? "unknown" : failed / recent.length >= degradedRatio ? "degraded" : "ok";
+    return { status, recentCalls: recent.length, recentFailures: failed, models: [...models.values()] };
+  };
+
+  return { record, snapshot };
+};
@@ -0,0 +1,59 @@
+import { createJsonCollection } from "./jsonCollection.js";
+
+const KEEP_DAYS = 62;
+const KEEP_MONTHS = 24;
+
+const dayKey = (date, timeZone) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+
+const pruneKeys = (counts, keep) =>
+  Object.fromEntries(Object.entries(counts).sort(([a], [b]) => b.localeCompare(a)).slice(0, keep));
+
+// Gemini reports totalTokenCount; fall back to adding the parts, then to a
+// rough character-based estimate for providers that report nothing.
+export const countTokens = (usageMetadata, fallbackText = "") => {
+  const total = Number(usageMetadata?.totalTokenCount);
+  if (Number.isFinite(total) && total > 0) return total;
+  const parts = (Number(usageMetadata?.promptTokenCount) || 0) + (Number(usageMetadata?.candidatesTokenCount) || 0);
+  if (parts > 0) return parts;
+  return Math.ceil(fallbackText.length / 2);
+};
+
+export const createUsageBudget = (directory, { daily = 0, monthly = 0, timeZone = "Asia/Tokyo" } = {}) => {
+  const collection = createJsonCollection(directory);
+
+  const keysFor = (now) => {
+    const day = dayKey(now, timeZone);
+    return { day, month: day.slice(0, 7) };
+  };
+
+  const usageFor = async (userId, now = new Date()) => {
+    const { day, month } = keysFor(now);
+    const record = await collection.read(userId);
+    return {
+      daily: { used: record?.days?.[day] || 0, limit: daily },
+      monthly: { used: record?.months?.[month] || 0, limit: monthly }
+    };
+  };
+
+  const check = async (userId, now = new Date()) => {
+    const usage = await usageFor(userId, now);
+    if (daily && usage.daily.used >= daily) return { allowed: false, scope: "daily", ...usage.daily };
+    if (monthly && usage.monthly.used >= monthly) return { allowed: false, scope: "monthly", ...usage.monthly };
+    return { allowed: true, usage };
+  };
+
+  const record = async (userId, tokens, now = new Date()) => {
+    if (!tokens) return;
+    const { day, month } = keysFor(now);
+    const apply = (current) => ({
+      userId,
+      days: pruneKeys({ ...current.days, [day]: (current.days?.[day] || 0) + tokens }, KEEP_DAYS),
+      months: pruneKeys({ ...current.months, [month]: (current.months?.[month] || 0) + tokens }, KEEP_MONTHS),
+      updatedAt: now.toISOString()
+    });
+    await collection.update(userId, apply, { create: () => ({ days: {}, months: {} }) });
+  };
+
+  return { check, record, usageFor, limits: { daily, monthly } };
+};
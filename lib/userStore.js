@@ -0,0 +1,100 @@
+import crypto from "crypto";
+import { createJsonCollection } from "./jsonCollection.js";
+import { hashPassword, verifyPassword } from "./passwords.js";
+
+export const ROLES = ["viewer", "advisor", "admin"];
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{3,64}$/;
+
+export const hasRole = (user, role) =>
+  Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+export const toPublicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  displayName: user.displayName,
+  role: user.role,
+  disabled: Boolean(user.disabled),
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+  lastLoginAt: user.lastLoginAt || null,
+  locale: user.locale || null,
+  replyLanguage: user.replyLanguage || null
+});
+
+export const validateUsername = (username) =>
+  typeof username === "string" && USERNAME_PATTERN.test(username)
+    ? undefined
+    : "ユーザー名は 3〜64 文字の半角英数字と . _ @ - で入力してください。";
+
+export const createUserStore = (directory) => {
+  const collection = createJsonCollection(directory);
+  let dummyHash;
+
+  const list = async () => {
+    const users = await collection.list();
+    return users.sort((a, b) => a.username.localeCompare(b.username));
+  };
+
+  const get = (id) => collection.read(id);
+
+  const findByUsername = async (username) => {
+    const normalized = String(username || "").toLowerCase();
+    const users = await collection.list();
+    return users.find((user) => user.username.toLowerCase() === normalized);
+  };
+
+  const create = async ({ username, displayName, role, password }) => {
+    const now = new Date().toISOString();
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      displayName: displayName || username,
+      role,
+      passwordHash: await hashPassword(password),
+      disabled: false,
+      sessionVersion: 1,
+      createdAt: now,
+      updatedAt: now
+    };
+    return collection.write(user.id, user);
+  };
+
+  const update = (id, changes) =>
+    collection.update(id, (user) => {
+      const next = { ...user, ...changes, updatedAt: new Date().toISOString() };
+      // Disabling a user or changing their role invalidates their open sessions.
+      if (changes.disabled === true || (changes.role && changes.role !== user.role)) {
+        next.sessionVersion = (user.sessionVersion || 1) + 1;
+      }
+      return next;
+    });
+
+  const setPassword = async (id, password) => {
+    const passwordHash = await hashPassword(password);
+    return collection.update(id, (user) => ({
+      ...user,
+      passwordHash,
+      sessionVersion: (user.sessionVersion || 1) + 1,
+      updatedAt: new Date().toISOString()
+    }));
+  };
+
+  const recordLogin = (id) =>
+    collection.update(id, (user) => ({ ...user, lastLoginAt: new Date().toISOString() }));
+
+  const authenticate = async (username, password) => {
+    const user = await findByUsername(username);
+    if (!user) {
+      // Spend the same scrypt time for unknown users so response timing does
+      // not reveal which usernames exist.
+      dummyHash ??= await hashPassword(crypto.randomUUID());
+      await verifyPassword(String(password ?? ""), dummyHash);
+      return undefined;
+    }
+    if (user.disabled) return undefined;
+    return (await verifyPassword(password, user.passwordHash)) ? user : undefined;
+  };
+
+  return { list, get, findByUsername, create, update, setPassword, recordLogin, authenticate };
+};
@@ -0,0 +1,453 @@
+const statusEl = document.getElementById("admin-status");
+const userRows = document.getElementById("user-rows");
+const userForm = document.getElementById("user-form");
+
+const ROLE_LABELS = { viewer: "viewer（閲覧のみ）", advisor: "advisor（相談可）", admin: "admin（管理者）" };
+
+const renderStatus = (text, variant = "") => {
+  statusEl.textContent = text || "";
+  statusEl.className = `status ${variant}`.trim();
+};
+
+const requestJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...options.headers }
+  });
+  if (response.status === 401) {
+    window.location.assign(`/login?next=${encodeURIComponent(window.location.pathname)}`);
+    throw new Error("ログインが必要です。");
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = data.error || `サーバーエラー (${response.status})`;
+    throw new Error(data.requestId ? `${message}（リクエストID: ${data.requestId}）` : message);
+  }
+  return data;
+};
+
+const formatTimestamp = (value) => (value ? new Date(value).toLocaleString("ja-JP") : "—");
+
+const updateUser = async (user, changes, successMessage) => {
+  try {
+    await requestJson(`/api/admin/users/${encodeURIComponent(user.id)}`, {
+      method: "PATCH",
+      body: JSON.stringify(changes)
+    });
+    renderStatus(successMessage, "success");
+  } catch (error) {
+    renderStatus(error.message, "error");
+  } finally {
+    loadUsers();
+  }
+};
+
+const resetPassword = async (user) => {
+  const password = window.prompt(`${user.username} の新しいパスワード（8文字以上）を入力してください。`);
+  if (!password) return;
+  try {
+    await requestJson(`/api/admin/users/${encodeURIComponent(user.id)}/password`, {
+      method: "POST",
+      body: JSON.stringify({ password })
+    });
+    renderStatus(`${user.username} のパスワードを再設定しました。既存のセッションは無効になります。`, "success");
+  } catch (error) {
+    renderStatus(error.message, "error");
+  }
+};
+
+const renderUsers = (users) => {
+  userRows.textContent = "";
+  users.forEach((user) => {
+    const row = document.createElement("tr");
+    if (user.disabled) row.classList.add("disabled");
+
+    const cells = [user.username, user.displayName, null, user.disabled ? "無効" : "有効", formatTimestamp(user.lastLoginAt)];
+    cells.forEach((value, index) => {
+      const cell = document.createElement("td");
+      if (index === 2) {
+        const select = document.createElement("select");
+        Object.entries(ROLE_LABELS).forEach(([role, label]) => {
+          const option = document.createElement("option");
+          option.value = role;
+          option.textContent = label;
+          select.appendChild(option);
+        });
+        select.value = user.role;
+        select.addEventListener("change", () =>
+          updateUser(user, { role: select.value }, `${user.username} の権限を変更しました。`));
+        cell.appendChild(select);
+      } else {
+        cell.textContent = value;
+      }
+      row.appendChild(cell);
+    });
+
+    const actions = document.createElement("td");
+    actions.className = "row-actions";
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.textContent = user.disabled ? "有効化" : "無効化";
+    toggle.addEventListener("click", () =>
+      updateUser(user, { disabled: !user.disabled }, `${user.username} を${user.disabled ? "有効化" : "無効化"}しました。`));
+    const reset = document.createElement("button");
+    reset.type = "button";
+    reset.textContent = "パスワード再設定";
+    reset.addEventListener("click", () => resetPassword(user));
+    actions.append(toggle, reset);
+    row.appendChild(actions);
+
+    userRows.appendChild(row);
+  });
+};
+
+const loadUsers = async () => {
+  try {
+    const data = await requestJson("/api/admin/users");
+    renderUsers(data.users || []);
+  } catch (error) {
+    renderStatus(error.message, "error");
+  }
+};
+
+userForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const fields = userForm.elements;
+  try {
+    await requestJson("/api/admin/users", {
+      method: "POST",
+      body: JSON.stringify({
+        username: fields.username.value.trim(),
+        displayName: fields.displayName.value,
+        role: fields.role.value,
+        password: fields.password.value
+      })
+    });
+    renderStatus(`${fields.username.value.trim()} を追加しました。`, "success");
+    userForm.reset();
+    loadUsers();
+  } catch (error) {
+    renderStatus(error.message, "error");
+  }
+});
+
+loadUsers();
+
+const knowledgeForm = document.getElementById("knowledge-form");
+const knowledgeRows = document.getElementById("knowledge-rows");
+
+const renderKnowledge = (documents) => {
+  knowledgeRows.textContent = "";
+  documents.forEach((entry) => {
+    const row = document.createElement("tr");
+    const titleCell = document.createElement("td");
+    const link = document.createElement("a");
+    link.href = `/knowledge?doc=${encodeURIComponent(entry.id)}`;
+    link.target = "_blank";
+    link.rel = "noopener";
+    link.textContent = entry.title;
+    titleCell.appendChild(link);
+    row.appendChild(titleCell);
+
+    [entry.fileName, String(entry.chunkCount), entry.uploadedBy?.username || "—", formatTimestamp(entry.createdAt)]
+      .forEach((value) => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+
+    const actions = document.createElement("td");
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.textContent = "削除";
+    remove.addEventListener("click", async () => {
+      if (!window.confirm(`「${entry.title}」をナレッジベースから削除しますか？`)) return;
+      try {
+        await requestJson(`/api/admin/knowledge/${encodeURIComponent(entry.id)}`, { method: "DELETE" });
+        renderStatus(`「${entry.title}」を削除しました。`, "success");
+      } catch (error) {
+        renderStatus(error.message, "error");
+      } finally {
+        loadKnowledge();
+      }
+    });
+    actions.appendChild(remove);
+    row.appendChild(actions);
+    knowledgeRows.appendChild(row);
+  });
+};
+
+const loadKnowledge = async () => {
+  try {
+    const data = await requestJson("/api/admin/knowledge");
+    renderKnowledge(data.documents || []);
+  } catch (error) {
+    renderStatus(error.message, "error");
+  }
+};
+
+knowledgeForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const files = [...knowledgeForm.elements.files.files];
+  const title = files.length === 1 ? knowledgeForm.elements.title.value.trim() : "";
+  const registered = [];
+
+  try {
+    for (const file of files) {
+      const data = await requestJson("/api/admin/knowledge", {
+        method: "POST",
+        body: JSON.stringify({ fileName: file.name, title, content: await file.text() })
+      });
+      registered.push(`${data.document.title}（${data.document.chunkCount} 節）`);
+    }
+    renderStatus(`${registered.join("、")} を登録しました。`, "success");
+    knowledgeForm.reset();
+  } catch (error) {
+    const done = registered.length ? `${registered.join("、")} は登録済みです。` : "";
+    renderStatus(`${error.message}${done ? ` ${done}` : ""}`, "error");
+  } finally {
+    loadKnowledge();
+  }
+});
+
+loadKnowledge();
+
+const auditForm = document.getElementById("audit-form");
+const auditRows = document.getElementById("audit-rows");
+const auditStatus = document.getElementById("audit-status");
+
+const renderAuditStatus = (text, variant = "") => {
+  auditStatus.textContent = text || "";
+  auditStatus.className = `status ${variant}`.trim();
+};
+
+// datetime-local values are in the browser's time zone; send them as ISO instants.
+const auditQuery = (extra = {}) => {
+  const fields = auditForm.elements;
+  const params = new URLSearchParams(extra);
+  if (fields.from.value) params.set("from", new Date(fields.from.value).toISOString());
+  if (fields.to.value) params.set("to", new Date(fields.to.value).toISOString());
+  if (fields.user.value.trim()) params.set("user", fields.user.value.trim());
+  return params.toString();
+};
+
+const excerpt = (text, length = 120) => (text.length > length ? `${text.slice(0, length)}…` : text);
+
+const renderAuditEntries = (entries) => {
+  auditRows.textContent = "";
+  entries.forEach((entry) => {
+    const row = document.createElement("tr");
+    const cells = [
+      String(entry.seq),
+      formatTimestamp(entry.timestamp),
+      entry.user?.displayName || entry.user?.username || "—",
+      entry.model || "—",
+      entry.finishReason || "—",
+      excerpt(entry.prompt || ""),
+      `${entry.hash.slice(0, 12)}…`
+    ];
+    cells.forEach((value, index) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      if (index === 5) cell.className = "audit-prompt";
+      if (index === 6) {
+        cell.className = "audit-hash";
+        cell.title = entry.hash;
+      }
+      row.appendChild(cell);
+    });
+    auditRows.appendChild(row);
+  });
+};
+
+const loadAudit = async () => {
+  try {
+    const data = await requestJson(`/api/admin/audit?${auditQuery()}`);
+    renderAuditEntries(data.entries || []);
+    renderAuditStatus(`${data.count} 件の記録があります。`);
+  } catch (error) {
+    renderAuditStatus(error.message, "error");
+  }
+};
+
+auditForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  loadAudit();
+});
+
+document.getElementById("audit-export-jsonl").addEventListener("click", () => {
+  window.location.assign(`/api/admin/audit?${auditQuery({ format: "jsonl" })}`);
+});
+
+document.getElementById("audit-export-json").addEventListener("click", () => {
+  window.location.assign(`/api/admin/audit?${auditQuery({ format: "json", download: "1" })}`);
+});
+
+document.getElementById("audit-verify").addEventListener("click", async () => {
+  try {
+    const result = await requestJson("/api/admin/audit/verify");
+    if (result.ok) {
+      renderAuditStatus(`ハッシュチェーンは正常です（${result.count} 件）。`, "success");
+    } else {
+      renderAuditStatus(
+        `改ざんまたは破損を検出しました: ${result.lineNumber} 行目${result.seq ? `（#${result.seq}）` : ""} — ${result.reason}`,
+        "error"
+      );
+    }
+  } catch (error) {
+    renderAuditStatus(error.message, "error");
+  }
+});
+
+loadAudit();
+
+const feedbackForm = document.getElementById("feedback-form");
+const feedbackRows = document.getElementById("feedback-rows");
+const feedbackStatus = document.getElementById("feedback-status");
+
+const FEEDBACK_CATEGORY_LABELS = {
+  "legal-inaccuracy": "法的に不正確",
+  "not-actionable": "実行不可能",
+  "too-long": "長すぎる"
+};
+let profileNames = new Map();
+
+const renderFeedbackStatus = (text, variant = "") => {
+  feedbackStatus.textContent = text || "";
+  feedbackStatus.className = `status ${variant}`.trim();
+};
+
+const feedbackQuery = (extra = {}) => {
+  const fields = feedbackForm.elements;
+  const params = new URLSearchParams({ rating: fields.rating.value, ...extra });
+  ["profileId", "model", "category"].forEach((name) => {
+    if (fields[name].value) params.set(name, fields[name].value);
+  });
+  return params.toString();
+};
+
+// Keeps the current choice when the options are refreshed after a search.
+const fillSelect = (select, values, label = (value) => value) => {
+  const current = select.value;
+  select.length = 1;
+  values.forEach((value) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label(value);
+    select.appendChild(option);
+  });
+  select.value = values.includes(current) ? current : "";
+};
+
+const exchangeDetails = (entry) => {
+  const details = document.createElement("details");
+  details.className = "feedback-exchange";
+  const summary = document.createElement("summary");
+  summary.textContent = excerpt(entry.prompt || "");
+  const question = document.createElement("pre");
+  question.textContent = `Q: ${entry.prompt || ""}`;
+  const reply = document.createElement("pre");
+  reply.textContent = `A: ${entry.reply || ""}`;
+  details.append(summary, question, reply);
+  return details;
+};
+
+const renderFeedbackEntries = (entries) => {
+  feedbackRows.textContent = "";
+  entries.forEach((entry) => {
+    const row = document.createElement("tr");
+    const categories = entry.categories.map((category) => FEEDBACK_CATEGORY_LABELS[category] || category).join("、");
+    const cells = [
+      formatTimestamp(entry.updatedAt),
+      entry.user?.displayName || entry.user?.username || "—",
+      profileNames.get(entry.profileId) || entry.profileId || "—",
+      entry.model || "—",
+      entry.rating === "down" ? "👎 低評価" : "👍 高評価",
+      [categories, entry.comment].filter(Boolean).join(" — ") || "—"
+    ];
+    cells.forEach((value, index) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      if (index === 5) cell.className = "audit-prompt";
+      row.appendChild(cell);
+    });
+    const exchange = document.createElement("td");
+    exchange.appendChild(exchangeDetails(entry));
+    row.appendChild(exchange);
+    feedbackRows.appendChild(row);
+  });
+};
+
+const loadFeedback = async () => {
+  try {
+    const data = await requestJson(`/api/admin/feedback?${feedbackQuery()}`);
+    fillSelect(feedbackForm.elements.profileId, data.facets.profiles, (id) => profileNames.get(id) || id);
+    fillSelect(feedbackForm.elements.model, data.facets.models);
+    renderFeedbackEntries(data.entries || []);
+    renderFeedbackStatus(`${data.count} 件のフィードバックがあります。`);
+  } catch (error) {
+    renderFeedbackStatus(error.message, "error");
+  }
+};
+
+feedbackForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  loadFeedback();
+});
+
+document.getElementById("feedback-export").addEventListener("click", () => {
+  window.location.assign(`/api/admin/feedback?${feedbackQuery({ format: "jsonl" })}`);
+});
+
+requestJson("/api/profiles")
+  .then((data) => {
+    profileNames = new Map((data.profiles || []).map((profile) => [profile.id, profile.name]));
+  })
+  .catch(() => {})
+  .finally(loadFeedback);
+
+const redactionForm = document.getElementById("redaction-form");
+const redactionStatus = document.getElementById("redaction-status");
+
+const renderRedactionStatus = (text, variant = "") => {
+  redactionStatus.textContent = text || "";
+  redactionStatus.className = `status ${variant}`.trim();
+};
+
+// Names, phone numbers, addresses, emails and My Number-style IDs are found
+// automatically; only the confidential terms are maintained here.
+const describeRedaction = (data) => {
+  const state = data.enabled
+    ? "氏名・電話番号・住所・メールアドレス・個人番号と、下記の機密用語を送信前に伏せ字にしています。"
+    : "伏せ字は無効です（REDACTION_ENABLED）。";
+  const updated = data.updatedAt
+    ? `最終更新: ${formatTimestamp(data.updatedAt)}（${data.updatedBy?.displayName || data.updatedBy?.username || "—"}）`
+    : "";
+  return [state, updated].filter(Boolean).join(" ");
+};
+
+const loadRedaction = async () => {
+  try {
+    const data = await requestJson("/api/admin/redaction");
+    redactionForm.elements.terms.value = data.terms.join("\n");
+    renderRedactionStatus(describeRedaction(data));
+  } catch (error) {
+    renderRedactionStatus(error.message, "error");
+  }
+};
+
+redactionForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  try {
+    const data = await requestJson("/api/admin/redaction", {
+      method: "PUT",
+      body: JSON.stringify({ terms: redactionForm.elements.terms.value.split("\n") })
+    });
+    redactionForm.elements.terms.value = data.terms.join("\n");
+    renderRedactionStatus(`機密用語を ${data.terms.length} 件保存しました。`, "success");
+  } catch (error) {
+    renderRedactionStatus(error.message, "error");
+  }
+});
+
+loadRedaction();
@@ -1,3 +1,9 @@
+import { escapeHtml, formatReply } from "./markdown.js";
+import { diffLines, diffStats } from "./diff.js";
+import { LOCALE_STORAGE_KEY, browserLocale, dateLocale, localizeElements, normalizeLocale } from "./i18n.js";
+import { uiTranslator } from "./messages.js";
+import { RISK_MATRIX } from "./riskMatrix.js";
+
 (() => {
   const messagesEl = document.getElementById("messages");
   const form = document.getElementById("chat-form");
@@ -7,337 +13,1766 @@
   const toggle = document.getElementById("drawer-toggle");
   const guidePanel = document.getElementById("guide-drawer");
   const overlay = document.getElementById("drawer-overlay");
+  const historyToggle = document.getElementById("history-toggle");
+  const historyPanel = document.getElementById("history-panel");
+  const historyList = document.getElementById("history-list");
+  const newConversationButton = document.getElementById("new-conversation");
+  const exportLinks = document.querySelectorAll(".export-link");
+  const currentUserEl = document.getElementById("current-user");
+  const adminLink = document.getElementById("admin-link");
+  const logoutButton = document.getElementById("logout-button");
+  const profileSelect = document.getElementById("profile-select");
+  const profileDescription = document.getElementById("profile-description");
+  const caseFileSelect = document.getElementById("case-file-select");
+  const caseFileForm = document.getElementById("case-file-form");
+  const caseFileNewButton = document.getElementById("case-file-new");
+  const caseFileEditButton = document.getElementById("case-file-edit");
+  const caseFileCancelButton = document.getElementById("case-file-cancel");
+  const modeSelect = document.getElementById("mode-select");
+  const riskForm = document.getElementById("risk-form");
+  const exerciseScenariosEl = document.getElementById("exercise-scenarios");
+  const exerciseBar = document.getElementById("exercise-bar");
+  const exerciseTitle = document.getElementById("exercise-title");
+  const exerciseDebriefButton = document.getElementById("exercise-debrief");
+  const exerciseLeaveButton = document.getElementById("exercise-leave");
+  const attachButton = document.getElementById("attach-button");
+  const attachmentInput = document.getElementById("attachment-input");
+  const attachmentTray = document.getElementById("attachment-tray");
+  const localeSelect = document.getElementById("locale-select");
+  const replyLanguageSelect = document.getElementById("reply-language-select");
+  const replyLanguageHint = document.getElementById("reply-language-hint");
+  const chatStage = document.getElementById("chat-stage");
+  const draftTemplatesEl = document.getElementById("draft-templates");
+  const draftListEl = document.getElementById("draft-list");
+  const draftPane = document.getElementById("draft-pane");
+  const draftTitle = document.getElementById("draft-title");
+  const draftVersionSelect = document.getElementById("draft-version");
+  const draftCloseButton = document.getElementById("draft-close");
+  const draftMeta = document.getElementById("draft-meta");
+  const draftEditor = document.getElementById("draft-editor");
+  const draftDiff = document.getElementById("draft-diff");
+  const draftDiffSummary = document.getElementById("draft-diff-summary");
+  const draftDiffLines = document.getElementById("draft-diff-lines");
+  const draftReviseForm = document.getElementById("draft-revise-form");
+  const draftInstruction = document.getElementById("draft-instruction");
+  const draftSaveButton = document.getElementById("draft-save");
+  const draftDownloadLinks = [document.getElementById("draft-download-markdown"), document.getElementById("draft-download-html")];
+
+  const CONVERSATION_STORAGE_KEY = "riskAdvisor.conversationId";
+  const PROFILE_STORAGE_KEY = "riskAdvisor.profileId";
+  const MODE_STORAGE_KEY = "riskAdvisor.mode";
+  const REPLY_MODES = ["chat", "action-plan", "risk-assessment"];
+  const SEVERITY_NUMERALS = ["0", "I", "II", "III", "IV"];
+
+  let locale = browserLocale();
+  let t = uiTranslator(locale);
+
+  // Falls back to the raw value for ids the catalog does not know, such as a
+  // tool added on the server after this page was loaded.
+  const labelFor = (prefix, value) => {
+    const key = `${prefix}.${value}`;
+    const label = t(key);
+    return label === key ? value : label;
+  };
+
+  const conversation = [];
+  let busy = false;
+  let pendingFiles = [];
+  let conversationId = localStorage.getItem(CONVERSATION_STORAGE_KEY);
+  let caseFileId = null;
+  let caseFiles = [];
+  let editingCaseFileId = null;
+  let profiles = [];
+  let profileId = localStorage.getItem(PROFILE_STORAGE_KEY);
+  let replyMode = REPLY_MODES.includes(localStorage.getItem(MODE_STORAGE_KEY)) ? localStorage.getItem(MODE_STORAGE_KEY) : "chat";
+  let currentUser = null;
+  let historyItems;
+  // The tabletop exercise on screen, if any. While it is set the input box
+  // answers the exercise instead of /api/chat.
+  let exercise = null;
+  let exerciseScenarios;
+  // The draft open in the pane next to the messages and the version shown.
+  let draft = null;
+  let draftVersionNumber = 0;
+  let draftTemplates;
+  let draftItems = [];
+
+  const renderStatus = (text, variant = "default") => {
+    statusBar.textContent = "";
+    statusBar.classList.remove("error", "success");
+    if (variant === "error") statusBar.classList.add("error");
+    if (variant === "success") statusBar.classList.add("success");
+    if (!text) return;
+
+    const icon = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    icon.setAttribute("viewBox", "0 0 24 24");
+    icon.setAttribute("aria-hidden", "true");
+
+    const path = document.createElementNS("http://www.w3.org/2000/svg", "path");
+    if (variant === "error") {
+      path.setAttribute("d", "M12 2a10 10 0 1 0 0 20 10 10 0 0 0 0-20Zm1 15h-2v-2h2v2Zm0-4h-2V7h2v6Z");
+    } else if (variant === "success") {
+      path.setAttribute("d", "M12 2a10 10 0 1 0 0 20 10 10 0 0 0 0-20Zm-1 14-4-4 1.41-1.41L11 13.17l4.59-4.58L17 10l-6 6Z");
+    } else {
+      path.setAttribute("d", "M11 7h2v5h-2zm0 6h2v2h-2zm1-11C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2Zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8Z");
+    }
+
+    icon.appendChild(path);
+    statusBar.appendChild(icon);
+    statusBar.appendChild(document.createTextNode(text));
+  };
+
+  const addMessage = (content, role, { isHtml = false } = {}) => {
+    const bubble = document.createElement("div");
+    bubble.classList.add("bubble", role);
+    bubble.innerHTML = isHtml ? content : escapeHtml(content).replace(/\n/g, "<br>");
+    messagesEl.appendChild(bubble);
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+    return bubble;
+  };
+
+  // Each reply gets its own heading-id prefix so anchors stay unique across
+  // the whole conversation; it is kept on the bubble for streamed re-renders.
+  let replyCount = 0;
+  const replyHtml = (bubble, text, options = {}) => {
+    if (!bubble.dataset.idPrefix) {
+      replyCount += 1;
+      bubble.dataset.idPrefix = `reply-${replyCount}-`;
+    }
+    return formatReply(text, { ...options, idPrefix: bubble.dataset.idPrefix });
+  };
+
+  const addCopyButtons = (bubble) => {
+    bubble.querySelectorAll(".reply-markdown pre").forEach((pre) => {
+      if (pre.parentElement.classList.contains("code-block")) return;
+      const wrapper = document.createElement("div");
+      wrapper.className = "code-block";
+      pre.replaceWith(wrapper);
+      wrapper.appendChild(pre);
+
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "code-copy";
+      button.textContent = t("code.copy");
+      button.addEventListener("click", async () => {
+        try {
+          await navigator.clipboard.writeText(pre.textContent);
+          button.textContent = t("code.copied");
+        } catch {
+          button.textContent = t("code.copyFailed");
+        }
+        setTimeout(() => {
+          button.textContent = t("code.copy");
+        }, 2000);
+      });
+      wrapper.appendChild(button);
+    });
+  };
+
+  const sourceUrl = (source) =>
+    `/knowledge?doc=${encodeURIComponent(source.documentId)}#passage-${source.chunkIndex}`;
+
+  // Turns "[2]" in the rendered reply into a link to the cited passage. Only
+  // text nodes are touched, and code blocks and existing links are skipped.
+  const linkCitations = (bubble, byNumber) => {
+    const walker = document.createTreeWalker(bubble, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) =>
+        node.parentElement.closest("code, pre, a") || !/\[\d+\]/.test(node.nodeValue)
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_ACCEPT
+    });
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    nodes.forEach((node) => {
+      const fragment = document.createDocumentFragment();
+      let lastIndex = 0;
+      for (const match of node.nodeValue.matchAll(/\[(\d+)\]/g)) {
+        const source = byNumber.get(Number(match[1]));
+        if (!source) continue;
+        fragment.append(node.nodeValue.slice(lastIndex, match.index));
+        const link = document.createElement("a");
+        link.className = "citation";
+        link.href = sourceUrl(source);
+        link.target = "_blank";
+        link.rel = "noopener";
+        link.title = source.heading ? `${source.title} — ${source.heading}` : source.title;
+        link.textContent = match[0];
+        fragment.append(link);
+        lastIndex = match.index + match[0].length;
+      }
+      if (!lastIndex) return;
+      fragment.append(node.nodeValue.slice(lastIndex));
+      node.replaceWith(fragment);
+    });
+  };
+
+  // Tool results are shown collapsed under the reply so the figures the
+  // answer relies on can be checked against what the tool actually returned.
+  const renderToolCalls = (bubble, toolCalls) => {
+    if (!Array.isArray(toolCalls) || !toolCalls.length) return;
+    toolCalls.forEach((call) => {
+      const details = document.createElement("details");
+      details.className = "tool-call";
+      const summary = document.createElement("summary");
+      summary.textContent = `${t("tool.summary", { label: labelFor("tool", call.name) })}${call.result?.error ? t("tool.failed") : ""}`;
+      const output = document.createElement("pre");
+      output.textContent = JSON.stringify(call.result, null, 2);
+      details.append(summary, output);
+      bubble.appendChild(details);
+    });
+  };
+
+  // Lists what was replaced with placeholders before the prompt left the
+  // server. The values were typed by the user, so showing them is safe.
+  const renderRedactions = (bubble, redactions) => {
+    if (!Array.isArray(redactions) || !redactions.length) return;
+    const details = document.createElement("details");
+    details.className = "reply-redactions";
+    const summary = document.createElement("summary");
+    summary.textContent = t("redaction.summary", { count: redactions.length });
+    const note = document.createElement("p");
+    note.textContent = t("redaction.note");
+    const list = document.createElement("ul");
+    redactions.forEach((item) => {
+      const entry = document.createElement("li");
+      const placeholder = document.createElement("code");
+      placeholder.textContent = item.placeholder;
+      entry.append(`${labelFor("redaction", item.type)}: ${item.value} → `, placeholder);
+      list.appendChild(entry);
+    });
+    details.append(summary, note, list);
+    bubble.appendChild(details);
+  };
+
+  // Draws the R-Map with the assessed cell outlined, above the narrative.
+  // The regions come from the module the server scores with.
+  const renderRiskMatrix = (bubble, assessment) => {
+    if (!assessment?.region) return;
+    const figure = document.createElement("figure");
+    figure.className = "risk-matrix";
+    const caption = document.createElement("figcaption");
+    caption.textContent = t("risk.caption", { region: assessment.region, action: t(`risk.action.${assessment.action}`) });
+
+    const table = document.createElement("table");
+    const head = table.createTHead().insertRow();
+    const corner = document.createElement("th");
+    corner.textContent = `${t("risk.frequencyAxis")} / ${t("risk.severityAxis")}`;
+    head.appendChild(corner);
+    SEVERITY_NUMERALS.forEach((numeral) => {
+      const cell = document.createElement("th");
+      cell.scope = "col";
+      cell.textContent = numeral;
+      head.appendChild(cell);
+    });
+    const body = table.createTBody();
+    RISK_MATRIX.forEach((row) => {
+      const tableRow = body.insertRow();
+      const label = document.createElement("th");
+      label.scope = "row";
+      label.textContent = String(row.frequency);
+      tableRow.appendChild(label);
+      row.regions.forEach((region, severity) => {
+        const cell = tableRow.insertCell();
+        cell.className = `zone-${region[0].toLowerCase()}`;
+        cell.textContent = region;
+        if (row.frequency === assessment.frequency && severity === assessment.severity) {
+          cell.setAttribute("aria-current", "true");
+        }
+      });
+    });
+
+    const detail = document.createElement("p");
+    detail.textContent = t("risk.rate", {
+      rate: assessment.rate.toExponential(1),
+      frequency: assessment.frequency,
+      severity: SEVERITY_NUMERALS[assessment.severity]
+    });
+    figure.append(caption, table, detail);
+    if (assessment.assumedIncident) {
+      const assumed = document.createElement("p");
+      assumed.textContent = t("risk.assumed");
+      figure.appendChild(assumed);
+    }
+    bubble.prepend(figure);
+  };
+
+  const renderSources = (bubble, sources) => {
+    if (!Array.isArray(sources) || !sources.length) return;
+    linkCitations(bubble, new Map(sources.map((source) => [source.number, source])));
+
+    const list = document.createElement("ol");
+    list.className = "reply-sources";
+    sources.forEach((source) => {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      link.href = sourceUrl(source);
+      link.target = "_blank";
+      link.rel = "noopener";
+      link.textContent = `[${source.number}] ${source.title}${source.heading ? ` — ${source.heading}` : ""}`;
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    const heading = document.createElement("p");
+    heading.className = "reply-sources-title";
+    heading.textContent = t("sources.title");
+    bubble.append(heading, list);
+  };
+
+  // Marks where the server started sending older turns as a summary instead
+  // of verbatim. The marker sits after the last summarised reply and opens
+  // to show the summary; only the newest summary is shown.
+  const renderSummaryMarker = (summary) => {
+    messagesEl.querySelectorAll(".history-condensed").forEach((marker) => marker.remove());
+    if (!summary?.throughTurnId) return;
+    const anchor = [...messagesEl.querySelectorAll(".bubble[data-turn-id]")]
+      .find((bubble) => bubble.dataset.turnId === summary.throughTurnId);
+    if (!anchor) return;
+
+    const marker = document.createElement("details");
+    marker.className = "history-condensed";
+    const label = document.createElement("summary");
+    label.textContent = t("history.condensed", { count: summary.turnCount });
+    const body = document.createElement("div");
+    body.innerHTML = formatReply(summary.text, { idPrefix: "history-summary-" });
+    marker.append(label, body);
+    anchor.after(marker);
+  };
+
+  const FEEDBACK_CATEGORIES = ["legal-inaccuracy", "not-actionable", "too-long"];
+
+  // Thumbs up/down under a stored reply. A rating is saved as soon as it is
+  // clicked; a thumbs-down also opens the problem categories and a comment,
+  // which are sent with the button. Each save replaces the earlier one.
+  const renderFeedback = (bubble, turnId, existing) => {
+    const targetConversationId = conversationId;
+    if (!targetConversationId || !turnId) return;
+    const state = {
+      rating: existing?.rating,
+      categories: new Set(existing?.categories || []),
+      comment: existing?.comment || ""
+    };
+
+    const container = document.createElement("div");
+    container.className = "reply-feedback";
+    const details = document.createElement("div");
+    details.className = "feedback-details";
+
+    const toggleButton = (label, className) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = className;
+      button.textContent = label;
+      return button;
+    };
+
+    const save = async () => {
+      try {
+        await requestJson("/api/feedback", {
+          method: "POST",
+          body: JSON.stringify({
+            conversationId: targetConversationId,
+            turnId,
+            rating: state.rating,
+            categories: [...state.categories],
+            comment: state.comment
+          })
+        });
+        renderStatus(t("feedback.saved"), "success");
+      } catch (error) {
+        renderStatus(error.message || t("feedback.failed"), "error");
+      }
+    };
+
+    const categoryButtons = FEEDBACK_CATEGORIES.map((category) => {
+      const button = toggleButton(t(`feedback.category.${category}`), "feedback-category");
+      button.addEventListener("click", () => {
+        if (state.categories.has(category)) {
+          state.categories.delete(category);
+        } else {
+          state.categories.add(category);
+        }
+        button.setAttribute("aria-pressed", String(state.categories.has(category)));
+      });
+      return button;
+    });
+
+    const comment = document.createElement("textarea");
+    comment.rows = 2;
+    comment.maxLength = 2000;
+    comment.placeholder = t("feedback.commentPlaceholder");
+    comment.value = state.comment;
+    comment.addEventListener("input", () => {
+      state.comment = comment.value;
+    });
+    const send = toggleButton(t("feedback.send"), "feedback-send");
+    send.addEventListener("click", save);
+
+    const ratingButtons = [["up", "👍"], ["down", "👎"]].map(([rating, icon]) => {
+      const button = toggleButton(icon, "feedback-rating");
+      button.title = t(`feedback.${rating}`);
+      button.setAttribute("aria-label", t(`feedback.${rating}`));
+      button.addEventListener("click", () => {
+        state.rating = rating;
+        if (rating === "up") state.categories.clear();
+        update();
+        save();
+      });
+      return button;
+    });
+
+    const update = () => {
+      ratingButtons.forEach((button, index) =>
+        button.setAttribute("aria-pressed", String(state.rating === ["up", "down"][index])));
+      categoryButtons.forEach((button, index) =>
+        button.setAttribute("aria-pressed", String(state.categories.has(FEEDBACK_CATEGORIES[index]))));
+      details.hidden = state.rating !== "down";
+    };
+
+    const categories = document.createElement("div");
+    categories.className = "feedback-categories";
+    categories.append(...categoryButtons);
+    details.append(categories, comment, send);
+    container.append(...ratingButtons, details);
+    update();
+    bubble.appendChild(container);
+  };
+
+  const setBusy = (state) => {
+    busy = state;
+    input.disabled = state || !canAdvise();
+    form.querySelector('button[type="submit"]').disabled = state || !canAdvise();
+    attachButton.disabled = state || !canAdvise() || Boolean(exercise);
+    exerciseDebriefButton.disabled = state;
+    updateDraftControls();
+  };
+
+  // Deadlines are relative to the incident; with a case file that records
+  // when it was first reported, the absolute due time is shown as well.
+  const describeDeadline = (hours) => {
+    const relative = hours === 0
+      ? t("deadline.immediate")
+      : hours % 24 || hours < 24 ? t("deadline.hours", { hours }) : t("deadline.days", { days: hours / 24 });
+    const incident = caseFiles.find((item) => item.id === caseFileId)?.firstReportedAt;
+    const start = incident ? Date.parse(incident) : NaN;
+    if (Number.isNaN(start)) return relative;
+    const due = new Date(start + hours * 3600 * 1000);
+    return t("deadline.due", {
+      relative,
+      due: due.toLocaleString(dateLocale(locale), { month: "numeric", day: "numeric", hour: "2-digit", minute: "2-digit" })
+    });
+  };
+
+  const updateTask = (planId, taskId, changes) =>
+    requestJson(
+      `/api/conversations/${encodeURIComponent(conversationId)}/action-plans/${encodeURIComponent(planId)}/tasks/${encodeURIComponent(taskId)}`,
+      { method: "PATCH", body: JSON.stringify(changes) }
+    );
+
+  const renderActionPlan = (bubble, plan) => {
+    bubble.textContent = "";
+    const heading = document.createElement("h3");
+    heading.textContent = t("actionPlan.title");
+    const summary = document.createElement("p");
+    summary.className = "action-plan-summary";
+    summary.textContent = plan.summary;
+    const list = document.createElement("ul");
+    list.className = "action-plan";
+    const progress = document.createElement("p");
+    progress.className = "action-plan-progress";
+
+    const updateProgress = () => {
+      const done = plan.tasks.filter((task) => task.done).length;
+      progress.textContent = t("actionPlan.progress", { done, total: plan.tasks.length });
+    };
+
+    const editable = Boolean(conversationId) && canAdvise();
+
+    plan.tasks.forEach((task) => {
+      const item = document.createElement("li");
+      item.className = "action-task";
+      item.classList.toggle("done", task.done);
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = task.done;
+      checkbox.disabled = !editable;
+      checkbox.setAttribute("aria-label", t("actionPlan.markDone", { title: task.title }));
+
+      const title = document.createElement("span");
+      title.className = "action-task-title";
+      title.textContent = task.title;
+
+      const meta = document.createElement("p");
+      meta.className = "action-task-meta";
+      const badge = document.createElement("span");
+      badge.className = `priority-badge ${task.priority}`;
+      badge.textContent = labelFor("priority", task.priority);
+      const owner = document.createElement("input");
+      owner.type = "text";
+      owner.className = "action-task-owner";
+      owner.value = task.ownerRole;
+      owner.disabled = !editable;
+      owner.setAttribute("aria-label", t("actionPlan.ownerLabel", { title: task.title }));
+      meta.append(
+        badge,
+        t("actionPlan.owner"),
+        owner,
+        t("actionPlan.deadline", { deadline: describeDeadline(task.deadlineHours) }),
+        `・ ${labelFor("stakeholder", task.stakeholder)}`
+      );
+
+      item.append(checkbox, title, meta);
+      if (task.detail) {
+        const detail = document.createElement("p");
+        detail.className = "action-task-detail";
+        detail.textContent = task.detail;
+        item.appendChild(detail);
+      }
+
+      checkbox.addEventListener("change", async () => {
+        try {
+          await updateTask(plan.id, task.id, { done: checkbox.checked });
+          task.done = checkbox.checked;
+          item.classList.toggle("done", task.done);
+          updateProgress();
+        } catch (error) {
+          checkbox.checked = task.done;
+          renderStatus(error.message || t("actionPlan.taskUpdateFailed"), "error");
+        }
+      });
+
+      owner.addEventListener("change", async () => {
+        const value = owner.value.trim();
+        if (!value || value === task.ownerRole) {
+          owner.value = task.ownerRole;
+          return;
+        }
+        try {
+          await updateTask(plan.id, task.id, { ownerRole: value });
+          task.ownerRole = value;
+          renderStatus(t("actionPlan.ownerChanged", { title: task.title, owner: value }), "success");
+        } catch (error) {
+          owner.value = task.ownerRole;
+          renderStatus(error.message || t("actionPlan.ownerUpdateFailed"), "error");
+        }
+      });
+
+      list.appendChild(item);
+    });
+
+    updateProgress();
+    bubble.append(heading, summary, list, progress);
+  };
+
+  const MAX_ATTACHMENTS = 5;
+
+  const attachmentUrl = (attachment) => `/api/attachments/${encodeURIComponent(attachment.id)}`;
+
+  const fileBadge = (mimeType) => {
+    const badge = document.createElement("span");
+    badge.className = "file-badge";
+    badge.textContent = mimeType === "application/pdf" ? "PDF" : "FILE";
+    return badge;
+  };
+
+  const renderAttachments = (bubble, attachments) => {
+    if (!Array.isArray(attachments) || !attachments.length) return;
+    const gallery = document.createElement("div");
+    gallery.className = "bubble-attachments";
+    attachments.forEach((attachment) => {
+      const link = document.createElement("a");
+      link.href = attachmentUrl(attachment);
+      link.target = "_blank";
+      link.rel = "noopener";
+      link.title = attachment.fileName;
+      if (attachment.mimeType.startsWith("image/") && attachment.mimeType !== "image/heic") {
+        const image = document.createElement("img");
+        image.src = attachmentUrl(attachment);
+        image.alt = attachment.fileName;
+        image.loading = "lazy";
+        link.appendChild(image);
+      } else {
+        link.append(fileBadge(attachment.mimeType), attachment.fileName);
+      }
+      gallery.appendChild(link);
+    });
+    bubble.appendChild(gallery);
+  };
+
+  const renderAttachmentTray = () => {
+    attachmentTray.querySelectorAll("img").forEach((image) => URL.revokeObjectURL(image.src));
+    attachmentTray.textContent = "";
+    attachmentTray.hidden = !pendingFiles.length;
+    pendingFiles.forEach((file, index) => {
+      const chip = document.createElement("li");
+      chip.className = "attachment-chip";
+      if (file.type.startsWith("image/") && file.type !== "image/heic") {
+        const preview = document.createElement("img");
+        preview.src = URL.createObjectURL(file);
+        preview.alt = "";
+        chip.appendChild(preview);
+      } else {
+        chip.appendChild(fileBadge(file.type));
+      }
+      const name = document.createElement("span");
+      name.textContent = file.name;
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.textContent = "×";
+      remove.setAttribute("aria-label", t("attachments.remove", { name: file.name }));
+      remove.addEventListener("click", () => {
+        pendingFiles.splice(index, 1);
+        renderAttachmentTray();
+      });
+      chip.append(name, remove);
+      attachmentTray.appendChild(chip);
+    });
+  };
+
+  // Error statuses carry the server's request id so a report can be matched
+  // with the server logs.
+  const withRequestId = (message, requestId) =>
+    requestId ? t("error.withRequestId", { message, requestId }) : message;
+
+  const responseError = (response, data, fallback) =>
+    new Error(withRequestId(data.error || fallback, data.requestId || response.headers.get("X-Request-Id")));
+
+  const uploadAttachments = async (files) => {
+    if (!files.length) return [];
+    const body = new FormData();
+    files.forEach((file) => body.append("files", file, file.name));
+    const response = await fetch("/api/attachments", { method: "POST", body });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) redirectToLogin();
+    if (!response.ok) throw responseError(response, data, t("attachments.uploadFailed", { status: String(response.status) }));
+    return data.attachments;
+  };
+
+  const closeDrawer = () => {
+    guidePanel.classList.remove("open");
+    historyPanel.classList.remove("open");
+    overlay.classList.remove("visible");
+  };
+
+  const openHistory = () => {
+    historyPanel.classList.add("open");
+    overlay.classList.add("visible");
+  };
+
+  const openDrawer = () => {
+    guidePanel.classList.add("open");
+    overlay.classList.add("visible");
+  };
+
+  const renderThinkingIndicator = () => `
+    <div class="thinking-indicator">
+      <span class="thinking-dot"></span>
+      <span class="thinking-dot"></span>
+      <span class="thinking-dot"></span>
+    </div>
+  `;
+
+  const removeFormalPreface = (text) =>
+    text.replace(/^承知いたしました。[^\n]*\n?/u, "").trimStart();
+
+  const parseStreamEvent = (block) => {
+    let event = "message";
+    const dataLines = [];
+    block.split("\n").forEach((line) => {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      if (line.startsWith("data:")) dataLines.push(line.slice(5).replace(/^ /, ""));
+    });
+    if (!dataLines.length) return null;
+    try {
+      return { event, data: JSON.parse(dataLines.join("\n")) };
+    } catch {
+      return null;
+    }
+  };
+
+  const readReplyStream = async (response, onChunk, onTool = () => {}) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let partial = "";
+
+    const handle = (block) => {
+      const parsed = parseStreamEvent(block);
+      if (!parsed) return null;
+      if (parsed.event === "chunk") {
+        partial += parsed.data.text || "";
+        onChunk(partial);
+        return null;
+      }
+      if (parsed.event === "tool") {
+        onTool(parsed.data);
+        return null;
+      }
+      if (parsed.event === "error") {
+        throw new Error(withRequestId(parsed.data.error || t("error.stream"), parsed.data.requestId));
+      }
+      if (parsed.event === "done") {
+        return parsed.data;
+      }
+      return null;
+    };
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+
+      let boundary = buffer.indexOf("\n\n");
+      while (boundary !== -1) {
+        const result = handle(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        if (result) return result;
+        boundary = buffer.indexOf("\n\n");
+      }
+    }
+
+    const result = buffer.trim() ? handle(buffer) : null;
+    if (result) return result;
+    if (partial) return { reply: partial };
+    throw new Error(t("error.streamEnded"));
+  };
+
+  const renderPartialReply = (bubble, partial) => {
+    if (bubble.dataset.renderPending) return;
+    bubble.dataset.renderPending = "true";
+    requestAnimationFrame(() => {
+      delete bubble.dataset.renderPending;
+      if (!bubble.classList.contains("thinking") && !bubble.classList.contains("streaming")) return;
+      bubble.classList.remove("thinking");
+      bubble.classList.add("streaming");
+      bubble.innerHTML = replyHtml(bubble, removeFormalPreface(partial));
+      messagesEl.scrollTop = messagesEl.scrollHeight;
+    });
+  };
+
+  const redirectToLogin = () => {
+    window.location.assign(`/login?next=${encodeURIComponent(window.location.pathname)}`);
+  };
+
+  const requestJson = async (url, options = {}) => {
+    const response = await fetch(url, {
+      ...options,
+      headers: { "Content-Type": "application/json", ...options.headers }
+    });
+    if (response.status === 401) redirectToLogin();
+    if (response.status === 204) return null;
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = responseError(response, data, t("error.server", { status: String(response.status) }));
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  };
+
+  const formatTimestamp = (value) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return "";
+    return date.toLocaleString(dateLocale(locale), {
+      month: "numeric",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit"
+    });
+  };
+
+  const highlightActiveConversation = () => {
+    historyList.querySelectorAll(".history-item").forEach((item) => {
+      item.classList.toggle("active", item.dataset.id === conversationId);
+    });
+  };
+
+  const updateExportLinks = () => {
+    exportLinks.forEach((link) => {
+      if (conversationId) {
+        const inline = link.hasAttribute("download") ? "" : "&inline=1";
+        link.href = `/api/conversations/${encodeURIComponent(conversationId)}/export?format=${link.dataset.format}${inline}`;
+        link.removeAttribute("aria-disabled");
+      } else {
+        link.removeAttribute("href");
+        link.setAttribute("aria-disabled", "true");
+      }
+    });
+  };
+
+  const setConversationId = (id) => {
+    conversationId = id || null;
+    if (conversationId) {
+      localStorage.setItem(CONVERSATION_STORAGE_KEY, conversationId);
+    } else {
+      localStorage.removeItem(CONVERSATION_STORAGE_KEY);
+    }
+    highlightActiveConversation();
+    updateExportLinks();
+    syncDrafts();
+  };
+
+  const renderHistoryList = (items) => {
+    historyItems = items;
+    historyList.textContent = "";
+
+    if (!items.length) {
+      const empty = document.createElement("li");
+      empty.className = "history-empty";
+      empty.textContent = t("history.empty");
+      historyList.appendChild(empty);
+      return;
+    }
+
+    items.forEach((item) => {
+      const entry = document.createElement("li");
+      entry.className = "history-item";
+      entry.dataset.id = item.id;
+
+      const open = document.createElement("button");
+      open.type = "button";
+      open.className = "history-open";
+      const title = document.createElement("span");
+      title.className = "history-title";
+      title.textContent = item.title;
+      const meta = document.createElement("span");
+      meta.className = "history-meta";
+      meta.textContent = t("history.meta", { time: formatTimestamp(item.updatedAt), count: item.turnCount });
+      open.append(title, meta);
+      open.addEventListener("click", () => openConversation(item.id));
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "history-delete";
+      remove.setAttribute("aria-label", t("history.delete", { title: item.title }));
+      remove.textContent = "×";
+      remove.addEventListener("click", () => deleteConversation(item.id, item.title));
+
+      entry.append(open, remove);
+      historyList.appendChild(entry);
+    });
+
+    highlightActiveConversation();
+  };
+
+  const refreshHistory = async () => {
+    try {
+      const data = await requestJson("/api/conversations");
+      renderHistoryList(data.conversations || []);
+    } catch (error) {
+      renderStatus(error.message || t("history.loadFailed"), "error");
+    }
+  };
+
+  const canAdvise = () => currentUser?.role === "advisor" || currentUser?.role === "admin";
+
+  const applyPermissions = () => {
+    const readOnly = !canAdvise();
+    input.disabled = readOnly || busy;
+    input.placeholder = t(readOnly ? "chat.placeholderReadOnly" : exercise ? "exercise.placeholder" : "chat.placeholder");
+    form.querySelector('button[type="submit"]').disabled = readOnly || busy;
+    attachButton.disabled = readOnly || busy || Boolean(exercise);
+    [newConversationButton, caseFileSelect, caseFileNewButton].forEach((element) => {
+      element.disabled = readOnly;
+    });
+    caseFileEditButton.disabled = readOnly || !caseFileSelect.value;
+    exerciseScenariosEl.querySelectorAll("button").forEach((button) => {
+      button.disabled = readOnly;
+    });
+    updateDraftControls();
+    historyList.classList.toggle("read-only", readOnly);
+  };
+
+  const renderCurrentUser = () => {
+    currentUserEl.textContent = currentUser ? t("menu.user", { name: currentUser.displayName, role: currentUser.role }) : "";
+  };
+
+  // Without a saved choice the server answers in the display language, which
+  // is what the browser asked for.
+  const replyLanguageOf = () => currentUser?.replyLanguage || locale;
+
+  const renderReplyLanguage = () => {
+    const language = replyLanguageOf();
+    replyLanguageSelect.value = language;
+    const pinned = profiles.find((item) => item.id === profileId)?.replyLanguage;
+    replyLanguageHint.hidden = !pinned || language === "both" || pinned === language;
+    replyLanguageHint.textContent = pinned ? t("replyLanguage.pinned", { language: t(`replyLanguage.${pinned}`) }) : "";
+  };
+
+  // Static markup is re-translated in place. Replies already on screen keep
+  // their language; only an untouched welcome message is replaced.
+  const applyLocale = () => {
+    t = uiTranslator(locale);
+    document.documentElement.lang = locale;
+    localeSelect.value = locale;
+    localizeElements(document, t);
+    renderCurrentUser();
+    applyPermissions();
+    renderCaseFileOptions();
+    renderReplyLanguage();
+    if (historyItems) renderHistoryList(historyItems);
+    if (exerciseScenarios) renderExerciseScenarios();
+    if (draftTemplates) renderDraftTemplates();
+    renderDraftList();
+    if (draft) renderDraft();
+    if (!conversationId && conversation.length === 1) resetConversation();
+  };
+
+  const setLocale = (next) => {
+    locale = next;
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    applyLocale();
+  };
+
+  const savePreferences = async (changes) => {
+    const data = await requestJson("/api/auth/me", { method: "PATCH", body: JSON.stringify(changes) });
+    currentUser = data.user;
+  };
+
+  const changeLocale = async (next) => {
+    const previous = locale;
+    setLocale(next);
+    try {
+      await savePreferences({ locale: next });
+      renderStatus(t("status.localeChanged"), "success");
+    } catch (error) {
+      setLocale(previous);
+      renderStatus(error.message || t("status.preferencesFailed"), "error");
+    }
+  };
+
+  const changeReplyLanguage = async (next) => {
+    try {
+      await savePreferences({ replyLanguage: next });
+      renderReplyLanguage();
+      renderStatus(t("status.replyLanguageChanged", { language: t(`replyLanguage.${next}`) }), "success");
+    } catch (error) {
+      renderReplyLanguage();
+      renderStatus(error.message || t("status.preferencesFailed"), "error");
+    }
+  };
+
+  const loadCurrentUser = async () => {
+    try {
+      const data = await requestJson("/api/auth/me");
+      currentUser = data.user;
+      adminLink.hidden = currentUser.role !== "admin";
+      const saved = normalizeLocale(currentUser.locale);
+      if (saved && saved !== locale) {
+        setLocale(saved);
+      } else {
+        renderCurrentUser();
+        applyPermissions();
+        renderReplyLanguage();
+      }
+    } catch (error) {
+      renderStatus(error.message || t("status.userLoadFailed"), "error");
+    }
+  };
+
+  const logout = async () => {
+    try {
+      await requestJson("/api/auth/logout", { method: "POST" });
+    } finally {
+      localStorage.removeItem(CONVERSATION_STORAGE_KEY);
+      window.location.assign("/login");
+    }
+  };
+
+  const renderProfileDescription = () => {
+    const profile = profiles.find((item) => item.id === profileId);
+    profileDescription.textContent = profile?.description || "";
+    renderReplyLanguage();
+  };
+
+  const loadProfiles = async () => {
+    try {
+      const data = await requestJson("/api/profiles");
+      profiles = data.profiles || [];
+      if (!profiles.some((profile) => profile.id === profileId)) {
+        profileId = data.defaultProfileId;
+      }
+
+      profileSelect.textContent = "";
+      profiles.forEach((profile) => {
+        const option = document.createElement("option");
+        option.value = profile.id;
+        option.textContent = profile.name;
+        profileSelect.appendChild(option);
+      });
+      profileSelect.value = profileId;
+      renderProfileDescription();
+    } catch (error) {
+      renderStatus(error.message || t("status.profilesLoadFailed"), "error");
+    }
+  };
+
+  const renderCaseFileOptions = () => {
+    caseFileSelect.textContent = "";
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = t("caseFile.none");
+    caseFileSelect.appendChild(none);
+
+    caseFiles.forEach((caseFile) => {
+      const option = document.createElement("option");
+      option.value = caseFile.id;
+      option.textContent = `${caseFile.title}（${caseFile.productName}）`;
+      caseFileSelect.appendChild(option);
+    });
+
+    caseFileSelect.value = caseFiles.some((caseFile) => caseFile.id === caseFileId) ? caseFileId : "";
+    caseFileEditButton.disabled = !caseFileSelect.value || !canAdvise();
+  };
+
+  const refreshCaseFiles = async () => {
+    try {
+      const data = await requestJson("/api/case-files");
+      caseFiles = data.caseFiles || [];
+      renderCaseFileOptions();
+    } catch (error) {
+      renderStatus(error.message || t("caseFile.loadFailed"), "error");
+    }
+  };
+
+  const setCaseFileId = (id) => {
+    caseFileId = id || null;
+    renderCaseFileOptions();
+  };
+
+  const attachCaseFile = async (id) => {
+    const previous = caseFileId;
+    setCaseFileId(id);
+    if (!conversationId) {
+      renderStatus(t(id ? "caseFile.linkNext" : "caseFile.unlinked"));
+      return;
+    }
+    try {
+      await requestJson(`/api/conversations/${encodeURIComponent(conversationId)}`, {
+        method: "PATCH",
+        body: JSON.stringify({ caseFileId: caseFileId })
+      });
+      renderStatus(t(id ? "caseFile.linked" : "caseFile.unlinked"), "success");
+    } catch (error) {
+      setCaseFileId(previous);
+      renderStatus(error.message || t("caseFile.linkFailed"), "error");
+    }
+  };
+
+  const showCaseFileForm = (caseFile) => {
+    editingCaseFileId = caseFile?.id || null;
+    const fields = caseFileForm.elements;
+    fields.title.value = caseFile?.title || "";
+    fields.productName.value = caseFile?.productName || "";
+    fields.lotNumbers.value = (caseFile?.lotNumbers || []).join(", ");
+    fields.injuryCount.value = caseFile?.injuryCount ?? "";
+    fields.jurisdictions.value = (caseFile?.jurisdictions || []).join(", ");
+    fields.firstReportedAt.value = caseFile?.firstReportedAt || "";
+    fields.summary.value = caseFile?.summary || "";
+    caseFileForm.hidden = false;
+    fields.title.focus();
+  };
+
+  const hideCaseFileForm = () => {
+    caseFileForm.hidden = true;
+    caseFileForm.reset();
+    editingCaseFileId = null;
+  };
+
+  const saveCaseFile = async () => {
+    const fields = caseFileForm.elements;
+    const body = {
+      title: fields.title.value,
+      productName: fields.productName.value,
+      lotNumbers: fields.lotNumbers.value,
+      injuryCount: fields.injuryCount.value,
+      jurisdictions: fields.jurisdictions.value,
+      firstReportedAt: fields.firstReportedAt.value,
+      summary: fields.summary.value
+    };
+
+    try {
+      const saved = await requestJson(
+        editingCaseFileId ? `/api/case-files/${encodeURIComponent(editingCaseFileId)}` : "/api/case-files",
+        { method: editingCaseFileId ? "PUT" : "POST", body: JSON.stringify(body) }
+      );
+      hideCaseFileForm();
+      await refreshCaseFiles();
+      if (saved.id !== caseFileId) {
+        await attachCaseFile(saved.id);
+      } else {
+        renderStatus(t("caseFile.updated"), "success");
+      }
+    } catch (error) {
+      renderStatus(error.message || t("caseFile.saveFailed"), "error");
+    }
+  };
+
+  const endExerciseView = () => {
+    exercise = null;
+    exerciseBar.hidden = true;
+    riskForm.hidden = replyMode !== "risk-assessment";
+    applyPermissions();
+  };
+
+  const showWelcome = () => {
+    const welcome = t("app.welcome");
+    addMessage(formatReply(welcome), "bot", { isHtml: true });
+    conversation.push({ role: "model", text: welcome });
+  };
+
+  const resetConversation = () => {
+    endExerciseView();
+    messagesEl.textContent = "";
+    conversation.length = 0;
+    showWelcome();
+  };
+
+  const exerciseBubble = (content, role, options) => {
+    const bubble = addMessage(content, role, options);
+    bubble.classList.add("exercise");
+    bubble.dataset.label = t("exercise.label");
+    return bubble;
+  };
 
-  const conversation = [];
-  let busy = false;
+  const criterionLabel = (scenarioId, criterionId) =>
+    exerciseScenarios?.find((item) => item.id === scenarioId)?.rubric.find((item) => item.id === criterionId)?.criterion
+      || criterionId;
+
+  const scoreTable = (rows) => {
+    const table = document.createElement("table");
+    table.className = "exercise-scores";
+    const head = table.createTHead().insertRow();
+    ["exercise.criterion", "exercise.score", "exercise.comment"].forEach((key) => {
+      const cell = document.createElement("th");
+      cell.scope = "col";
+      cell.textContent = t(key);
+      head.appendChild(cell);
+    });
+    const body = table.createTBody();
+    rows.forEach(({ label, score, maxScore, comment }) => {
+      const row = body.insertRow();
+      row.insertCell().textContent = label;
+      const value = row.insertCell();
+      value.className = "exercise-score";
+      value.textContent = `${score} / ${maxScore}`;
+      row.insertCell().textContent = comment || "";
+    });
+    return table;
+  };
+
+  const renderEvaluation = (bubble, evaluation) => {
+    bubble.classList.remove("thinking");
+    bubble.textContent = "";
+    const heading = document.createElement("h3");
+    heading.textContent = t("exercise.scoreHeading", { score: evaluation.score, max: evaluation.maxScore });
+    const feedback = document.createElement("p");
+    feedback.textContent = evaluation.feedback;
+    bubble.append(
+      heading,
+      scoreTable(evaluation.scores.map((entry) => ({
+        label: criterionLabel(exercise.scenarioId, entry.criterionId),
+        score: entry.score,
+        maxScore: entry.maxScore,
+        comment: entry.comment
+      }))),
+      feedback
+    );
+  };
 
-  const escapeHtml = (value = "") =>
-    String(value)
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#39;");
+  const renderDebrief = (bubble, debrief) => {
+    bubble.classList.remove("thinking");
+    bubble.innerHTML = replyHtml(bubble, debrief.text);
+    const heading = document.createElement("h3");
+    heading.textContent = t("exercise.debriefHeading", { score: debrief.scores.score, max: debrief.scores.maxScore });
+    bubble.prepend(
+      heading,
+      scoreTable(debrief.scores.criteria.map((entry) => ({
+        label: criterionLabel(exercise.scenarioId, entry.id),
+        score: entry.score,
+        maxScore: entry.maxScore
+      })))
+    );
+  };
 
-  const sanitizeUrl = (url = "") => {
-    const trimmed = String(url).trim();
-    if (/^(https?:|mailto:)/i.test(trimmed)) {
-      return escapeHtml(trimmed);
+  const renderExerciseTurn = (turn) => {
+    if (turn.role === "user") {
+      exerciseBubble(turn.text, "user");
+      if (turn.evaluation) renderEvaluation(exerciseBubble("", "bot"), turn.evaluation);
+      return;
     }
-    return "#";
+    exerciseBubble(formatReply(turn.text), "bot", { isHtml: true });
+  };
+
+  // Replaces the consultation on screen with the exercise. Leaving it
+  // reopens the conversation that was there before.
+  const showExercise = (session) => {
+    closeDrawer();
+    messagesEl.textContent = "";
+    exercise = session;
+    exerciseTitle.textContent = session.title;
+    exerciseBar.hidden = false;
+    riskForm.hidden = true;
+    applyPermissions();
+    session.turns.forEach(renderExerciseTurn);
+    if (session.debrief) renderDebrief(exerciseBubble("", "bot"), session.debrief);
+    exerciseDebriefButton.hidden = session.status !== "active";
   };
 
-  const formatInline = (text, depth = 0) => {
-    if (depth > 4) return escapeHtml(text);
-    if (typeof text !== "string" || !text.length) return "";
+  const startExercise = async (scenario) => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      const session = await requestJson("/api/exercises", {
+        method: "POST",
+        body: JSON.stringify({ scenarioId: scenario.id })
+      });
+      showExercise(session);
+      renderStatus(t("exercise.started", { title: session.title }), "success");
+    } catch (error) {
+      renderStatus(error.message || t("exercise.startFailed"), "error");
+    } finally {
+      setBusy(false);
+      input.focus();
+    }
+  };
 
-    const pattern = /(\*\*[^*]+\*\*|__[^_]+__|\*[^\*]+\*|_[^_]+_|`[^`]+`|\[[^\]]+\]\([^)]+\))/g;
-    let lastIndex = 0;
-    const tokens = [];
-    let match;
+  const leaveExercise = () => {
+    if (busy) return;
+    if (conversationId) {
+      openConversation(conversationId);
+    } else {
+      resetConversation();
+    }
+  };
 
-    while ((match = pattern.exec(text)) !== null) {
-      if (match.index > lastIndex) {
-        tokens.push({ type: "text", value: text.slice(lastIndex, match.index) });
-      }
+  const sendExerciseResponse = async (rawText) => {
+    const trimmed = rawText.trim();
+    if (!trimmed || busy) return;
+    if (exercise.status !== "active") {
+      renderStatus(t("exercise.completed"));
+      return;
+    }
 
-      const token = match[0];
-      if ((token.startsWith("**") && token.endsWith("**")) || (token.startsWith("__") && token.endsWith("__"))) {
-        tokens.push({ type: "strong", value: token.slice(2, -2) });
-      } else if ((token.startsWith("*") && token.endsWith("*")) || (token.startsWith("_") && token.endsWith("_"))) {
-        tokens.push({ type: "em", value: token.slice(1, -1) });
-      } else if (token.startsWith("`") && token.endsWith("`")) {
-        tokens.push({ type: "code", value: token.slice(1, -1) });
-      } else {
-        const linkMatch = token.match(/^\[([^\]]+)\]\(([^)]+)\)$/);
-        if (linkMatch) {
-          tokens.push({ type: "link", label: linkMatch[1], href: linkMatch[2] });
-        } else {
-          tokens.push({ type: "text", value: token });
-        }
+    setBusy(true);
+    exerciseBubble(trimmed, "user");
+    const thinking = exerciseBubble(renderThinkingIndicator(), "bot", { isHtml: true });
+    thinking.classList.add("thinking");
+    try {
+      const data = await requestJson(`/api/exercises/${encodeURIComponent(exercise.id)}/responses`, {
+        method: "POST",
+        body: JSON.stringify({ message: trimmed })
+      });
+      renderEvaluation(thinking, data.response.evaluation);
+      exercise.turns.push(data.response);
+      if (data.inject) {
+        exercise.turns.push(data.inject);
+        renderExerciseTurn(data.inject);
       }
+      renderStatus(t(data.finished ? "exercise.finished" : "exercise.scored"), "success");
+    } catch (error) {
+      thinking.remove();
+      renderStatus(error.message || t("exercise.responseFailed"), "error");
+    } finally {
+      setBusy(false);
+      input.focus();
+    }
+  };
 
-      lastIndex = pattern.lastIndex;
-    }
-
-    if (lastIndex < text.length) {
-      tokens.push({ type: "text", value: text.slice(lastIndex) });
-    }
-
-    return tokens
-      .map((token) => {
-        switch (token.type) {
-          case "strong":
-            return `<strong>${formatInline(token.value, depth + 1)}</strong>`;
-          case "em":
-            return `<em>${formatInline(token.value, depth + 1)}</em>`;
-          case "code":
-            return `<code>${escapeHtml(token.value)}</code>`;
-          case "link": {
-            const href = sanitizeUrl(token.href);
-            const label = formatInline(token.label, depth + 1) || escapeHtml(token.label);
-            return `<a href="${href}" target="_blank" rel="noopener noreferrer">${label}</a>`;
-          }
-          default:
-            return escapeHtml(token.value);
-        }
-      })
-      .join("");
-  };
-
-  const markdownToHtml = (source = "") => {
-    if (typeof source !== "string") return "";
-    const normalized = source.replace(/\r\n/g, "\n");
-    const lines = normalized.split("\n");
-    const html = [];
-    let paragraph = [];
-    let listType = null;
-    let inBlockquote = false;
-    let fence = null;
-    const codeLines = [];
-
-    const closeParagraph = () => {
-      if (!paragraph.length) return;
-      html.push(`<p>${formatInline(paragraph.join(" "))}</p>`);
-      paragraph = [];
-    };
+  const requestDebrief = async () => {
+    if (busy || !exercise || exercise.status !== "active") return;
+    setBusy(true);
+    renderStatus(t("exercise.debriefing"));
+    const thinking = exerciseBubble(renderThinkingIndicator(), "bot", { isHtml: true });
+    thinking.classList.add("thinking");
+    try {
+      const data = await requestJson(`/api/exercises/${encodeURIComponent(exercise.id)}/debrief`, { method: "POST" });
+      exercise.status = data.status;
+      exercise.debrief = data.debrief;
+      renderDebrief(thinking, data.debrief);
+      exerciseDebriefButton.hidden = true;
+      renderStatus(t("exercise.completed"), "success");
+    } catch (error) {
+      thinking.remove();
+      renderStatus(error.message || t("exercise.debriefFailed"), "error");
+    } finally {
+      setBusy(false);
+    }
+  };
 
-    const closeList = () => {
-      if (!listType) return;
-      html.push(listType === "ul" ? "</ul>" : "</ol>");
-      listType = null;
-    };
+  // Scenarios appear in the drawer next to the quick questions.
+  const renderExerciseScenarios = () => {
+    exerciseScenariosEl.textContent = "";
+    if (!exerciseScenarios.length) {
+      const empty = document.createElement("p");
+      empty.className = "field-hint";
+      empty.textContent = t("exercise.none");
+      exerciseScenariosEl.appendChild(empty);
+      return;
+    }
+    exerciseScenarios.forEach((scenario) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "suggestion-btn";
+      button.textContent = scenario.title;
+      button.title = scenario.description;
+      button.disabled = !canAdvise();
+      button.addEventListener("click", () => startExercise(scenario));
+      exerciseScenariosEl.appendChild(button);
+    });
+  };
 
-    const closeBlockquote = () => {
-      if (!inBlockquote) return;
-      html.push("</blockquote>");
-      inBlockquote = false;
-    };
+  const loadExerciseScenarios = async () => {
+    try {
+      exerciseScenarios = (await requestJson("/api/exercises/scenarios")).scenarios;
+      renderExerciseScenarios();
+    } catch (error) {
+      renderStatus(error.message || t("exercise.loadFailed"), "error");
+    }
+  };
 
-    const closeCodeBlock = () => {
-      if (!fence) return;
-      html.push(`<pre><code>${escapeHtml(codeLines.join("\n"))}</code></pre>`);
-      fence = null;
-      codeLines.length = 0;
-    };
+  const selectedDraftVersion = () => draft?.versions.find((version) => version.number === draftVersionNumber);
 
-    for (const rawLine of lines) {
-      const line = rawLine.replace(/\s+$/, "");
+  const draftIsDirty = () => Boolean(draft) && draftEditor.value !== selectedDraftVersion()?.text;
 
-      if (fence) {
-        if (line.startsWith(fence)) {
-          closeCodeBlock();
-        } else {
-          codeLines.push(rawLine);
-        }
-        continue;
-      }
+  const confirmDiscardDraftEdits = () => !draftIsDirty() || window.confirm(t("draft.confirmDiscard"));
 
-      if (/^```/.test(line)) {
-        closeParagraph();
-        closeList();
-        closeBlockquote();
-        fence = line.trim();
-        codeLines.length = 0;
-        continue;
-      }
+  const updateDraftControls = () => {
+    const readOnly = !canAdvise();
+    const latest = draft && draftVersionNumber === draft.versions.length;
+    draftTemplatesEl.querySelectorAll("button").forEach((button) => {
+      button.disabled = readOnly || busy || !conversationId || Boolean(exercise);
+    });
+    draftEditor.readOnly = readOnly;
+    draftInstruction.disabled = readOnly || busy || !latest;
+    draftReviseForm.querySelector('button[type="submit"]').disabled = readOnly || busy || !latest;
+    // An earlier version can be saved unchanged to restore it.
+    draftSaveButton.disabled = readOnly || busy || !draft || (latest && !draftIsDirty());
+  };
 
-      if (!line.trim()) {
-        closeParagraph();
-        closeList();
-        closeBlockquote();
-        continue;
-      }
+  const draftVersionLabel = (version) =>
+    t("draft.versionOption", { number: version.number, kind: t(`draft.kind.${version.kind}`) });
 
-      if (line.startsWith(">")) {
-        closeParagraph();
-        closeList();
-        if (!inBlockquote) {
-          html.push("<blockquote>");
-          inBlockquote = true;
-        }
-        const inner = line.replace(/^>\s?/, "");
-        html.push(`<p>${formatInline(inner)}</p>`);
-        continue;
-      }
+  const renderDraftDiff = (version) => {
+    const previous = draft.versions.find((candidate) => candidate.number === version.number - 1);
+    draftDiff.hidden = !previous;
+    draftDiffLines.textContent = "";
+    if (!previous) return;
 
-      if (inBlockquote) {
-        closeBlockquote();
-      }
+    const changes = diffLines(previous.text, version.text);
+    const { added, removed } = diffStats(changes);
+    draftDiffSummary.textContent = added || removed
+      ? t("draft.diffSummary", { from: previous.number, to: version.number, added, removed })
+      : t("draft.noChanges", { from: previous.number });
+    changes.forEach((change) => {
+      const line = document.createElement("li");
+      line.className = change.type;
+      line.textContent = change.text;
+      draftDiffLines.appendChild(line);
+    });
+  };
 
-      const heading = line.match(/^(#{1,6})\s+(.*)$/);
-      if (heading) {
-        closeParagraph();
-        closeList();
-        const level = heading[1].length;
-        html.push(`<h${level}>${formatInline(heading[2].trim())}</h${level}>`);
-        continue;
-      }
+  const renderDraft = () => {
+    const version = selectedDraftVersion();
+    draftTitle.textContent = draft.title;
 
-      if (/^(-{3,}|_{3,}|\*{3,})$/.test(line.trim())) {
-        closeParagraph();
-        closeList();
-        html.push("<hr>");
-        continue;
-      }
+    draftVersionSelect.textContent = "";
+    draft.versions.slice().reverse().forEach((candidate) => {
+      const option = document.createElement("option");
+      option.value = String(candidate.number);
+      option.textContent = draftVersionLabel(candidate);
+      draftVersionSelect.appendChild(option);
+    });
+    draftVersionSelect.value = String(version.number);
 
-      const unordered = line.match(/^[-*+]\s+(.*)$/);
-      if (unordered) {
-        closeParagraph();
-        if (listType !== "ul") {
-          closeList();
-          html.push("<ul>");
-          listType = "ul";
-        }
-        html.push(`<li>${formatInline(unordered[1])}</li>`);
-        continue;
-      }
+    draftMeta.textContent = [
+      formatTimestamp(version.createdAt),
+      version.author?.displayName || version.author?.username,
+      version.instruction && t("draft.instruction", { instruction: version.instruction }),
+      version.number !== draft.versions.length && t("draft.olderVersion")
+    ]
+      .filter(Boolean)
+      .join(" ・ ");
+    draftEditor.value = version.text;
+    renderDraftDiff(version);
 
-      const ordered = line.match(/^(\d+)\.\s+(.*)$/);
-      if (ordered) {
-        closeParagraph();
-        if (listType !== "ol") {
-          closeList();
-          html.push("<ol>");
-          listType = "ol";
-        }
-        html.push(`<li>${formatInline(ordered[2])}</li>`);
-        continue;
-      }
+    draftDownloadLinks.forEach((link) => {
+      link.href = `/api/drafts/${encodeURIComponent(draft.id)}/export?format=${link.dataset.format}&version=${version.number}`;
+    });
+    updateDraftControls();
+  };
+
+  const showDraft = (data, number = data.versions.length) => {
+    draft = data;
+    draftVersionNumber = number;
+    draftPane.hidden = false;
+    chatStage.classList.add("drafting");
+    renderDraft();
+  };
+
+  const hideDraft = () => {
+    draft = null;
+    draftPane.hidden = true;
+    chatStage.classList.remove("drafting");
+    updateDraftControls();
+  };
 
-      paragraph.push(line);
+  // Drafts of the open conversation are listed under the templates.
+  const renderDraftList = () => {
+    draftListEl.textContent = "";
+    draftItems.forEach((item) => {
+      const entry = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "secondary-btn";
+      button.textContent = t("draft.listItem", { title: item.title, count: item.versionCount, time: formatTimestamp(item.updatedAt) });
+      button.addEventListener("click", () => openDraft(item.id));
+      entry.appendChild(button);
+      draftListEl.appendChild(entry);
+    });
+  };
+
+  const refreshDrafts = async () => {
+    if (!conversationId) {
+      draftItems = [];
+      renderDraftList();
+      return;
+    }
+    try {
+      draftItems = (await requestJson(`/api/drafts?conversationId=${encodeURIComponent(conversationId)}`)).drafts;
+      renderDraftList();
+    } catch (error) {
+      renderStatus(error.message || t("draft.listFailed"), "error");
     }
+  };
 
-    closeCodeBlock();
-    closeParagraph();
-    closeList();
-    closeBlockquote();
+  // A draft stays open only alongside the conversation it was written from.
+  const syncDrafts = () => {
+    if (draft && draft.conversationId !== conversationId) hideDraft();
+    updateDraftControls();
+    refreshDrafts();
+  };
 
-    const combined = html.join("");
-    if (!combined) {
-      return `<p>${escapeHtml(source)}</p>`;
+  const openDraft = async (id) => {
+    if (busy || !confirmDiscardDraftEdits()) return;
+    try {
+      showDraft(await requestJson(`/api/drafts/${encodeURIComponent(id)}`));
+      closeDrawer();
+    } catch (error) {
+      renderStatus(error.message || t("draft.openFailed"), "error");
     }
-    return combined;
   };
 
-  const limitMarkdown = (text, maxChars) => {
-    if (typeof text !== "string" || text.length === 0 || maxChars <= 0) {
-      return { text: "", truncated: Boolean(text && text.length > 0) };
+  const createDraft = async (template) => {
+    if (busy || !conversationId || !confirmDiscardDraftEdits()) return;
+    setBusy(true);
+    closeDrawer();
+    renderStatus(t("draft.creating", { title: template.title }));
+    try {
+      const data = await requestJson("/api/drafts", {
+        method: "POST",
+        body: JSON.stringify({ conversationId, templateId: template.id, profileId })
+      });
+      showDraft(data);
+      renderStatus(t("draft.created", { title: data.title }), "success");
+      refreshDrafts();
+    } catch (error) {
+      renderStatus(error.message || t("draft.createFailed"), "error");
+    } finally {
+      setBusy(false);
     }
+  };
+
+  const saveDraftEdit = async () => {
+    const data = await requestJson(`/api/drafts/${encodeURIComponent(draft.id)}/versions`, {
+      method: "POST",
+      body: JSON.stringify({ text: draftEditor.value, baseVersion: draft.versions.length })
+    });
+    showDraft(data);
+    return data;
+  };
 
-    if (text.length <= maxChars) {
-      return { text, truncated: false };
+  const saveDraft = async () => {
+    if (busy || !draft) return;
+    setBusy(true);
+    try {
+      const data = await saveDraftEdit();
+      renderStatus(t("draft.saved", { number: data.versions.length }), "success");
+      refreshDrafts();
+    } catch (error) {
+      renderStatus(error.message || t("draft.saveFailed"), "error");
+    } finally {
+      setBusy(false);
     }
+  };
 
-    return { text: text.slice(0, maxChars).trimEnd(), truncated: true };
+  // Unsaved edits are kept as their own version first, so the revision
+  // builds on them and the diff shows only what the model changed.
+  const reviseDraft = async (rawInstruction) => {
+    const instruction = rawInstruction.trim();
+    if (!instruction || busy || !draft) return;
+    setBusy(true);
+    renderStatus(t("draft.revising"));
+    try {
+      if (draftIsDirty()) await saveDraftEdit();
+      const data = await requestJson(`/api/drafts/${encodeURIComponent(draft.id)}/revisions`, {
+        method: "POST",
+        body: JSON.stringify({ instruction, baseVersion: draft.versions.length, profileId })
+      });
+      showDraft(data);
+      draftInstruction.value = "";
+      renderStatus(t("draft.revised", { number: data.versions.length }), "success");
+      refreshDrafts();
+    } catch (error) {
+      renderStatus(error.message || t("draft.reviseFailed"), "error");
+    } finally {
+      setBusy(false);
+    }
   };
 
-  const formatReply = (raw, { truncated = false } = {}) => {
-    const safe = typeof raw === "string" ? raw : "";
-    const body = markdownToHtml(safe);
-    const note = truncated ? '<p class="reply-truncated">※ 長文のため一部のみ表示しています。</p>' : "";
-    return `<div class="reply-markdown">${body}${note}</div>`;
+  const renderDraftTemplates = () => {
+    draftTemplatesEl.textContent = "";
+    draftTemplates.forEach((template) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "suggestion-btn";
+      button.textContent = template.title;
+      button.title = template.description;
+      button.addEventListener("click", () => createDraft(template));
+      draftTemplatesEl.appendChild(button);
+    });
+    updateDraftControls();
   };
 
-  const renderStatus = (text, variant = "default") => {
-    statusBar.textContent = "";
-    statusBar.classList.remove("error", "success");
-    if (variant === "error") statusBar.classList.add("error");
-    if (variant === "success") statusBar.classList.add("success");
-    if (!text) return;
+  const loadDraftTemplates = async () => {
+    try {
+      draftTemplates = (await requestJson("/api/drafts/templates")).templates;
+      renderDraftTemplates();
+    } catch (error) {
+      renderStatus(error.message || t("draft.loadFailed"), "error");
+    }
+  };
 
-    const icon = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-    icon.setAttribute("viewBox", "0 0 24 24");
-    icon.setAttribute("aria-hidden", "true");
+  const openConversation = async (id) => {
+    if (busy) return;
+    try {
+      const [data, own] = await Promise.all([
+        requestJson(`/api/conversations/${encodeURIComponent(id)}`),
+        // Missing ratings only mean the thumbs start unselected.
+        requestJson(`/api/feedback?conversationId=${encodeURIComponent(id)}`).catch(() => ({ feedback: [] }))
+      ]);
+      const rated = new Map(own.feedback.map((entry) => [entry.turnId, entry]));
+      resetConversation();
+      setConversationId(data.id);
+      setCaseFileId(data.caseFileId);
+      data.turns.forEach((turn, index) => {
+        const text = turn.role === "user" ? turn.text : removeFormalPreface(turn.text);
+        if (turn.role === "user") {
+          renderAttachments(addMessage(text, "user"), turn.attachments);
+        } else {
+          const truncated = turn.finishReason === "MAX_TOKENS";
+          const bubble = addMessage("", "bot", { isHtml: true });
+          bubble.dataset.turnId = turn.id;
+          bubble.innerHTML = replyHtml(bubble, text, { truncated });
+          addCopyButtons(bubble);
+          if (turn.actionPlan) renderActionPlan(bubble, turn.actionPlan);
+          renderRiskMatrix(bubble, turn.riskAssessment);
+          renderToolCalls(bubble, turn.toolCalls);
+          renderSources(bubble, turn.sources);
+          renderRedactions(bubble, turn.redactions);
+          if (truncated && index === data.turns.length - 1) renderContinueButton(bubble);
+          renderFeedback(bubble, turn.id, rated.get(turn.id));
+        }
+        conversation.push({ role: turn.role, text, attachments: turn.attachments });
+      });
+      renderSummaryMarker(data.summary);
+      renderStatus(t("status.conversationResumed", { title: data.title }));
+      closeDrawer();
+    } catch (error) {
+      if (error.status === 404) {
+        setConversationId(null);
+        refreshHistory();
+      }
+      renderStatus(error.message || t("status.conversationLoadFailed"), "error");
+    }
+  };
 
-    const path = document.createElementNS("http://www.w3.org/2000/svg", "path");
-    if (variant === "error") {
-      path.setAttribute("d", "M12 2a10 10 0 1 0 0 20 10 10 0 0 0 0-20Zm1 15h-2v-2h2v2Zm0-4h-2V7h2v6Z");
-    } else if (variant === "success") {
-      path.setAttribute("d", "M12 2a10 10 0 1 0 0 20 10 10 0 0 0 0-20Zm-1 14-4-4 1.41-1.41L11 13.17l4.59-4.58L17 10l-6 6Z");
-    } else {
-      path.setAttribute("d", "M11 7h2v5h-2zm0 6h2v2h-2zm1-11C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2Zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8Z");
+  const deleteConversation = async (id, title) => {
+    if (busy || !window.confirm(t("history.confirmDelete", { title }))) return;
+    try {
+      await requestJson(`/api/conversations/${encodeURIComponent(id)}`, { method: "DELETE" });
+      if (id === conversationId) {
+        setConversationId(null);
+        setCaseFileId(null);
+        resetConversation();
+      }
+      renderStatus(t("history.deleted"), "success");
+    } catch (error) {
+      renderStatus(error.message || t("status.conversationDeleteFailed"), "error");
+    } finally {
+      refreshHistory();
     }
+  };
 
-    icon.appendChild(path);
-    statusBar.appendChild(icon);
-    statusBar.appendChild(document.createTextNode(text));
+  const ensureConversation = async (firstMessage) => {
+    if (conversationId) return conversationId;
+    const created = await requestJson("/api/conversations", {
+      method: "POST",
+      body: JSON.stringify({ title: firstMessage, caseFileId })
+    });
+    setConversationId(created.id);
+    return created.id;
   };
 
-  const addMessage = (content, role, { isHtml = false } = {}) => {
-    const bubble = document.createElement("div");
-    bubble.classList.add("bubble", role);
-    bubble.innerHTML = isHtml ? content : escapeHtml(content).replace(/\n/g, "<br>");
-    messagesEl.appendChild(bubble);
-    messagesEl.scrollTop = messagesEl.scrollHeight;
-    return bubble;
+  const clearContinueButtons = () => {
+    messagesEl.querySelectorAll(".continue-reply").forEach((button) => button.remove());
   };
 
-  const setBusy = (state) => {
-    busy = state;
-    input.disabled = state;
-    form.querySelector('button[type="submit"]').disabled = state;
+  // Only the latest reply of a saved conversation can be continued.
+  const renderContinueButton = (bubble) => {
+    if (!conversationId || !canAdvise()) return;
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "continue-reply";
+    button.textContent = t("reply.continue");
+    button.addEventListener("click", () => continueReply(bubble));
+    bubble.appendChild(button);
   };
 
-  const closeDrawer = () => {
-    guidePanel.classList.remove("open");
-    overlay.classList.remove("visible");
+  const renderReply = (bubble, data) => {
+    const rawReply = removeFormalPreface((data.reply || t("reply.fallback")).trim());
+    const truncated = data.finishReason === "MAX_TOKENS";
+    bubble.classList.remove("thinking", "streaming");
+    bubble.innerHTML = replyHtml(bubble, rawReply, { truncated });
+    addCopyButtons(bubble);
+    if (data.actionPlan) renderActionPlan(bubble, data.actionPlan);
+    renderRiskMatrix(bubble, data.riskAssessment);
+    renderToolCalls(bubble, data.toolCalls);
+    renderSources(bubble, data.sources);
+    renderRedactions(bubble, data.redactions);
+    if (truncated) renderContinueButton(bubble);
+    renderFeedback(bubble, data.turnId);
+    if (data.turnId) bubble.dataset.turnId = data.turnId;
+    if (data.summary) renderSummaryMarker(data.summary);
+    return rawReply;
   };
 
-  const openDrawer = () => {
-    guidePanel.classList.add("open");
-    overlay.classList.add("visible");
+  const readReply = async (response, bubble, prefix = "") => {
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 401) redirectToLogin();
+      if (response.status === 404) setConversationId(null);
+      throw responseError(response, data, t("error.server", { status: String(response.status) }));
+    }
+
+    const isStream = (response.headers.get("Content-Type") || "").includes("text/event-stream");
+    return isStream
+      ? readReplyStream(
+        response,
+        (partial) => renderPartialReply(bubble, `${prefix}${partial}`),
+        (tool) => renderStatus(t("status.toolRunning", { label: labelFor("tool", tool.name) }))
+      )
+      : response.json();
   };
 
-  const renderThinkingIndicator = () => `
-    <div class="thinking-indicator">
-      <span class="thinking-dot"></span>
-      <span class="thinking-dot"></span>
-      <span class="thinking-dot"></span>
-    </div>
-  `;
+  // Asks the server for the rest of a reply cut off at the output limit. The
+  // new text streams in after what is already shown, and the stored reply is
+  // replaced by the joined one.
+  const continueReply = async (bubble) => {
+    const last = conversation[conversation.length - 1];
+    if (busy || !conversationId || last?.role !== "model") return;
 
-  const removeFormalPreface = (text) =>
-    text.replace(/^承知いたしました。[^\n]*\n?/u, "").trimStart();
+    setBusy(true);
+    clearContinueButtons();
+    const shown = [...bubble.childNodes];
+    renderStatus(t("status.continuing"));
+    bubble.classList.add("streaming");
 
-  const sendMessage = async (rawText) => {
-    const trimmed = rawText.trim();
+    try {
+      const response = await fetch("/api/chat/continue", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "text/event-stream"
+        },
+        body: JSON.stringify({ conversationId, stream: true })
+      });
+      const data = await readReply(response, bubble, last.text);
+      last.text = renderReply(bubble, data);
+      renderStatus(data.notice || t("status.defaultNotice"), "success");
+      refreshHistory();
+    } catch (error) {
+      bubble.classList.remove("streaming");
+      bubble.replaceChildren(...shown);
+      renderContinueButton(bubble);
+      renderStatus(error.message || t("error.unexpected"), "error");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Only the assessment itself goes out in risk-assessment mode; follow-up
+  // questions typed in the input box are answered normally.
+  const modeForRequest = (riskAssessment) => {
+    if (riskAssessment) return "risk-assessment";
+    return replyMode === "risk-assessment" ? "chat" : replyMode;
+  };
+
+  const sendMessage = async (rawText, { riskAssessment } = {}) => {
+    const files = pendingFiles;
+    const trimmed = rawText.trim() || (files.length ? t("attachments.defaultMessage") : "");
     if (!trimmed || busy) return;
 
-    addMessage(trimmed, "user");
-    conversation.push({ role: "user", text: trimmed });
     setBusy(true);
+    let attachments;
+    try {
+      attachments = await uploadAttachments(files);
+    } catch (error) {
+      renderStatus(error.message, "error");
+      setBusy(false);
+      return;
+    }
+    pendingFiles = [];
+    renderAttachmentTray();
+
+    clearContinueButtons();
+    renderAttachments(addMessage(trimmed, "user"), attachments);
+    conversation.push({ role: "user", text: trimmed, attachments });
 
     const thinking = addMessage(renderThinkingIndicator(), "bot", { isHtml: true });
     thinking.classList.add("thinking");
 
     try {
+      const activeConversationId = await ensureConversation(trimmed);
       const response = await fetch("/api/chat", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ message: trimmed, history: conversation })
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "text/event-stream"
+        },
+        body: JSON.stringify({
+          message: trimmed,
+          history: conversation,
+          conversationId: activeConversationId,
+          profileId,
+          attachmentIds: attachments.map((attachment) => attachment.id),
+          mode: modeForRequest(riskAssessment),
+          riskAssessment,
+          stream: true
+        })
       });
 
-      if (!response.ok) {
-        const data = await response.json().catch(() => ({}));
-        throw new Error(data.error || `サーバーエラー (${response.status})`);
-      }
-
-      const data = await response.json();
-      const fallbackMessage = "回答を取得できませんでした。時間をおいて再試行してください。";
-      const rawReply = removeFormalPreface((data.reply || fallbackMessage).trim());
-      const displayHtml = formatReply(rawReply);
-      const statusMessage = data.notice || "Gemini モデルから回答しました。";
-
-      thinking.classList.remove("thinking");
-      thinking.innerHTML = displayHtml;
-      conversation.push({ role: "model", text: rawReply });
-      renderStatus(statusMessage, "success");
+      const data = await readReply(response, thinking);
+      conversation.push({ role: "model", text: renderReply(thinking, data) });
+      renderStatus(data.notice || t("status.defaultNotice"), "success");
+      refreshHistory();
     } catch (error) {
-      const fallbackHtml = formatReply("エラーが発生しました。後ほど再度お試しください。");
-      thinking.classList.remove("thinking");
+      const fallbackHtml = formatReply(t("reply.error"));
+      thinking.classList.remove("thinking", "streaming");
       thinking.innerHTML = fallbackHtml;
-      renderStatus(error.message || "予期せぬエラーが発生しました。", "error");
+      renderStatus(error.message || t("error.unexpected"), "error");
     } finally {
       setBusy(false);
       input.focus();
@@ -348,7 +1783,24 @@
     event.preventDefault();
     const value = input.value;
     input.value = "";
-    sendMessage(value);
+    if (exercise) {
+      sendExerciseResponse(value);
+    } else {
+      sendMessage(value);
+    }
+  });
+
+  attachButton.addEventListener("click", () => attachmentInput.click());
+
+  attachmentInput.addEventListener("change", () => {
+    const selected = [...attachmentInput.files];
+    attachmentInput.value = "";
+    if (pendingFiles.length + selected.length > MAX_ATTACHMENTS) {
+      renderStatus(t("attachments.tooMany", { max: MAX_ATTACHMENTS }), "error");
+    }
+    pendingFiles = [...pendingFiles, ...selected].slice(0, MAX_ATTACHMENTS);
+    renderAttachmentTray();
+    input.focus();
   });
 
   input.addEventListener("keydown", (event) => {
@@ -376,11 +1828,121 @@
 
   overlay.addEventListener("click", closeDrawer);
 
-  const welcome = [
-    "製品に関する重大事故の未然防止から発生時の初動対応まで、未然防止に資する証拠保全と社内体制構築をサポートします。",
-    "知りたいトピックを入力するか、右の質問例から選んでください。"
-  ].join("\n\n");
+  historyToggle.addEventListener("click", () => {
+    if (historyPanel.classList.contains("open")) {
+      closeDrawer();
+    } else {
+      openHistory();
+    }
+  });
+
+  newConversationButton.addEventListener("click", () => {
+    if (busy) return;
+    setConversationId(null);
+    setCaseFileId(null);
+    resetConversation();
+    renderStatus(t("status.newConversation"));
+    closeDrawer();
+    input.focus();
+  });
+
+  const modeStatusKeys = {
+    chat: "status.modeChat",
+    "action-plan": "status.modeActionPlan",
+    "risk-assessment": "status.modeRiskAssessment"
+  };
+
+  modeSelect.value = replyMode;
+  riskForm.hidden = replyMode !== "risk-assessment";
+  modeSelect.addEventListener("change", () => {
+    replyMode = modeSelect.value;
+    localStorage.setItem(MODE_STORAGE_KEY, replyMode);
+    riskForm.hidden = replyMode !== "risk-assessment" || Boolean(exercise);
+    renderStatus(t(modeStatusKeys[replyMode]));
+  });
+
+  riskForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const fields = riskForm.elements;
+    const riskAssessment = {
+      hazard: fields.hazard.value.trim(),
+      harmScenario: fields.harmScenario.value.trim(),
+      severity: Number(fields.severity.value),
+      affectedUnits: Number(fields.affectedUnits.value),
+      incidentCount: Number(fields.incidentCount.value),
+      periodYears: Number(fields.periodYears.value)
+    };
+    sendMessage(t("risk.message", riskAssessment), { riskAssessment });
+  });
+
+  replyLanguageSelect.addEventListener("change", () => changeReplyLanguage(replyLanguageSelect.value));
+
+  localeSelect.addEventListener("change", () => changeLocale(localeSelect.value));
+
+  profileSelect.addEventListener("change", () => {
+    profileId = profileSelect.value;
+    localStorage.setItem(PROFILE_STORAGE_KEY, profileId);
+    renderProfileDescription();
+    const profile = profiles.find((item) => item.id === profileId);
+    if (profile) renderStatus(t("status.profileSwitched", { name: profile.name }));
+  });
+
+  caseFileSelect.addEventListener("change", () => {
+    attachCaseFile(caseFileSelect.value);
+  });
+
+  caseFileNewButton.addEventListener("click", () => showCaseFileForm(null));
+
+  caseFileEditButton.addEventListener("click", () => {
+    const caseFile = caseFiles.find((item) => item.id === caseFileSelect.value);
+    if (caseFile) showCaseFileForm(caseFile);
+  });
+
+  caseFileCancelButton.addEventListener("click", hideCaseFileForm);
+
+  caseFileForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    saveCaseFile();
+  });
+
+  exerciseDebriefButton.addEventListener("click", requestDebrief);
+
+  exerciseLeaveButton.addEventListener("click", leaveExercise);
+
+  draftVersionSelect.addEventListener("change", () => {
+    if (!confirmDiscardDraftEdits()) {
+      draftVersionSelect.value = String(draftVersionNumber);
+      return;
+    }
+    draftVersionNumber = Number(draftVersionSelect.value);
+    renderDraft();
+  });
+
+  draftEditor.addEventListener("input", updateDraftControls);
+
+  draftSaveButton.addEventListener("click", saveDraft);
+
+  draftReviseForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    reviseDraft(draftInstruction.value);
+  });
+
+  draftCloseButton.addEventListener("click", () => {
+    if (confirmDiscardDraftEdits()) hideDraft();
+  });
+
+  logoutButton.addEventListener("click", logout);
 
-  addMessage(formatReply(welcome), "bot", { isHtml: true });
-  conversation.push({ role: "model", text: welcome });
+  applyLocale();
+  showWelcome();
+  updateExportLinks();
+  loadCurrentUser();
+  loadProfiles();
+  refreshCaseFiles();
+  loadExerciseScenarios();
+  loadDraftTemplates();
+  if (conversationId) {
+    openConversation(conversationId);
+  }
+  refreshHistory();
 })();
@@ -0,0 +1,72 @@
+// Line diff for comparing draft versions, shared by the browser and the
+// tests. Drafts are a few hundred lines at most, so a plain LCS table is
+// enough; past MAX_CELLS the changed middle is shown as removed and added.
+const MAX_CELLS = 1_000_000;
+
+const splitLines = (text = "") => (text ? text.replace(/\r\n?/g, "\n").split("\n") : []);
+
+// Returns [{ type: "same" | "removed" | "added", text }] in reading order.
+export const diffLines = (before, after) => {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Unchanged lines at either end are taken out of the table.
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const head = a.slice(0, start).map((text) => ({ type: "same", text }));
+  const tail = a.slice(endA).map((text) => ({ type: "same", text }));
+  const oldMiddle = a.slice(start, endA);
+  const newMiddle = b.slice(start, endB);
+
+  if (oldMiddle.length * newMiddle.length > MAX_CELLS) {
+    return [
+      ...head,
+      ...oldMiddle.map((text) => ({ type: "removed", text })),
+      ...newMiddle.map((text) => ({ type: "added", text })),
+      ...tail
+    ];
+  }
+
+  // lengths[i][j]: longest common subsequence of oldMiddle[i..] and newMiddle[j..].
+  const lengths = Array.from({ length: oldMiddle.length + 1 }, () => new Uint32Array(newMiddle.length + 1));
+  for (let i = oldMiddle.length - 1; i >= 0; i -= 1) {
+    for (let j = newMiddle.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = oldMiddle[i] === newMiddle[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldMiddle.length && j < newMiddle.length) {
+    if (oldMiddle[i] === newMiddle[j]) {
+      middle.push({ type: "same", text: oldMiddle[i] });
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      middle.push({ type: "removed", text: oldMiddle[i] });
+      i += 1;
+    } else {
+      middle.push({ type: "added", text: newMiddle[j] });
+      j += 1;
+    }
+  }
+  oldMiddle.slice(i).forEach((text) => middle.push({ type: "removed", text }));
+  newMiddle.slice(j).forEach((text) => middle.push({ type: "added", text }));
+
+  return [...head, ...middle, ...tail];
+};
+
+export const diffStats = (changes) => ({
+  added: changes.filter((change) => change.type === "added").length,
+  removed: changes.filter((change) => change.type === "removed").length
+});
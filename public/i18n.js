@@ -0,0 +1,73 @@
+// Shared by the browser and the server (lib/i18n.js). browserLocale and
+// localizeElements use browser globals and are only called client-side.
+export const LOCALES = ["ja", "en"];
+export const DEFAULT_LOCALE = "ja";
+export const LOCALE_LABELS = { ja: "日本語", en: "English" };
+
+export const REPLY_LANGUAGES = ["ja", "en", "both"];
+
+const NUMBER_LOCALES = { ja: "ja-JP", en: "en-US" };
+
+export const normalizeLocale = (value) => {
+  const base = String(value || "").trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES.includes(base) ? base : undefined;
+};
+
+// Picks the best supported language from an Accept-Language style list,
+// honouring q-values and otherwise the order given.
+export const negotiateLocale = (header) => {
+  const ranked = String(header || "")
+    .split(",")
+    .map((entry, index) => {
+      const [tag, ...params] = entry.trim().split(";");
+      const quality = params.map((param) => param.trim()).find((param) => param.startsWith("q="));
+      return { locale: normalizeLocale(tag), q: quality ? Number(quality.slice(2)) : 1, index };
+    })
+    .filter(({ locale, q }) => locale && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  return ranked[0]?.locale || DEFAULT_LOCALE;
+};
+
+export const LOCALE_STORAGE_KEY = "riskAdvisor.locale";
+
+// Before the signed-in user's preference is known (and on the login page),
+// the last language used in this browser wins, then the browser's own list.
+export const browserLocale = () =>
+  normalizeLocale(localStorage.getItem(LOCALE_STORAGE_KEY))
+  || negotiateLocale((navigator.languages || [navigator.language]).join(","));
+
+export const formatNumber = (value, locale) =>
+  value.toLocaleString(NUMBER_LOCALES[locale] || NUMBER_LOCALES[DEFAULT_LOCALE]);
+
+export const dateLocale = (locale) => NUMBER_LOCALES[locale] || NUMBER_LOCALES[DEFAULT_LOCALE];
+
+// Looks the key up in the locale's catalog, falling back to Japanese and then
+// to the key itself, and fills `{name}` placeholders from params.
+export const translate = (catalog, locale, key, params = {}) => {
+  const template = catalog[locale]?.[key] ?? catalog[DEFAULT_LOCALE]?.[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return placeholder;
+    return typeof value === "number" ? formatNumber(value, locale) : String(value);
+  });
+};
+
+const ATTRIBUTE_BINDINGS = [
+  ["data-i18n-placeholder", "placeholder"],
+  ["data-i18n-title", "title"],
+  ["data-i18n-aria-label", "aria-label"],
+  ["data-i18n-message", "data-message"]
+];
+
+// Static markup carries its Japanese text as the default and names the
+// catalog key in data-i18n attributes.
+export const localizeElements = (root, t) => {
+  root.querySelectorAll("[data-i18n]").forEach((element) => {
+    element.textContent = t(element.getAttribute("data-i18n"));
+  });
+  ATTRIBUTE_BINDINGS.forEach(([source, target]) => {
+    root.querySelectorAll(`[${source}]`).forEach((element) => {
+      element.setAttribute(target, t(element.getAttribute(source)));
+    });
+  });
+};
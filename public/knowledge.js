@@ -0,0 +1,82 @@
+import { markdownToHtml } from "./markdown.js";
+import { browserLocale, dateLocale, localizeElements } from "./i18n.js";
+import { uiTranslator } from "./messages.js";
+
+const locale = browserLocale();
+const t = uiTranslator(locale);
+document.documentElement.lang = locale;
+localizeElements(document, t);
+
+const titleEl = document.getElementById("document-title");
+const metaEl = document.getElementById("document-meta");
+const statusEl = document.getElementById("document-status");
+const passagesEl = document.getElementById("passages");
+
+const showError = (text) => {
+  statusEl.textContent = text;
+  statusEl.className = "status error";
+};
+
+const highlightTarget = () => {
+  passagesEl.querySelectorAll(".passage.target").forEach((element) => element.classList.remove("target"));
+  const target = window.location.hash && document.getElementById(window.location.hash.slice(1));
+  if (!target) return;
+  target.classList.add("target");
+  target.scrollIntoView({ block: "start" });
+};
+
+const renderDocument = (knowledgeDocument) => {
+  titleEl.textContent = knowledgeDocument.title;
+  document.title = t("viewer.pageTitle", { title: knowledgeDocument.title });
+  metaEl.textContent = [
+    knowledgeDocument.fileName,
+    knowledgeDocument.createdAt && t("viewer.registered", { date: new Date(knowledgeDocument.createdAt).toLocaleString(dateLocale(locale)) }),
+    t("viewer.sections", { count: knowledgeDocument.chunks.length })
+  ].filter(Boolean).join(" ・ ");
+
+  passagesEl.textContent = "";
+  knowledgeDocument.chunks.forEach((chunk) => {
+    const section = document.createElement("section");
+    section.className = "passage";
+    section.id = `passage-${chunk.index}`;
+
+    const label = document.createElement("p");
+    label.className = "passage-label";
+    label.textContent = `§${chunk.index + 1}${chunk.heading ? ` ${chunk.heading}` : ""}`;
+
+    const body = document.createElement("div");
+    body.innerHTML = markdownToHtml(chunk.text, { idPrefix: `passage-${chunk.index}-` });
+
+    section.append(label, body);
+    passagesEl.appendChild(section);
+  });
+
+  highlightTarget();
+};
+
+const load = async () => {
+  const id = new URLSearchParams(window.location.search).get("doc");
+  if (!id) {
+    showError(t("viewer.missing"));
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/knowledge/${encodeURIComponent(id)}`);
+    if (response.status === 401) {
+      window.location.assign(`/login?next=${encodeURIComponent(window.location.pathname + window.location.search)}`);
+      return;
+    }
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const message = data.error || t("error.server", { status: String(response.status) });
+      throw new Error(data.requestId ? t("error.withRequestId", { message, requestId: data.requestId }) : message);
+    }
+    renderDocument(data);
+  } catch (error) {
+    showError(error.message);
+  }
+};
+
+window.addEventListener("hashchange", highlightTarget);
+load();
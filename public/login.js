@@ -0,0 +1,46 @@
+import { browserLocale, localizeElements } from "./i18n.js";
+import { uiTranslator } from "./messages.js";
+
+const locale = browserLocale();
+const t = uiTranslator(locale);
+document.documentElement.lang = locale;
+localizeElements(document, t);
+
+const form = document.getElementById("login-form");
+const errorEl = document.getElementById("login-error");
+const submitButton = form.querySelector('button[type="submit"]');
+
+// Only same-origin paths are honoured so the login page cannot be used as an
+// open redirect.
+const nextLocation = () => {
+  const next = new URLSearchParams(window.location.search).get("next") || "/";
+  return next.startsWith("/") && !next.startsWith("//") ? next : "/";
+};
+
+form.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  errorEl.textContent = "";
+  submitButton.disabled = true;
+
+  try {
+    const response = await fetch("/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Accept-Language": locale },
+      body: JSON.stringify({
+        username: form.elements.username.value,
+        password: form.elements.password.value
+      })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || t("login.failed", { status: String(response.status) }));
+    }
+    window.location.assign(nextLocation());
+  } catch (error) {
+    errorEl.textContent = error.message;
+    form.elements.password.value = "";
+    form.elements.password.focus();
+  } finally {
+    submitButton.disabled = false;
+  }
+});
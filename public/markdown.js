@@ -0,0 +1,631 @@
+// Shared by the chat UI and the server-side report export, so both render
+// replies with exactly the same escaping and URL rules. The renderer follows
+// CommonMark plus the GFM table, task list, strikethrough and autolink
+// extensions. Raw HTML is never passed through: every piece of source text
+// reaches the output via escapeHtml, and every URL via sanitizeUrl.
+export const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+export const sanitizeUrl = (url = "") => {
+  const trimmed = String(url).trim();
+  if (/^(https?:|mailto:)/i.test(trimmed)) {
+    return escapeHtml(trimmed);
+  }
+  return "#";
+};
+
+// Nesting beyond this is rendered as plain text, which keeps hostile input
+// such as thousands of ">" from exhausting the stack.
+const MAX_DEPTH = 16;
+
+const ASCII_PUNCTUATION = /^[!-/:-@[-`{-~]$/;
+
+const isWhitespace = (char) => !char || /\s/u.test(char);
+
+// CommonMark's flanking rules misread emphasis that touches Japanese text,
+// e.g. **「重要」**です, so CJK characters count as punctuation here.
+const isPunctuationLike = (char) =>
+  Boolean(char) && /[\p{P}\p{S}\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}　-〿＀-￯]/u.test(char);
+
+const linkHtml = (href, label, title) =>
+  `<a href="${sanitizeUrl(href)}"${title ? ` title="${escapeHtml(title)}"` : ""} target="_blank" rel="noopener noreferrer">${label}</a>`;
+
+const unescapeMarkdown = (text) => text.replace(/\\([!-/:-@[-`{-~])/g, "$1");
+
+// Bounds the scan for a link's label and destination so a reply full of
+// unmatched brackets cannot make rendering quadratic.
+const MAX_LINK_SCAN = 2048;
+
+// Finds the "]" closing the "[" at start, skipping escapes and code spans.
+const findLabelEnd = (text, start) => {
+  let depth = 0;
+  const limit = Math.min(text.length, start + MAX_LINK_SCAN);
+  for (let index = start; index < limit; index += 1) {
+    const char = text[index];
+    if (char === "\\") {
+      index += 1;
+    } else if (char === "`") {
+      const run = text.slice(index).match(/^`+/)[0];
+      const close = text.indexOf(run, index + run.length);
+      if (close !== -1) index = close + run.length - 1;
+    } else if (char === "[") {
+      depth += 1;
+    } else if (char === "]") {
+      depth -= 1;
+      if (depth === 0) return index;
+    }
+  }
+  return -1;
+};
+
+// Parses `(destination "title")` at start; parentheses in a bare destination
+// must be balanced, as in CommonMark.
+const parseLinkTarget = (text, start) => {
+  if (text[start] !== "(") return undefined;
+  let index = start + 1;
+  while (text[index] === " " || text[index] === "\n") index += 1;
+
+  let href = "";
+  if (text[index] === "<") {
+    const close = text.indexOf(">", index);
+    if (close === -1 || text.slice(index, close).includes("\n")) return undefined;
+    href = text.slice(index + 1, close);
+    index = close + 1;
+  } else {
+    let depth = 0;
+    const begin = index;
+    const limit = Math.min(text.length, begin + MAX_LINK_SCAN);
+    for (; index < limit; index += 1) {
+      const char = text[index];
+      if (char === "\\" && index + 1 < text.length) {
+        index += 1;
+      } else if (/\s/.test(char)) {
+        break;
+      } else if (char === "(") {
+        depth += 1;
+      } else if (char === ")") {
+        if (depth === 0) break;
+        depth -= 1;
+      }
+    }
+    href = text.slice(begin, index);
+  }
+
+  while (text[index] === " " || text[index] === "\n") index += 1;
+  let title = "";
+  const quote = { '"': '"', "'": "'", "(": ")" }[text[index]];
+  if (quote) {
+    const close = text.indexOf(quote, index + 1);
+    if (close === -1) return undefined;
+    title = text.slice(index + 1, close);
+    index = close + 1;
+    while (text[index] === " " || text[index] === "\n") index += 1;
+  }
+  if (text[index] !== ")") return undefined;
+  return { href: unescapeMarkdown(href), title: unescapeMarkdown(title), end: index + 1 };
+};
+
+// GFM extended autolinks end before trailing punctuation and before a ")"
+// that has no partner inside the URL.
+const trimAutolink = (url) => {
+  let end = url.length;
+  while (end > 0) {
+    const char = url[end - 1];
+    if (/[?!.,:*_~'"]/.test(char)) {
+      end -= 1;
+    } else if (char === ")" && (url.slice(0, end).match(/\)/g) || []).length > (url.slice(0, end).match(/\(/g) || []).length) {
+      end -= 1;
+    } else {
+      break;
+    }
+  }
+  return url.slice(0, end);
+};
+
+const delimiterRun = (text, index, char) => {
+  let length = 1;
+  while (text[index + length] === char) length += 1;
+  const before = text[index - 1];
+  const after = text[index + length];
+  const leftFlanking = !isWhitespace(after)
+    && (!isPunctuationLike(after) || isWhitespace(before) || isPunctuationLike(before));
+  const rightFlanking = !isWhitespace(before)
+    && (!isPunctuationLike(before) || isWhitespace(after) || isPunctuationLike(after));
+  // Underscores inside a word (snake_case) never mark emphasis.
+  const canOpen = char === "_" ? leftFlanking && (!rightFlanking || isPunctuationLike(before)) : leftFlanking;
+  const canClose = char === "_" ? rightFlanking && (!leftFlanking || isPunctuationLike(after)) : rightFlanking;
+  return { type: "delimiter", char, length, remaining: length, canOpen, canClose };
+};
+
+const renderNodes = (nodes) =>
+  nodes
+    .map((node) => {
+      if (node.type === "html") return node.value;
+      if (node.type === "delimiter") return node.char.repeat(node.remaining);
+      return escapeHtml(node.value);
+    })
+    .join("");
+
+// The CommonMark delimiter algorithm, simplified: each closer is matched
+// with the nearest compatible opener and everything between is wrapped.
+const resolveEmphasis = (nodes) => {
+  for (let closerIndex = 0; closerIndex < nodes.length; closerIndex += 1) {
+    const closer = nodes[closerIndex];
+    if (closer.type !== "delimiter" || !closer.canClose || !closer.remaining) continue;
+
+    let openerIndex = closerIndex - 1;
+    for (; openerIndex >= 0; openerIndex -= 1) {
+      const opener = nodes[openerIndex];
+      if (opener.type !== "delimiter" || opener.char !== closer.char || !opener.canOpen || !opener.remaining) continue;
+      if (closer.char === "~") {
+        if (opener.remaining === closer.remaining && opener.remaining <= 2) break;
+        continue;
+      }
+      const oddMatch = (opener.canClose || closer.canOpen)
+        && (opener.length + closer.length) % 3 === 0
+        && (opener.length % 3 !== 0 || closer.length % 3 !== 0);
+      if (!oddMatch) break;
+    }
+    if (openerIndex < 0) continue;
+
+    const opener = nodes[openerIndex];
+    const used = closer.char === "~" ? opener.remaining : Math.min(2, opener.remaining, closer.remaining);
+    const tag = closer.char === "~" ? "del" : used === 2 ? "strong" : "em";
+    const inner = renderNodes(nodes.slice(openerIndex + 1, closerIndex));
+    opener.remaining -= used;
+    closer.remaining -= used;
+    nodes.splice(openerIndex + 1, closerIndex - openerIndex - 1, { type: "html", value: `<${tag}>${inner}</${tag}>` });
+    closerIndex = openerIndex + 2;
+    if (closer.remaining) closerIndex -= 1;
+  }
+  return nodes;
+};
+
+// Link labels are formatted with inLink set so they never contain links.
+export const formatInline = (text, depth = 0, inLink = false) => {
+  if (typeof text !== "string" || !text.length) return "";
+  if (depth > 4) return escapeHtml(text);
+
+  const nodes = [];
+  let buffer = "";
+  const flush = () => {
+    if (buffer) nodes.push({ type: "text", value: buffer });
+    buffer = "";
+  };
+  const pushHtml = (value) => {
+    flush();
+    nodes.push({ type: "html", value });
+  };
+
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+
+    if (char === "\\") {
+      const next = text[index + 1];
+      if (next === "\n") {
+        pushHtml("<br>");
+        index += 2;
+        continue;
+      }
+      if (next && ASCII_PUNCTUATION.test(next)) {
+        buffer += next;
+        index += 2;
+        continue;
+      }
+    }
+
+    if (char === "\n") {
+      const hardBreak = / {2,}$/.test(buffer);
+      buffer = buffer.replace(/ +$/, "");
+      if (hardBreak) {
+        pushHtml("<br>");
+      } else {
+        buffer += "\n";
+      }
+      index += 1;
+      continue;
+    }
+
+    if (char === "`") {
+      const run = text.slice(index).match(/^`+/)[0];
+      let close = text.indexOf(run, index + run.length);
+      while (close !== -1 && (text[close - 1] === "`" || text[close + run.length] === "`")) {
+        close = text.indexOf(run, close + 1);
+      }
+      if (close !== -1) {
+        let code = text.slice(index + run.length, close).replace(/\n/g, " ");
+        if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+        pushHtml(`<code>${escapeHtml(code)}</code>`);
+        index = close + run.length;
+        continue;
+      }
+      buffer += run;
+      index += run.length;
+      continue;
+    }
+
+    if (char === "<" && !inLink) {
+      const rest = text.slice(index);
+      const autolink = rest.match(/^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/);
+      const email = rest.match(/^<([^\s<>@]+@[^\s<>@]+\.[^\s<>@]+)>/);
+      if (autolink || email) {
+        const target = autolink ? autolink[1] : `mailto:${email[1]}`;
+        pushHtml(linkHtml(target, escapeHtml(autolink ? autolink[1] : email[1])));
+        index += (autolink || email)[0].length;
+        continue;
+      }
+    }
+
+    // Images are shown as links so a reply cannot make the browser fetch
+    // arbitrary URLs on its own.
+    const isImage = char === "!" && text[index + 1] === "[";
+    if ((char === "[" || isImage) && !inLink) {
+      const labelStart = index + (isImage ? 1 : 0);
+      const labelEnd = findLabelEnd(text, labelStart);
+      const target = labelEnd === -1 ? undefined : parseLinkTarget(text, labelEnd + 1);
+      if (target) {
+        const label = text.slice(labelStart + 1, labelEnd);
+        pushHtml(linkHtml(target.href, formatInline(label, depth + 1, true) || escapeHtml(target.href), target.title));
+        index = target.end;
+        continue;
+      }
+    }
+
+    const bareUrl = /[hw]/i.test(char) && !inLink && !/[A-Za-z0-9]/.test(text[index - 1] || "")
+      ? text.slice(index).match(/^(?:https?:\/\/|www\.)[^\s<]+/i)
+      : null;
+    if (bareUrl) {
+      const url = trimAutolink(bareUrl[0]);
+      if (url.length > (url.toLowerCase().startsWith("www.") ? 4 : url.indexOf("//") + 2)) {
+        pushHtml(linkHtml(url.toLowerCase().startsWith("www.") ? `http://${url}` : url, escapeHtml(url)));
+        index += url.length;
+        continue;
+      }
+    }
+
+    if (char === "*" || char === "_" || char === "~") {
+      const run = delimiterRun(text, index, char);
+      if (char !== "~" || run.length <= 2) {
+        flush();
+        nodes.push(run);
+      } else {
+        buffer += char.repeat(run.length);
+      }
+      index += run.length;
+      continue;
+    }
+
+    buffer += char;
+    index += 1;
+  }
+  flush();
+
+  return renderNodes(resolveEmphasis(nodes));
+};
+
+// Block structure ----------------------------------------------------------
+
+const indentOf = (line) => line.match(/^ */)[0].length;
+const isBlank = (line) => !line.trim();
+
+const expandTabs = (line) => line.replace(/^[ \t]+/, (space) => space.replace(/\t/g, "    "));
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+const BLOCKQUOTE = /^ {0,3}>/;
+const BULLET = /^( {0,3})([-+*])( {1,4}(?! )|[ \t]*$)/;
+const ORDERED = /^( {0,3})(\d{1,9})([.)])( {1,4}(?! )|[ \t]*$)/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+const listMarker = (line) => {
+  const bullet = line.match(BULLET);
+  if (bullet) {
+    return { ordered: false, marker: bullet[2], indent: bullet[1].length, width: bullet[1].length + 1 + bullet[3].length, empty: !line.slice(bullet[0].length).trim() };
+  }
+  const ordered = line.match(ORDERED);
+  if (ordered) {
+    return {
+      ordered: true,
+      marker: ordered[3],
+      start: Number(ordered[2]),
+      indent: ordered[1].length,
+      width: ordered[1].length + ordered[2].length + 1 + ordered[4].length,
+      empty: !line.slice(ordered[0].length).trim()
+    };
+  }
+  return undefined;
+};
+
+// Splits a table row on pipes that are not escaped; `\|` stays a literal
+// pipe inside the cell, even within code spans.
+const splitRow = (line) => {
+  const cells = [];
+  let cell = "";
+  const trimmed = line.trim().replace(/^\|/, "");
+  for (let index = 0; index < trimmed.length; index += 1) {
+    const char = trimmed[index];
+    if (char === "\\" && trimmed[index + 1] === "|") {
+      cell += "|";
+      index += 1;
+    } else if (char === "|") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell.trim() || !trimmed.endsWith("|")) cells.push(cell.trim());
+  return cells;
+};
+
+const startsTable = (lines, index) =>
+  lines[index]?.includes("|")
+  && TABLE_DELIMITER.test(lines[index + 1] || "")
+  && lines[index + 1].includes("-")
+  && splitRow(lines[index]).length === splitRow(lines[index + 1]).length;
+
+// Lines that end a paragraph without a blank line in between.
+const interruptsParagraph = (line) => {
+  if (FENCE.test(line) || ATX_HEADING.test(line) || THEMATIC_BREAK.test(line) || BLOCKQUOTE.test(line)) return true;
+  const marker = listMarker(line);
+  return Boolean(marker && !marker.empty && (!marker.ordered || marker.start === 1));
+};
+
+const parseBlocks = (lines, depth = 0) => {
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (isBlank(line)) {
+      index += 1;
+      continue;
+    }
+
+    if (depth > MAX_DEPTH) {
+      blocks.push({ type: "paragraph", text: lines.slice(index).filter((entry) => !isBlank(entry)).join("\n").trim() });
+      break;
+    }
+
+    if (indentOf(line) >= 4) {
+      const code = [];
+      while (index < lines.length && (isBlank(lines[index]) || indentOf(lines[index]) >= 4)) {
+        code.push(lines[index].slice(4));
+        index += 1;
+      }
+      while (code.length && isBlank(code[code.length - 1])) code.pop();
+      blocks.push({ type: "code", text: code.join("\n") });
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence && !(fence[1][0] === "`" && fence[2].includes("`"))) {
+      const indent = indentOf(line);
+      const closing = new RegExp(`^ {0,3}${fence[1][0] === "`" ? "`" : "~"}{${fence[1].length},}[ \\t]*$`);
+      const code = [];
+      index += 1;
+      while (index < lines.length && !closing.test(lines[index])) {
+        code.push(lines[index].replace(new RegExp(`^ {0,${indent}}`), ""));
+        index += 1;
+      }
+      index += 1;
+      blocks.push({ type: "code", text: code.join("\n"), language: fence[2].trim().split(/\s+/)[0] });
+      continue;
+    }
+
+    const heading = line.match(ATX_HEADING);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, text: (heading[2] || "").trim() });
+      index += 1;
+      continue;
+    }
+
+    if (THEMATIC_BREAK.test(line)) {
+      blocks.push({ type: "rule" });
+      index += 1;
+      continue;
+    }
+
+    if (BLOCKQUOTE.test(line)) {
+      const quoted = [];
+      while (index < lines.length) {
+        const current = lines[index];
+        if (BLOCKQUOTE.test(current)) {
+          quoted.push(current.replace(/^ {0,3}> ?/, ""));
+        } else if (!isBlank(current) && quoted.length && !isBlank(quoted[quoted.length - 1]) && !interruptsParagraph(current)) {
+          quoted.push(current);
+        } else {
+          break;
+        }
+        index += 1;
+      }
+      blocks.push({ type: "quote", children: parseBlocks(quoted, depth + 1) });
+      continue;
+    }
+
+    const marker = listMarker(line);
+    if (marker) {
+      const list = { type: "list", ordered: marker.ordered, start: marker.start, tight: true, items: [] };
+      let blankBetweenItems = false;
+
+      while (index < lines.length) {
+        const itemMarker = listMarker(lines[index]);
+        if (!itemMarker || itemMarker.ordered !== list.ordered || itemMarker.marker !== marker.marker) break;
+        if (blankBetweenItems) list.tight = false;
+
+        const width = itemMarker.empty ? itemMarker.indent + (itemMarker.ordered ? String(itemMarker.start).length : 0) + 2 : itemMarker.width;
+        const itemLines = [lines[index].slice(itemMarker.width)];
+        index += 1;
+
+        while (index < lines.length) {
+          const current = lines[index];
+          const previous = itemLines[itemLines.length - 1];
+          if (isBlank(current)) {
+            itemLines.push("");
+          } else if (indentOf(current) >= width) {
+            itemLines.push(current.slice(width));
+          } else if (!isBlank(previous) && !listMarker(current) && !interruptsParagraph(current) && !startsTable(lines, index)) {
+            // A lazy continuation line of the item's paragraph.
+            itemLines.push(current.trim());
+          } else {
+            break;
+          }
+          index += 1;
+        }
+
+        blankBetweenItems = false;
+        while (itemLines.length > 1 && isBlank(itemLines[itemLines.length - 1])) {
+          itemLines.pop();
+          blankBetweenItems = true;
+        }
+        if (itemLines.some((entry, position) => isBlank(entry) && position > 0 && indentOf(itemLines[position + 1] || " ") === 0)) {
+          list.tight = false;
+        }
+
+        const task = itemLines[0].match(/^\[([ xX])\][ \t]+/);
+        if (task) itemLines[0] = itemLines[0].slice(task[0].length);
+        list.items.push({ task: Boolean(task), checked: task?.[1].toLowerCase() === "x", children: parseBlocks(itemLines, depth + 1) });
+      }
+
+      blocks.push(list);
+      continue;
+    }
+
+    if (startsTable(lines, index)) {
+      const head = splitRow(lines[index]);
+      const align = splitRow(lines[index + 1]).map((cell) => {
+        if (cell.startsWith(":") && cell.endsWith(":")) return "center";
+        if (cell.endsWith(":")) return "right";
+        return cell.startsWith(":") ? "left" : undefined;
+      });
+      const rows = [];
+      index += 2;
+      while (index < lines.length && !isBlank(lines[index]) && !interruptsParagraph(lines[index])) {
+        rows.push(splitRow(lines[index]));
+        index += 1;
+      }
+      blocks.push({ type: "table", head, align, rows });
+      continue;
+    }
+
+    const paragraph = [line.trimStart()];
+    index += 1;
+    let setext;
+    while (index < lines.length && !isBlank(lines[index])) {
+      const current = lines[index];
+      if (/^ {0,3}=+[ \t]*$/.test(current)) {
+        setext = 1;
+      } else if (/^ {0,3}-+[ \t]*$/.test(current)) {
+        setext = 2;
+      }
+      if (setext) {
+        index += 1;
+        break;
+      }
+      if (interruptsParagraph(current) || startsTable(lines, index)) break;
+      paragraph.push(current.trimStart());
+      index += 1;
+    }
+    blocks.push(setext
+      ? { type: "heading", level: setext, text: paragraph.join(" ").trim() }
+      : { type: "paragraph", text: paragraph.join("\n").trimEnd() });
+  }
+
+  return blocks;
+};
+
+// Heading ids are derived from the heading text and made unique within one
+// rendering; idPrefix keeps them apart when several replies share a page.
+const slugify = (text) =>
+  text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/[*_`~\\]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, "")
+    .trim()
+    .replace(/\s+/g, "-") || "section";
+
+const renderBlocks = (blocks, context, { tight = false } = {}) =>
+  blocks
+    .map((block) => {
+      switch (block.type) {
+        case "paragraph":
+          return tight ? formatInline(block.text) : `<p>${formatInline(block.text)}</p>`;
+        case "heading": {
+          const slug = slugify(block.text);
+          const seen = context.slugs.get(slug) || 0;
+          context.slugs.set(slug, seen + 1);
+          const id = escapeHtml(`${context.idPrefix}${seen ? `${slug}-${seen}` : slug}`);
+          return `<h${block.level} id="${id}">${formatInline(block.text)}<a class="heading-anchor" href="#${id}" aria-hidden="true"></a></h${block.level}>`;
+        }
+        case "rule":
+          return "<hr>";
+        case "code": {
+          const language = /^[\w+#.-]+$/.test(block.language || "") ? ` class="language-${escapeHtml(block.language)}"` : "";
+          return `<pre><code${language}>${escapeHtml(block.text)}</code></pre>`;
+        }
+        case "quote":
+          return `<blockquote>${renderBlocks(block.children, context)}</blockquote>`;
+        case "list": {
+          const tag = block.ordered ? "ol" : "ul";
+          const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : "";
+          const className = block.items.some((item) => item.task) ? ' class="task-list"' : "";
+          const items = block.items.map((item) => {
+            const checkbox = item.task ? `<input type="checkbox" disabled${item.checked ? " checked" : ""}> ` : "";
+            return `<li${item.task ? ' class="task-item"' : ""}>${checkbox}${renderBlocks(item.children, context, { tight: block.tight })}</li>`;
+          });
+          return `<${tag}${start}${className}>${items.join("")}</${tag}>`;
+        }
+        case "table": {
+          const cell = (tag, text, column) =>
+            `<${tag}${block.align[column] ? ` style="text-align: ${block.align[column]}"` : ""}>${formatInline(text || "")}</${tag}>`;
+          const head = block.head.map((text, column) => cell("th", text, column)).join("");
+          const rows = block.rows
+            .map((row) => `<tr>${block.head.map((_, column) => cell("td", row[column], column)).join("")}</tr>`)
+            .join("");
+          return `<table><thead><tr>${head}</tr></thead>${rows ? `<tbody>${rows}</tbody>` : ""}</table>`;
+        }
+        default:
+          return "";
+      }
+    })
+    .join("");
+
+export const markdownToHtml = (source = "", { idPrefix = "" } = {}) => {
+  if (typeof source !== "string") return "";
+  const lines = source.replace(/\r\n?/g, "\n").split("\n").map(expandTabs);
+  const combined = renderBlocks(parseBlocks(lines), { idPrefix, slugs: new Map() });
+  if (!combined) {
+    return `<p>${escapeHtml(source)}</p>`;
+  }
+  return combined;
+};
+
+export const limitMarkdown = (text, maxChars) => {
+  if (typeof text !== "string" || text.length === 0 || maxChars <= 0) {
+    return { text: "", truncated: Boolean(text && text.length > 0) };
+  }
+
+  if (text.length <= maxChars) {
+    return { text, truncated: false };
+  }
+
+  return { text: text.slice(0, maxChars).trimEnd(), truncated: true };
+};
+
+export const TRUNCATION_NOTE = "※ 長文のため一部のみ表示しています。";
+
+export const formatReply = (raw, { truncated = false, idPrefix } = {}) => {
+  const safe = typeof raw === "string" ? raw : "";
+  const body = markdownToHtml(safe, { idPrefix });
+  const note = truncated ? `<p class="reply-truncated">${TRUNCATION_NOTE}</p>` : "";
+  return `<div class="reply-markdown">${body}${note}</div>`;
+};
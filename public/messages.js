@@ -0,0 +1,496 @@
+import { translate } from "./i18n.js";
+
+export const UI_MESSAGES = {
+  ja: {
+    "app.title": "製品リスク総合アシスタント",
+    "app.lead": "＼ 国内外の製品安全・PL・品質不正対応を専門家視点でサポート ／",
+    "app.badgeRecall": "製造物責任とリコール実務の知見",
+    "app.badgeQuality": "品質保証・品質監査の標準手順",
+    "app.badgeCrisis": "グローバル危機広報と規制対応の経験",
+    "app.welcome": "製品に関する重大事故の未然防止から発生時の初動対応まで、未然防止に資する証拠保全と社内体制構築をサポートします。\n\n知りたいトピックを入力するか、右の質問例から選んでください。",
+    "menu.admin": "管理",
+    "menu.logout": "ログアウト",
+    "menu.language": "表示言語",
+    "menu.user": "{name}（{role}）",
+    "toggle.history": "履歴",
+    "toggle.menu": "メニュー",
+    "history.title": "相談履歴",
+    "history.new": "＋ 新規相談",
+    "history.empty": "保存された相談はまだありません。",
+    "history.meta": "{time} ・ {count} 件",
+    "history.delete": "「{title}」を削除",
+    "history.confirmDelete": "「{title}」を削除しますか？この操作は取り消せません。",
+    "history.deleted": "相談履歴を削除しました。",
+    "history.loadFailed": "相談履歴を取得できませんでした。",
+    "export.title": "対応記録をエクスポート",
+    "export.html": "印刷用 HTML",
+    "chat.inputLabel": "メッセージを入力",
+    "chat.placeholder": "質問を入力してください...",
+    "chat.placeholderReadOnly": "閲覧権限のため質問できません",
+    "chat.send": "送信",
+    "chat.attach": "ファイルを添付",
+    "chat.attachTitle": "写真・PDF を添付",
+    "drawer.advisor": "アドバイザー",
+    "drawer.profileLabel": "相談内容に合わせて専門分野を選択",
+    "drawer.mode": "回答形式",
+    "drawer.replyLanguage": "回答言語",
+    "mode.chat": "通常の回答",
+    "mode.actionPlan": "アクションプラン（チェックリスト）",
+    "mode.riskAssessment": "リスクアセスメント（R-Map）",
+    "replyLanguage.ja": "日本語",
+    "replyLanguage.en": "英語",
+    "replyLanguage.both": "日本語と英語の併記",
+    "replyLanguage.pinned": "このアドバイザーは常に{language}で回答します（併記を選んだ場合を除く）。",
+    "caseFile.title": "ケースファイル",
+    "caseFile.label": "この相談に紐づける案件",
+    "caseFile.none": "紐づけなし",
+    "caseFile.new": "新規作成",
+    "caseFile.edit": "編集",
+    "caseFile.fieldTitle": "案件名",
+    "caseFile.fieldProduct": "製品名",
+    "caseFile.fieldLots": "対象ロット（カンマ区切り）",
+    "caseFile.fieldInjuries": "負傷者数",
+    "caseFile.fieldJurisdictions": "関係法域（カンマ区切り）",
+    "caseFile.jurisdictionsPlaceholder": "日本, 米国(CPSC), EU",
+    "caseFile.fieldFirstReported": "初報日時",
+    "caseFile.fieldSummary": "概要・補足",
+    "caseFile.save": "保存",
+    "caseFile.cancel": "キャンセル",
+    "caseFile.linkNext": "次の相談からケースファイルの事実関係を前提に回答します。",
+    "caseFile.unlinked": "ケースファイルの紐づけを解除しました。",
+    "caseFile.linked": "ケースファイルをこの相談に紐づけました。",
+    "caseFile.linkFailed": "ケースファイルを紐づけられませんでした。",
+    "caseFile.updated": "ケースファイルを更新しました。",
+    "caseFile.saveFailed": "ケースファイルを保存できませんでした。",
+    "caseFile.loadFailed": "ケースファイルを取得できませんでした。",
+    "knowledge.title": "ナレッジベース",
+    "knowledge.item1": "製品事故の初動・証拠保全・再発防止の三本柱",
+    "knowledge.item2": "国内外の規制・監督当局への報告フロー整備",
+    "knowledge.item3": "品質不正・クレーム発生時の社内統制構築",
+    "knowledge.item4": "多拠点・多言語でのリスクコミュニケーション設計",
+    "suggestions.title": "クイック質問例",
+    "suggestions.initialResponse": "国内事故の初動整理",
+    "suggestions.initialResponseMessage": "国内で製品事故が発生した際の初動対応をステークホルダー別に整理してください。",
+    "suggestions.misconduct": "品質不正の調査と再発防止",
+    "suggestions.misconductMessage": "品質不正が発覚したときの事実調査と再発防止策の立て方を説明してください。",
+    "suggestions.litigation": "PL訴訟への備え",
+    "suggestions.litigationMessage": "PL訴訟を見据えて準備すべき社内体制と証拠保全のポイントを教えてください。",
+    "suggestions.overseasPr": "海外広報対応のステップ",
+    "suggestions.overseasPrMessage": "海外拠点での重大事故に対し、現地当局やメディアと連携する広報対応のステップを示してください。",
+    "status.conversationResumed": "「{title}」を再開しました。",
+    "status.conversationLoadFailed": "会話を読み込めませんでした。",
+    "status.conversationDeleteFailed": "会話を削除できませんでした。",
+    "status.newConversation": "新しい相談を開始しました。",
+    "status.modeActionPlan": "回答をアクションプラン（チェックリスト）形式で受け取ります。",
+    "status.modeChat": "回答を通常の形式で受け取ります。",
+    "status.modeRiskAssessment": "入力欄の上のフォームで R-Map のリスクアセスメントを行います。続けての質問は通常の形式で回答します。",
+    "status.profileSwitched": "アドバイザーを「{name}」に切り替えました。",
+    "status.profilesLoadFailed": "アドバイザーの一覧を取得できませんでした。",
+    "status.userLoadFailed": "ログイン情報を取得できませんでした。",
+    "status.replyLanguageChanged": "回答言語を「{language}」に切り替えました。",
+    "status.localeChanged": "表示言語を日本語に切り替えました。",
+    "status.preferencesFailed": "言語設定を保存できませんでした。",
+    "status.toolRunning": "{label} を実行しています…",
+    "status.continuing": "回答の続きを生成しています…",
+    "status.defaultNotice": "Gemini モデルから回答しました。",
+    "reply.fallback": "回答を取得できませんでした。時間をおいて再試行してください。",
+    "reply.error": "エラーが発生しました。後ほど再度お試しください。",
+    "reply.continue": "続きを生成",
+    "code.copy": "コピー",
+    "code.copied": "コピーしました",
+    "code.copyFailed": "コピーできませんでした",
+    "feedback.up": "役に立った",
+    "feedback.down": "役に立たなかった",
+    "feedback.category.legal-inaccuracy": "法的に不正確",
+    "feedback.category.not-actionable": "実行不可能",
+    "feedback.category.too-long": "長すぎる",
+    "feedback.commentPlaceholder": "具体的な問題点（任意）",
+    "feedback.send": "送信",
+    "feedback.saved": "フィードバックを送信しました。ありがとうございます。",
+    "feedback.failed": "フィードバックを送信できませんでした。",
+    "error.unexpected": "予期せぬエラーが発生しました。",
+    "error.server": "サーバーエラー ({status})",
+    "error.withRequestId": "{message}（リクエストID: {requestId}）",
+    "error.stream": "ストリーミング中にエラーが発生しました。",
+    "error.streamEnded": "ストリーミング応答が途中で終了しました。",
+    "sources.title": "参照資料",
+    "tool.summary": "ツール実行: {label}",
+    "tool.failed": "（エラー）",
+    "tool.calculate_reporting_deadline": "報告期限の計算",
+    "tool.build_case_timeline": "事故タイムラインの作成",
+    "history.condensed": "ここまでの {count} 件のやり取りは要約してモデルに送っています（要約を表示）",
+    "redaction.summary": "送信前に伏せた情報: {count} 件",
+    "redaction.note": "これらの値は記号に置き換えて送信し、回答では元に戻して表示しています。",
+    "redaction.confidential": "機密用語",
+    "redaction.email": "メールアドレス",
+    "redaction.myNumber": "個人番号",
+    "redaction.phone": "電話番号",
+    "redaction.address": "住所",
+    "redaction.name": "氏名",
+    "risk.title": "リスクアセスメント（R-Map）",
+    "risk.hazard": "ハザード",
+    "risk.hazardPlaceholder": "例: 充電中のバッテリーの異常発熱",
+    "risk.harmScenario": "危害シナリオ",
+    "risk.harmScenarioPlaceholder": "例: 就寝中の充電で発火し、寝具に延焼して火傷を負う",
+    "risk.severity": "危害の程度",
+    "risk.severity0": "0 無傷（物損のみ）",
+    "risk.severity1": "I 軽微（軽傷）",
+    "risk.severity2": "II 中程度（通院加療）",
+    "risk.severity3": "III 重大（重傷・後遺障害）",
+    "risk.severity4": "IV 致命的（死亡・重篤）",
+    "risk.affectedUnits": "対象台数",
+    "risk.incidentCount": "事故件数",
+    "risk.periodYears": "集計期間（年）",
+    "risk.submit": "評価する",
+    "risk.message": "R-Map によるリスクアセスメントをお願いします。\nハザード: {hazard}\n危害シナリオ: {harmScenario}",
+    "risk.caption": "R-Map 評価: {region} — {action}",
+    "risk.action.recall": "製品回収（リコール）",
+    "risk.action.notification": "注意喚起・改善",
+    "risk.action.monitoring": "経過観察",
+    "risk.frequencyAxis": "発生頻度",
+    "risk.severityAxis": "危害の程度",
+    "risk.rate": "発生頻度 {rate} 件/台・年（レベル {frequency}）、危害の程度 {severity}",
+    "risk.assumed": "事故は未発生のため、1 件と仮定して頻度を算出しています。",
+    "exercise.title": "机上演習（訓練）",
+    "exercise.hint": "新任者向けの訓練です。ここでのやり取りは相談履歴に残らず、実際の事故対応の助言ではありません。",
+    "exercise.none": "演習シナリオが登録されていません。",
+    "exercise.loadFailed": "演習シナリオを読み込めませんでした",
+    "exercise.banner": "訓練中",
+    "exercise.notAdvice": "これは演習です。実際の助言ではありません。",
+    "exercise.label": "訓練",
+    "exercise.debrief": "講評を受けて終了",
+    "exercise.leave": "訓練を抜ける",
+    "exercise.placeholder": "この状況でのあなたの対応を入力してください...",
+    "exercise.started": "演習「{title}」を開始しました。状況付与ごとに自分の対応を書いてください。",
+    "exercise.startFailed": "演習を開始できませんでした",
+    "exercise.responseFailed": "対応を採点できませんでした",
+    "exercise.scoreHeading": "採点: {score} / {max} 点",
+    "exercise.criterion": "評価基準",
+    "exercise.score": "点数",
+    "exercise.comment": "コメント",
+    "exercise.scored": "採点しました。次の状況付与に対応してください。",
+    "exercise.finished": "すべての状況付与に対応しました。「講評を受けて終了」を押してください。",
+    "exercise.debriefing": "講評レポートを作成しています...",
+    "exercise.debriefHeading": "講評レポート（合計 {score} / {max} 点）",
+    "exercise.debriefFailed": "講評レポートを作成できませんでした",
+    "exercise.completed": "演習は終了しました。「訓練を抜ける」で通常の相談に戻れます。",
+    "draft.title": "文書ドラフト",
+    "draft.hint": "開いている相談の内容をもとに、社告・プレスリリース・当局報告の文案を作成します。",
+    "draft.version": "版",
+    "draft.close": "閉じる",
+    "draft.editor": "文書の本文",
+    "draft.instructionLabel": "修正指示",
+    "draft.instructionPlaceholder": "修正指示（例: 謝罪をより丁寧に、連絡先を冒頭へ）",
+    "draft.revise": "修正を依頼",
+    "draft.save": "編集を新しい版として保存",
+    "draft.confirmDiscard": "保存していない編集があります。破棄してよろしいですか？",
+    "draft.versionOption": "第 {number} 版（{kind}）",
+    "draft.kind.generated": "自動作成",
+    "draft.kind.revised": "修正指示",
+    "draft.kind.edited": "手動編集",
+    "draft.instruction": "指示: {instruction}",
+    "draft.olderVersion": "過去の版（保存すると最新版として復元されます）",
+    "draft.diffSummary": "第 {from} 版 → 第 {to} 版の変更（+{added} 行 / −{removed} 行）",
+    "draft.noChanges": "第 {from} 版から変更はありません",
+    "draft.listItem": "{title}（{count} 版・{time}）",
+    "draft.loadFailed": "文書テンプレートを読み込めませんでした",
+    "draft.listFailed": "文書ドラフトの一覧を読み込めませんでした",
+    "draft.openFailed": "文書ドラフトを開けませんでした",
+    "draft.creating": "「{title}」の文案を作成しています...",
+    "draft.created": "「{title}」の文案を作成しました。内容を確認し、必要に応じて修正してください。",
+    "draft.createFailed": "文案を作成できませんでした",
+    "draft.saved": "編集を第 {number} 版として保存しました。",
+    "draft.saveFailed": "編集を保存できませんでした",
+    "draft.revising": "修正指示に沿って書き直しています...",
+    "draft.revised": "第 {number} 版を作成しました。変更点を確認してください。",
+    "draft.reviseFailed": "文案を修正できませんでした",
+    "actionPlan.title": "アクションプラン",
+    "actionPlan.progress": "完了 {done} / {total} 件",
+    "actionPlan.markDone": "{title} を完了にする",
+    "actionPlan.ownerLabel": "{title} の担当",
+    "actionPlan.owner": "担当:",
+    "actionPlan.deadline": "期限: {deadline}",
+    "actionPlan.ownerChanged": "「{title}」の担当を {owner} に変更しました。",
+    "actionPlan.taskUpdateFailed": "タスクを更新できませんでした。",
+    "actionPlan.ownerUpdateFailed": "担当を変更できませんでした。",
+    "deadline.immediate": "直ちに",
+    "deadline.hours": "発生から {hours} 時間以内",
+    "deadline.days": "発生から {days} 日以内",
+    "deadline.due": "{relative}（{due} まで）",
+    "priority.critical": "最優先",
+    "priority.high": "高",
+    "priority.medium": "中",
+    "priority.low": "低",
+    "stakeholder.consumers": "消費者",
+    "stakeholder.regulators": "規制当局",
+    "stakeholder.retailers": "販売店",
+    "stakeholder.suppliers": "サプライヤー",
+    "stakeholder.internal": "社内",
+    "stakeholder.media": "報道機関",
+    "stakeholder.insurers": "保険会社",
+    "stakeholder.legal": "法務・弁護士",
+    "attachments.defaultMessage": "添付したファイルの内容を確認し、想定されるリスクと初動対応を教えてください。",
+    "attachments.remove": "{name} を添付から外す",
+    "attachments.uploadFailed": "添付ファイルをアップロードできませんでした ({status})",
+    "attachments.tooMany": "一度に添付できるのは {max} ファイルまでです。",
+    "login.pageTitle": "ログイン | 製品リスク総合アシスタント",
+    "login.prompt": "品質保証部門のアカウントでログインしてください。",
+    "login.username": "ユーザー名",
+    "login.password": "パスワード",
+    "login.submit": "ログイン",
+    "login.failed": "ログインに失敗しました ({status})",
+    "viewer.title": "参照資料",
+    "viewer.pageTitle": "{title} | 参照資料",
+    "viewer.back": "← アシスタントに戻る",
+    "viewer.registered": "登録: {date}",
+    "viewer.sections": "{count} 節",
+    "viewer.missing": "表示する文書が指定されていません。"
+  },
+  en: {
+    "app.title": "Product Risk Advisor",
+    "app.lead": "Expert support on product safety, product liability and quality misconduct in Japan and abroad",
+    "app.badgeRecall": "Product liability and recall practice",
+    "app.badgeQuality": "Standard QA and quality audit procedures",
+    "app.badgeCrisis": "Global crisis communications and regulatory response",
+    "app.welcome": "From preventing serious product incidents to the first response when one happens, this assistant helps with preserving evidence and building the internal structures that prevent recurrence.\n\nType a topic, or pick one of the sample questions in the menu.",
+    "menu.admin": "Admin",
+    "menu.logout": "Sign out",
+    "menu.language": "Display language",
+    "menu.user": "{name} ({role})",
+    "toggle.history": "History",
+    "toggle.menu": "Menu",
+    "history.title": "Consultations",
+    "history.new": "+ New consultation",
+    "history.empty": "No saved consultations yet.",
+    "history.meta": "{time} · {count} messages",
+    "history.delete": "Delete \"{title}\"",
+    "history.confirmDelete": "Delete \"{title}\"? This cannot be undone.",
+    "history.deleted": "The consultation was deleted.",
+    "history.loadFailed": "The consultation history could not be loaded.",
+    "export.title": "Export incident record",
+    "export.html": "Printable HTML",
+    "chat.inputLabel": "Type a message",
+    "chat.placeholder": "Ask a question...",
+    "chat.placeholderReadOnly": "Your account is read-only and cannot ask questions",
+    "chat.send": "Send",
+    "chat.attach": "Attach files",
+    "chat.attachTitle": "Attach photos or PDFs",
+    "drawer.advisor": "Advisor",
+    "drawer.profileLabel": "Choose the specialty that fits your question",
+    "drawer.mode": "Reply format",
+    "drawer.replyLanguage": "Reply language",
+    "mode.chat": "Regular answer",
+    "mode.actionPlan": "Action plan (checklist)",
+    "mode.riskAssessment": "Risk assessment (R-Map)",
+    "replyLanguage.ja": "Japanese",
+    "replyLanguage.en": "English",
+    "replyLanguage.both": "Japanese and English",
+    "replyLanguage.pinned": "This advisor always replies in {language} unless both languages are selected.",
+    "caseFile.title": "Case file",
+    "caseFile.label": "Case linked to this consultation",
+    "caseFile.none": "Not linked",
+    "caseFile.new": "New",
+    "caseFile.edit": "Edit",
+    "caseFile.fieldTitle": "Case name",
+    "caseFile.fieldProduct": "Product",
+    "caseFile.fieldLots": "Affected lots (comma-separated)",
+    "caseFile.fieldInjuries": "Number of injured",
+    "caseFile.fieldJurisdictions": "Jurisdictions (comma-separated)",
+    "caseFile.jurisdictionsPlaceholder": "Japan, US (CPSC), EU",
+    "caseFile.fieldFirstReported": "First reported at",
+    "caseFile.fieldSummary": "Summary and notes",
+    "caseFile.save": "Save",
+    "caseFile.cancel": "Cancel",
+    "caseFile.linkNext": "From the next question on, answers will assume the facts in this case file.",
+    "caseFile.unlinked": "The case file was unlinked.",
+    "caseFile.linked": "The case file was linked to this consultation.",
+    "caseFile.linkFailed": "The case file could not be linked.",
+    "caseFile.updated": "The case file was updated.",
+    "caseFile.saveFailed": "The case file could not be saved.",
+    "caseFile.loadFailed": "Case files could not be loaded.",
+    "knowledge.title": "Knowledge areas",
+    "knowledge.item1": "The three pillars of incident response: first response, evidence preservation and prevention",
+    "knowledge.item2": "Reporting flows to regulators and authorities in Japan and abroad",
+    "knowledge.item3": "Internal controls for quality misconduct and customer complaints",
+    "knowledge.item4": "Risk communication across sites and languages",
+    "suggestions.title": "Sample questions",
+    "suggestions.initialResponse": "First response to a domestic incident",
+    "suggestions.initialResponseMessage": "Outline the first response to a product incident in Japan, organised by stakeholder.",
+    "suggestions.misconduct": "Investigating quality misconduct",
+    "suggestions.misconductMessage": "Explain how to investigate the facts and plan preventive measures when quality misconduct comes to light.",
+    "suggestions.litigation": "Preparing for PL litigation",
+    "suggestions.litigationMessage": "What internal structures and evidence preservation should we prepare with product liability litigation in mind?",
+    "suggestions.overseasPr": "Communications for overseas incidents",
+    "suggestions.overseasPrMessage": "Set out the communication steps for a serious incident at an overseas site, coordinating with local authorities and the media.",
+    "status.conversationResumed": "Resumed \"{title}\".",
+    "status.conversationLoadFailed": "The conversation could not be loaded.",
+    "status.conversationDeleteFailed": "The conversation could not be deleted.",
+    "status.newConversation": "Started a new consultation.",
+    "status.modeActionPlan": "Replies will come as an action plan (checklist).",
+    "status.modeChat": "Replies will come in the regular format.",
+    "status.modeRiskAssessment": "Use the form above the input box to run an R-Map risk assessment. Follow-up questions get regular answers.",
+    "status.profileSwitched": "Switched the advisor to \"{name}\".",
+    "status.profilesLoadFailed": "The list of advisors could not be loaded.",
+    "status.userLoadFailed": "Your account details could not be loaded.",
+    "status.replyLanguageChanged": "Reply language set to {language}.",
+    "status.localeChanged": "Display language set to English.",
+    "status.preferencesFailed": "Your language settings could not be saved.",
+    "status.toolRunning": "Running {label}…",
+    "status.continuing": "Generating the rest of the reply…",
+    "status.defaultNotice": "Answered by the Gemini model.",
+    "reply.fallback": "No answer was received. Please try again later.",
+    "reply.error": "An error occurred. Please try again later.",
+    "reply.continue": "Continue generating",
+    "code.copy": "Copy",
+    "code.copied": "Copied",
+    "code.copyFailed": "Copy failed",
+    "feedback.up": "Helpful",
+    "feedback.down": "Not helpful",
+    "feedback.category.legal-inaccuracy": "Legally inaccurate",
+    "feedback.category.not-actionable": "Not actionable",
+    "feedback.category.too-long": "Too long",
+    "feedback.commentPlaceholder": "What was wrong? (optional)",
+    "feedback.send": "Send",
+    "feedback.saved": "Thank you, your feedback was saved.",
+    "feedback.failed": "The feedback could not be sent.",
+    "error.unexpected": "An unexpected error occurred.",
+    "error.server": "Server error ({status})",
+    "error.withRequestId": "{message} (request ID: {requestId})",
+    "error.stream": "An error occurred while streaming the answer.",
+    "error.streamEnded": "The streamed answer ended unexpectedly.",
+    "sources.title": "Sources",
+    "tool.summary": "Tool run: {label}",
+    "tool.failed": " (error)",
+    "tool.calculate_reporting_deadline": "reporting deadline calculation",
+    "tool.build_case_timeline": "incident timeline",
+    "history.condensed": "The {count} messages above are sent to the model as a summary (show summary)",
+    "redaction.summary": "Masked before sending: {count}",
+    "redaction.note": "These values were sent as placeholders and restored in the reply shown here.",
+    "redaction.confidential": "confidential term",
+    "redaction.email": "email",
+    "redaction.myNumber": "My Number",
+    "redaction.phone": "phone number",
+    "redaction.address": "address",
+    "redaction.name": "name",
+    "risk.title": "Risk assessment (R-Map)",
+    "risk.hazard": "Hazard",
+    "risk.hazardPlaceholder": "e.g. Battery overheating while charging",
+    "risk.harmScenario": "Harm scenario",
+    "risk.harmScenarioPlaceholder": "e.g. Catches fire while charging overnight and burns the user through the bedding",
+    "risk.severity": "Severity",
+    "risk.severity0": "0 None (property damage only)",
+    "risk.severity1": "I Minor (slight injury)",
+    "risk.severity2": "II Moderate (outpatient treatment)",
+    "risk.severity3": "III Serious (severe or lasting injury)",
+    "risk.severity4": "IV Fatal (death or critical injury)",
+    "risk.affectedUnits": "Units in the field",
+    "risk.incidentCount": "Incidents",
+    "risk.periodYears": "Period (years)",
+    "risk.submit": "Assess",
+    "risk.message": "Please run an R-Map risk assessment.\nHazard: {hazard}\nHarm scenario: {harmScenario}",
+    "risk.caption": "R-Map result: {region} — {action}",
+    "risk.action.recall": "Recall",
+    "risk.action.notification": "Warning and improvement",
+    "risk.action.monitoring": "Monitoring",
+    "risk.frequencyAxis": "Frequency",
+    "risk.severityAxis": "Severity",
+    "risk.rate": "Frequency {rate} incidents per unit-year (level {frequency}), severity {severity}",
+    "risk.assumed": "No incidents so far; the frequency assumes one.",
+    "exercise.title": "Tabletop exercises (training)",
+    "exercise.hint": "Training for new staff. Exercises are not saved to the consultation history and are not advice on a real incident.",
+    "exercise.none": "No exercise scenarios are registered.",
+    "exercise.loadFailed": "The exercise scenarios could not be loaded",
+    "exercise.banner": "Training",
+    "exercise.notAdvice": "This is an exercise, not real advice.",
+    "exercise.label": "Training",
+    "exercise.debrief": "Finish with a debrief",
+    "exercise.leave": "Leave the exercise",
+    "exercise.placeholder": "Describe what you would do in this situation...",
+    "exercise.started": "Started \"{title}\". Write how you would respond to each inject.",
+    "exercise.startFailed": "The exercise could not be started",
+    "exercise.responseFailed": "Your response could not be scored",
+    "exercise.scoreHeading": "Score: {score} / {max}",
+    "exercise.criterion": "Criterion",
+    "exercise.score": "Score",
+    "exercise.comment": "Comment",
+    "exercise.scored": "Scored. Respond to the next inject.",
+    "exercise.finished": "You have answered every inject. Press \"Finish with a debrief\".",
+    "exercise.debriefing": "Writing the debrief report...",
+    "exercise.debriefHeading": "Debrief report (total {score} / {max})",
+    "exercise.debriefFailed": "The debrief report could not be written",
+    "exercise.completed": "The exercise has ended. Use \"Leave the exercise\" to return to regular consultations.",
+    "draft.title": "Document drafts",
+    "draft.hint": "Draft a recall notice, press release or regulator report from the open consultation.",
+    "draft.version": "Version",
+    "draft.close": "Close",
+    "draft.editor": "Document text",
+    "draft.instructionLabel": "Revision instruction",
+    "draft.instructionPlaceholder": "Revision instruction (e.g. soften the apology, move the contact details to the top)",
+    "draft.revise": "Revise",
+    "draft.save": "Save edits as a new version",
+    "draft.confirmDiscard": "You have unsaved edits. Discard them?",
+    "draft.versionOption": "Version {number} ({kind})",
+    "draft.kind.generated": "generated",
+    "draft.kind.revised": "revised",
+    "draft.kind.edited": "edited",
+    "draft.instruction": "Instruction: {instruction}",
+    "draft.olderVersion": "Earlier version (saving restores it as the latest)",
+    "draft.diffSummary": "Changes from version {from} to {to} (+{added} / −{removed} lines)",
+    "draft.noChanges": "No changes since version {from}",
+    "draft.listItem": "{title} ({count} versions, {time})",
+    "draft.loadFailed": "The document templates could not be loaded",
+    "draft.listFailed": "The drafts could not be loaded",
+    "draft.openFailed": "The draft could not be opened",
+    "draft.creating": "Drafting \"{title}\"...",
+    "draft.created": "Drafted \"{title}\". Review it and revise as needed.",
+    "draft.createFailed": "The draft could not be written",
+    "draft.saved": "Saved your edits as version {number}.",
+    "draft.saveFailed": "The edits could not be saved",
+    "draft.revising": "Rewriting the draft as instructed...",
+    "draft.revised": "Created version {number}. Review the changes.",
+    "draft.reviseFailed": "The draft could not be revised",
+    "actionPlan.title": "Action plan",
+    "actionPlan.progress": "{done} of {total} done",
+    "actionPlan.markDone": "Mark {title} as done",
+    "actionPlan.ownerLabel": "Owner of {title}",
+    "actionPlan.owner": "Owner:",
+    "actionPlan.deadline": "Due: {deadline}",
+    "actionPlan.ownerChanged": "Owner of \"{title}\" changed to {owner}.",
+    "actionPlan.taskUpdateFailed": "The task could not be updated.",
+    "actionPlan.ownerUpdateFailed": "The owner could not be changed.",
+    "deadline.immediate": "immediately",
+    "deadline.hours": "within {hours} hours of the incident",
+    "deadline.days": "within {days} days of the incident",
+    "deadline.due": "{relative} (by {due})",
+    "priority.critical": "Critical",
+    "priority.high": "High",
+    "priority.medium": "Medium",
+    "priority.low": "Low",
+    "stakeholder.consumers": "Consumers",
+    "stakeholder.regulators": "Regulators",
+    "stakeholder.retailers": "Retailers",
+    "stakeholder.suppliers": "Suppliers",
+    "stakeholder.internal": "Internal",
+    "stakeholder.media": "Media",
+    "stakeholder.insurers": "Insurers",
+    "stakeholder.legal": "Legal counsel",
+    "attachments.defaultMessage": "Review the attached files and tell me the likely risks and the first steps to take.",
+    "attachments.remove": "Remove {name}",
+    "attachments.uploadFailed": "The attachments could not be uploaded ({status})",
+    "attachments.tooMany": "You can attach up to {max} files at a time.",
+    "login.pageTitle": "Sign in | Product Risk Advisor",
+    "login.prompt": "Sign in with your quality assurance account.",
+    "login.username": "Username",
+    "login.password": "Password",
+    "login.submit": "Sign in",
+    "login.failed": "Sign-in failed ({status})",
+    "viewer.title": "Source document",
+    "viewer.pageTitle": "{title} | Source document",
+    "viewer.back": "← Back to the assistant",
+    "viewer.registered": "Added: {date}",
+    "viewer.sections": "{count} sections",
+    "viewer.missing": "No document was specified."
+  }
+};
+
+export const uiTranslator = (locale) => (key, params) => translate(UI_MESSAGES, locale, key, params);
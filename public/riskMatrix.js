@@ -0,0 +1,23 @@
+// R-Map regions, shared by the server's scoring and the matrix drawn in the
+// browser, so the cell a case lands in always matches the one outlined.
+
+// Regions run along the diagonals of the matrix; nothing at frequency 0 is
+// worse than C.
+export const regionOf = (frequency, severity) => {
+  if (frequency === 0) return "C";
+  const diagonal = frequency + severity;
+  if (diagonal >= 8) return "A3";
+  if (diagonal === 7) return "A2";
+  if (diagonal === 6) return "A1";
+  if (diagonal === 5) return "B1";
+  if (diagonal === 4) return "B2";
+  if (diagonal === 3) return "B3";
+  return "C";
+};
+
+// Rows from frequency 5 down to 0, columns from severity 0 to IV, as the
+// matrix is usually drawn.
+export const RISK_MATRIX = [5, 4, 3, 2, 1, 0].map((frequency) => ({
+  frequency,
+  regions: [0, 1, 2, 3, 4].map((severity) => regionOf(frequency, severity))
+}));
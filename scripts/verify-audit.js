@@ -0,0 +1,19 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { verifyAuditFile } from "../lib/auditLog.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const dataDir = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+const filePath = process.argv[2] || path.join(dataDir, "audit", "audit.jsonl");
+
+const result = await verifyAuditFile(filePath);
+
+if (result.ok) {
+  console.log(`OK: ${result.count} entries verified in ${filePath}`);
+  console.log(`Last hash: ${result.lastHash}`);
+} else {
+  console.error(`NG: hash chain broken at line ${result.lineNumber}${result.seq ? ` (seq ${result.seq})` : ""} in ${filePath}`);
+  console.error(`Reason: ${result.reason}`);
+  console.error(`${result.count} entries verified before the break.`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,91 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { post } from "./helpers/requests.js";
+import { startApp } from "./helpers/startApp.js";
+
+describe("health-check bypass", () => {
+  let app;
+  const anonymous = (pathname, options = {}) => fetch(`${app.baseUrl}${pathname}`, { redirect: "manual", ...options });
+
+  before(async () => {
+    app = await startApp({ LLM_CHAIN: "mock:mock-advisor" });
+  });
+
+  after(() => app.close());
+
+  test("/healthz answers without credentials", async () => {
+    const response = await anonymous("/healthz");
+    const data = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(data.status, "ok");
+    assert.equal(data.model, "mock-advisor");
+  });
+
+  test("HEAD requests for pages are let through", async () => {
+    assert.equal((await anonymous("/", { method: "HEAD" })).status, 200);
+    assert.equal((await anonymous("/healthz", { method: "HEAD" })).status, 200);
+  });
+
+  test("Render's probe is recognised by header or user agent", async () => {
+    assert.equal((await anonymous("/", { headers: { "X-Render-Health-Check": "true" } })).status, 200);
+    assert.equal((await anonymous("/", { headers: { "User-Agent": "Render/health-check" } })).status, 200);
+  });
+
+  test("other page requests are sent to the login page", async () => {
+    const response = await anonymous("/");
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get("location"), "/login?next=%2F");
+  });
+
+  test("the API still requires credentials, even for HEAD", async () => {
+    assert.equal((await anonymous("/api/conversations")).status, 401);
+    assert.equal((await anonymous("/api/conversations", { method: "HEAD" })).status, 401);
+    assert.equal((await app.request("/api/conversations")).status, 200);
+  });
+
+  test("a probe header or user agent does not grant access to the API", async () => {
+    const probeAgent = { "User-Agent": "Render/health-check" };
+    const probeHeader = { "X-Render-Health-Check": "true" };
+    assert.equal((await anonymous("/api/conversations", { headers: probeAgent })).status, 401);
+    assert.equal((await anonymous("/api/auth/me", { headers: probeHeader })).status, 401);
+    assert.equal((await anonymous("/api/auth/me", { headers: probeAgent })).status, 401);
+    const patched = await anonymous("/api/auth/me", {
+      method: "PATCH",
+      headers: { ...probeHeader, "Content-Type": "application/json" },
+      body: JSON.stringify({ locale: "en" })
+    });
+    assert.equal(patched.status, 401);
+  });
+});
+
+describe("admin errors", () => {
+  let app;
+  const english = { "Accept-Language": "en" };
+
+  before(async () => {
+    app = await startApp({ LLM_CHAIN: "mock:mock-advisor" });
+  });
+
+  after(() => app.close());
+
+  test("answer in the admin's language", async () => {
+    const role = await post(app, "/api/admin/users", { username: "sato", role: "owner", password: "x" }, english);
+    assert.equal((await role.json()).error, "role must be one of viewer / advisor / admin.");
+    const missing = await app.request("/api/admin/users/unknown/password", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...english },
+      body: JSON.stringify({ password: "a-Long-enough-passw0rd!" })
+    });
+    assert.equal((await missing.json()).error, "The requested user was not found.");
+
+    const audit = await app.request("/api/admin/audit?from=yesterday", { headers: english });
+    assert.equal((await audit.json()).error, "from must be an ISO 8601 date and time.");
+
+    const knowledge = await post(app, "/api/admin/knowledge", { fileName: "notes.pdf", content: "x" }, english);
+    assert.match((await knowledge.json()).error, /^Supported file types are \.md/);
+
+    const japanese = await post(app, "/api/admin/knowledge", { fileName: "notes.md", content: " " });
+    assert.equal((await japanese.json()).error, "ファイルの内容が空です。");
+  });
+});
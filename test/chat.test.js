@@ -0,0 +1,193 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { startGeminiStub, textReply } from "./helpers/geminiStub.js";
+import { ask, parseEvents, post } from "./helpers/requests.js";
+import { startApp } from "./helpers/startApp.js";
+
+describe("/api/chat against the Gemini stub", () => {
+  let stub;
+  let app;
+
+  before(async () => {
+    stub = await startGeminiStub();
+    app = await startApp({ GOOGLE_GEMINI_BASE_URL: stub.url });
+  });
+
+  after(async () => {
+    await app.close();
+    await stub.close();
+  });
+
+  beforeEach(() => stub.reset());
+
+  test("returns the model's answer on 200", async () => {
+    stub.respond(() => ({ status: 200, body: textReply("初動では事実確認を優先してください。") }));
+
+    const response = await ask(app, { message: "初動対応は？" });
+    const data = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(data.reply, "初動では事実確認を優先してください。");
+    assert.equal(data.finishReason, "STOP");
+    assert.match(data.notice, /primary-model/);
+    assert.equal(stub.requests.length, 1);
+
+    const [call] = stub.requests;
+    assert.equal(call.model, "primary-model");
+    assert.equal(call.method, "generateContent");
+    assert.deepEqual(call.body.contents.at(-1).parts, [{ text: "初動対応は？" }]);
+    assert.ok(call.body.systemInstruction.parts[0].text.length > 0);
+  });
+
+  test("falls back to the next model when the primary answers 404", async () => {
+    stub.respond(({ model }) => model === "primary-model"
+      ? { status: 404 }
+      : { status: 200, body: textReply("フォールバックの回答") });
+
+    const response = await ask(app, { message: "質問" });
+    const data = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(data.reply, "フォールバックの回答");
+    assert.match(data.notice, /primary-model/);
+    assert.match(data.notice, /fallback-model/);
+    assert.deepEqual(stub.requests.map((call) => call.model), ["primary-model", "fallback-model"]);
+  });
+
+  test("retries a 429 on the same model before giving up on it", async () => {
+    stub.respond((_call, requests) => requests.length === 1
+      ? { status: 429 }
+      : { status: 200, body: textReply("再試行後の回答") });
+
+    const response = await ask(app, { message: "質問" });
+    const data = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(data.reply, "再試行後の回答");
+    assert.match(data.notice, /primary-model \(429\) → primary-model/);
+    assert.deepEqual(stub.requests.map((call) => call.model), ["primary-model", "primary-model"]);
+  });
+
+  test("passes a 429 through once every model is exhausted", async () => {
+    stub.respond(() => ({ status: 429, body: { error: { code: 429, message: "Resource has been exhausted" } } }));
+
+    const response = await ask(app, { message: "質問" });
+    const data = await response.json();
+
+    assert.equal(response.status, 429);
+    assert.match(data.error, /429/);
+    assert.match(data.details, /Resource has been exhausted/);
+    assert.equal(data.attempts, "primary-model (429) → primary-model (429) → fallback-model (429) → fallback-model (429)");
+  });
+
+  test("reports an empty candidate as a 502 with the finish reason", async () => {
+    stub.respond(() => ({
+      status: 200,
+      body: { candidates: [{ content: { role: "model", parts: [] }, finishReason: "SAFETY" }] }
+    }));
+
+    const response = await ask(app, { message: "質問" });
+    const data = await response.json();
+
+    assert.equal(response.status, 502);
+    assert.match(data.details, /SAFETY/);
+  });
+
+  test("flags a reply cut off by MAX_TOKENS", async () => {
+    stub.respond(() => ({ status: 200, body: textReply("途中までの回答", { finishReason: "MAX_TOKENS" }) }));
+
+    const response = await ask(app, { message: "質問" });
+    const data = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(data.reply, "途中までの回答");
+    assert.equal(data.finishReason, "MAX_TOKENS");
+    assert.match(data.notice, /生成上限/);
+    assert.equal(stub.requests.length, 1);
+  });
+
+  test("streams chunks as server-sent events", async () => {
+    stub.respond(() => ({
+      status: 200,
+      chunks: [
+        { candidates: [{ content: { role: "model", parts: [{ text: "前半" }] } }] },
+        { candidates: [{ content: { role: "model", parts: [{ text: "と後半" }] }, finishReason: "STOP" }] }
+      ]
+    }));
+
+    const response = await ask(app, { message: "質問", stream: true });
+    const body = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.equal(stub.requests[0].method, "streamGenerateContent");
+    const events = parseEvents(body);
+    const text = events.filter(({ event }) => event === "chunk").map(({ data }) => data.text).join("");
+    assert.equal(text, "前半と後半");
+    assert.equal(events.at(-1).event, "done");
+  });
+});
+
+describe("store failures", () => {
+  let app;
+
+  before(async () => {
+    app = await startApp({ LLM_CHAIN: "mock:mock-advisor" });
+    // A file where a store expects its directory makes every listing fail.
+    await Promise.all(["conversations", "case-files"].map(async (name) => {
+      await fs.rm(path.join(app.dataDir, name), { recursive: true, force: true });
+      await fs.writeFile(path.join(app.dataDir, name), "");
+    }));
+  });
+
+  after(() => app.close());
+
+  test("listing endpoints answer 500 with a localized message", async () => {
+    const conversations = await app.request("/api/conversations", { headers: { "Accept-Language": "en" } });
+    assert.equal(conversations.status, 500);
+    assert.equal((await conversations.json()).error, "The conversation history could not be loaded.");
+
+    const caseFiles = await app.request("/api/case-files");
+    assert.equal(caseFiles.status, 500);
+    assert.match((await caseFiles.json()).error, /ケースファイル/);
+  });
+});
+
+describe("unreadable attachments", () => {
+  let app;
+  let attachmentId;
+
+  before(async () => {
+    app = await startApp({ LLM_CHAIN: "mock:mock-advisor" });
+    const form = new FormData();
+    form.append("files", new Blob([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])]), "photo.png");
+    ({ attachments: [{ id: attachmentId }] } = await (await app.request("/api/attachments", { method: "POST", body: form })).json());
+    // A directory where the file should be makes reading it fail with EISDIR.
+    const file = path.join(app.dataDir, "attachments", "files", attachmentId);
+    await fs.rm(file);
+    await fs.mkdir(file);
+  });
+
+  after(() => app.close());
+
+  test("/api/chat answers 500 instead of hanging", async () => {
+    const response = await ask(app, { message: "写真を確認してください", attachmentIds: [attachmentId] });
+    assert.equal(response.status, 500);
+    assert.ok((await response.json()).error);
+  });
+
+  test("/api/chat/continue answers 500 instead of hanging", async () => {
+    const { id } = await (await post(app, "/api/conversations", { title: "写真" })).json();
+    const file = path.join(app.dataDir, "conversations", `${id}.json`);
+    const saved = JSON.parse(await fs.readFile(file, "utf8"));
+    saved.turns = [
+      { id: "q", role: "user", text: "写真を確認してください", attachments: [{ id: attachmentId, fileName: "photo.png", mimeType: "image/png" }] },
+      { id: "a", role: "model", text: "途中まで", finishReason: "MAX_TOKENS" }
+    ];
+    await fs.writeFile(file, JSON.stringify(saved));
+
+    const response = await post(app, "/api/chat/continue", { conversationId: id });
+    assert.equal(response.status, 500);
+  });
+});
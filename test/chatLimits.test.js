@@ -0,0 +1,39 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createChatRateLimit } from "../lib/chatLimits.js";
+
+// Runs the middleware once and reports the status it answered with, or 200
+// when it let the request through.
+const attempt = (limit, userId, ip) => {
+  let status = 200;
+  const req = { user: { id: userId, username: userId }, ip, log: { warn: () => {} }, t: (key) => key };
+  const res = {
+    set: () => res,
+    status: (code) => {
+      status = code;
+      return res;
+    },
+    json: () => res
+  };
+  limit(req, res, () => {});
+  return status;
+};
+
+describe("createChatRateLimit", () => {
+  test("does not count a request against the IP when the user limit rejects it", () => {
+    const limit = createChatRateLimit({ rateWindowMs: 60000, perUser: 1, perIp: 3 });
+
+    assert.deepEqual([1, 2, 3, 4].map(() => attempt(limit, "sato", "10.0.0.1")), [200, 429, 429, 429]);
+    // Only sato's first request used the office IP's share.
+    assert.deepEqual(["tanaka", "suzuki", "ito"].map((user) => attempt(limit, user, "10.0.0.1")), [200, 200, 429]);
+  });
+
+  test("does not count a request against the user when the IP limit rejects it", () => {
+    const limit = createChatRateLimit({ rateWindowMs: 60000, perUser: 2, perIp: 1 });
+
+    assert.equal(attempt(limit, "sato", "10.0.0.1"), 200);
+    assert.equal(attempt(limit, "sato", "10.0.0.1"), 429);
+    assert.equal(attempt(limit, "sato", "10.0.0.2"), 200);
+    assert.equal(attempt(limit, "sato", "10.0.0.3"), 429);
+  });
+});
@@ -0,0 +1,171 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { buildSummaryRequest, splitForSummary, turnsAfterSummary } from "../lib/contextWindow.js";
+import { startGeminiStub, textReply } from "./helpers/geminiStub.js";
+import { post } from "./helpers/requests.js";
+import { startApp } from "./helpers/startApp.js";
+
+const turns = (count) =>
+  Array.from({ length: count }, (_, index) => ({ id: `t${index}`, role: index % 2 ? "model" : "user", text: `発言${index}` }));
+
+describe("context window helpers", () => {
+  test("keeps the latest turns and starts them with a user turn", () => {
+    const { fold, keep } = splitForSummary(turns(8), 3);
+    assert.deepEqual(fold.map((turn) => turn.id), ["t0", "t1", "t2", "t3", "t4", "t5"]);
+    assert.deepEqual(keep.map((turn) => turn.id), ["t6", "t7"]);
+
+    assert.deepEqual(splitForSummary(turns(8), 4).keep.map((turn) => turn.id), ["t4", "t5", "t6", "t7"]);
+    assert.deepEqual(splitForSummary(turns(2), 4).fold, []);
+  });
+
+  test("skips the turns a summary already covers", () => {
+    assert.deepEqual(turnsAfterSummary(turns(4), { throughTurnId: "t1" }).map((turn) => turn.id), ["t2", "t3"]);
+    assert.equal(turnsAfterSummary(turns(4), undefined).length, 4);
+  });
+
+  test("falls back to the folded turn count for turns saved without ids", () => {
+    const legacy = turns(5).map(({ id, ...turn }) => turn);
+    assert.deepEqual(turnsAfterSummary(legacy, { turnCount: 2 }).map((turn) => turn.text), ["発言2", "発言3", "発言4"]);
+  });
+
+  test("folds the previous summary into the next one", () => {
+    const request = buildSummaryRequest("- 前回の要約", turns(2));
+    const text = request.contents[0].parts[0].text;
+    assert.match(text, /これまでの要約\n\n- 前回の要約/);
+    assert.match(text, /【相談者】\n発言0\n\n【アドバイザー】\n発言1/);
+    assert.match(request.systemInstruction.parts[0].text, /決定事項/);
+  });
+});
+
+describe("condensing long conversations", () => {
+  let stub;
+  let app;
+  const isSummaryRequest = (body) => /相談記録を要約/.test(body?.systemInstruction?.parts?.[0]?.text || "");
+
+  before(async () => {
+    stub = await startGeminiStub();
+    app = await startApp({
+      GOOGLE_GEMINI_BASE_URL: stub.url,
+      CONTEXT_TOKEN_THRESHOLD: "100",
+      CONTEXT_KEEP_TURNS: "2",
+      CHAT_RATE_LIMIT_PER_USER: "100"
+    });
+  });
+
+  after(async () => {
+    await app.close();
+    await stub.close();
+  });
+
+  beforeEach(() => stub.reset());
+
+  // countTokens reports `tokens`; summaries and replies are numbered so the
+  // tests can tell which one ended up where.
+  const respondWith = (tokens) => {
+    let summaries = 0;
+    stub.respond(({ method, body }) => {
+      if (method === "countTokens") return { status: 200, body: { totalTokens: tokens } };
+      if (isSummaryRequest(body)) {
+        summaries += 1;
+        return { status: 200, body: textReply(`- 要約${summaries}: [NAME_1]さんが回収を決定`) };
+      }
+      return { status: 200, body: textReply("回答") };
+    });
+  };
+
+  test("replaces older turns with a stored summary once over the threshold", async () => {
+    const { id } = await (await post(app, "/api/conversations", { title: "長期案件" })).json();
+    respondWith(10);
+    await post(app, "/api/chat", { message: "一日目の状況。鈴木さんから連絡", conversationId: id });
+    await post(app, "/api/chat", { message: "二日目の状況", conversationId: id });
+    stub.reset();
+
+    respondWith(5000);
+    const response = await post(app, "/api/chat", { message: "三日目の状況", conversationId: id });
+    const data = await response.json();
+
+    assert.equal(response.status, 200);
+    const summaryCall = stub.requests.find((call) => isSummaryRequest(call.body));
+    assert.match(summaryCall.body.contents[0].parts[0].text, /一日目の状況/);
+    assert.doesNotMatch(summaryCall.body.contents[0].parts[0].text, /三日目/);
+    // The summary is written from masked text and stored restored.
+    assert.doesNotMatch(summaryCall.body.contents[0].parts[0].text, /鈴木/);
+    assert.match(summaryCall.body.contents[0].parts[0].text, /\[NAME_1\]さんから連絡/);
+
+    const chatCall = stub.requests.at(-1);
+    assert.equal(chatCall.method, "generateContent");
+    assert.deepEqual(chatCall.body.contents.map((content) => content.parts[0].text), ["二日目の状況", "回答", "三日目の状況"]);
+    assert.match(chatCall.body.systemInstruction.parts[0].text, /古いやり取りの要約[\s\S]*- 要約1: \[NAME_1\]さんが回収を決定/);
+
+    assert.equal(data.summary.turnCount, 2);
+    assert.equal(data.summary.text, "- 要約1: 鈴木さんが回収を決定");
+    const stored = await (await app.request(`/api/conversations/${id}`)).json();
+    assert.equal(data.summary.throughTurnId, stored.turns[1].id);
+    assert.equal(stored.summary.text, data.summary.text);
+  });
+
+  test("rolls the previous summary into the next one", async () => {
+    const { id } = await (await post(app, "/api/conversations", { title: "続報" })).json();
+    respondWith(10);
+    await post(app, "/api/chat", { message: "第一報", conversationId: id });
+    await post(app, "/api/chat", { message: "第二報", conversationId: id });
+    respondWith(5000);
+    await post(app, "/api/chat", { message: "第三報", conversationId: id });
+    stub.reset();
+
+    respondWith(5000);
+    const data = await (await post(app, "/api/chat", { message: "第四報", conversationId: id })).json();
+
+    const summaryCall = stub.requests.find((call) => isSummaryRequest(call.body));
+    const text = summaryCall.body.contents[0].parts[0].text;
+    assert.match(text, /これまでの要約\n\n- 要約1/);
+    assert.match(text, /第二報/);
+    assert.doesNotMatch(text, /第一報/);
+    assert.equal(data.summary.turnCount, 4);
+    assert.deepEqual(stub.requests.at(-1).body.contents.map((content) => content.parts[0].text), ["第三報", "回答", "第四報"]);
+  });
+
+  test("keeps the full history when under the threshold or when summarising fails", async () => {
+    const { id } = await (await post(app, "/api/conversations", { title: "短い案件" })).json();
+    respondWith(10);
+    await post(app, "/api/chat", { message: "質問1", conversationId: id });
+    const quiet = await (await post(app, "/api/chat", { message: "質問2", conversationId: id })).json();
+    assert.equal(quiet.summary, undefined);
+
+    stub.reset();
+    stub.respond(({ method, body }) => {
+      if (method === "countTokens") return { status: 200, body: { totalTokens: 5000 } };
+      if (isSummaryRequest(body)) return { status: 400 };
+      return { status: 200, body: textReply("回答") };
+    });
+    const response = await post(app, "/api/chat", { message: "質問3", conversationId: id });
+    assert.equal(response.status, 200);
+    assert.equal(stub.requests.at(-1).body.contents.length, 5);
+  });
+
+  test("does not fold the same turns again when older turns have no ids", async () => {
+    const { id } = await (await post(app, "/api/conversations", { title: "旧形式" })).json();
+    respondWith(10);
+    await post(app, "/api/chat", { message: "旧第一報", conversationId: id });
+    await post(app, "/api/chat", { message: "旧第二報", conversationId: id });
+    // As saved before turns had ids.
+    const file = path.join(app.dataDir, "conversations", `${id}.json`);
+    const saved = JSON.parse(await fs.readFile(file, "utf8"));
+    saved.turns = saved.turns.map(({ id: _id, ...turn }) => turn);
+    await fs.writeFile(file, JSON.stringify(saved));
+
+    respondWith(5000);
+    await post(app, "/api/chat", { message: "第三報", conversationId: id });
+    stub.reset();
+
+    respondWith(5000);
+    const data = await (await post(app, "/api/chat", { message: "第四報", conversationId: id })).json();
+    const text = stub.requests.find((call) => isSummaryRequest(call.body)).body.contents[0].parts[0].text;
+    assert.doesNotMatch(text.split("## 要約に追加するやり取り")[1], /旧第一報/);
+    assert.match(text, /旧第二報/);
+    assert.equal(data.summary.turnCount, 4);
+    assert.deepEqual(stub.requests.at(-1).body.contents.map((content) => content.parts[0].text), ["第三報", "回答", "第四報"]);
+  });
+});
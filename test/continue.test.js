@@ -0,0 +1,177 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { CONTINUE_PROMPT } from "../lib/chatPayload.js";
+import { createConversationStore } from "../lib/conversationStore.js";
+import { startGeminiStub, textReply } from "./helpers/geminiStub.js";
+import { parseEvents, post } from "./helpers/requests.js";
+import { startApp } from "./helpers/startApp.js";
+
+const isContinuation = (call) => call.body.contents.at(-1).parts[0].text === CONTINUE_PROMPT;
+
+// Answers the question with `first` and every continuation request with the
+// next entry of `rest`; each entry is [text, finishReason].
+const replyInPieces = (stub, first, ...rest) => {
+  let next = 0;
+  stub.respond((call) => {
+    const [text, finishReason] = isContinuation(call) ? rest[next++] : first;
+    return { status: 200, body: textReply(text, { finishReason }) };
+  });
+};
+
+const PLAN = JSON.stringify({
+  summary: "回収の初動を固めます。",
+  tasks: [{ title: "事実確認", ownerRole: "品質保証部長", deadlineHours: 4, priority: "critical", stakeholder: "internal" }]
+});
+
+describe("updateLastTurn", () => {
+  test("only rewrites the turn it was given, even when a newer one shares its timestamp", async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "risk-advisor-conversations-"));
+    const conversations = createConversationStore(directory);
+    const { id } = await conversations.create({ title: "同時刻" });
+    const createdAt = new Date().toISOString();
+    await conversations.appendTurns(id, [{ role: "user", text: "質問1" }, { role: "model", text: "回答", createdAt }]);
+    const truncated = (await conversations.get(id)).turns.at(-1);
+    await conversations.appendTurns(id, [{ role: "user", text: "質問2" }, { role: "model", text: "回答2", createdAt }]);
+
+    const stale = await conversations.updateLastTurn(id, truncated.id, (turn) => {
+      turn.text = "上書き";
+    });
+    assert.equal(stale, undefined);
+    const latest = (await conversations.get(id)).turns.at(-1);
+    assert.equal(latest.text, "回答2");
+    const updated = await conversations.updateLastTurn(id, latest.id, (turn) => {
+      turn.text = "続き";
+    });
+    assert.equal(updated.text, "続き");
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+});
+
+describe("continuing replies cut off by MAX_TOKENS", () => {
+  let stub;
+  let autoApp;
+  let manualApp;
+
+  before(async () => {
+    stub = await startGeminiStub();
+    autoApp = await startApp({ GOOGLE_GEMINI_BASE_URL: stub.url, LLM_CONTINUE_ROUNDS: "2" });
+    manualApp = await startApp({ GOOGLE_GEMINI_BASE_URL: stub.url });
+  });
+
+  after(async () => {
+    await autoApp.close();
+    await manualApp.close();
+    await stub.close();
+  });
+
+  beforeEach(() => stub.reset());
+
+  test("stitches an automatic continuation onto the partial reply", async () => {
+    replyInPieces(stub, ["対応は三段階です。第一に", "MAX_TOKENS"], ["事実確認、第二に報告です。", "STOP"]);
+
+    const response = await post(autoApp, "/api/chat", { message: "対応手順は？" });
+    const data = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(data.reply, "対応は三段階です。第一に事実確認、第二に報告です。");
+    assert.equal(data.finishReason, "STOP");
+    assert.match(data.notice, /1 回/);
+
+    const continuation = stub.requests[1].body;
+    assert.deepEqual(continuation.contents.at(-2), { role: "model", parts: [{ text: "対応は三段階です。第一に" }] });
+    assert.equal(continuation.tools, undefined);
+  });
+
+  test("stops after the configured number of rounds", async () => {
+    replyInPieces(stub, ["一", "MAX_TOKENS"], ["二", "MAX_TOKENS"], ["三", "MAX_TOKENS"], ["四", "STOP"]);
+
+    const data = await (await post(autoApp, "/api/chat", { message: "質問" })).json();
+
+    assert.equal(data.reply, "一二三");
+    assert.equal(data.finishReason, "MAX_TOKENS");
+    assert.equal(stub.requests.length, 3);
+  });
+
+  test("keeps the partial reply when a continuation fails", async () => {
+    stub.respond((call) => isContinuation(call)
+      ? { status: 400 }
+      : { status: 200, body: textReply("途中まで", { finishReason: "MAX_TOKENS" }) });
+
+    const response = await post(autoApp, "/api/chat", { message: "質問" });
+    const data = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(data.reply, "途中まで");
+    assert.equal(data.finishReason, "MAX_TOKENS");
+  });
+
+  test("completes an action plan without the response schema", async () => {
+    replyInPieces(stub, [PLAN.slice(0, 40), "MAX_TOKENS"], [PLAN.slice(40), "STOP"]);
+
+    const data = await (await post(autoApp, "/api/chat", { message: "計画を", mode: "action-plan" })).json();
+
+    assert.equal(data.actionPlan.tasks[0].title, "事実確認");
+    assert.equal(stub.requests[0].body.generationConfig.responseMimeType, "application/json");
+    assert.equal(stub.requests[1].body.generationConfig.responseMimeType, undefined);
+    assert.equal(stub.requests[1].body.generationConfig.responseSchema, undefined);
+  });
+
+  test("continues the latest reply of a conversation on request", async () => {
+    const { id } = await (await post(manualApp, "/api/conversations", { title: "手動" })).json();
+    replyInPieces(stub, ["前半", "MAX_TOKENS"], ["と後半", "STOP"]);
+
+    const first = await (await post(manualApp, "/api/chat", { message: "質問", conversationId: id })).json();
+    assert.equal(first.finishReason, "MAX_TOKENS");
+    assert.equal(stub.requests.length, 1);
+
+    const response = await post(manualApp, "/api/chat/continue", { conversationId: id });
+    const data = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(data.reply, "前半と後半");
+    assert.equal(data.finishReason, "STOP");
+
+    const stored = await (await manualApp.request(`/api/conversations/${id}`)).json();
+    assert.equal(stored.turns.length, 2);
+    assert.equal(stored.turns[1].text, "前半と後半");
+    assert.equal(stored.turns[1].finishReason, "STOP");
+
+    const again = await post(manualApp, "/api/chat/continue", { conversationId: id });
+    assert.equal(again.status, 409);
+  });
+
+  test("streams only the new text of a manual continuation", async () => {
+    const { id } = await (await post(manualApp, "/api/conversations", { title: "ストリーム" })).json();
+    replyInPieces(stub, ["前半", "MAX_TOKENS"], ["と後半", "STOP"]);
+    await post(manualApp, "/api/chat", { message: "質問", conversationId: id });
+
+    const response = await post(manualApp, "/api/chat/continue", { conversationId: id, stream: true });
+    const events = parseEvents(await response.text());
+
+    assert.deepEqual(events.filter(({ event }) => event === "chunk").map(({ data }) => data.text), ["と後半"]);
+    assert.equal(events.at(-1).event, "done");
+    assert.equal(events.at(-1).data.reply, "前半と後半");
+  });
+
+  test("continues a truncated action plan stored as raw JSON", async () => {
+    const { id } = await (await post(manualApp, "/api/conversations", { title: "計画" })).json();
+    replyInPieces(stub, [PLAN.slice(0, 40), "MAX_TOKENS"], [PLAN.slice(40), "STOP"]);
+
+    const first = await (await post(manualApp, "/api/chat", { message: "計画を", conversationId: id, mode: "action-plan" })).json();
+    assert.equal(first.actionPlan, undefined);
+
+    const data = await (await post(manualApp, "/api/chat/continue", { conversationId: id })).json();
+    assert.equal(data.actionPlan.tasks[0].title, "事実確認");
+    assert.deepEqual(stub.requests[1].body.contents.at(-2).parts, [{ text: PLAN.slice(0, 40) }]);
+  });
+
+  test("refuses conversations whose last reply was complete", async () => {
+    const { id } = await (await post(manualApp, "/api/conversations", { title: "完了" })).json();
+    await post(manualApp, "/api/chat", { message: "質問", conversationId: id });
+
+    assert.equal((await post(manualApp, "/api/chat/continue", { conversationId: id })).status, 409);
+    assert.equal((await post(manualApp, "/api/chat/continue", { conversationId: "missing" })).status, 404);
+  });
+});
@@ -0,0 +1,143 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { diffLines, diffStats } from "../public/diff.js";
+import { cleanDraftText } from "../lib/drafts.js";
+import { startGeminiStub, textReply } from "./helpers/geminiStub.js";
+import { post } from "./helpers/requests.js";
+import { startApp } from "./helpers/startApp.js";
+
+describe("draft diffs", () => {
+  test("marks removed and added lines between versions", () => {
+    const changes = diffLines("# 社告\n対象: A\n連絡先: 未定\n以上", "# 社告\n対象: A, B\n連絡先: 未定\n以上");
+    assert.deepEqual(changes, [
+      { type: "same", text: "# 社告" },
+      { type: "removed", text: "対象: A" },
+      { type: "added", text: "対象: A, B" },
+      { type: "same", text: "連絡先: 未定" },
+      { type: "same", text: "以上" }
+    ]);
+    assert.deepEqual(diffStats(changes), { added: 1, removed: 1 });
+  });
+
+  test("keeps moved paragraphs in reading order", () => {
+    const changes = diffLines("a\nb\nc", "b\nc\na");
+    assert.deepEqual(changes.map(({ type, text }) => `${type}:${text}`), ["removed:a", "same:b", "same:c", "added:a"]);
+    assert.deepEqual(diffLines("", "x"), [{ type: "added", text: "x" }]);
+  });
+
+  test("unwraps a document the model put in a code fence", () => {
+    assert.equal(cleanDraftText("```markdown\n# 社告\n本文\n```"), "# 社告\n本文");
+    assert.equal(cleanDraftText("# 社告\n\n```\ncode\n```\n"), "# 社告\n\n```\ncode\n```");
+  });
+});
+
+describe("/api/drafts", () => {
+  let stub;
+  let app;
+
+  before(async () => {
+    stub = await startGeminiStub();
+    app = await startApp({ GOOGLE_GEMINI_BASE_URL: stub.url });
+  });
+
+  after(async () => {
+    await app.close();
+    await stub.close();
+  });
+
+  beforeEach(() => stub.reset());
+
+  const consult = async () => {
+    const { id } = await (await post(app, "/api/conversations", { title: "発火事故" })).json();
+    stub.respond(() => ({ status: 200, body: textReply("直ちに使用中止を呼びかけてください。") }));
+    await post(app, "/api/chat", { message: "PB-10K の発火事故が 2 件あります。窓口は山田様です。", conversationId: id });
+    stub.reset();
+    return id;
+  };
+
+  test("fills a template from the conversation and versions each revision", async () => {
+    const conversationId = await consult();
+    const { templates } = await (await app.request("/api/drafts/templates")).json();
+    assert.deepEqual(templates.map((template) => template.id).sort(), ["caa-accident-report", "press-release", "recall-notice"]);
+
+    stub.respond(() => ({ status: 200, body: textReply("```markdown\n# お詫びとお願い\n\n対象: PB-10K\n窓口: [NAME_1]様\n```") }));
+    const created = await post(app, "/api/drafts", { conversationId, templateId: "recall-notice" });
+    const draft = await created.json();
+    assert.equal(created.status, 201);
+    assert.equal(draft.versions[0].text, "# お詫びとお願い\n\n対象: PB-10K\n窓口: 山田様");
+    assert.equal(draft.versions[0].kind, "generated");
+
+    const payload = stub.requests[0].body;
+    const systemPrompt = payload.systemInstruction.parts[0].text;
+    assert.match(systemPrompt, /【文書作成モード】[\s\S]*社告（リコールのお知らせ）/);
+    assert.match(systemPrompt, /## 対象製品/);
+    assert.deepEqual(payload.contents.map((content) => content.role), ["user", "model", "user"]);
+    assert.match(payload.contents[0].parts[0].text, /PB-10K の発火事故/);
+    assert.doesNotMatch(JSON.stringify(payload), /山田/);
+
+    const edited = await (await post(app, `/api/drafts/${draft.id}/versions`, {
+      text: "# お詫びとお願い\n\n対象: PB-10K（全ロット）\n窓口: 山田様",
+      baseVersion: 1
+    })).json();
+    assert.equal(edited.versions[1].kind, "edited");
+
+    stub.reset();
+    stub.respond(() => ({ status: 200, body: textReply("# お詫びとお願い\n\n対象: PB-10K（全ロット）\n窓口: [NAME_1]様\n電話: 0120-000-000") }));
+    const revised = await (await post(app, `/api/drafts/${draft.id}/revisions`, {
+      instruction: "フリーダイヤルを追記してください",
+      baseVersion: 2
+    })).json();
+    assert.deepEqual(revised.versions.map((version) => version.kind), ["generated", "edited", "revised"]);
+    assert.equal(revised.versions[2].instruction, "フリーダイヤルを追記してください");
+    assert.match(revised.versions[2].text, /窓口: 山田様\n電話: 0120-000-000$/);
+    assert.match(stub.requests[0].body.contents.at(-1).parts[0].text, /## 現在の文案\n\n[\s\S]*（全ロット）[\s\S]*## 修正指示\n\nフリーダイヤル/);
+
+    const stale = await post(app, `/api/drafts/${draft.id}/revisions`, { instruction: "短くしてください", baseVersion: 2 });
+    assert.equal(stale.status, 409);
+    const unversionedRevision = await post(app, `/api/drafts/${draft.id}/revisions`, { instruction: "短くしてください" });
+    assert.equal(unversionedRevision.status, 409);
+    const unversionedEdit = await post(app, `/api/drafts/${draft.id}/versions`, { text: "# お詫びとお願い\n\n上書き" });
+    assert.equal(unversionedEdit.status, 409);
+    const staleEdit = await post(app, `/api/drafts/${draft.id}/versions`, { text: "# お詫びとお願い\n\n上書き", baseVersion: 2 });
+    assert.equal(staleEdit.status, 409);
+    assert.equal(stub.requests.length, 1);
+
+    const { drafts } = await (await app.request(`/api/drafts?conversationId=${conversationId}`)).json();
+    assert.equal(drafts.length, 1);
+    assert.equal(drafts[0].versionCount, 3);
+  });
+
+  test("downloads a chosen version as Markdown or HTML", async () => {
+    const conversationId = await consult();
+    stub.respond(() => ({ status: 200, body: textReply("# 報道関係各位\n\n**発火事故**について") }));
+    const draft = await (await post(app, "/api/drafts", { conversationId, templateId: "press-release" })).json();
+    await post(app, `/api/drafts/${draft.id}/versions`, { text: "# 報道関係各位\n\n改訂版", baseVersion: 1 });
+
+    const markdown = await app.request(`/api/drafts/${draft.id}/export?format=markdown&version=1`);
+    assert.match(markdown.headers.get("content-disposition"), /filename="press-release-[0-9a-f]{8}-v1\.md"/);
+    assert.equal(await markdown.text(), "# 報道関係各位\n\n**発火事故**について\n");
+
+    const html = await app.request(`/api/drafts/${draft.id}/export?format=html`);
+    const body = await html.text();
+    assert.match(html.headers.get("content-type"), /text\/html/);
+    assert.match(body, /<h1[^>]*>報道関係各位[\s\S]*<p>改訂版<\/p>/);
+    assert.match(body, /第 2 版/);
+
+    const missing = await app.request(`/api/drafts/${draft.id}/export?format=markdown&version=9`);
+    assert.equal(missing.status, 404);
+    const json = await app.request(`/api/drafts/${draft.id}/export?format=json`);
+    assert.equal(json.status, 400);
+  });
+
+  test("rejects unknown templates and unchanged edits", async () => {
+    const conversationId = await consult();
+    const unknown = await post(app, "/api/drafts", { conversationId, templateId: "missing" });
+    assert.equal(unknown.status, 404);
+    assert.equal(stub.requests.length, 0);
+
+    stub.respond(() => ({ status: 200, body: textReply("# 重大製品事故報告書") }));
+    const draft = await (await post(app, "/api/drafts", { conversationId, templateId: "caa-accident-report" })).json();
+    const unchanged = await post(app, `/api/drafts/${draft.id}/versions`, { text: "# 重大製品事故報告書\n", baseVersion: 1 });
+    assert.equal(unchanged.status, 400);
+  });
+});
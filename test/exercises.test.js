@@ -0,0 +1,149 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { loadExerciseScenarios, parseExerciseEvaluation, totalScores } from "../lib/exercises.js";
+import { startGeminiStub, textReply } from "./helpers/geminiStub.js";
+import { post } from "./helpers/requests.js";
+import { startApp } from "./helpers/startApp.js";
+
+const SCENARIO = {
+  id: "drill",
+  title: "発煙事故の訓練",
+  briefing: "あなたは品質保証部の担当者です。",
+  injects: [
+    { title: "初報", text: "購入者から発煙の連絡。" },
+    { title: "報道", text: "記者から取材の電話。" }
+  ],
+  rubric: [
+    { id: "safety", criterion: "安全確保を優先したか", maxScore: 5 },
+    { id: "escalation", criterion: "上長に報告したか", maxScore: 3 }
+  ]
+};
+
+const evaluation = (nextInject = "") =>
+  JSON.stringify({
+    scores: [
+      { criterionId: "safety", score: 4, comment: "使用中止を案内した" },
+      { criterionId: "escalation", score: 9, comment: "部長へ連絡" },
+      { criterionId: "unknown", score: 2, comment: "" }
+    ],
+    feedback: "初動は適切です。",
+    nextInject
+  });
+
+describe("exercise scenarios and scoring", () => {
+  test("loads the bundled scenario scripts", () => {
+    const scenarios = loadExerciseScenarios(path.join(process.cwd(), "config", "exercises"));
+    const [scenario] = scenarios.list();
+    assert.ok(scenario.injectCount >= 3);
+    assert.ok(scenarios.get(scenario.id).rubric.length > 0);
+  });
+
+  test("clamps scores to the rubric and drops unknown criteria", () => {
+    const { value } = parseExerciseEvaluation(evaluation(), SCENARIO);
+    assert.deepEqual(value.scores.map(({ criterionId, score, maxScore }) => [criterionId, score, maxScore]), [
+      ["safety", 4, 5],
+      ["escalation", 3, 3]
+    ]);
+    assert.ok(parseExerciseEvaluation("採点できません", SCENARIO).errors);
+  });
+
+  test("rejects an evaluation that skips a criterion", () => {
+    const skipped = JSON.stringify({ scores: [{ criterionId: "safety", score: 5, comment: "" }], feedback: "" });
+    const { value, errors } = parseExerciseEvaluation(skipped, SCENARIO);
+    assert.equal(value, undefined);
+    assert.match(errors[0], /escalation/);
+  });
+
+  test("adds up the scores of every response", () => {
+    const { value } = parseExerciseEvaluation(evaluation(), SCENARIO);
+    const session = { turns: [{ role: "user", evaluation: value }, { role: "user", evaluation: value }] };
+    const totals = totalScores(session, SCENARIO);
+    assert.equal(totals.score, 14);
+    assert.equal(totals.maxScore, 16);
+    assert.deepEqual(totals.criteria[1], { id: "escalation", score: 6, maxScore: 6 });
+  });
+});
+
+describe("/api/exercises", () => {
+  let stub;
+  let app;
+  let scenarioDir;
+
+  before(async () => {
+    scenarioDir = await fs.mkdtemp(path.join(os.tmpdir(), "risk-advisor-exercises-"));
+    await fs.writeFile(path.join(scenarioDir, "drill.json"), JSON.stringify(SCENARIO));
+    stub = await startGeminiStub();
+    app = await startApp({ GOOGLE_GEMINI_BASE_URL: stub.url, EXERCISES_DIR: scenarioDir });
+  });
+
+  after(async () => {
+    await app.close();
+    await stub.close();
+    await fs.rm(scenarioDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => stub.reset());
+
+  test("runs an exercise from the first inject to the debrief", async () => {
+    const started = await post(app, "/api/exercises", { scenarioId: "drill" });
+    const session = await started.json();
+    assert.equal(started.status, 201);
+    assert.equal(stub.requests.length, 0);
+    assert.match(session.turns[0].text, /品質保証部の担当者[\s\S]*【状況付与 1\/2: 初報】\n購入者から発煙の連絡。/);
+
+    stub.respond(() => ({ status: 200, body: textReply(evaluation("記者の山本さんから電話です。")) }));
+    const first = await (await post(app, `/api/exercises/${session.id}/responses`, { message: "使用中止を案内し、部長に報告します。" })).json();
+    const request = stub.requests[0].body;
+    assert.match(request.systemInstruction.parts[0].text, /訓練モード[\s\S]*台本の内容:\n記者から取材の電話。/);
+    assert.equal(request.generationConfig.responseMimeType, "application/json");
+    assert.deepEqual(request.contents.map((content) => content.role), ["user", "model", "user"]);
+    assert.equal(first.response.evaluation.score, 7);
+    assert.equal(first.inject.text, "【状況付与 2/2: 報道】\n記者の山本さんから電話です。");
+    assert.equal(first.finished, false);
+
+    stub.respond(() => ({ status: 200, body: textReply(evaluation()) }));
+    const second = await (await post(app, `/api/exercises/${session.id}/responses`, { message: "広報と回答内容を調整します。" })).json();
+    assert.equal(second.finished, true);
+    assert.equal(second.inject, undefined);
+    const extra = await post(app, `/api/exercises/${session.id}/responses`, { message: "追加の対応" });
+    assert.equal(extra.status, 409);
+
+    stub.reset();
+    stub.respond(() => ({ status: 200, body: textReply("## 総評\n\n初動は良好でした。") }));
+    const debriefed = await post(app, `/api/exercises/${session.id}/debrief`, {});
+    const { debrief, status } = await debriefed.json();
+    assert.equal(debriefed.status, 200);
+    assert.equal(status, "completed");
+    assert.equal(debrief.scores.score, 14);
+    assert.match(stub.requests[0].body.systemInstruction.parts[0].text, /合計: 14 \/ 16 点/);
+    assert.match(debrief.text, /総評/);
+
+    // Exercises stay out of the consultation history.
+    const { conversations } = await (await app.request("/api/conversations")).json();
+    assert.equal(conversations.length, 0);
+    const stored = await (await app.request(`/api/exercises/${session.id}`)).json();
+    assert.equal(stored.turns.length, 4);
+    assert.equal(stored.status, "completed");
+  });
+
+  test("keeps the exercise unchanged when the scores cannot be read", async () => {
+    const session = await (await post(app, "/api/exercises", { scenarioId: "drill" })).json();
+    stub.respond(() => ({ status: 200, body: textReply("採点できません") }));
+
+    const response = await post(app, `/api/exercises/${session.id}/responses`, { message: "対応します。" });
+    assert.equal(response.status, 502);
+    const stored = await (await app.request(`/api/exercises/${session.id}`)).json();
+    assert.equal(stored.turns.length, 1);
+
+    const early = await post(app, `/api/exercises/${session.id}/debrief`, {});
+    assert.equal(early.status, 409);
+  });
+
+  test("rejects unknown scenarios", async () => {
+    const response = await post(app, "/api/exercises", { scenarioId: "missing" });
+    assert.equal(response.status, 404);
+  });
+});
@@ -0,0 +1,118 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startGeminiStub, textReply } from "./helpers/geminiStub.js";
+import { parseEvents, post } from "./helpers/requests.js";
+import { startApp } from "./helpers/startApp.js";
+
+describe("answer feedback", () => {
+  let stub;
+  let app;
+
+  before(async () => {
+    stub = await startGeminiStub();
+    app = await startApp({ GOOGLE_GEMINI_BASE_URL: stub.url });
+  });
+
+  after(async () => {
+    await app.close();
+    await stub.close();
+  });
+
+  beforeEach(() => stub.reset());
+
+  // Two exchanges in one conversation; resolves to the ids of both replies.
+  const converse = async (title) => {
+    const { id } = await (await post(app, "/api/conversations", { title })).json();
+    stub.respond(() => ({ status: 200, body: textReply("まず事実確認を行ってください。") }));
+    const first = await (await post(app, "/api/chat", { message: "初動は？", conversationId: id })).json();
+    stub.respond(() => ({ status: 200, body: textReply("72時間以内に公表を検討します。") }));
+    const second = await (await post(app, "/api/chat", { message: "公表は？", conversationId: id })).json();
+    return { id, turnIds: [first.turnId, second.turnId] };
+  };
+
+  test("stores a rating with the prompt, reply and model", async () => {
+    const { id, turnIds } = await converse("評価");
+
+    const response = await post(app, "/api/feedback", {
+      conversationId: id,
+      turnId: turnIds[1],
+      rating: "down",
+      categories: ["legal-inaccuracy", "too-long"],
+      comment: "公表期限の根拠がない"
+    });
+    assert.equal(response.status, 201);
+
+    const { entries } = await (await app.request("/api/admin/feedback")).json();
+    const entry = entries.find((candidate) => candidate.turnId === turnIds[1]);
+    assert.equal(entry.prompt, "公表は？");
+    assert.equal(entry.reply, "72時間以内に公表を検討します。");
+    assert.equal(entry.model, "primary-model");
+    assert.equal(entry.profileId, "general");
+    assert.deepEqual(entry.history, [
+      { role: "user", text: "初動は？" },
+      { role: "model", text: "まず事実確認を行ってください。" }
+    ]);
+    assert.equal(entry.user.username, "admin");
+  });
+
+  test("replaces the caller's earlier rating of the same reply", async () => {
+    const { id, turnIds } = await converse("再評価");
+    await post(app, "/api/feedback", { conversationId: id, turnId: turnIds[0], rating: "down", categories: ["too-long"] });
+    await post(app, "/api/feedback", { conversationId: id, turnId: turnIds[0], rating: "up" });
+
+    const { feedback } = await (await app.request(`/api/feedback?conversationId=${id}`)).json();
+    assert.equal(feedback.length, 1);
+    assert.equal(feedback[0].rating, "up");
+    assert.deepEqual(feedback[0].categories, []);
+  });
+
+  test("rejects invalid ratings, categories and unknown replies", async () => {
+    const { id, turnIds } = await converse("不正");
+
+    assert.equal((await post(app, "/api/feedback", { conversationId: id, turnId: turnIds[0], rating: "meh" })).status, 400);
+    assert.equal((await post(app, "/api/feedback", {
+      conversationId: id, turnId: turnIds[0], rating: "down", categories: ["rude"]
+    })).status, 400);
+    assert.equal((await post(app, "/api/feedback", { conversationId: id, turnId: "missing", rating: "down" })).status, 404);
+    assert.equal((await post(app, "/api/feedback", { conversationId: "missing", turnId: turnIds[0], rating: "down" })).status, 404);
+  });
+
+  test("returns the reply id in the streamed done event", async () => {
+    const { id } = await (await post(app, "/api/conversations", { title: "ストリーム" })).json();
+    stub.respond(() => ({ status: 200, body: textReply("ストリーム回答") }));
+
+    const body = await (await post(app, "/api/chat", { message: "質問", conversationId: id, stream: true })).text();
+    const done = parseEvents(body).at(-1).data;
+    const stored = await (await app.request(`/api/conversations/${id}`)).json();
+
+    assert.equal(done.turnId, stored.turns[1].id);
+  });
+
+  test("filters the admin list and exports a regression set", async () => {
+    const { id, turnIds } = await converse("回帰");
+    await post(app, "/api/feedback", {
+      conversationId: id, turnId: turnIds[0], rating: "down", categories: ["not-actionable"], comment: "抽象的すぎる"
+    });
+    await post(app, "/api/feedback", { conversationId: id, turnId: turnIds[1], rating: "up" });
+
+    const low = await (await app.request("/api/admin/feedback?category=not-actionable")).json();
+    assert.ok(low.entries.length >= 1);
+    assert.ok(low.entries.every((entry) => entry.rating === "down" && entry.categories.includes("not-actionable")));
+    assert.ok(low.facets.models.includes("primary-model"));
+
+    const none = await (await app.request("/api/admin/feedback?model=other-model&rating=all")).json();
+    assert.equal(none.count, 0);
+    assert.equal((await app.request("/api/admin/feedback?rating=meh")).status, 400);
+    const english = await app.request("/api/admin/feedback?category=rude", { headers: { "Accept-Language": "en" } });
+    assert.equal((await english.json()).error, "category must be one of legal-inaccuracy / not-actionable / too-long.");
+
+    const response = await app.request("/api/admin/feedback?category=not-actionable&format=jsonl");
+    assert.match(response.headers.get("content-disposition"), /regression-set-.*\.jsonl/);
+    const cases = (await response.text()).trim().split("\n").map((line) => JSON.parse(line));
+    const exported = cases.find((entry) => entry.source.turnId === turnIds[0]);
+    assert.equal(exported.prompt, "初動は？");
+    assert.equal(exported.rejectedReply, "まず事実確認を行ってください。");
+    assert.equal(exported.comment, "抽象的すぎる");
+    assert.deepEqual(exported.history, []);
+  });
+});
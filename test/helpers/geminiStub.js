@@ -0,0 +1,58 @@
+import http from "http";
+
+export const textReply = (text, { finishReason = "STOP", usageMetadata } = {}) => ({
+  candidates: [{ content: { role: "model", parts: [{ text }] }, finishReason }],
+  ...(usageMetadata ? { usageMetadata } : {})
+});
+
+const defaultHandler = () => ({ status: 200, body: textReply("スタブ応答") });
+
+// A local stand-in for the Gemini REST API. Every request is recorded, and
+// `respond` swaps the handler, which receives `{ model, method, body }` and
+// returns `{ status, body, headers }`. For streamGenerateContent a body may
+// instead be given as `chunks`, each sent as one SSE event.
+export const startGeminiStub = async () => {
+  const requests = [];
+  let handler = defaultHandler;
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      const match = req.url.match(/\/models\/([^/:?]+):(\w+)/);
+      const call = {
+        model: match ? decodeURIComponent(match[1]) : undefined,
+        method: match?.[2],
+        body: raw ? JSON.parse(raw) : undefined
+      };
+      requests.push(call);
+
+      const { status = 200, body, chunks, headers = {} } = handler(call, requests) || {};
+      if (status === 200 && call.method === "streamGenerateContent") {
+        res.writeHead(200, { "Content-Type": "text/event-stream", ...headers });
+        (chunks || [body]).forEach((chunk) => res.write(`data: ${JSON.stringify(chunk)}\n\n`));
+        return res.end();
+      }
+      res.writeHead(status, { "Content-Type": "application/json", ...headers });
+      return res.end(JSON.stringify(body ?? { error: { code: status, message: `stub status ${status}` } }));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1beta`,
+    requests,
+    respond: (next) => {
+      handler = next;
+    },
+    reset: () => {
+      requests.length = 0;
+      handler = defaultHandler;
+    },
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
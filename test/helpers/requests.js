@@ -0,0 +1,20 @@
+// JSON requests against an app from startApp, and the SSE body of a
+// streamed reply split into { event, data } in the order sent.
+const sendJson = (app, pathname, body, { method = "POST", headers = {} } = {}) =>
+  app.request(pathname, {
+    method,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body)
+  });
+
+export const post = (app, pathname, body, headers) => sendJson(app, pathname, body, { headers });
+
+export const put = (app, pathname, body, headers) => sendJson(app, pathname, body, { method: "PUT", headers });
+
+export const ask = (app, body, headers) => post(app, "/api/chat", body, headers);
+
+export const parseEvents = (body) =>
+  body.trim().split("\n\n").map((block) => {
+    const [eventLine, dataLine] = block.split("\n");
+    return { event: eventLine.slice("event: ".length), data: JSON.parse(dataLine.slice("data: ".length)) };
+  });
@@ -0,0 +1,40 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createApp } from "../../lib/app.js";
+
+export const ADMIN_AUTH = `Basic ${Buffer.from("admin:123").toString("base64")}`;
+
+// Starts the real application on an ephemeral port with its data in a fresh
+// temporary directory. Retries are kept short so failure paths stay fast.
+export const startApp = async (env = {}) => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "risk-advisor-test-"));
+  const app = await createApp({
+    NODE_ENV: "development",
+    DATA_DIR: dataDir,
+    GOOGLE_API_KEY: "test-key",
+    GOOGLE_GEMINI_MODEL: "primary-model",
+    GOOGLE_GEMINI_FALLBACK_MODEL: "fallback-model",
+    LLM_MAX_RETRIES: "1",
+    LLM_RETRY_BASE_MS: "1",
+    LLM_RETRY_MAX_MS: "10",
+    LOG_LEVEL: "silent",
+    ...env
+  });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    dataDir,
+    request: (pathname, { headers, ...options } = {}) =>
+      fetch(`${baseUrl}${pathname}`, { ...options, headers: { Authorization: ADMIN_AUTH, ...headers } }),
+    close: async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      await fs.rm(dataDir, { recursive: true, force: true });
+    }
+  };
+};
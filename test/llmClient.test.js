@@ -0,0 +1,67 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createLlmClient } from "../lib/llmClient.js";
+
+const POLICY = { timeoutMs: 50, maxRetries: 0, baseDelayMs: 1, maxDelayMs: 1 };
+
+// Sends one chunk after `delays[0]` ms, the next after `delays[1]` ms and so
+// on, unless the attempt is aborted first.
+const slowAdapter = (delays) => ({
+  isConfigured: true,
+  stream: async ({ signal }) => ({
+    ok: true,
+    events: (async function* chunks() {
+      for (const [index, delay] of delays.entries()) {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, delay);
+          signal.addEventListener("abort", () => {
+            clearTimeout(timer);
+            reject(new Error("aborted"));
+          }, { once: true });
+        });
+        yield { index };
+      }
+    })()
+  })
+});
+
+const readAll = async (events) => {
+  const received = [];
+  for await (const event of events) received.push(event.index);
+  return received;
+};
+
+describe("createLlmClient streaming", () => {
+  test("keeps the timeout running while the body is read, restarting it on each chunk", async () => {
+    const steady = createLlmClient([{ provider: "fake", model: "m", adapter: slowAdapter([30, 30, 30, 30]) }], POLICY);
+    const { result } = await steady.stream({});
+    assert.deepEqual(await readAll(result.events), [0, 1, 2, 3]);
+
+    const stalled = createLlmClient([{ provider: "fake", model: "m", adapter: slowAdapter([10, 500]) }], POLICY);
+    const started = Date.now();
+    const { result: stalledResult } = await stalled.stream({});
+    await assert.rejects(readAll(stalledResult.events), /50ms 以内に応答がありませんでした/);
+    assert.ok(Date.now() - started < 400);
+  });
+
+  test("removes its listener from the caller's signal once the attempt is over", async () => {
+    const caller = new AbortController();
+    const listeners = new Set();
+    const signal = {
+      get aborted() {
+        return caller.signal.aborted;
+      },
+      get reason() {
+        return caller.signal.reason;
+      },
+      addEventListener: (_type, listener) => listeners.add(listener),
+      removeEventListener: (_type, listener) => listeners.delete(listener)
+    };
+    const client = createLlmClient([{ provider: "fake", model: "m", adapter: slowAdapter([1, 1]) }], POLICY);
+
+    const { result } = await client.stream({}, { signal });
+    assert.equal(listeners.size, 1);
+    await readAll(result.events);
+    assert.equal(listeners.size, 0);
+  });
+});
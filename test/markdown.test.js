@@ -0,0 +1,237 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+import { formatInline, formatReply, markdownToHtml, TRUNCATION_NOTE } from "../public/markdown.js";
+
+// Parses the renderer's output the way the chat UI does (innerHTML).
+const render = (html) => {
+  const { document } = new JSDOM("<!doctype html><body></body>").window;
+  const container = document.createElement("div");
+  container.innerHTML = html;
+  return container;
+};
+
+const ALLOWED_TAGS = new Set([
+  "DIV", "P", "H1", "H2", "H3", "H4", "H5", "H6", "UL", "OL", "LI", "BLOCKQUOTE",
+  "PRE", "CODE", "STRONG", "EM", "DEL", "A", "HR", "BR", "INPUT",
+  "TABLE", "THEAD", "TBODY", "TR", "TH", "TD"
+]);
+
+const assertSafe = (container) => {
+  container.querySelectorAll("*").forEach((element) => {
+    assert.ok(ALLOWED_TAGS.has(element.tagName), `unexpected <${element.tagName.toLowerCase()}>`);
+    [...element.attributes].forEach(({ name }) => {
+      assert.ok(!name.toLowerCase().startsWith("on"), `event handler attribute ${name}`);
+    });
+  });
+  container.querySelectorAll("a:not(.heading-anchor)").forEach((link) => {
+    assert.match(link.getAttribute("href"), /^(https?:|mailto:|#$)/i);
+    assert.equal(link.getAttribute("rel"), "noopener noreferrer");
+  });
+  container.querySelectorAll("a.heading-anchor").forEach((link) => {
+    assert.equal(link.getAttribute("href"), `#${link.parentElement.id}`);
+  });
+};
+
+const MALICIOUS_FIXTURES = {
+  "script tag": "<script>alert(1)</script>",
+  "image onerror": "<img src=x onerror=alert(1)>",
+  "svg in a heading": "# <svg onload=alert(1)>",
+  "iframe in a list": "- <iframe src=\"https://evil.example\"></iframe>",
+  "javascript link": "[押してください](javascript:alert(1))",
+  "mixed-case scheme": "[x](JaVaScRiPt:alert(1))",
+  "scheme after whitespace": "[x](  javascript:alert(1))",
+  "data URL": "[x](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)",
+  "vbscript link": "[x](vbscript:msgbox(1))",
+  "attribute breakout": "[x](https://example.com\" onmouseover=\"alert(1))",
+  "single-quote breakout": "[x](https://example.com' onmouseover='alert(1))",
+  "html in link label": "[<img src=x onerror=alert(1)>](https://example.com)",
+  "nested emphasis and link": "**_[x](javascript:alert(1))_**",
+  "closing a code block": "```\n</code></pre><script>alert(1)</script>\n```",
+  "unterminated code block": "```html\n<script>alert(1)</script>",
+  "html in inline code": "`<script>alert(1)</script>`",
+  "blockquote": "> <a href=\"javascript:alert(1)\">引用</a>",
+  "entity-encoded scheme": "[x](&#106;avascript:alert(1))",
+  "style tag": "<style>body{display:none}</style>",
+  "html in a table cell": "| 項目 | 内容 |\n| --- | --- |\n| <img src=x onerror=alert(1)> | [x](javascript:alert(1)) |",
+  "alignment breakout": "| a |\n| :--\" onclick=\"alert(1) |\n| b |",
+  "html in a task item": "- [x] <script>alert(1)</script>\n- [ ] [x](javascript:alert(1))",
+  "heading id breakout": "# a\" onclick=\"alert(1)",
+  "fence info breakout": "```\" onclick=\"alert(1)\nx\n```",
+  "javascript autolink": "<javascript:alert(1)>",
+  "bare URL breakout": "https://example.com/\"onmouseover=\"alert(1)",
+  "link inside a link label": "[[x](javascript:alert(1))](https://example.com)",
+  "deeply nested quotes": ">".repeat(500) + " 深い",
+  "deeply nested lists": Array.from({ length: 100 }, (_, depth) => `${"  ".repeat(depth)}- 階層`).join("\n")
+};
+
+describe("markdownToHtml with malicious input", () => {
+  Object.entries(MALICIOUS_FIXTURES).forEach(([name, source]) => {
+    test(name, () => {
+      assertSafe(render(markdownToHtml(source)));
+    });
+  });
+
+  test("raw HTML is shown as text", () => {
+    const container = render(markdownToHtml("<script>alert(1)</script>"));
+    assert.equal(container.textContent, "<script>alert(1)</script>");
+  });
+
+  test("unsafe links point nowhere but keep their label", () => {
+    const link = render(markdownToHtml("[押してください](javascript:alert(1))")).querySelector("a");
+    assert.equal(link.getAttribute("href"), "#");
+    assert.equal(link.textContent, "押してください");
+  });
+
+  test("task list checkboxes cannot be toggled", () => {
+    const boxes = render(markdownToHtml("- [x] 完了\n- [ ] 未完了")).querySelectorAll("input");
+    assert.deepEqual([...boxes].map((box) => [box.type, box.disabled, box.checked]), [
+      ["checkbox", true, true],
+      ["checkbox", true, false]
+    ]);
+  });
+
+  test("code blocks keep markup as text", () => {
+    const code = render(markdownToHtml("```\n</code></pre><b>太字</b>\n```")).querySelector("pre code");
+    assert.equal(code.textContent, "</code></pre><b>太字</b>");
+  });
+});
+
+describe("markdownToHtml structure", () => {
+  test("renders headings, lists, quotes and rules", () => {
+    const container = render(markdownToHtml([
+      "## 初動対応",
+      "",
+      "- 事実確認",
+      "- 社内報告",
+      "",
+      "1. 監督官庁へ連絡",
+      "2. 公表判断",
+      "",
+      "> 安全を最優先に",
+      "",
+      "---"
+    ].join("\n")));
+
+    assert.equal(container.querySelector("h2").textContent, "初動対応");
+    assert.deepEqual([...container.querySelectorAll("ul li")].map((li) => li.textContent), ["事実確認", "社内報告"]);
+    assert.deepEqual([...container.querySelectorAll("ol li")].map((li) => li.textContent), ["監督官庁へ連絡", "公表判断"]);
+    assert.equal(container.querySelector("blockquote p").textContent, "安全を最優先に");
+    assert.ok(container.querySelector("hr"));
+  });
+
+  test("joins paragraph lines and separates paragraphs", () => {
+    const paragraphs = render(markdownToHtml("一行目\n二行目\n\n次の段落")).querySelectorAll("p");
+    assert.deepEqual([...paragraphs].map((p) => p.textContent), ["一行目\n二行目", "次の段落"]);
+  });
+});
+
+describe("markdownToHtml GFM blocks", () => {
+  test("renders tables with alignment and escaped pipes", () => {
+    const table = render(markdownToHtml([
+      "| 関係者 | 対応 | 期限 |",
+      "|:---|:---:|---:|",
+      "| 消費者 | `告知\\|公表` | 24時間 |",
+      "| 当局 | **報告** |"
+    ].join("\n"))).querySelector("table");
+
+    assert.deepEqual([...table.querySelectorAll("thead th")].map((th) => [th.textContent, th.style.textAlign]), [
+      ["関係者", "left"],
+      ["対応", "center"],
+      ["期限", "right"]
+    ]);
+    const rows = [...table.querySelectorAll("tbody tr")].map((tr) => [...tr.children].map((td) => td.textContent));
+    assert.deepEqual(rows, [["消費者", "告知|公表", "24時間"], ["当局", "報告", ""]]);
+  });
+
+  test("nests lists and keeps continuation lines in their item", () => {
+    const container = render(markdownToHtml([
+      "1. 社内",
+      "   - 経営陣",
+      "   - 法務",
+      "     顧問弁護士を含む",
+      "2. 社外",
+      "*   Gemini 形式",
+      "    *   四字下げ"
+    ].join("\n")));
+
+    const outer = container.querySelector("ol");
+    assert.equal(outer.children.length, 2);
+    assert.deepEqual([...outer.querySelectorAll(":scope > li > ul > li")].map((li) => li.textContent), [
+      "経営陣",
+      "法務\n顧問弁護士を含む"
+    ]);
+    assert.equal(container.querySelector("ul > li > ul > li").textContent, "四字下げ");
+  });
+
+  test("keeps the start number of ordered lists", () => {
+    assert.equal(render(markdownToHtml("3. 三\n4. 四")).querySelector("ol").getAttribute("start"), "3");
+    assert.equal(render(markdownToHtml("1. 一")).querySelector("ol").hasAttribute("start"), false);
+  });
+
+  test("wraps items of loose lists in paragraphs only", () => {
+    assert.equal(render(markdownToHtml("- 一\n- 二")).querySelector("li p"), null);
+    const items = render(markdownToHtml("- 一\n\n- 二\n\n  二段落目")).querySelectorAll("li");
+    assert.deepEqual([...items].map((li) => li.querySelectorAll("p").length), [1, 2]);
+  });
+
+  test("gives headings unique, prefixed ids", () => {
+    const headings = render(markdownToHtml("## 概要\n## 概要\n# Hello World!\n\n見出し\n===", { idPrefix: "r1-" }))
+      .querySelectorAll("h1, h2");
+
+    assert.deepEqual([...headings].map((heading) => heading.id), ["r1-概要", "r1-概要-1", "r1-hello-world", "r1-見出し"]);
+    assert.equal(headings[0].textContent, "概要");
+  });
+
+  test("labels fenced code with its language", () => {
+    const code = render(markdownToHtml("```js\nconst a = 1;\n```")).querySelector("pre code");
+    assert.equal(code.className, "language-js");
+  });
+});
+
+describe("formatInline", () => {
+  test("renders emphasis, code and safe links", () => {
+    const container = render(formatInline("**重要** と *注意* と `code` と [資料](https://example.com/a?b=1&c=2)"));
+
+    assert.equal(container.querySelector("strong").textContent, "重要");
+    assert.equal(container.querySelector("em").textContent, "注意");
+    assert.equal(container.querySelector("code").textContent, "code");
+    const link = container.querySelector("a");
+    assert.equal(link.getAttribute("href"), "https://example.com/a?b=1&c=2");
+    assert.equal(link.getAttribute("target"), "_blank");
+  });
+
+  test("handles strikethrough, breaks and intraword underscores", () => {
+    const container = render(formatInline("snake_case_name と **「重要」**です と ~~取消~~ と 行末\\\n次"));
+
+    assert.equal(container.querySelector("em"), null);
+    assert.equal(container.querySelector("strong").textContent, "「重要」");
+    assert.equal(container.querySelector("del").textContent, "取消");
+    assert.ok(container.querySelector("br"));
+  });
+
+  test("links bare URLs without trailing punctuation", () => {
+    const links = render(formatInline("詳細は https://example.com/a_(b)). と www.example.org, を参照")).querySelectorAll("a");
+    assert.deepEqual([...links].map((link) => link.getAttribute("href")), ["https://example.com/a_(b)", "http://www.example.org"]);
+  });
+
+  test("stops nesting after a few levels", () => {
+    assertSafe(render(formatInline("**_**_**_[x](javascript:alert(1))_**_**_**")));
+  });
+
+  test("ignores non-string input", () => {
+    assert.equal(formatInline(undefined), "");
+    assert.equal(markdownToHtml(null), "");
+  });
+});
+
+describe("formatReply", () => {
+  test("wraps the reply and appends the truncation note", () => {
+    const container = render(formatReply("<b>x</b>", { truncated: true }));
+    const wrapper = container.querySelector(".reply-markdown");
+
+    assert.ok(wrapper);
+    assert.equal(wrapper.querySelector("b"), null);
+    assert.equal(wrapper.querySelector(".reply-truncated").textContent, TRUNCATION_NOTE);
+  });
+});
@@ -0,0 +1,158 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { configureLogger, logger } from "../lib/logger.js";
+import { createMetricsRegistry } from "../lib/metrics.js";
+import { startGeminiStub, textReply } from "./helpers/geminiStub.js";
+import { ask } from "./helpers/requests.js";
+import { startApp } from "./helpers/startApp.js";
+
+describe("logger", () => {
+  test("writes one JSON line per entry with the child's fields", () => {
+    const lines = [];
+    configureLogger({ level: "info", write: (line) => lines.push(JSON.parse(line)) });
+
+    const log = logger.child({ requestId: "abc" });
+    log.debug("hidden");
+    log.warn("Model call failed", { model: "m", error: new Error("boom") });
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, "warn");
+    assert.equal(lines[0].msg, "Model call failed");
+    assert.equal(lines[0].requestId, "abc");
+    assert.equal(lines[0].error.message, "boom");
+    assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+  });
+});
+
+describe("metrics registry", () => {
+  test("renders counters and cumulative histogram buckets", () => {
+    const registry = createMetricsRegistry();
+    registry.counter("jobs_total", "Jobs.", ["kind"]).inc({ kind: 'a"b' }, 2);
+    const latency = registry.histogram("latency_seconds", "Latency.", ["model"], [1, 5]);
+    latency.observe({ model: "m" }, 0.5);
+    latency.observe({ model: "m" }, 3);
+
+    const text = registry.render();
+    assert.match(text, /# TYPE jobs_total counter\njobs_total\{kind="a\\"b"\} 2/);
+    assert.match(text, /latency_seconds_bucket\{model="m",le="1"\} 1\n/);
+    assert.match(text, /latency_seconds_bucket\{model="m",le="5"\} 2\n/);
+    assert.match(text, /latency_seconds_bucket\{model="m",le="\+Inf"\} 2\n/);
+    assert.match(text, /latency_seconds_sum\{model="m"\} 3.5\n/);
+  });
+});
+
+describe("request ids, /metrics and /healthz", () => {
+  let stub;
+  let app;
+  const lines = [];
+
+  before(async () => {
+    stub = await startGeminiStub();
+    app = await startApp({ GOOGLE_GEMINI_BASE_URL: stub.url, LOG_LEVEL: "info" });
+    configureLogger({ write: (line) => lines.push(JSON.parse(line)) });
+  });
+
+  after(async () => {
+    await app.close();
+    await stub.close();
+  });
+
+  beforeEach(() => {
+    stub.reset();
+    lines.length = 0;
+  });
+
+  test("returns a request id and includes it in error bodies and logs", async () => {
+    const response = await ask(app, { message: "" });
+    const data = await response.json();
+    const requestId = response.headers.get("x-request-id");
+
+    assert.equal(response.status, 400);
+    assert.match(requestId, /^[0-9a-f-]{36}$/);
+    assert.equal(data.requestId, requestId);
+    const logged = lines.find((line) => line.msg === "Request completed");
+    assert.equal(logged.requestId, requestId);
+    assert.equal(logged.status, 400);
+    assert.equal(logged.path, "/api/chat");
+  });
+
+  test("keeps a usable incoming request id", async () => {
+    const kept = await app.request("/api/conversations", { headers: { "X-Request-Id": "edge-123" } });
+    assert.equal(kept.headers.get("x-request-id"), "edge-123");
+
+    const replaced = await app.request("/api/conversations", { headers: { "X-Request-Id": "<script>" } });
+    assert.match(replaced.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+  });
+
+  test("tags streamed error events with the request id", async () => {
+    stub.respond(() => ({ status: 200, chunks: [{ candidates: [{ content: { parts: [] }, finishReason: "SAFETY" }] }] }));
+
+    const response = await ask(app, { message: "質問", stream: true });
+    const body = await response.text();
+
+    assert.match(body, /event: error/);
+    assert.ok(body.includes(`"requestId":"${response.headers.get("x-request-id")}"`));
+  });
+
+  test("counts requests, model latency, fallbacks, finish reasons and tokens", async () => {
+    stub.respond(({ model }) => model === "primary-model"
+      ? { status: 404 }
+      : {
+        status: 200,
+        body: textReply("回答", { usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 5, totalTokenCount: 17 } })
+      });
+    assert.equal((await ask(app, { message: "質問" })).status, 200);
+
+    const response = await app.request("/metrics");
+    const text = await response.text();
+
+    assert.match(response.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(text, /http_requests_total\{method="POST",route="\/api\/chat",status="200"\} \d+\n/);
+    assert.match(text, /llm_request_duration_seconds_count\{provider="gemini",model="primary-model",method="generate",outcome="404"\} 1\n/);
+    assert.match(text, /llm_request_duration_seconds_count\{provider="gemini",model="fallback-model",method="generate",outcome="ok"\} 1\n/);
+    assert.match(text, /llm_fallbacks_total\{from="primary-model",to="fallback-model"\} 1\n/);
+    assert.match(text, /llm_finish_reasons_total\{model="fallback-model",reason="STOP"\} 1\n/);
+    assert.match(text, /llm_tokens_total\{model="fallback-model",type="prompt"\} 12\n/);
+    assert.match(text, /llm_tokens_total\{model="fallback-model",type="candidates"\} 5\n/);
+  });
+
+  test("reports recent upstream calls in /healthz", async () => {
+    stub.respond(() => ({ status: 200, body: textReply("回答") }));
+    await ask(app, { message: "質問" });
+
+    const response = await fetch(`${app.baseUrl}/healthz`);
+    const data = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(data.status, "ok");
+    assert.ok(data.upstream.recentCalls > 0);
+    const primary = data.upstream.models.find((entry) => entry.model === "primary-model");
+    assert.ok(primary.lastSuccessAt);
+  });
+});
+
+describe("readiness without credentials", () => {
+  let app;
+
+  before(async () => {
+    app = await startApp({ GOOGLE_API_KEY: "", METRICS_TOKEN: "scrape-secret" });
+  });
+
+  after(() => app.close());
+
+  test("answers 503 and names the missing setting", async () => {
+    const response = await fetch(`${app.baseUrl}/healthz`);
+    const data = await response.json();
+
+    assert.equal(response.status, 503);
+    assert.equal(data.status, "unavailable");
+    assert.deepEqual(data.missingConfiguration, ["GOOGLE_API_KEY"]);
+    assert.equal((await fetch(`${app.baseUrl}/healthz`, { method: "HEAD" })).status, 503);
+  });
+
+  test("requires the metrics token when one is set", async () => {
+    assert.equal((await fetch(`${app.baseUrl}/metrics`)).status, 401);
+    const response = await fetch(`${app.baseUrl}/metrics`, { headers: { Authorization: "Bearer scrape-secret" } });
+    assert.equal(response.status, 200);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { buildGeminiPayload, extractChunkText, extractTextFromParts } from "../lib/chatPayload.js";
+import { ACTION_PLAN_SCHEMA } from "../lib/actionPlan.js";
+
+const profile = {
+  id: "test",
+  instructions: "あなたはリスク管理の助言者です。",
+  generationConfig: { temperature: 0.4, maxOutputTokens: 1000 }
+};
+
+const declarations = [{ name: "calculate_reporting_deadline", description: "期限を計算します。" }];
+
+describe("buildGeminiPayload", () => {
+  test("maps history roles and appends the new message", () => {
+    const payload = buildGeminiPayload([
+      { role: "user", text: "最初の質問" },
+      { role: "model", text: "最初の回答" },
+      { role: "system", text: "user として扱われる" },
+      { role: "user" },
+      null
+    ], "次の質問", { profile });
+
+    assert.deepEqual(payload.contents, [
+      { role: "user", parts: [{ text: "最初の質問" }] },
+      { role: "model", parts: [{ text: "最初の回答" }] },
+      { role: "user", parts: [{ text: "user として扱われる" }] },
+      { role: "user", parts: [{ text: "次の質問" }] }
+    ]);
+    assert.match(payload.systemInstruction.parts[0].text, /^あなたはリスク管理の助言者です。/);
+    assert.deepEqual(payload.generationConfig, profile.generationConfig);
+    assert.equal(payload.tools, undefined);
+  });
+
+  test("declares tools only when some are given", () => {
+    const payload = buildGeminiPayload([], "質問", { profile, tools: declarations });
+    assert.deepEqual(payload.tools, [{ functionDeclarations: declarations }]);
+    assert.equal(buildGeminiPayload([], "質問", { profile, tools: [] }).tools, undefined);
+  });
+
+  test("asks for JSON without tools in action-plan mode", () => {
+    const payload = buildGeminiPayload([], "質問", { profile, tools: declarations, mode: "action-plan" });
+    assert.equal(payload.tools, undefined);
+    assert.equal(payload.generationConfig.responseMimeType, "application/json");
+    assert.deepEqual(payload.generationConfig.responseSchema, ACTION_PLAN_SCHEMA);
+  });
+
+  test("doubles the output budget for bilingual replies", () => {
+    const payload = buildGeminiPayload([], "質問", { profile, replyLanguage: "both" });
+    assert.equal(payload.generationConfig.maxOutputTokens, 2000);
+    assert.equal(profile.generationConfig.maxOutputTokens, 1000);
+  });
+
+  test("inlines loaded attachments and mentions the rest by name", () => {
+    const inline = new Map([["a1", { mimeType: "image/png", data: "aGVsbG8=" }]]);
+    const payload = buildGeminiPayload([], "この写真を見てください", {
+      profile,
+      inline,
+      attachments: [{ id: "a1", fileName: "現場.png" }, { id: "a2", fileName: "報告書.pdf" }]
+    });
+
+    const parts = payload.contents.at(-1).parts;
+    assert.deepEqual(parts.slice(0, 3), [
+      { text: "この写真を見てください" },
+      { text: "添付ファイル: 現場.png" },
+      { inlineData: { mimeType: "image/png", data: "aGVsbG8=" } }
+    ]);
+    assert.match(parts[3].text, /報告書\.pdf/);
+  });
+});
+
+describe("extractTextFromParts", () => {
+  test("joins text parts and describes the others", () => {
+    const text = extractTextFromParts([
+      { text: "本文" },
+      { functionCall: { name: "build_case_timeline", args: { events: [] } } },
+      { inlineData: { mimeType: "image/png", data: Buffer.from("abc").toString("base64") } },
+      { fileData: { fileUri: "gs://bucket/file.pdf" } },
+      {}
+    ]);
+
+    assert.equal(text, [
+      "本文",
+      "関数呼び出し: build_case_timeline {\"events\":[]}",
+      "インラインデータ (image/png, 3 bytes)",
+      "ファイル参照: gs://bucket/file.pdf"
+    ].join("\n"));
+  });
+
+  test("returns an empty string for missing or empty parts", () => {
+    assert.equal(extractTextFromParts(undefined), "");
+    assert.equal(extractTextFromParts([]), "");
+    assert.equal(extractTextFromParts([{ text: "  " }]), "");
+  });
+});
+
+describe("extractChunkText", () => {
+  test("keeps stream fragments verbatim", () => {
+    assert.equal(extractChunkText([{ text: "途中で" }, { text: "切れた文" }]), "途中で切れた文");
+    assert.equal(extractChunkText([{ fileData: { fileUri: "gs://x" } }]), "ファイル参照: gs://x\n");
+  });
+});
@@ -0,0 +1,154 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createRedactor } from "../lib/redaction.js";
+import { startGeminiStub, textReply } from "./helpers/geminiStub.js";
+import { parseEvents, post, put } from "./helpers/requests.js";
+import { startApp } from "./helpers/startApp.js";
+
+describe("createRedactor", () => {
+  test("masks Japanese personal data with stable placeholders", () => {
+    const redactor = createRedactor();
+    const masked = redactor.redact(
+      "被害者の山田太郎さん（090-1234-5678、yamada@example.com）は東京都港区芝公園4-2-8在住。個人番号 1234 5678 9012。山田太郎さんに再連絡。"
+    );
+
+    assert.equal(
+      masked,
+      "被害者の[NAME_1]さん（[PHONE_1]、[EMAIL_1]）は[ADDRESS_1]在住。個人番号 [MYNUMBER_1]。[NAME_1]さんに再連絡。"
+    );
+    assert.deepEqual(redactor.items().map(({ type, value }) => [type, value]), [
+      ["name", "山田太郎"],
+      ["phone", "090-1234-5678"],
+      ["email", "yamada@example.com"],
+      ["address", "東京都港区芝公園4-2-8"],
+      ["myNumber", "1234 5678 9012"]
+    ]);
+  });
+
+  test("masks English personal data and confidential terms in any case", () => {
+    const redactor = createRedactor({ terms: ["Project Falcon"] });
+    const masked = redactor.redact("Ms. Jane Doe at 12 Baker Street, (555) 123-4567, asked whether project falcon ships.");
+
+    assert.equal(masked, "Ms. [NAME_1] at [ADDRESS_1], [PHONE_1], asked whether [CONFIDENTIAL_1] ships.");
+    assert.equal(redactor.restore("[CONFIDENTIAL_1] と [NAME_1]"), "Project Falcon と Jane Doe");
+  });
+
+  test("leaves ordinary words with honorifics and non-phone numbers alone", () => {
+    const redactor = createRedactor();
+    const text = "お客様と皆さん、製品仕様と同様に担当者様へ。氏名欄は空欄。2024-01-15 にロット 240115 を回収、0.5% 増。";
+
+    assert.equal(redactor.redact(text), text);
+    assert.deepEqual(redactor.items(), []);
+  });
+
+  test("restores placeholders split across stream chunks", () => {
+    const redactor = createRedactor();
+    redactor.redact("鈴木さんの番号は03-1234-5678");
+    const restorer = redactor.createStreamRestorer();
+
+    const pieces = [restorer.push("[NA"), restorer.push("ME_1]さんへ ["), restorer.push("PHONE_1] で連絡"), restorer.flush()];
+    assert.equal(pieces.join(""), "鈴木さんへ 03-1234-5678 で連絡");
+    assert.equal(pieces[0], "");
+  });
+
+  test("does nothing when disabled", () => {
+    const redactor = createRedactor({ terms: ["Falcon"], enabled: false });
+    assert.equal(redactor.redact("山田さん Falcon 090-1234-5678"), "山田さん Falcon 090-1234-5678");
+  });
+});
+
+describe("redaction in /api/chat", () => {
+  let stub;
+  let app;
+
+  before(async () => {
+    stub = await startGeminiStub();
+    app = await startApp({ GOOGLE_GEMINI_BASE_URL: stub.url });
+  });
+
+  after(async () => {
+    await app.close();
+    await stub.close();
+  });
+
+  beforeEach(() => stub.reset());
+
+  test("sends placeholders to the model and restores them in the reply", async () => {
+    await put(app, "/api/admin/redaction", { terms: ["Falcon-X"] });
+    stub.respond(() => ({ status: 200, body: textReply("[NAME_1]様へ [PHONE_1] で連絡し、[CONFIDENTIAL_1] の出荷を止めてください。") }));
+
+    const response = await post(app, "/api/chat", {
+      message: "Falcon-X の件で佐藤花子様（080-1111-2222）から苦情です。",
+      history: [{ role: "user", text: "佐藤花子から最初の連絡がありました。" }, { role: "model", text: "承知しました。" }]
+    });
+    const data = await response.json();
+
+    assert.equal(response.status, 200);
+    const sent = JSON.stringify(stub.requests[0].body.contents);
+    assert.doesNotMatch(sent, /佐藤花子|080-1111-2222|Falcon-X/);
+    assert.equal(stub.requests[0].body.contents[0].parts[0].text, "[NAME_1]から最初の連絡がありました。");
+    assert.match(stub.requests[0].body.systemInstruction.parts[0].text, /伏せた個人情報/);
+    assert.equal(data.reply, "佐藤花子様へ 080-1111-2222 で連絡し、Falcon-X の出荷を止めてください。");
+    assert.deepEqual(data.redactions.map(({ placeholder }) => placeholder), ["[CONFIDENTIAL_1]", "[NAME_1]", "[PHONE_1]"]);
+  });
+
+  test("restores streamed chunks and stores the original reply", async () => {
+    const { id } = await (await post(app, "/api/conversations", { title: "伏せ字" })).json();
+    stub.respond(() => ({
+      status: 200,
+      chunks: [
+        { candidates: [{ content: { role: "model", parts: [{ text: "[NA" }] } }] },
+        { candidates: [{ content: { role: "model", parts: [{ text: "ME_1]さんに確認" }] }, finishReason: "STOP" }] }
+      ]
+    }));
+
+    const response = await post(app, "/api/chat", { message: "田中一郎さんが負傷", conversationId: id, stream: true });
+    const events = parseEvents(await response.text());
+
+    const text = events.filter(({ event }) => event === "chunk").map(({ data }) => data.text).join("");
+    assert.equal(text, "田中一郎さんに確認");
+    assert.doesNotMatch(JSON.stringify(stub.requests[0].body.contents), /田中一郎/);
+    const done = events.at(-1);
+    assert.equal(done.event, "done");
+    assert.equal(done.data.reply, "田中一郎さんに確認");
+    assert.equal(done.data.redactions[0].value, "田中一郎");
+
+    const stored = await (await app.request(`/api/conversations/${id}`)).json();
+    assert.equal(stored.turns[1].text, "田中一郎さんに確認");
+    assert.equal(stored.turns[1].redactions[0].placeholder, "[NAME_1]");
+  });
+
+  test("masks knowledge-base passages and attachment file names", async () => {
+    await post(app, "/api/admin/knowledge", {
+      fileName: "回収窓口.md",
+      content: "# 回収窓口\n\n回収窓口の責任者は佐藤花子さん（03-9999-0000）です。"
+    });
+    const form = new FormData();
+    form.append("files", new Blob([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])]), "山田太郎さん_報告.png");
+    const { attachments } = await (await app.request("/api/attachments", { method: "POST", body: form })).json();
+    stub.respond(() => ({ status: 200, body: textReply("[NAME_1]さんに確認してください。") }));
+
+    const response = await post(app, "/api/chat", { message: "回収窓口の責任者は誰ですか", attachmentIds: [attachments[0].id] });
+    const data = await response.json();
+
+    assert.equal(response.status, 200);
+    const sent = JSON.stringify(stub.requests[0].body);
+    assert.match(sent, /回収窓口の責任者は\[NAME_\d\]さん（\[PHONE_1\]）/);
+    assert.match(sent, /添付ファイル: \[NAME_\d\]さん_報告\.png/);
+    assert.doesNotMatch(sent, /佐藤花子|03-9999-0000|山田太郎/);
+    assert.equal(data.sources[0].title, "回収窓口");
+  });
+
+  test("validates the admin's confidential terms", async () => {
+    const rejected = await put(app, "/api/admin/redaction", { terms: "Falcon" });
+    assert.equal(rejected.status, 400);
+    assert.equal((await rejected.json()).error, "機密用語を保存できません。");
+    const english = await put(app, "/api/admin/redaction", { terms: "Falcon" }, { "Accept-Language": "en" });
+    assert.equal((await english.json()).error, "The confidential terms cannot be saved.");
+
+    const saved = await (await put(app, "/api/admin/redaction", { terms: [" Falcon ", "Falcon", ""] })).json();
+    assert.deepEqual(saved.terms, ["Falcon"]);
+    assert.equal(saved.enabled, true);
+    assert.equal(saved.updatedBy.username, "admin");
+  });
+});
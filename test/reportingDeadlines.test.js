@@ -0,0 +1,87 @@
+import { before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { configureLogger } from "../lib/logger.js";
+import { calculateDeadlines, loadReportingRules } from "../lib/tools/reportingDeadlines.js";
+import { parseTime } from "../lib/tools/time.js";
+
+const deadlineFor = (rules, ruleId, awarenessTime, options = {}) =>
+  calculateDeadlines(rules, { awarenessTime, ruleIds: [ruleId], ...options }).deadlines[0];
+
+describe("reporting deadlines", () => {
+  let rules;
+
+  before(() => {
+    configureLogger({ level: "silent" });
+    ({ rules } = loadReportingRules(path.join(process.cwd(), "config", "reporting-rules.json")));
+  });
+
+  test("reads times without an offset as wall-clock time in the given zone", () => {
+    assert.equal(parseTime("2026-01-31 23:30", "Asia/Tokyo").toISOString(), "2026-01-31T14:30:00.000Z");
+    assert.equal(parseTime("2026-01-31 23:30", "America/New_York").toISOString(), "2026-02-01T04:30:00.000Z");
+    assert.equal(parseTime("2026-01-31T23:30:00+09:00", "America/New_York").toISOString(), "2026-01-31T14:30:00.000Z");
+    assert.equal(parseTime("31 January", "Asia/Tokyo"), undefined);
+  });
+
+  test("counts the day of awareness as day 1 for the Japanese serious-accident report", () => {
+    const due = deadlineFor(rules, "jp-cpsa-serious-accident", "2026-01-25 15:00");
+    // 25 January is day 1, so day 10 is 3 February, across the month end.
+    assert.equal(due.dueAt, "2026-02-03T14:59:59.000Z");
+    assert.equal(due.dueAtLocal, "2026/02/03 23:59 (Asia/Tokyo)");
+    assert.equal(due.rule, "起算日を含めて 10 日以内");
+  });
+
+  test("takes the calendar day in the rule's own zone, not in Japan", () => {
+    // 09:00 in Tokyo on 1 March is 11:00 the same day in Sydney, so two days
+    // after ends on 3 March.
+    const sydney = deadlineFor(rules, "au-acl-mandatory-report", "2026-03-01 09:00");
+    assert.equal(sydney.dueAtLocal, "2026/03/03 23:59 (Australia/Sydney)");
+    // 10:00 in Tokyo on 1 March is 20:00 on 28 February in Toronto, so the
+    // count starts from 28 February and ends on 2 March.
+    const toronto = deadlineFor(rules, "ca-ccpsa-incident", "2026-03-01 10:00");
+    assert.equal(toronto.dueAtLocal, "2026/03/02 23:59 (America/Toronto)");
+    assert.equal(toronto.dueAtJapan, "2026/03/03 13:59 (Asia/Tokyo)");
+  });
+
+  test("starts counting the next day for days-after rules, across a month end and a DST change", () => {
+    const due = deadlineFor(rules, "ca-ccpsa-written", "2026-10-25T10:00:00-04:00");
+    // Day 1 is 26 October, day 10 is 4 November; Toronto is back on EST by then.
+    assert.equal(due.dueAt, "2026-11-05T04:59:59.000Z");
+    assert.equal(due.dueAtLocal, "2026/11/04 23:59 (America/Toronto)");
+
+    const sameDayCount = [
+      { id: "inclusive", deadline: { amount: 2, unit: "days-inclusive" }, timeZone: "Asia/Tokyo" },
+      { id: "after", deadline: { amount: 2, unit: "days-after" }, timeZone: "Asia/Tokyo" }
+    ];
+    const { deadlines } = calculateDeadlines(sameDayCount, { awarenessTime: "2026-04-30 08:00" });
+    assert.deepEqual(deadlines.map(({ ruleId, dueAtLocal }) => [ruleId, dueAtLocal]), [
+      ["inclusive", "2026/05/01 23:59 (Asia/Tokyo)"],
+      ["after", "2026/05/02 23:59 (Asia/Tokyo)"]
+    ]);
+  });
+
+  test("adds hours to the exact time for hour-based rules", () => {
+    const now = new Date("2026-04-01T08:00:00Z");
+    const due = deadlineFor(rules, "us-cpsc-15b", "2026-03-31T20:30:00Z", { now });
+    assert.equal(due.dueAt, "2026-04-01T20:30:00.000Z");
+    assert.equal(due.dueAtLocal, "2026/04/01 16:30 (America/New_York)");
+    assert.equal(due.dueAtJapan, "2026/04/02 05:30 (Asia/Tokyo)");
+    assert.equal(due.remainingHours, 12.5);
+    assert.equal(due.overdue, false);
+
+    const late = deadlineFor(rules, "us-cpsc-15b", "2026-03-30T20:30:00Z", { now });
+    assert.equal(late.remainingHours, -11.5);
+    assert.equal(late.overdue, true);
+  });
+
+  test("sorts by due time and explains unusable input", () => {
+    const { deadlines } = calculateDeadlines(rules, { awarenessTime: "2026-06-01 09:00", jurisdiction: "ca" });
+    assert.deepEqual(deadlines.map((deadline) => deadline.ruleId), ["ca-ccpsa-incident", "ca-ccpsa-written"]);
+
+    const immediate = deadlineFor(rules, "eu-gpsr-accident", "2026-06-01 09:00");
+    assert.equal(immediate.dueAt, "2026-06-01T00:00:00.000Z");
+
+    assert.match(calculateDeadlines(rules, { awarenessTime: "来週" }).error, /awarenessTime/);
+    assert.equal(calculateDeadlines(rules, { awarenessTime: "2026-06-01", ruleIds: ["missing"] }).availableRuleIds.length, rules.length);
+  });
+});
@@ -0,0 +1,139 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { RISK_MATRIX, regionOf } from "../public/riskMatrix.js";
+import { assessRisk, formatRiskAssessmentForPrompt, frequencyLevelOf, normalizeRiskAssessment } from "../lib/riskMatrix.js";
+import { startGeminiStub, textReply } from "./helpers/geminiStub.js";
+import { parseEvents, post } from "./helpers/requests.js";
+import { startApp } from "./helpers/startApp.js";
+
+const input = (overrides = {}) => ({
+  hazard: "充電中のバッテリーの異常発熱",
+  harmScenario: "就寝中に発火し火傷を負う",
+  severity: 3,
+  affectedUnits: 120000,
+  incidentCount: 3,
+  ...overrides
+});
+
+describe("R-Map scoring", () => {
+  test("maps incidents per unit and year to a frequency level", () => {
+    assert.equal(frequencyLevelOf(2e-4), 5);
+    assert.equal(frequencyLevelOf(1e-4), 4);
+    assert.equal(frequencyLevelOf(2.5e-5), 4);
+    assert.equal(frequencyLevelOf(5e-7), 2);
+    assert.equal(frequencyLevelOf(1e-8), 0);
+  });
+
+  test("places cells in the regions along the diagonals", () => {
+    assert.deepEqual(RISK_MATRIX.map((row) => row.regions.join(" ")), [
+      "B1 A1 A2 A3 A3",
+      "B2 B1 A1 A2 A3",
+      "B3 B2 B1 A1 A2",
+      "C B3 B2 B1 A1",
+      "C C B3 B2 B1",
+      "C C C C C"
+    ]);
+    assert.equal(regionOf(0, 4), "C");
+  });
+
+  test("assesses a case and suggests the action for its zone", () => {
+    const recall = assessRisk(normalizeRiskAssessment(input()).value);
+    assert.equal(recall.rate, 2.5e-5);
+    assert.equal(recall.frequency, 4);
+    assert.equal(recall.region, "A2");
+    assert.equal(recall.action, "recall");
+    assert.equal(recall.periodYears, 1);
+
+    const minor = assessRisk(normalizeRiskAssessment(input({ severity: 1, affectedUnits: 2000000, incidentCount: 0 })).value);
+    assert.equal(minor.assumedIncident, true);
+    assert.equal(minor.frequency, 2);
+    assert.equal(minor.region, "B3");
+    assert.equal(minor.action, "notification");
+
+    const rare = assessRisk(normalizeRiskAssessment(input({ severity: 1, incidentCount: 1, periodYears: 100 })).value);
+    assert.equal(rare.zone, "C");
+    assert.equal(rare.action, "monitoring");
+  });
+
+  test("rejects incomplete or out-of-range input", () => {
+    assert.equal(normalizeRiskAssessment(undefined).errors.length, 1);
+    const { errors } = normalizeRiskAssessment({ hazard: " ", severity: 5, affectedUnits: 0, incidentCount: -1, periodYears: 0 });
+    assert.equal(errors.length, 6);
+  });
+
+  test("states the fixed result for the model", () => {
+    const text = formatRiskAssessmentForPrompt(assessRisk(normalizeRiskAssessment(input()).value));
+    assert.match(text, /評価領域: A2/);
+    assert.match(text, /2\.5×10\^-5 件\/台・年 → レベル 4/);
+    assert.match(text, /結果から変えず/);
+  });
+});
+
+describe("risk-assessment mode in /api/chat", () => {
+  let stub;
+  let app;
+
+  before(async () => {
+    stub = await startGeminiStub();
+    app = await startApp({ GOOGLE_GEMINI_BASE_URL: stub.url });
+  });
+
+  after(async () => {
+    await app.close();
+    await stub.close();
+  });
+
+  beforeEach(() => stub.reset());
+
+  test("passes the computed score to the model and returns it with the reply", async () => {
+    stub.respond(() => ({ status: 200, body: textReply("A2 領域のため回収を推奨します。") }));
+
+    const response = await post(app, "/api/chat", {
+      message: "R-Map によるリスクアセスメントをお願いします。",
+      mode: "risk-assessment",
+      riskAssessment: input({ harmScenario: "山田太郎さんが就寝中に火傷" })
+    });
+    const data = await response.json();
+
+    assert.equal(response.status, 200);
+    const systemText = stub.requests[0].body.systemInstruction.parts[0].text;
+    assert.match(systemText, /評価領域: A2/);
+    assert.match(systemText, /危害シナリオ: \[NAME_1\]さんが就寝中に火傷/);
+    assert.equal(data.riskAssessment.region, "A2");
+    assert.equal(data.riskAssessment.harmScenario, "山田太郎さんが就寝中に火傷");
+    assert.equal(data.riskAssessment.matrix, undefined);
+  });
+
+  test("stores the assessment on the streamed reply turn", async () => {
+    const { id } = await (await post(app, "/api/conversations", { title: "発熱" })).json();
+    stub.respond(() => ({ status: 200, body: textReply("評価結果の説明") }));
+
+    const response = await post(app, "/api/chat", {
+      message: "評価をお願いします。",
+      conversationId: id,
+      mode: "risk-assessment",
+      riskAssessment: input(),
+      stream: true
+    });
+    const done = parseEvents(await response.text()).at(-1);
+    assert.equal(done.event, "done");
+    assert.equal(done.data.riskAssessment.action, "recall");
+
+    const stored = await (await app.request(`/api/conversations/${id}`)).json();
+    assert.equal(stored.turns[1].mode, "risk-assessment");
+    assert.equal(stored.turns[1].riskAssessment.region, "A2");
+  });
+
+  test("requires a valid assessment", async () => {
+    const response = await post(app, "/api/chat", {
+      message: "評価をお願いします。",
+      mode: "risk-assessment",
+      riskAssessment: input({ affectedUnits: 0 })
+    });
+    const data = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.match(data.details, /affectedUnits/);
+    assert.equal(stub.requests.length, 0);
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createUsageBudget } from "../lib/usageBudget.js";
+
+describe("createUsageBudget", () => {
+  test("counts every request of a user's first burst", async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "risk-advisor-usage-"));
+    const budget = createUsageBudget(directory, { daily: 1000 });
+    const now = new Date("2026-04-01T03:00:00Z");
+
+    await Promise.all([10, 20, 30, 40].map((tokens) => budget.record("user-1", tokens, now)));
+
+    const usage = await budget.usageFor("user-1", now);
+    assert.equal(usage.daily.used, 100);
+    assert.equal(usage.monthly.used, 100);
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+});